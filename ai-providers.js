@@ -0,0 +1,384 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { TOOL_CALL_PREFIX, TOOL_RESULT_PREFIX } = require('./tools');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// What the app asks an AI to do; each can use a different provider
+const CAPABILITIES = ['chat', 'vision', 'transcription'];
+
+// Jobs that can each use their own model, and the capability (provider) that runs them
+const MODEL_TASKS = {
+    chat: 'chat',
+    emotion: 'chat',
+    vision: 'vision',
+    transcription: 'transcription'
+};
+
+const PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openai: 'OpenAI-compatible'
+};
+
+const DEFAULT_OPENAI_SETTINGS = {
+    baseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp's server uses http://localhost:8080/v1
+    apiKey: '',
+    model: '', // Used for any task without its own model
+    timeoutSeconds: 60
+};
+
+/**
+ * The provider doesn't know or won't serve the requested model (retired, misspelled, not pulled).
+ * Callers report this to the operator instead of quietly falling back.
+ */
+class ModelRejectedError extends Error {
+    constructor(provider, model, detail) {
+        super(`${provider} rejected the model "${model}": ${detail}`);
+        this.name = 'ModelRejectedError';
+        this.provider = provider;
+        this.model = model;
+    }
+}
+
+/**
+ * Google Gemini through the official SDK.
+ * Every provider implements generateText, describeImage, transcribeAudio, listModels and test.
+ * The generate methods take { model } to override the provider's default model.
+ */
+class GeminiProvider {
+    constructor({ apiKey }) {
+        if (!apiKey) {
+            throw new Error('Gemini API key is required');
+        }
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.defaultModel = DEFAULT_GEMINI_MODEL;
+        this.genAI = new GoogleGenerativeAI(apiKey);
+    }
+
+    async generate(parts, { model } = {}) {
+        const modelName = model || this.defaultModel;
+        try {
+            const generativeModel = this.genAI.getGenerativeModel({ model: modelName });
+            const result = await generativeModel.generateContent(parts);
+            const response = await result.response;
+            return response.text().trim();
+        } catch (error) {
+            // 404 means the model id is unknown or retired
+            if (error.status === 404 || /is not found for API version|not supported for generateContent/i.test(error.message)) {
+                throw new ModelRejectedError(PROVIDER_LABELS.gemini, modelName, error.message);
+            }
+            throw error;
+        }
+    }
+
+    async generateText(prompt, options) {
+        return this.generate(prompt, options);
+    }
+
+    /**
+     * @param {string} prompt - What to say about the image
+     * @param {object} media - { data (base64), mimeType }
+     * @param {object} options - { model }
+     */
+    async describeImage(prompt, media, options) {
+        return this.generate([prompt, { inlineData: { data: media.data, mimeType: media.mimeType } }], options);
+    }
+
+    async transcribeAudio(prompt, media, options) {
+        return this.generate([prompt, { inlineData: { data: media.data, mimeType: media.mimeType } }], options);
+    }
+
+    /**
+     * Model ids this key can use for generateContent
+     */
+    async listModels() {
+        const response = await fetch(`${GEMINI_API_URL}/models?pageSize=1000&key=${encodeURIComponent(this.apiKey)}`, {
+            signal: AbortSignal.timeout(30000)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(`Gemini returned ${response.status}: ${(data.error && data.error.message) || response.statusText}`);
+        }
+
+        return (data.models || [])
+            .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''));
+    }
+
+    async test(options) {
+        await this.generateText('Reply with the single word OK.', options);
+    }
+}
+
+/**
+ * Any server speaking the OpenAI HTTP API, e.g. Ollama, llama.cpp, LM Studio or LocalAI
+ */
+class OpenAICompatibleProvider {
+    constructor(settings = {}) {
+        const merged = { ...DEFAULT_OPENAI_SETTINGS, ...settings };
+        if (!merged.baseUrl) {
+            throw new Error('OpenAI-compatible server URL is required');
+        }
+        if (!/^https?:\/\//i.test(merged.baseUrl)) {
+            throw new Error('OpenAI-compatible server URL must start with http:// or https://');
+        }
+
+        this.name = 'openai';
+        this.baseUrl = merged.baseUrl.replace(/\/+$/, '');
+        this.apiKey = merged.apiKey;
+        this.defaultModel = merged.model;
+        this.timeoutMs = (parseInt(merged.timeoutSeconds) || DEFAULT_OPENAI_SETTINGS.timeoutSeconds) * 1000;
+    }
+
+    resolveModel(model) {
+        const modelName = model || this.defaultModel;
+        if (!modelName) {
+            throw new Error('OpenAI-compatible model name is required');
+        }
+        return modelName;
+    }
+
+    async request(endpoint, { method = 'POST', body = null, isJson = true, model = null } = {}) {
+        const headers = {};
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        if (body && isJson) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            method,
+            headers,
+            body: body && isJson ? JSON.stringify(body) : body,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Some servers answer errors in plain text
+        }
+
+        if (!response.ok) {
+            const detail = String(data && data.error ? (data.error.message || data.error) : text).substring(0, 200);
+
+            // Ollama answers 404 for models that aren't pulled, OpenAI uses model_not_found.
+            // Anything else, like a model still loading or a prompt over its context length, is a plain error.
+            if (model && (response.status === 404 || (data && data.error && data.error.code === 'model_not_found'))) {
+                throw new ModelRejectedError(PROVIDER_LABELS.openai, model, detail);
+            }
+            throw new Error(`${this.baseUrl}${endpoint} returned ${response.status}: ${detail}`);
+        }
+        if (!data) {
+            throw new Error(`${this.baseUrl}${endpoint} did not return JSON`);
+        }
+        return data;
+    }
+
+    async chat(content, { model } = {}) {
+        const modelName = this.resolveModel(model);
+        const data = await this.request('/chat/completions', {
+            body: { model: modelName, messages: [{ role: 'user', content }] },
+            model: modelName
+        });
+
+        const message = data.choices && data.choices[0] && data.choices[0].message;
+        if (!message || typeof message.content !== 'string') {
+            throw new Error('Server returned no message');
+        }
+        return message.content.trim();
+    }
+
+    async generateText(prompt, options) {
+        return this.chat(prompt, options);
+    }
+
+    // Needs a vision model (e.g. llava, llama3.2-vision, gemma3)
+    async describeImage(prompt, media, options) {
+        return this.chat([
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${media.mimeType};base64,${media.data}` } }
+        ], options);
+    }
+
+    // Uses /audio/transcriptions (Whisper API), so the prompt is not needed
+    async transcribeAudio(prompt, media, { model } = {}) {
+        const modelName = this.resolveModel(model);
+        const form = new FormData();
+        const extension = (media.mimeType.split('/')[1] || 'ogg').split(';')[0];
+        form.append('file', new Blob([Buffer.from(media.data, 'base64')], { type: media.mimeType }), `voice.${extension}`);
+        form.append('model', modelName);
+
+        const data = await this.request('/audio/transcriptions', { body: form, isJson: false, model: modelName });
+        return String(data.text || '').trim();
+    }
+
+    async listModels() {
+        const data = await this.request('/models', { method: 'GET' });
+        return (data.data || []).map(m => m.id);
+    }
+
+    async test(options) {
+        await this.generateText('Reply with the single word OK.', options);
+    }
+}
+
+/**
+ * Canned answers without any network or model, for tests. Not selectable in settings; tests hand it to
+ * WhatsAppManager through its createAIProviders option (see stubProviders). Replies follow simple patterns in the prompt: an order number calls lookup_order, a question about
+ * hours calls get_opening_hours, any other question calls search_faq, and a tool result is repeated back.
+ */
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+        this.defaultModel = 'stub';
+    }
+
+    async generateText(prompt) {
+        // Sticker mood detection wants one category word
+        if (/respond with ONLY ONE of these categories/i.test(prompt)) {
+            return 'casual';
+        }
+
+        const lines = String(prompt).split('\n');
+        const lastIndex = lines.map(line => line.startsWith('Them: ')).lastIndexOf(true);
+        if (lastIndex === -1) {
+            return 'Hi! Just checking in, hope your day is going well.';
+        }
+
+        const message = lines[lastIndex].substring('Them: '.length);
+        const result = lines.slice(lastIndex + 1).reverse().find(line => line.startsWith(TOOL_RESULT_PREFIX));
+        if (result) {
+            return `Here's what I found: ${result.substring(TOOL_RESULT_PREFIX.length).trim()}`;
+        }
+
+        const offers = (tool) => prompt.includes(`- ${tool}(`);
+        const call = (name, args) => `${TOOL_CALL_PREFIX} ${JSON.stringify({ name, arguments: args })}`;
+        const orderNumber = /order/i.test(message) && message.match(/#?(\d{3,})/);
+        if (orderNumber && offers('lookup_order')) {
+            return call('lookup_order', { order_id: orderNumber[1] });
+        }
+        if (/\b(open|close|closed|hours)\b/i.test(message) && offers('get_opening_hours')) {
+            return call('get_opening_hours', {});
+        }
+        if (message.includes('?') && offers('search_faq')) {
+            return call('search_faq', { query: message });
+        }
+        return `Thanks for your message: ${message}`;
+    }
+
+    async describeImage() {
+        return 'An image (described by the offline stub)';
+    }
+
+    async transcribeAudio() {
+        return 'A voice message (transcribed by the offline stub)';
+    }
+
+    async listModels() {
+        return [this.defaultModel];
+    }
+
+    async test() {
+        // Always available
+    }
+}
+
+/**
+ * Which provider each capability uses, with defaults filled in
+ */
+function getProviderSelection(config = {}) {
+    const aiProviders = config.aiProviders || {};
+    const selection = {};
+    for (const capability of CAPABILITIES) {
+        selection[capability] = PROVIDER_LABELS[aiProviders[capability]] ? aiProviders[capability] : 'gemini';
+    }
+    return selection;
+}
+
+/**
+ * Model configured for a task, or '' to use the provider's default
+ */
+function getTaskModel(config = {}, task) {
+    const aiModels = config.aiModels || {};
+    return typeof aiModels[task] === 'string' ? aiModels[task].trim() : '';
+}
+
+function createProvider(type, config = {}) {
+    if (type === 'openai') {
+        return new OpenAICompatibleProvider((config.aiProviders || {}).openai);
+    }
+    return new GeminiProvider({ apiKey: config.apiKey });
+}
+
+/**
+ * Build the provider for each capability. Capabilities sharing a provider share the instance.
+ * Throws if a selected provider is missing settings.
+ * @returns {object} { chat, vision, transcription }
+ */
+function createProviders(config = {}) {
+    const selection = getProviderSelection(config);
+    const instances = {};
+    const providers = {};
+
+    for (const capability of CAPABILITIES) {
+        const type = selection[capability];
+        if (!instances[type]) {
+            instances[type] = createProvider(type, config);
+        }
+        providers[capability] = instances[type];
+    }
+
+    // Every task needs a model to send, either its own or the provider default
+    for (const [task, capability] of Object.entries(MODEL_TASKS)) {
+        if (providers[capability].resolveModel) {
+            providers[capability].resolveModel(getTaskModel(config, task));
+        }
+    }
+
+    return providers;
+}
+
+/**
+ * The stub for every capability, in the shape createProviders returns
+ * @returns {object} { chat, vision, transcription }
+ */
+function stubProviders() {
+    const stub = new StubProvider();
+    return Object.fromEntries(CAPABILITIES.map(capability => [capability, stub]));
+}
+
+/**
+ * Explain what is missing for the selected providers, or return null if they are usable
+ */
+function getProviderConfigError(config = {}) {
+    try {
+        createProviders(config);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+module.exports = {
+    CAPABILITIES,
+    MODEL_TASKS,
+    PROVIDER_LABELS,
+    DEFAULT_GEMINI_MODEL,
+    DEFAULT_OPENAI_SETTINGS,
+    ModelRejectedError,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    StubProvider,
+    getProviderSelection,
+    getTaskModel,
+    createProvider,
+    stubProviders,
+    createProviders,
+    getProviderConfigError
+};
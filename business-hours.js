@@ -0,0 +1,144 @@
+/**
+ * Business hours: when the team is around to answer. Outside them a contact who
+ * writes in gets one away message per closed period instead of an AI reply.
+ *
+ *   Thanks for your message. We're closed right now and will reply {{opens_at}}.
+ *
+ * {{opens_at}} becomes the next opening time, e.g. "Monday at 9:00 AM". Days run on
+ * the business's own time zone, or this computer's when none is set. A day's hours
+ * can't run past midnight.
+ */
+
+const { TIME_PATTERN, toMinutes, getZonedParts, isValidTimeZone, getLocalTimeZone } = require('./quiet-hours');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_BUSINESS_HOURS = {
+    enabled: false,
+    timeZone: '', // Empty uses this computer's time zone
+    weekly: {
+        sun: null, // Closed all day
+        mon: { open: '09:00', close: '18:00' },
+        tue: { open: '09:00', close: '18:00' },
+        wed: { open: '09:00', close: '18:00' },
+        thu: { open: '09:00', close: '18:00' },
+        fri: { open: '09:00', close: '18:00' },
+        sat: null
+    },
+    holidays: [], // [{ date: 'YYYY-MM-DD', name }], closed all day
+    awayMessage: 'Thanks for your message. We\'re closed right now and will reply {{opens_at}}.'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead to look for the next opening, in days
+const MAX_LOOKAHEAD_DAYS = 400;
+
+/**
+ * Fill in missing or invalid business hours settings with the defaults.
+ * A day with an invalid range, or one closing before it opens, is closed.
+ */
+function normalizeBusinessHours(settings = {}) {
+    settings = settings || {};
+    const weeklySource = settings.weekly && typeof settings.weekly === 'object' ? settings.weekly : DEFAULT_BUSINESS_HOURS.weekly;
+
+    const weekly = {};
+    for (const day of WEEKDAYS) {
+        const hours = weeklySource[day];
+        weekly[day] = hours && TIME_PATTERN.test(hours.open) && TIME_PATTERN.test(hours.close) && hours.open < hours.close
+            ? { open: hours.open, close: hours.close }
+            : null;
+    }
+
+    return {
+        enabled: settings.enabled === true,
+        timeZone: isValidTimeZone(settings.timeZone) ? settings.timeZone : '',
+        weekly,
+        holidays: Array.isArray(settings.holidays)
+            ? settings.holidays
+                .filter(h => h && DATE_PATTERN.test(h.date))
+                .map(h => ({ date: h.date, name: String(h.name || '').trim() }))
+            : [],
+        awayMessage: typeof settings.awayMessage === 'string' && settings.awayMessage.trim()
+            ? settings.awayMessage.trim()
+            : DEFAULT_BUSINESS_HOURS.awayMessage
+    };
+}
+
+// The instant a wall clock time happens in a time zone
+function zonedTimeToDate(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = Date.UTC(year, month - 1, day) + toMinutes(time) * 60000;
+
+    // Correct the guess by the zone's offset, twice in case it lands across a DST change
+    let instant = target;
+    for (let i = 0; i < 2; i++) {
+        const local = getZonedParts(new Date(instant), timeZone);
+        const [y, m, d] = local.date.split('-').map(Number);
+        instant += target - (Date.UTC(y, m - 1, d) + local.minutes * 60000);
+    }
+    return new Date(instant);
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The closed period we're in, or null while open (or when business hours are off)
+ * @param {object} settings - As from normalizeBusinessHours
+ * @returns {object|null} { opensAt: Date or null if nothing opens within a year, key } where key
+ *   identifies the period, so an away message goes once per contact per period
+ */
+function getClosedPeriod(settings, now = new Date()) {
+    if (!settings.enabled) {
+        return null;
+    }
+
+    const timeZone = settings.timeZone || getLocalTimeZone();
+    const holidays = new Set(settings.holidays.map(h => h.date));
+    const today = getZonedParts(now, timeZone);
+
+    for (let offset = 0; offset < MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = addDays(today.date, offset);
+        const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        const hours = settings.weekly[weekday];
+        if (!hours || holidays.has(date)) {
+            continue;
+        }
+
+        if (offset === 0) {
+            if (today.minutes >= toMinutes(hours.open) && today.minutes < toMinutes(hours.close)) {
+                return null;
+            }
+            if (today.minutes >= toMinutes(hours.close)) {
+                continue;
+            }
+        }
+
+        const opensAt = zonedTimeToDate(date, hours.open, timeZone);
+        return { opensAt, key: opensAt.toISOString() };
+    }
+
+    return { opensAt: null, key: 'no-opening' };
+}
+
+/**
+ * The away message for a closed period, with {{opens_at}} filled in
+ */
+function renderAwayMessage(settings, period) {
+    const timeZone = settings.timeZone || getLocalTimeZone();
+    const opensAt = period.opensAt
+        ? `${period.opensAt.toLocaleDateString('en-US', { timeZone, weekday: 'long' })} at ${period.opensAt.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })}`
+        : 'as soon as we can';
+    return settings.awayMessage.replace(/\{\{\s*opens_at\s*\}\}/g, opensAt);
+}
+
+module.exports = {
+    WEEKDAYS,
+    DEFAULT_BUSINESS_HOURS,
+    normalizeBusinessHours,
+    getClosedPeriod,
+    renderAwayMessage
+};
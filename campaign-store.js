@@ -0,0 +1,258 @@
+const path = require('path');
+const fs = require('fs');
+
+// How many finished campaigns to keep in history
+const MAX_CAMPAIGNS = 100;
+
+// Campaigns that will never send again
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+const ATTACHMENT_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png'
+};
+
+/**
+ * Blast campaigns with per-recipient status, saved after every send so an
+ * interrupted blast can resume without messaging anyone twice.
+ *
+ * Campaign status: 'running', 'paused', 'interrupted' (the app stopped mid-blast),
+ * 'waiting' (everyone else had it, some recipients are held for quiet hours),
+ * 'cancelled' or 'completed'.
+ * Recipient status: 'pending' (not attempted yet), 'held' (quiet hours where they are, see heldUntil),
+ * 'sending', 'sent', 'failed' or 'skipped'.
+ * Each recipient keeps the exact text they get; sent recipients also carry the WhatsApp
+ * message id and the latest delivery receipt.
+ */
+class CampaignStore {
+    constructor(filePath, attachmentsDir) {
+        this.filePath = filePath;
+        this.attachmentsDir = attachmentsDir; // Blast images, so a resumed campaign can send them again
+        this.campaigns = []; // Oldest first
+
+        if (!fs.existsSync(this.attachmentsDir)) {
+            fs.mkdirSync(this.attachmentsDir, { recursive: true });
+        }
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify([], null, 2));
+        }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.campaigns = Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error('Error loading campaigns:', error);
+            this.campaigns = [];
+        }
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.campaigns, null, 2));
+        } catch (error) {
+            console.error('Error saving campaigns:', error);
+        }
+    }
+
+    find(campaignId) {
+        return this.campaigns.find(c => c.id === campaignId) || null;
+    }
+
+    copy(campaign) {
+        return campaign ? { ...campaign, recipients: campaign.recipients.map(r => ({ ...r })) } : null;
+    }
+
+    /**
+     * All campaigns, newest first
+     */
+    getAll() {
+        return this.campaigns.map(campaign => this.copy(campaign)).reverse();
+    }
+
+    get(campaignId) {
+        return this.copy(this.find(campaignId));
+    }
+
+    /**
+     * Save a new campaign before its first message goes out
+     * @param {object} campaign - { message (the template), imageData: { fileName, mimeType, base64Data }, accountId, recipients: [{ number, name, text }],
+     *   refused: [number], selection: { mode, tags } }
+     */
+    create({ message, imageData = null, accountId = null, recipients, refused = [], selection = null }) {
+        const id = `campaign_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+
+        let attachment = null;
+        if (imageData && imageData.base64Data) {
+            const fileName = `${id}${ATTACHMENT_EXTENSIONS[imageData.mimeType] || path.extname(imageData.fileName || '')}`;
+            fs.writeFileSync(path.join(this.attachmentsDir, fileName), Buffer.from(imageData.base64Data, 'base64'));
+            attachment = { fileName, originalName: imageData.fileName, mimeType: imageData.mimeType };
+        }
+
+        const now = new Date().toISOString();
+        const campaign = {
+            id,
+            message,
+            attachment,
+            accountId,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+            selection, // How recipients were chosen: { mode: 'all'|'tags'|'picked'|'pasted', tags }
+            refused,
+            recipients: recipients.map(r => ({ number: r.number, name: r.name || '', text: r.text || message, status: 'pending' }))
+        };
+
+        this.campaigns.push(campaign);
+        this.trim();
+        this.persist();
+        return this.copy(campaign);
+    }
+
+    /**
+     * Attachment in the shape blastMessage takes, or null for text-only campaigns
+     */
+    loadAttachment(campaignId) {
+        const campaign = this.find(campaignId);
+        if (!campaign || !campaign.attachment) {
+            return null;
+        }
+
+        const filePath = path.join(this.attachmentsDir, campaign.attachment.fileName);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Campaign image ${campaign.attachment.originalName} is missing`);
+        }
+
+        return {
+            fileName: campaign.attachment.originalName,
+            mimeType: campaign.attachment.mimeType,
+            base64Data: fs.readFileSync(filePath).toString('base64')
+        };
+    }
+
+    updateRecipient(campaignId, phoneNumber, updates) {
+        const campaign = this.find(campaignId);
+        const recipient = campaign && campaign.recipients.find(r => r.number === phoneNumber);
+        if (!recipient) {
+            return null;
+        }
+
+        Object.assign(recipient, updates);
+        campaign.updatedAt = new Date().toISOString();
+        this.persist();
+        return { ...recipient };
+    }
+
+    /**
+     * Store a delivery receipt for the recipient a campaign message went to
+     */
+    recordReceipt(campaignId, messageId, receipt) {
+        const campaign = this.find(campaignId);
+        const recipient = campaign && campaign.recipients.find(r => r.messageId === messageId);
+        if (!recipient) {
+            return false;
+        }
+
+        recipient.receipt = receipt;
+        this.persist();
+        return true;
+    }
+
+    setStatus(campaignId, status) {
+        const campaign = this.find(campaignId);
+        if (!campaign) {
+            return null;
+        }
+
+        campaign.status = status;
+        campaign.updatedAt = new Date().toISOString();
+        if (FINISHED_STATUSES.includes(status)) {
+            campaign.completedAt = campaign.updatedAt;
+        }
+        this.persist();
+        return this.copy(campaign);
+    }
+
+    isFinished(campaign) {
+        return FINISHED_STATUSES.includes(campaign.status);
+    }
+
+    /**
+     * Called on startup: campaigns still marked running were cut off by a crash or quit.
+     * Paused campaigns stay paused until someone resumes them.
+     * @returns {number} How many campaigns were interrupted
+     */
+    markInterrupted() {
+        const running = this.campaigns.filter(c => c.status === 'running');
+        for (const campaign of running) {
+            campaign.status = 'interrupted';
+            campaign.updatedAt = new Date().toISOString();
+        }
+
+        if (running.length > 0) {
+            this.persist();
+        }
+        return running.length;
+    }
+
+    getInterrupted() {
+        return this.campaigns.filter(c => c.status === 'interrupted').map(c => this.copy(c));
+    }
+
+    getWaiting() {
+        return this.campaigns.filter(c => c.status === 'waiting').map(c => this.copy(c));
+    }
+
+    /**
+     * Totals in the shape blastMessage has always returned
+     */
+    summarize(campaignId) {
+        const campaign = this.find(campaignId);
+        if (!campaign) {
+            return null;
+        }
+
+        const count = (status) => campaign.recipients.filter(r => r.status === status).length;
+        const receipts = campaign.recipients.map(r => r.receipt);
+        return {
+            campaignId: campaign.id,
+            status: campaign.status,
+            total: campaign.recipients.length,
+            sent: count('sent'),
+            failed: count('failed'),
+            skipped: count('skipped'), // Opted out while the blast was running
+            held: count('held'), // Waiting for quiet hours to end
+            refused: [...campaign.refused], // No recorded consent
+            delivered: receipts.filter(receipt => receipt === 'delivered' || receipt === 'read').length, // Read counts as delivered too
+            read: receipts.filter(receipt => receipt === 'read').length,
+            errors: campaign.recipients
+                .filter(r => r.status === 'failed')
+                .map(r => ({ phoneNumber: r.number, error: r.error })),
+            notAttempted: campaign.recipients.filter(r => r.status === 'pending' || r.status === 'held').map(r => r.number)
+        };
+    }
+
+    /**
+     * Drop the oldest finished campaigns beyond MAX_CAMPAIGNS, with their images
+     */
+    trim() {
+        while (this.campaigns.length > MAX_CAMPAIGNS) {
+            const index = this.campaigns.findIndex(c => this.isFinished(c));
+            if (index === -1) {
+                return;
+            }
+
+            const [removed] = this.campaigns.splice(index, 1);
+            if (removed.attachment) {
+                fs.rmSync(path.join(this.attachmentsDir, removed.attachment.fileName), { force: true });
+            }
+        }
+    }
+}
+
+module.exports = CampaignStore;
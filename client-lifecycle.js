@@ -0,0 +1,99 @@
+const EventEmitter = require('events');
+
+// WhatsApp Web connection states that mean the session is up but can't be relied on
+const DEGRADED_WA_STATES = ['CONFLICT', 'TIMEOUT', 'UNPAIRED', 'UNPAIRED_IDLE', 'UNLAUNCHED', 'PROXYBLOCK', 'TOS_BLOCK', 'SMB_TOS_BLOCK', 'DEPRECATED_VERSION'];
+
+// Allowed moves between lifecycle states. 'disconnected' is final, a new transport is needed after it.
+const TRANSITIONS = {
+    connecting: ['pairing', 'authenticated', 'ready', 'degraded', 'disconnected'],
+    pairing: ['pairing', 'authenticated', 'degraded', 'disconnected'],
+    authenticated: ['ready', 'degraded', 'disconnected'],
+    ready: ['degraded', 'disconnected'],
+    degraded: ['pairing', 'authenticated', 'ready', 'disconnected'],
+    disconnected: []
+};
+
+/**
+ * One account's connection lifecycle, built from a transport's raw events (see transport.js).
+ *
+ * States: connecting -> pairing (QR shown) -> authenticated -> ready, with 'degraded' for
+ * auth failures and connection trouble, and 'disconnected' at the end.
+ *
+ * Emits 'state' with { state, previous, accountId, accountName, ...detail } on every transition,
+ * and the state name itself with the same payload. Detail per state:
+ *   pairing      - { qr }
+ *   ready        - { phoneNumber, pushname }
+ *   degraded     - { reason, error }
+ *   disconnected - { reason }
+ */
+class ClientLifecycle extends EventEmitter {
+    constructor(transport, { accountId, accountName }) {
+        super();
+        this.transport = transport;
+        this.accountId = accountId;
+        this.accountName = accountName;
+        this.state = 'connecting';
+        this.lastChange = null; // Payload of the latest transition
+
+        transport.on('qr', (qr) => this.transition('pairing', { qr }));
+        transport.on('authenticated', () => this.transition('authenticated'));
+        transport.on('ready', () => {
+            const info = transport.info;
+            this.transition('ready', {
+                phoneNumber: info ? info.wid.user : '',
+                pushname: info ? info.pushname : ''
+            });
+        });
+        transport.on('auth_failure', (msg) => this.transition('degraded', { reason: 'auth_failure', error: msg }));
+        transport.on('change_state', (waState) => this.handleConnectionState(waState));
+        transport.on('disconnected', (reason) => this.transition('disconnected', { reason }));
+    }
+
+    /**
+     * whatsapp-web.js reports connection trouble through change_state
+     */
+    handleConnectionState(waState) {
+        if (DEGRADED_WA_STATES.includes(waState) && this.state === 'ready') {
+            this.transition('degraded', { reason: waState, error: `WhatsApp connection state: ${waState}` });
+        } else if (waState === 'CONNECTED' && this.state === 'degraded' && this.transport.info) {
+            const info = this.transport.info;
+            this.transition('ready', { phoneNumber: info.wid.user, pushname: info.pushname });
+        }
+    }
+
+    /**
+     * Move to a new state. Moves the table doesn't allow are logged and ignored.
+     * @returns {boolean} Whether the state changed
+     */
+    transition(state, detail = {}) {
+        if (!TRANSITIONS[this.state].includes(state)) {
+            console.warn(`Ignoring ${this.state} -> ${state} for ${this.accountName}`);
+            return false;
+        }
+
+        const previous = this.state;
+        this.state = state;
+
+        const change = {
+            ...detail,
+            state,
+            previous,
+            accountId: this.accountId,
+            accountName: this.accountName
+        };
+        this.lastChange = change;
+        this.emit('state', change);
+        this.emit(state, change);
+        return true;
+    }
+
+    isReady() {
+        return this.state === 'ready';
+    }
+}
+
+module.exports = {
+    ClientLifecycle,
+    TRANSITIONS,
+    DEGRADED_WA_STATES
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const { normalizeKeywordText } = require('./rules');
+const { guessTimeZone } = require('./quiet-hours');
+
+const DEFAULT_OPT_OUT = {
+    // Matched against the whole message, so "stop" opts out but "don't stop" does not
+    keywords: [
+        'stop', 'stop all', 'stopall', 'unsubscribe', 'opt out', 'optout', 'cancel', 'end', 'quit',
+        'berhenti', 'henti',            // Malay / Indonesian
+        'parar', 'alto', 'baja',        // Spanish / Portuguese
+        'arrêter', 'arreter', 'arrêt',  // French
+        'stopp', 'abmelden',            // German
+        '停止', '退订', '取消订阅'          // Chinese
+    ],
+    confirmationMessage: 'You have been unsubscribed and will not receive any more messages from us.'
+};
+
+/**
+ * Contact list backed by phone_numbers.json, including consent and opt-out state.
+ * Reads the file on every call because main.js also edits it directly.
+ */
+class ContactStore {
+    constructor(filePath, optOut = {}) {
+        this.filePath = filePath;
+        this.optOut = { ...DEFAULT_OPT_OUT };
+
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify([]));
+        }
+
+        this.setOptOutSettings(optOut);
+    }
+
+    /**
+     * Update opt-out keywords and confirmation message, falling back to defaults
+     */
+    setOptOutSettings(optOut = {}) {
+        const keywords = Array.isArray(optOut.keywords)
+            ? optOut.keywords.map(k => String(k).trim()).filter(k => k.length > 0)
+            : [];
+
+        this.optOut = {
+            keywords: keywords.length > 0 ? keywords : [...DEFAULT_OPT_OUT.keywords],
+            // An empty string turns the confirmation off
+            confirmationMessage: typeof optOut.confirmationMessage === 'string'
+                ? optOut.confirmationMessage.trim()
+                : DEFAULT_OPT_OUT.confirmationMessage
+        };
+    }
+
+    getOptOutSettings() {
+        return { ...this.optOut, keywords: [...this.optOut.keywords] };
+    }
+
+    /**
+     * Return the configured keyword a message matches, or null
+     */
+    matchOptOutKeyword(text) {
+        const normalized = normalizeKeywordText(text);
+        if (!normalized) {
+            return null;
+        }
+        return this.optOut.keywords.find(keyword => normalizeKeywordText(keyword) === normalized) || null;
+    }
+
+    getAll() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            return Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error('Error reading phone numbers:', error);
+            return [];
+        }
+    }
+
+    saveAll(contacts) {
+        fs.writeFileSync(this.filePath, JSON.stringify(contacts, null, 2));
+    }
+
+    find(phoneNumber) {
+        return this.getAll().find(p => p.number === phoneNumber) || null;
+    }
+
+    /**
+     * Consent status of a contact: 'valid', 'missing' or 'opted_out'.
+     * Opting out always overrides recorded consent.
+     */
+    getConsentStatus(contact) {
+        if (!contact) {
+            return 'missing';
+        }
+        if (contact.optedOut) {
+            return 'opted_out';
+        }
+
+        const consent = contact.consent;
+        if (!consent || !consent.source || !consent.channel || !consent.timestamp) {
+            return 'missing';
+        }
+        if (isNaN(new Date(consent.timestamp).getTime())) {
+            return 'missing';
+        }
+        return 'valid';
+    }
+
+    /**
+     * Record (or replace) a contact's consent, keeping earlier records for audit
+     */
+    recordConsent(phoneNumber, consent) {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        if (contact.consent) {
+            contact.consentHistory = [...(contact.consentHistory || []), contact.consent];
+        }
+        contact.consent = { ...consent, recordedAt: new Date().toISOString() };
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Set whether AI replies to a contact need approval: 'always', 'never' or 'default' (global setting)
+     */
+    setApprovalMode(phoneNumber, mode) {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        if (mode === 'always' || mode === 'never') {
+            contact.approvalMode = mode;
+        } else {
+            delete contact.approvalMode;
+        }
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Replace a contact's tags, used to pick blast recipients
+     */
+    setTags(phoneNumber, tags) {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        if (tags.length > 0) {
+            contact.tags = tags;
+        } else {
+            delete contact.tags;
+        }
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Replace a contact's custom merge fields ({ company: 'Acme' }), used in blast templates
+     */
+    setFields(phoneNumber, fields) {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        if (Object.keys(fields).length > 0) {
+            contact.fields = fields;
+        } else {
+            delete contact.fields;
+        }
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Set the time zone quiet hours use for a contact, or clear it to go back to the one guessed from their number
+     */
+    setTimeZone(phoneNumber, timeZone) {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        if (timeZone) {
+            contact.timeZone = timeZone;
+        } else {
+            delete contact.timeZone;
+        }
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Every tag in use, sorted, compared without case
+     */
+    getAllTags() {
+        const tags = new Map();
+        for (const contact of this.getAll()) {
+            for (const tag of contact.tags || []) {
+                if (!tags.has(tag.toLowerCase())) {
+                    tags.set(tag.toLowerCase(), tag);
+                }
+            }
+        }
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    }
+
+    isOptedOut(phoneNumber) {
+        const contact = this.find(phoneNumber);
+        return !!(contact && contact.optedOut);
+    }
+
+    /**
+     * Mark a contact as opted out. A number not on the list yet is added to it, opted out,
+     * because rules, flows and the away message answer anyone who writes in.
+     * @returns {object} The updated contact
+     */
+    markOptedOut(phoneNumber, keyword) {
+        const contacts = this.getAll();
+        const now = new Date().toISOString();
+        let contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            contact = {
+                id: `phone_${Date.now()}`,
+                number: phoneNumber,
+                name: phoneNumber,
+                timeZone: guessTimeZone(phoneNumber),
+                addedAt: now
+            };
+            contacts.push(contact);
+        }
+
+        contact.optedOut = true;
+        contact.optedOutAt = now;
+        contact.optOutKeyword = keyword;
+        contact.optOutHistory = [
+            ...(contact.optOutHistory || []),
+            { action: 'opted_out', at: now, keyword }
+        ];
+
+        this.saveAll(contacts);
+        return contact;
+    }
+
+    /**
+     * Opt a contact back in. Only ever called for an explicit operator action.
+     */
+    optIn(phoneNumber, note = '') {
+        const contacts = this.getAll();
+        const contact = contacts.find(p => p.number === phoneNumber);
+        if (!contact) {
+            return null;
+        }
+
+        contact.optedOut = false;
+        contact.optedOutAt = null;
+        contact.optOutKeyword = null;
+        contact.optOutHistory = [
+            ...(contact.optOutHistory || []),
+            { action: 'opted_in', at: new Date().toISOString(), by: 'operator', note }
+        ];
+
+        this.saveAll(contacts);
+        return contact;
+    }
+}
+
+module.exports = ContactStore;
@@ -0,0 +1,166 @@
+const fs = require('fs');
+
+// Only the tail of a conversation is useful as AI context
+const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * Persists per-contact AI conversation state so the warmer can pick up
+ * where it left off after a restart or a stop/start.
+ */
+class ConversationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.conversations = {}; // phoneNumber -> { history: [], lastMessageTime, updatedAt, humanMode, awayMessagePeriod, flowState }
+
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify({}, null, 2));
+        }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.conversations = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+            this.conversations = {};
+        }
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.conversations, null, 2));
+        } catch (error) {
+            console.error('Error saving conversations:', error);
+        }
+    }
+
+    has(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        return !!(conversation && conversation.history && conversation.history.length > 0);
+    }
+
+    /**
+     * Get a copy of a contact's saved conversation, or null if there is none
+     */
+    get(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        if (!conversation) {
+            return null;
+        }
+        return {
+            ...conversation,
+            history: [...(conversation.history || [])]
+        };
+    }
+
+    save(phoneNumber, conversation) {
+        const history = conversation.history || [];
+        const existing = this.conversations[phoneNumber];
+        this.conversations[phoneNumber] = {
+            ...conversation,
+            history: history.slice(-MAX_HISTORY_ENTRIES),
+            // Human mode, the away message period and flow state are only changed through their setters, never by a stale in-memory copy
+            humanMode: existing ? existing.humanMode : undefined,
+            awayMessagePeriod: existing ? existing.awayMessagePeriod : undefined,
+            flowState: existing ? existing.flowState : undefined,
+            updatedAt: new Date().toISOString()
+        };
+        this.persist();
+    }
+
+    /**
+     * Forget a conversation. Human mode survives so a reset can't hand a chat back to the AI.
+     */
+    delete(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        if (!conversation) {
+            return;
+        }
+
+        if (conversation.humanMode) {
+            this.conversations[phoneNumber] = { history: [], humanMode: conversation.humanMode };
+        } else {
+            delete this.conversations[phoneNumber];
+        }
+        this.persist();
+    }
+
+    /**
+     * Key of the closed period the contact last got the away message in, or null
+     */
+    getAwayMessagePeriod(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        return conversation && conversation.awayMessagePeriod ? conversation.awayMessagePeriod : null;
+    }
+
+    setAwayMessagePeriod(phoneNumber, periodKey) {
+        const conversation = this.conversations[phoneNumber] || { history: [] };
+        conversation.awayMessagePeriod = periodKey;
+        this.conversations[phoneNumber] = conversation;
+        this.persist();
+    }
+
+    /**
+     * Where the contact is in a flow ({ flowId, stepId, invalidCount, updatedAt }, see flows.js), or null
+     */
+    getFlowState(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        return conversation && conversation.flowState ? { ...conversation.flowState } : null;
+    }
+
+    /**
+     * Set or clear (null) the contact's place in a flow
+     */
+    setFlowState(phoneNumber, flowState) {
+        const conversation = this.conversations[phoneNumber];
+        if (!flowState && !(conversation && conversation.flowState)) {
+            return;
+        }
+
+        const updated = conversation || { history: [] };
+        if (flowState) {
+            updated.flowState = { ...flowState };
+        } else {
+            delete updated.flowState;
+        }
+        this.conversations[phoneNumber] = updated;
+        this.persist();
+    }
+
+    getHumanMode(phoneNumber) {
+        const conversation = this.conversations[phoneNumber];
+        return conversation && conversation.humanMode ? { ...conversation.humanMode } : null;
+    }
+
+    /**
+     * Set or clear (null) the human takeover state of a conversation
+     */
+    setHumanMode(phoneNumber, humanMode) {
+        const conversation = this.conversations[phoneNumber] || { history: [] };
+        if (humanMode) {
+            conversation.humanMode = { ...humanMode };
+        } else {
+            delete conversation.humanMode;
+        }
+        this.conversations[phoneNumber] = conversation;
+        this.persist();
+    }
+
+    /**
+     * All conversations currently handled by a person: phoneNumber -> humanMode
+     */
+    getHumanModes() {
+        const result = {};
+        for (const [phoneNumber, conversation] of Object.entries(this.conversations)) {
+            if (conversation.humanMode) {
+                result[phoneNumber] = { ...conversation.humanMode };
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = ConversationStore;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+
+/**
+ * AI replies waiting for an operator to approve, edit or reject them.
+ * A draft is 'pending' until the contact says something new, then it is 'stale'.
+ */
+class DraftStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.drafts = []; // { id, phoneNumber, type: 'text'|'sticker'|'media', text, stickerPath, emotion, mediaItem, status, createdAt }
+
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify([], null, 2));
+        }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.drafts = Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+            this.drafts = [];
+        }
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.drafts, null, 2));
+        } catch (error) {
+            console.error('Error saving drafts:', error);
+        }
+    }
+
+    getAll() {
+        return this.drafts.map(draft => ({ ...draft }));
+    }
+
+    get(draftId) {
+        const draft = this.drafts.find(d => d.id === draftId);
+        return draft ? { ...draft } : null;
+    }
+
+    /**
+     * Queue a reply for review. Any draft still pending for the contact is superseded and goes stale.
+     * @param {string} phoneNumber - Contact phone number
+     * @param {object} reply - { type, text, stickerPath, emotion, mediaItem }
+     */
+    add(phoneNumber, reply) {
+        this.markStale(phoneNumber, false);
+
+        const draft = {
+            ...reply,
+            id: `draft_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            phoneNumber,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        this.drafts.push(draft);
+        this.persist();
+        return { ...draft };
+    }
+
+    /**
+     * Mark a contact's pending drafts stale. Returns how many changed.
+     */
+    markStale(phoneNumber, save = true) {
+        let changed = 0;
+        for (const draft of this.drafts) {
+            if (draft.phoneNumber === phoneNumber && draft.status === 'pending') {
+                draft.status = 'stale';
+                draft.staleAt = new Date().toISOString();
+                changed++;
+            }
+        }
+
+        if (changed > 0 && save) {
+            this.persist();
+        }
+        return changed;
+    }
+
+    remove(draftId) {
+        const draft = this.get(draftId);
+        if (draft) {
+            this.drafts = this.drafts.filter(d => d.id !== draftId);
+            this.persist();
+        }
+        return draft;
+    }
+}
+
+module.exports = DraftStore;
@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.ogg': 'audio/ogg'
+};
+
+/**
+ * In-memory transport with the same interface as WhatsAppWebTransport (see transport.js).
+ * Nothing leaves the process: sends, typing, reactions are recorded, and inbound
+ * messages, acks and disconnects are scripted. Not shipped with the app.
+ *
+ * Usage:
+ *   const transport = new FakeTransport();
+ *   const manager = new WhatsAppManager(dir, window, { ..., createTransport: () => transport });
+ *   await manager.addAccount('acc1', 'Test');
+ *   await transport.receive({ from: '15551234567', body: 'hi' });
+ *   transport.sentTo('15551234567');
+ */
+class FakeTransport extends EventEmitter {
+    constructor({ phoneNumber = '15550000000', pushname = 'Fake Account', autoReady = true } = {}) {
+        super();
+        this.phoneNumber = phoneNumber;
+        this.pushname = pushname;
+        this.autoReady = autoReady; // false: call connect() yourself, e.g. after checking the QR flow
+        this.info = null;
+
+        this.sent = []; // { id, chatId, content, options, timestamp, ack }
+        this.typing = []; // { chatId, state: 'typing'|'cleared', timestamp }
+        this.reactions = []; // { messageId, emoji }
+        this.destroyed = false;
+        this.failNextSend = null; // Error to throw from the next sendMessage
+        this.counter = 0;
+    }
+
+    get wid() {
+        return `${this.phoneNumber}@c.us`;
+    }
+
+    nextId(fromMe, chatId) {
+        this.counter++;
+        return `${fromMe}_${chatId}_FAKE${String(this.counter).padStart(6, '0')}`;
+    }
+
+    // Run every listener for an event and wait for the async ones, so scripts can await their effects
+    async dispatch(event, ...args) {
+        await Promise.all(this.listeners(event).map(listener => listener(...args)));
+    }
+
+    async initialize() {
+        this.destroyed = false;
+        if (this.autoReady) {
+            await this.connect();
+        }
+    }
+
+    async destroy() {
+        this.destroyed = true;
+        this.info = null;
+    }
+
+    /**
+     * Simulate a scan or restored session: authenticated, then ready
+     */
+    async connect() {
+        await this.dispatch('authenticated');
+        this.info = {
+            wid: { user: this.phoneNumber, _serialized: this.wid },
+            pushname: this.pushname
+        };
+        await this.dispatch('ready');
+    }
+
+    async showQr(qr = 'fake-qr-code') {
+        await this.dispatch('qr', qr);
+    }
+
+    async failAuth(message = 'Fake auth failure') {
+        await this.dispatch('auth_failure', message);
+    }
+
+    /**
+     * Script a WhatsApp Web connection state, e.g. 'TIMEOUT' or 'CONFLICT', then 'CONNECTED' to recover
+     */
+    async changeState(waState) {
+        await this.dispatch('change_state', waState);
+    }
+
+    async disconnect(reason = 'LOGOUT') {
+        this.info = null;
+        await this.dispatch('disconnected', reason);
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        if (!this.info) {
+            throw new Error('Fake transport is not connected');
+        }
+        if (this.failNextSend) {
+            const error = this.failNextSend;
+            this.failNextSend = null;
+            throw error;
+        }
+
+        const id = this.nextId(true, chatId);
+        const isMedia = typeof content !== 'string';
+        const record = { id, chatId, content, options, timestamp: Date.now(), ack: 0 };
+        this.sent.push(record);
+
+        const message = this.buildMessage({
+            id,
+            from: this.wid,
+            to: chatId,
+            body: isMedia ? (options.caption || '') : content,
+            fromMe: true,
+            type: isMedia ? (options.sendMediaAsSticker ? 'sticker' : 'image') : 'chat',
+            media: isMedia ? content : null
+        });
+
+        // Like WhatsApp Web, our own messages also come back as message_create
+        setImmediate(() => this.dispatch('message_create', message).catch(error => {
+            console.error('Fake transport message_create handler failed:', error);
+        }));
+        return message;
+    }
+
+    async getChatById(chatId) {
+        return {
+            id: { _serialized: chatId },
+            sendStateTyping: async () => {
+                this.typing.push({ chatId, state: 'typing', timestamp: Date.now() });
+            },
+            clearState: async () => {
+                this.typing.push({ chatId, state: 'cleared', timestamp: Date.now() });
+            }
+        };
+    }
+
+    async react(message, emoji) {
+        this.reactions.push({ messageId: message.id._serialized, emoji });
+    }
+
+    async downloadMedia(message) {
+        return message.media || null;
+    }
+
+    mediaFromFile(filePath) {
+        return {
+            mimetype: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            data: fs.readFileSync(filePath).toString('base64'),
+            filename: path.basename(filePath)
+        };
+    }
+
+    mediaFromData(mimetype, data, filename) {
+        return { mimetype, data, filename };
+    }
+
+    buildMessage({ id, from, to, body = '', fromMe = false, type = 'chat', media = null, timestamp = null }) {
+        return {
+            id: { _serialized: id, fromMe },
+            from,
+            to,
+            body,
+            timestamp: timestamp || Math.floor(Date.now() / 1000),
+            fromMe,
+            hasMedia: Boolean(media),
+            type,
+            media
+        };
+    }
+
+    /**
+     * Script an inbound message from a contact and wait for the handlers to finish
+     * @param {object} message - { from (phone number), body, type, media: { mimetype, data, filename }, timestamp }
+     * @returns {object} The message as handlers saw it
+     */
+    async receive({ from, body = '', type = null, media = null, timestamp = null }) {
+        const chatId = `${from}@c.us`;
+        const message = this.buildMessage({
+            id: this.nextId(false, chatId),
+            from: chatId,
+            to: this.wid,
+            body,
+            type: type || (media ? 'image' : 'chat'),
+            media,
+            timestamp
+        });
+
+        await this.dispatch('message_create', message);
+        await this.dispatch('message', message);
+        return message;
+    }
+
+    /**
+     * Script a message typed on the phone itself, which the app did not send
+     */
+    async sendFromPhone(to, body) {
+        const chatId = `${to}@c.us`;
+        const message = this.buildMessage({
+            id: this.nextId(true, chatId),
+            from: this.wid,
+            to: chatId,
+            body,
+            fromMe: true
+        });
+
+        await this.dispatch('message_create', message);
+        return message;
+    }
+
+    /**
+     * Script a delivery status change for a sent message.
+     * @param {string} messageId - Serialized id from sendMessage
+     * @param {number} ack - whatsapp-web.js ack: -1 error, 0 pending, 1 server, 2 device, 3 read, 4 played
+     */
+    async ack(messageId, ack) {
+        const record = this.sent.find(s => s.id === messageId);
+        if (!record) {
+            throw new Error(`Fake transport never sent ${messageId}`);
+        }
+        record.ack = ack;
+
+        const message = this.buildMessage({
+            id: messageId,
+            from: this.wid,
+            to: record.chatId,
+            body: typeof record.content === 'string' ? record.content : (record.options.caption || ''),
+            fromMe: true
+        });
+        await this.dispatch('message_ack', message, ack);
+    }
+
+    /**
+     * Everything sent to a phone number, oldest first
+     */
+    sentTo(phoneNumber) {
+        return this.sent.filter(s => s.chatId === `${phoneNumber}@c.us`);
+    }
+}
+
+module.exports = FakeTransport;
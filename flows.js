@@ -0,0 +1,304 @@
+/**
+ * Flows: menus that walk a contact through fixed steps instead of free-form AI.
+ * A flow starts when a contact sends one of its trigger keywords on its own.
+ *
+ *   {
+ *     "name": "Support menu",
+ *     "triggers": ["menu", "help"],
+ *     "start": "main",
+ *     "steps": [
+ *       { "id": "main", "message": "How can we help?", "options": [
+ *         { "label": "Opening hours", "keywords": ["hours"], "next": "hours" },
+ *         { "label": "Order status", "keywords": ["order"], "next": "ai" },
+ *         { "label": "Talk to a person", "keywords": ["person", "human"], "next": "human" }
+ *       ] },
+ *       { "id": "hours", "message": "We're open 9 to 6, Monday to Friday." }
+ *     ]
+ *   }
+ *
+ * A step with options sends its message with the options numbered underneath and
+ * waits for an answer: the number, or one of the option's keywords. A step without
+ * options goes straight on to its "next" step. "next" is a step id or one of:
+ *   end   - the flow is over (the default)
+ *   ai    - the flow is over and the AI answers the contact's message
+ *   human - the flow is over and the chat is handed to a person
+ *
+ * After more than maxInvalid answers in a row that match no option the flow gives up and
+ * its fallback ('ai' or 'human') takes over. A contact who hasn't answered for timeoutMinutes
+ * is out of the flow, and their next message is handled as if it never ran.
+ */
+
+const { normalizeKeywordText } = require('./rules');
+
+const FLOW_ENDINGS = ['end', 'ai', 'human'];
+const FALLBACKS = ['ai', 'human'];
+
+const DEFAULT_INVALID_MESSAGE = 'Sorry, I didn\'t get that. Please reply with the number of an option.';
+const DEFAULT_TIMEOUT_MINUTES = 30;
+const DEFAULT_MAX_INVALID = 2;
+
+const MAX_FLOWS = 50;
+const MAX_STEPS = 100;
+const MAX_MESSAGE_LENGTH = 4096;
+
+function createFlowId() {
+    return `flow_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+function toKeywordList(value) {
+    return (Array.isArray(value) ? value : [])
+        .map(keyword => String(keyword).trim())
+        .filter(keyword => normalizeKeywordText(keyword));
+}
+
+/**
+ * Check flows before saving them, filling in ids and defaults
+ * @param {Array} flows - Flows as edited in Settings
+ * @returns {object} { flows, errors: [string] } - errors is empty when the flows can be saved
+ */
+function validateFlows(flows) {
+    if (!Array.isArray(flows)) {
+        return { flows: [], errors: ['Flows must be a list'] };
+    }
+    if (flows.length > MAX_FLOWS) {
+        return { flows: [], errors: [`At most ${MAX_FLOWS} flows are allowed`] };
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+    const triggerOwners = new Map(); // normalized trigger -> flow name
+
+    const normalized = flows.map((flow, index) => {
+        flow = flow || {};
+        const name = String(flow.name || '').trim() || `Flow ${index + 1}`;
+        const problem = (message) => errors.push(`${name}: ${message}`);
+
+        let id = typeof flow.id === 'string' && flow.id ? flow.id : createFlowId();
+        if (seenIds.has(id)) {
+            id = createFlowId();
+        }
+        seenIds.add(id);
+
+        const enabled = flow.enabled !== false;
+        const triggers = toKeywordList(flow.triggers);
+        if (triggers.length === 0) {
+            problem('add at least one trigger keyword');
+        }
+        for (const trigger of enabled ? triggers : []) {
+            const key = normalizeKeywordText(trigger);
+            if (triggerOwners.has(key) && triggerOwners.get(key) !== name) {
+                problem(`"${trigger}" already starts ${triggerOwners.get(key)}`);
+            }
+            triggerOwners.set(key, name);
+        }
+
+        const timeoutMinutes = parseInt(flow.timeoutMinutes);
+        const maxInvalid = parseInt(flow.maxInvalid);
+        const fallback = flow.fallback === undefined ? 'ai' : flow.fallback;
+        if (!FALLBACKS.includes(fallback)) {
+            problem('fallback must be "ai" or "human"');
+        }
+
+        const sourceSteps = Array.isArray(flow.steps) ? flow.steps : [];
+        if (sourceSteps.length === 0) {
+            problem('add at least one step');
+        } else if (sourceSteps.length > MAX_STEPS) {
+            problem(`at most ${MAX_STEPS} steps are allowed`);
+        }
+
+        const steps = sourceSteps.map((step, stepIndex) => {
+            step = step || {};
+            const options = (Array.isArray(step.options) ? step.options : []).map(option => ({
+                label: String((option && option.label) || '').trim(),
+                keywords: toKeywordList(option && option.keywords),
+                next: String((option && option.next) || '').trim()
+            }));
+            return {
+                id: String(step.id || '').trim() || `step${stepIndex + 1}`,
+                message: typeof step.message === 'string' ? step.message.trim() : '',
+                options,
+                next: options.length > 0 ? null : String(step.next || 'end').trim()
+            };
+        });
+
+        const stepIds = new Set();
+        for (const step of steps) {
+            if (FLOW_ENDINGS.includes(step.id)) {
+                problem(`"${step.id}" can't be a step id, it is reserved`);
+            } else if (stepIds.has(step.id)) {
+                problem(`two steps are called "${step.id}"`);
+            }
+            stepIds.add(step.id);
+        }
+
+        const isTarget = (next) => FLOW_ENDINGS.includes(next) || stepIds.has(next);
+        for (const step of steps) {
+            if (!step.message) {
+                problem(`step "${step.id}" needs a message`);
+            } else if (step.message.length > MAX_MESSAGE_LENGTH) {
+                problem(`the message of step "${step.id}" can be at most ${MAX_MESSAGE_LENGTH} characters`);
+            }
+            if (step.next !== null && !isTarget(step.next)) {
+                problem(`step "${step.id}" goes on to "${step.next}", which is not a step`);
+            }
+            step.options.forEach((option, optionIndex) => {
+                if (!option.label) {
+                    problem(`option ${optionIndex + 1} of step "${step.id}" needs a label`);
+                }
+                if (!isTarget(option.next)) {
+                    problem(`option ${optionIndex + 1} of step "${step.id}" goes to "${option.next}", which is not a step`);
+                }
+            });
+        }
+
+        // Steps without options run straight on, so they must not loop back on themselves
+        const byId = new Map(steps.map(step => [step.id, step]));
+        for (const step of steps) {
+            const seen = new Set();
+            let current = step;
+            while (current && current.next !== null && !FLOW_ENDINGS.includes(current.next)) {
+                if (seen.has(current.id)) {
+                    problem(`step "${step.id}" loops without waiting for an answer`);
+                    break;
+                }
+                seen.add(current.id);
+                current = byId.get(current.next);
+            }
+        }
+
+        const start = String(flow.start || (steps[0] ? steps[0].id : '')).trim();
+        if (steps.length > 0 && !byId.has(start)) {
+            problem(`the start step "${start}" is not a step`);
+        }
+
+        return {
+            id,
+            name,
+            enabled,
+            triggers,
+            start,
+            timeoutMinutes: isNaN(timeoutMinutes) || timeoutMinutes < 1 ? DEFAULT_TIMEOUT_MINUTES : timeoutMinutes,
+            maxInvalid: isNaN(maxInvalid) || maxInvalid < 0 ? DEFAULT_MAX_INVALID : maxInvalid,
+            invalidMessage: typeof flow.invalidMessage === 'string' && flow.invalidMessage.trim()
+                ? flow.invalidMessage.trim()
+                : DEFAULT_INVALID_MESSAGE,
+            fallback: FALLBACKS.includes(fallback) ? fallback : 'ai',
+            steps
+        };
+    });
+
+    return { flows: normalized, errors };
+}
+
+/**
+ * A step's message as sent, with its options numbered underneath
+ */
+function renderStep(step) {
+    if (step.options.length === 0) {
+        return step.message;
+    }
+    const options = step.options.map((option, index) => `${index + 1}. ${option.label}`).join('\n');
+    return `${step.message}\n\n${options}`;
+}
+
+// The option an answer picks: its number on its own, or one of its keywords anywhere in the answer
+function matchOption(step, text) {
+    const normalized = normalizeKeywordText(text);
+    if (/^\d+$/.test(normalized)) {
+        return step.options[parseInt(normalized) - 1] || null;
+    }
+
+    const padded = ` ${normalized} `;
+    return step.options.find(option => option.keywords.some(keyword => padded.includes(` ${normalizeKeywordText(keyword)} `))) || null;
+}
+
+// Send steps from stepId until one waits for an answer or the flow ends
+function runFrom(flow, stepId, now) {
+    const messages = [];
+    let next = stepId;
+
+    for (let count = 0; count <= flow.steps.length; count++) {
+        if (FLOW_ENDINGS.includes(next)) {
+            break;
+        }
+        const step = flow.steps.find(s => s.id === next);
+        if (!step) {
+            break;
+        }
+
+        messages.push(renderStep(step));
+        if (step.options.length > 0) {
+            return {
+                state: { flowId: flow.id, stepId: step.id, invalidCount: 0, updatedAt: now.toISOString() },
+                messages,
+                ending: null
+            };
+        }
+        next = step.next;
+    }
+
+    return { state: null, messages, ending: next === 'ai' || next === 'human' ? next : 'end' };
+}
+
+// Whether a flow state has gone unanswered for longer than its flow's timeout
+function isFlowStateExpired(flow, state, now) {
+    return now.getTime() - new Date(state.updatedAt).getTime() > flow.timeoutMinutes * 60000;
+}
+
+/**
+ * Route a contact's message through the flows
+ * @param {Array} flows - Flows from validateFlows
+ * @param {object|null} state - The contact's saved flow state
+ * @returns {object|null} null when no flow is involved, otherwise
+ *   { flow, state (the new state, null once the flow is over), messages (to send, in order),
+ *     ending: null while the flow waits for an answer, else 'end', 'ai' or 'human',
+ *     event: 'started', 'answered', 'invalid', 'gave_up' or 'expired' }.
+ *   An 'expired' result sends nothing and leaves the message to everything else.
+ */
+function routeFlowMessage(flows, state, text, now = new Date()) {
+    const enabledFlows = flows.filter(flow => flow.enabled);
+
+    // A trigger starts its flow over, even in the middle of another one
+    const normalized = normalizeKeywordText(text);
+    const triggered = normalized
+        ? enabledFlows.find(flow => flow.triggers.some(trigger => normalizeKeywordText(trigger) === normalized))
+        : null;
+    if (triggered) {
+        return { flow: triggered, event: 'started', ...runFrom(triggered, triggered.start, now) };
+    }
+
+    const flow = state ? enabledFlows.find(f => f.id === state.flowId) : null;
+    const step = flow ? flow.steps.find(s => s.id === state.stepId && s.options.length > 0) : null;
+    if (!step) {
+        // The flow was edited or turned off since, forget where the contact was
+        return state ? { flow: null, state: null, messages: [], ending: 'end', event: 'expired' } : null;
+    }
+
+    if (isFlowStateExpired(flow, state, now)) {
+        return { flow, state: null, messages: [], ending: 'end', event: 'expired' };
+    }
+
+    const option = matchOption(step, text);
+    if (option) {
+        return { flow, event: 'answered', ...runFrom(flow, option.next, now) };
+    }
+
+    const invalidCount = (state.invalidCount || 0) + 1;
+    if (invalidCount > flow.maxInvalid) {
+        return { flow, state: null, messages: [], ending: flow.fallback, event: 'gave_up' };
+    }
+
+    return {
+        flow,
+        state: { ...state, invalidCount, updatedAt: now.toISOString() },
+        messages: [`${flow.invalidMessage}\n\n${renderStep(step)}`],
+        ending: null,
+        event: 'invalid'
+    };
+}
+
+module.exports = {
+    FLOW_ENDINGS,
+    validateFlows,
+    routeFlowMessage
+};
@@ -2,6 +2,21 @@ const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const WhatsAppManager = require('./whatsapp');
+const MessageStore = require('./message-store');
+const ConversationStore = require('./conversation-store');
+const ContactStore = require('./contact-store');
+const DraftStore = require('./draft-store');
+const ProcessedIdStore = require('./processed-id-store');
+const CampaignStore = require('./campaign-store');
+const ScheduleStore = require('./schedule-store');
+const { SendLimiter, DEFAULT_SEND_LIMITS } = require('./send-limiter');
+const { DEFAULT_QUIET_HOURS, isValidTimeZone, guessTimeZone, getContactTimeZone } = require('./quiet-hours');
+const { DEFAULT_BUSINESS_HOURS, normalizeBusinessHours } = require('./business-hours');
+const { validateRules, findMatchingRule } = require('./rules');
+const { validateFlows } = require('./flows');
+const { DEFAULT_TOOL_SETTINGS, normalizeToolSettings, createTools, runToolCall } = require('./tools');
+const { parseTemplate, renderTemplate, validateTemplate, isValidCustomFieldName } = require('./template');
+const { CAPABILITIES, MODEL_TASKS, PROVIDER_LABELS, DEFAULT_OPENAI_SETTINGS, getProviderSelection, getTaskModel, createProvider, getProviderConfigError } = require('./ai-providers');
 
 let mainWindow;
 let whatsappManager;
@@ -83,6 +98,133 @@ function validateName(name) {
     return trimmed;
 }
 
+// Security: Validate contact tags, given as an array or a comma-separated string
+function validateTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) {
+        throw new Error('Tags must be a list');
+    }
+
+    const seen = new Set();
+    const validated = [];
+    for (const tag of list) {
+        const trimmed = typeof tag === 'string' ? tag.trim() : '';
+        if (!trimmed || seen.has(trimmed.toLowerCase())) {
+            continue;
+        }
+        if (trimmed.length > 30) {
+            throw new Error('Tags must be less than 30 characters');
+        }
+        if (!/^[\p{L}\p{N}\s\-_.]+$/u.test(trimmed)) {
+            throw new Error('Tags can only contain letters, numbers, spaces, and basic punctuation');
+        }
+        seen.add(trimmed.toLowerCase());
+        validated.push(trimmed);
+    }
+
+    if (validated.length > 20) {
+        throw new Error('A contact can have at most 20 tags');
+    }
+    return validated;
+}
+
+// Security: Validate a contact's custom merge fields, { field: value }
+function validateContactFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error('Fields must be name and value pairs');
+    }
+
+    const validated = {};
+    for (const [rawName, rawValue] of Object.entries(fields)) {
+        const name = String(rawName).trim().toLowerCase();
+        const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+        if (!isValidCustomFieldName(name)) {
+            throw new Error(`"${rawName}" can't be a field name. Use letters, numbers and _, starting with a letter, and not name, first_name or number.`);
+        }
+        if (value.length > 200) {
+            throw new Error(`The value of ${name} must be less than 200 characters`);
+        }
+        if (value) {
+            validated[name] = value;
+        }
+    }
+
+    if (Object.keys(validated).length > 20) {
+        throw new Error('A contact can have at most 20 fields');
+    }
+    return validated;
+}
+
+// Security: Validate when a scheduled job should run, a real time in the future within a year
+function validateSendAt(sendAt) {
+    const date = new Date(sendAt);
+    if (!sendAt || isNaN(date.getTime())) {
+        throw new Error('Choose a valid date and time');
+    }
+    if (date.getTime() <= Date.now()) {
+        throw new Error('Choose a time in the future');
+    }
+    if (date.getTime() - Date.now() > 366 * 24 * 60 * 60 * 1000) {
+        throw new Error('Jobs can be scheduled at most a year ahead');
+    }
+    return date.toISOString();
+}
+
+// Pull phone numbers out of pasted text: one per line or separated by commas, with +, spaces, dashes and brackets allowed
+function parsePastedNumbers(text) {
+    const numbers = [];
+    const invalid = [];
+    for (const entry of String(text || '').split(/[\n,;]+/)) {
+        const trimmed = entry.trim();
+        if (!trimmed) {
+            continue;
+        }
+        const digits = trimmed.replace(/[\s\-().+]/g, '');
+        if (/^\d{8,15}$/.test(digits)) {
+            numbers.push(digits);
+        } else {
+            invalid.push(trimmed);
+        }
+    }
+    return { numbers, invalid };
+}
+
+const CONSENT_CHANNELS = ['whatsapp', 'web_form', 'sms', 'email', 'phone_call', 'in_person', 'paper', 'other'];
+
+// Security: Validate and sanitize a consent record
+function validateConsent(consent) {
+    if (!consent || typeof consent !== 'object') {
+        throw new Error('Consent details are required');
+    }
+    const source = typeof consent.source === 'string' ? consent.source.trim() : '';
+    if (!source) {
+        throw new Error('Consent source is required');
+    }
+    if (source.length > 200) {
+        throw new Error('Consent source must be less than 200 characters');
+    }
+    if (!CONSENT_CHANNELS.includes(consent.channel)) {
+        throw new Error('Invalid consent channel');
+    }
+    const timestamp = new Date(consent.timestamp);
+    if (isNaN(timestamp.getTime())) {
+        throw new Error('Consent date is invalid');
+    }
+    if (timestamp.getTime() > Date.now() + 60000) {
+        throw new Error('Consent date cannot be in the future');
+    }
+    const evidence = typeof consent.evidence === 'string' ? consent.evidence.trim() : '';
+    if (evidence.length > 2000) {
+        throw new Error('Consent evidence must be less than 2000 characters');
+    }
+    return {
+        source,
+        channel: consent.channel,
+        timestamp: timestamp.toISOString(),
+        evidence
+    };
+}
+
 // Detect portable vs installed mode
 const isPortable = process.env.PORTABLE_EXECUTABLE_DIR !== undefined;
 
@@ -110,6 +252,15 @@ const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
 const MEDIA_DIR = path.join(DATA_DIR, 'media');
 const MEDIA_FILES_DIR = path.join(MEDIA_DIR, 'files');
 const MEDIA_INDEX_FILE = path.join(MEDIA_DIR, 'media-items.json');
+const MESSAGES_DIR = path.join(DATA_DIR, 'messages');
+const CONVERSATIONS_FILE = path.join(DATA_DIR, 'conversations.json');
+const DRAFTS_FILE = path.join(DATA_DIR, 'drafts.json');
+const PROCESSED_IDS_FILE = path.join(DATA_DIR, 'processed_message_ids.json');
+const CAMPAIGNS_FILE = path.join(DATA_DIR, 'campaigns.json');
+const CAMPAIGN_ATTACHMENTS_DIR = path.join(DATA_DIR, 'campaigns');
+const SCHEDULE_FILE = path.join(DATA_DIR, 'scheduled.json');
+const SCHEDULE_ATTACHMENTS_DIR = path.join(DATA_DIR, 'scheduled');
+const SEND_COUNTS_FILE = path.join(DATA_DIR, 'send_counts.json');
 
 console.log('Running mode:', isPortable ? 'Portable' : (app.isPackaged ? 'Installed' : 'Development'));
 console.log('Data directory:', DATA_DIR);
@@ -194,11 +345,97 @@ Optional:
             maxFileSize: 5242880,
             allowedFormats: ['image/jpeg', 'image/png', 'image/jpg'],
             requireContext: true
+        },
+        messageRetention: {
+            maxMessagesPerPhone: 1000,
+            maxAgeDays: 90
+        },
+        disclosure: {
+            enabled: false,
+            mode: 'first',
+            notice: 'This is an automated assistant.'
+        },
+        humanMode: {
+            idleTimeoutMinutes: 30
+        },
+        approval: {
+            enabled: false
+        },
+        sendLimits: { ...DEFAULT_SEND_LIMITS },
+        quietHours: { ...DEFAULT_QUIET_HOURS },
+        businessHours: { ...DEFAULT_BUSINESS_HOURS },
+        rules: [],
+        flows: [],
+        tools: { ...DEFAULT_TOOL_SETTINGS },
+        aiProviders: {
+            chat: 'gemini',
+            vision: 'gemini',
+            transcription: 'gemini',
+            openai: { ...DEFAULT_OPENAI_SETTINGS }
+        },
+        aiModels: {
+            chat: '',
+            emotion: '',
+            vision: '',
+            transcription: ''
         }
     };
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(defaultConfig, null, 2));
 }
 
+// Read saved config, falling back to an empty object if the file is unreadable
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (error) {
+        console.error('Error reading config:', error);
+        return {};
+    }
+}
+
+// Media library item by id, or null
+function findMediaItem(mediaId) {
+    try {
+        const mediaItems = JSON.parse(fs.readFileSync(MEDIA_INDEX_FILE, 'utf-8'));
+        return mediaItems.find(item => item.id === mediaId) || null;
+    } catch (error) {
+        console.error('Error reading media items:', error);
+        return null;
+    }
+}
+
+// Persistent message history (survives restarts)
+const messageStore = new MessageStore(MESSAGES_DIR, readConfig().messageRetention);
+
+// AI conversation state, so warming resumes instead of re-greeting
+const conversationStore = new ConversationStore(CONVERSATIONS_FILE);
+
+// Phone numbers with opt-out state
+const contactStore = new ContactStore(PHONE_NUMBERS_FILE, readConfig().optOut);
+
+// AI replies waiting for an operator to approve them
+const draftStore = new DraftStore(DRAFTS_FILE);
+
+// WhatsApp message ids already handled, so a restart doesn't reply to them again
+const processedIdStore = new ProcessedIdStore(PROCESSED_IDS_FILE);
+
+// Blast campaigns. Any still running when the app last stopped resume once their account is ready.
+const campaignStore = new CampaignStore(CAMPAIGNS_FILE, CAMPAIGN_ATTACHMENTS_DIR);
+const interruptedCampaigns = campaignStore.markInterrupted();
+if (interruptedCampaigns > 0) {
+    console.log(`${interruptedCampaigns} blast campaign(s) were interrupted and will resume`);
+}
+
+// Caps on outbound messages, checked before every send
+const sendLimiter = new SendLimiter(SEND_COUNTS_FILE, readConfig().sendLimits);
+
+// Blasts and messages queued for later. Anything due while the app was closed runs once connected.
+const scheduleStore = new ScheduleStore(SCHEDULE_FILE, SCHEDULE_ATTACHMENTS_DIR);
+const interruptedJobs = scheduleStore.markInterrupted();
+if (interruptedJobs > 0) {
+    console.log(`${interruptedJobs} scheduled job(s) were cut off when the app last closed`);
+}
+
 function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1200,
@@ -226,7 +463,25 @@ function createWindow() {
 
 app.whenReady().then(async () => {
     createWindow();
-    whatsappManager = new WhatsAppManager(SESSIONS_DIR, mainWindow);
+    whatsappManager = new WhatsAppManager(SESSIONS_DIR, mainWindow, {
+        messageStore,
+        conversationStore,
+        contactStore,
+        draftStore,
+        processedIdStore,
+        campaignStore,
+        sendLimiter,
+        humanMode: readConfig().humanMode,
+        approval: readConfig().approval,
+        quietHours: readConfig().quietHours,
+        businessHours: readConfig().businessHours,
+        rules: readConfig().rules,
+        flows: readConfig().flows,
+        tools: readConfig().tools,
+        findMediaItem,
+        onLifecycleChange: recordAccountLifecycle,
+        onCampaignChange: updateScheduledBlast
+    });
 
     // Restore existing sessions on startup
     try {
@@ -243,6 +498,9 @@ app.whenReady().then(async () => {
         console.error('Error reading accounts for session restore:', error);
     }
 
+    // Catch up on jobs that came due while the app was closed, once restored sessions are in place
+    runDueJobs();
+
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
             createWindow();
@@ -257,6 +515,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', async () => {
+    clearTimeout(schedulerTimer);
     if (whatsappManager) {
         await whatsappManager.disconnectAll();
     }
@@ -323,6 +582,9 @@ ipcMain.handle('add-account', async (event, accountName) => {
         // Initialize WhatsApp client for this account
         await whatsappManager.addAccount(accountId, accountName);
 
+        // Ready may have come before the client was in place, catch up on due jobs now
+        runDueJobs();
+
         return { success: true, account: newAccount };
     } catch (error) {
         console.error('Error adding account:', error);
@@ -346,17 +608,44 @@ ipcMain.handle('remove-account', async (event, accountId) => {
     }
 });
 
-// Update account info
-ipcMain.handle('update-account', async (event, accountId, updates) => {
+// Merge updates into a saved account
+function updateAccountRecord(accountId, updates) {
+    const accounts = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    const index = accounts.findIndex(acc => acc.id === accountId);
+
+    if (index !== -1) {
+        accounts[index] = { ...accounts[index], ...updates };
+        fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2));
+    }
+}
+
+// Keep the saved account in step with its connection lifecycle (see client-lifecycle.js)
+function recordAccountLifecycle(change) {
+    const updates = {
+        status: change.state,
+        statusReason: change.reason || '',
+        statusChangedAt: new Date().toISOString()
+    };
+    if (change.state === 'ready' && change.phoneNumber) {
+        updates.phoneNumber = change.phoneNumber;
+    }
+
     try {
-        let accounts = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8'));
-        const index = accounts.findIndex(acc => acc.id === accountId);
+        updateAccountRecord(change.accountId, updates);
+    } catch (error) {
+        console.error('Error saving account status:', error);
+    }
 
-        if (index !== -1) {
-            accounts[index] = { ...accounts[index], ...updates };
-            fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2));
-        }
+    // Scheduled jobs waiting for the connection can go now
+    if (change.state === 'ready') {
+        runDueJobs();
+    }
+}
 
+// Update account info
+ipcMain.handle('update-account', async (event, accountId, updates) => {
+    try {
+        updateAccountRecord(accountId, updates);
         return { success: true };
     } catch (error) {
         console.error('Error updating account:', error);
@@ -370,7 +659,11 @@ ipcMain.handle('update-account', async (event, accountId, updates) => {
 ipcMain.handle('get-phone-numbers', async () => {
     try {
         const data = fs.readFileSync(PHONE_NUMBERS_FILE, 'utf-8');
-        return JSON.parse(data);
+        return JSON.parse(data).map(p => ({
+            ...p,
+            consentStatus: contactStore.getConsentStatus(p),
+            effectiveTimeZone: getContactTimeZone(p) // Saved zone, or the one guessed from the number
+        }));
     } catch (error) {
         console.error('Error reading phone numbers:', error);
         return [];
@@ -378,11 +671,13 @@ ipcMain.handle('get-phone-numbers', async () => {
 });
 
 // Add phone number
-ipcMain.handle('add-phone-number', async (event, phoneNumber, name) => {
+ipcMain.handle('add-phone-number', async (event, phoneNumber, name, consent, tags) => {
     try {
-        // Security: Validate phone number and name
+        // Security: Validate phone number, name and consent (consent is optional)
         const validatedNumber = validatePhoneNumber(phoneNumber);
         const validatedName = validateName(name);
+        const validatedConsent = consent ? validateConsent(consent) : null;
+        const validatedTags = tags ? validateTags(tags) : [];
 
         let phoneNumbers = JSON.parse(fs.readFileSync(PHONE_NUMBERS_FILE, 'utf-8'));
 
@@ -395,9 +690,18 @@ ipcMain.handle('add-phone-number', async (event, phoneNumber, name) => {
             id: `phone_${Date.now()}`,
             number: validatedNumber,
             name: validatedName || validatedNumber,
+            timeZone: guessTimeZone(validatedNumber),
             addedAt: new Date().toISOString()
         };
 
+        if (validatedConsent) {
+            newNumber.consent = { ...validatedConsent, recordedAt: newNumber.addedAt };
+        }
+
+        if (validatedTags.length > 0) {
+            newNumber.tags = validatedTags;
+        }
+
         phoneNumbers.push(newNumber);
         fs.writeFileSync(PHONE_NUMBERS_FILE, JSON.stringify(phoneNumbers, null, 2));
 
@@ -465,6 +769,129 @@ ipcMain.handle('get-phone-enabled-status', async (event, phoneNumber) => {
     }
 });
 
+// Record or update a contact's consent to be messaged
+ipcMain.handle('record-consent', async (event, phoneId, consent) => {
+    try {
+        const validatedConsent = validateConsent(consent);
+
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        const updated = contactStore.recordConsent(phone.number, validatedConsent);
+        console.log(`Consent recorded for ${phone.number} (${validatedConsent.channel})`);
+
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error recording consent:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Opt a contact back in after they opted out (operator action only)
+ipcMain.handle('opt-in-phone-number', async (event, phoneId, note) => {
+    try {
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        if (!phone.optedOut) {
+            return { success: false, error: 'Phone number has not opted out' };
+        }
+
+        const cleanNote = typeof note === 'string' ? note.trim().substring(0, 200) : '';
+        const updated = contactStore.optIn(phone.number, cleanNote);
+        console.log(`Operator opted ${phone.number} back in${cleanNote ? ` (note: ${cleanNote})` : ''}`);
+
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error opting phone number in:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Replace a contact's tags
+ipcMain.handle('set-phone-tags', async (event, phoneId, tags) => {
+    try {
+        const validatedTags = validateTags(tags);
+
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        const updated = contactStore.setTags(phone.number, validatedTags);
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error setting tags:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Replace a contact's custom merge fields
+ipcMain.handle('set-phone-fields', async (event, phoneId, fields) => {
+    try {
+        const validatedFields = validateContactFields(fields);
+
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        const updated = contactStore.setFields(phone.number, validatedFields);
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error setting fields:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Set the time zone quiet hours use for a contact. Empty goes back to the one from their country code.
+ipcMain.handle('set-phone-time-zone', async (event, phoneId, timeZone) => {
+    try {
+        const trimmed = typeof timeZone === 'string' ? timeZone.trim() : '';
+        if (trimmed && !isValidTimeZone(trimmed)) {
+            return { success: false, error: `"${trimmed}" is not a time zone. Use a name like Asia/Kuala_Lumpur or Europe/London.` };
+        }
+
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        const updated = contactStore.setTimeZone(phone.number, trimmed || null);
+        if (whatsappManager) {
+            whatsappManager.recheckQuietHours();
+        }
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error setting time zone:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Choose whether AI replies to a contact need approval ('default' follows the global setting)
+ipcMain.handle('set-phone-approval-mode', async (event, phoneId, mode) => {
+    try {
+        if (!['default', 'always', 'never'].includes(mode)) {
+            return { success: false, error: 'Invalid approval mode' };
+        }
+
+        const phone = contactStore.getAll().find(p => p.id === phoneId);
+        if (!phone) {
+            return { success: false, error: 'Phone number not found' };
+        }
+
+        const updated = contactStore.setApprovalMode(phone.number, mode);
+        return { success: true, phoneNumber: updated };
+    } catch (error) {
+        console.error('Error setting approval mode:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // Config Management
 
 // Get config (API key)
@@ -478,10 +905,148 @@ ipcMain.handle('get-config', async () => {
     }
 });
 
+// Get effective opt-out settings (defaults filled in)
+ipcMain.handle('get-opt-out-settings', async () => {
+    return contactStore.getOptOutSettings();
+});
+
+// Whether the selected AI providers have the settings they need
+ipcMain.handle('get-ai-provider-status', async () => {
+    const config = readConfig();
+    const error = getProviderConfigError(config);
+    return { ready: !error, error, selection: getProviderSelection(config) };
+});
+
+// Saved AI config with unsaved form values (apiKey, aiProviders, aiModels) on top
+function getAIConfigWithOverrides(overrides = {}) {
+    const config = { ...readConfig() };
+    if (typeof overrides.apiKey === 'string') {
+        config.apiKey = overrides.apiKey.trim();
+    }
+    if (overrides.aiProviders && typeof overrides.aiProviders === 'object') {
+        config.aiProviders = overrides.aiProviders;
+    }
+    if (overrides.aiModels && typeof overrides.aiModels === 'object') {
+        config.aiModels = overrides.aiModels;
+    }
+    return config;
+}
+
+// Test the provider selected for each capability with a tiny request.
+// Unsaved form values take precedence over the saved config.
+ipcMain.handle('test-ai-providers', async (event, overrides = {}) => {
+    const config = getAIConfigWithOverrides(overrides);
+
+    const selection = getProviderSelection(config);
+    const tested = {};
+    const results = [];
+
+    for (const capability of CAPABILITIES) {
+        const type = selection[capability];
+
+        // Capabilities on the same provider share one test
+        if (!tested[type]) {
+            try {
+                await createProvider(type, config).test({ model: getTaskModel(config, capability) });
+                tested[type] = { ok: true };
+            } catch (error) {
+                console.error(`AI provider test failed (${type}):`, error);
+                tested[type] = { ok: false, error: error.message };
+            }
+        }
+
+        results.push({ capability, provider: PROVIDER_LABELS[type], ...tested[type] });
+    }
+
+    return { success: results.every(r => r.ok), results };
+});
+
+// List the models each selected provider offers and check the model configured for each task.
+// Unsaved form values take precedence over the saved config.
+ipcMain.handle('check-ai-models', async (event, overrides = {}) => {
+    const config = getAIConfigWithOverrides(overrides);
+    const selection = getProviderSelection(config);
+    const listed = {}; // provider type -> { provider, models } or { error }
+    const tasks = [];
+
+    for (const [task, capability] of Object.entries(MODEL_TASKS)) {
+        const type = selection[capability];
+
+        if (!listed[type]) {
+            let provider = null;
+            try {
+                provider = createProvider(type, config);
+                listed[type] = { provider, models: await provider.listModels() };
+            } catch (error) {
+                console.error(`Listing AI models failed (${type}):`, error);
+                listed[type] = { provider, error: error.message };
+            }
+        }
+
+        const model = getTaskModel(config, task) || (listed[type].provider ? listed[type].provider.defaultModel : '');
+        const result = { task, provider: PROVIDER_LABELS[type], model, default: !getTaskModel(config, task) };
+
+        if (listed[type].error) {
+            result.ok = false;
+            result.error = listed[type].error;
+        } else if (!model) {
+            result.ok = false;
+            result.error = 'No model set';
+        } else {
+            // Gemini ids may be written with the models/ prefix, Ollama ids without :latest
+            const name = model.replace(/^models\//, '');
+            result.ok = listed[type].models.some(id => id === name || id === `${name}:latest`);
+            if (!result.ok) {
+                result.error = 'Not offered by this provider';
+            }
+        }
+        tasks.push(result);
+    }
+
+    const models = {};
+    for (const [type, entry] of Object.entries(listed)) {
+        if (entry.models) {
+            models[type] = entry.models;
+        }
+    }
+
+    return { success: tasks.every(t => t.ok), tasks, models };
+});
+
 // Save config (API key)
 ipcMain.handle('save-config', async (event, config) => {
     try {
+        if (config.rules !== undefined) {
+            const { rules, errors } = validateRules(config.rules);
+            if (errors.length > 0) {
+                return { success: false, error: errors.join('\n') };
+            }
+            config.rules = rules;
+        }
+        if (config.flows !== undefined) {
+            const { flows, errors } = validateFlows(config.flows);
+            if (errors.length > 0) {
+                return { success: false, error: errors.join('\n') };
+            }
+            config.flows = flows;
+        }
+
         fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+
+        // Apply retention changes to stored history right away
+        messageStore.setRetention(config.messageRetention);
+        contactStore.setOptOutSettings(config.optOut);
+        sendLimiter.setLimits(config.sendLimits);
+        if (whatsappManager) {
+            whatsappManager.setHumanModeSettings(config.humanMode);
+            whatsappManager.setApprovalSettings(config.approval);
+            whatsappManager.setQuietHoursSettings(config.quietHours);
+            whatsappManager.setBusinessHoursSettings(config.businessHours);
+            whatsappManager.setRules(config.rules);
+            whatsappManager.setFlows(config.flows);
+            whatsappManager.setToolSettings(config.tools);
+        }
+
         return { success: true };
     } catch (error) {
         console.error('Error saving config:', error);
@@ -489,6 +1054,46 @@ ipcMain.handle('save-config', async (event, config) => {
     }
 });
 
+// Check which rule a sample message would match, for the "try it" box in Settings (rules need not be saved yet)
+ipcMain.handle('test-rules', async (event, { rules, text }) => {
+    try {
+        const checked = validateRules(rules);
+        if (checked.errors.length > 0) {
+            return { success: false, error: checked.errors.join('\n') };
+        }
+
+        const ruleMatch = findMatchingRule(checked.rules, text);
+        return {
+            success: true,
+            match: ruleMatch ? { index: checked.rules.indexOf(ruleMatch.rule), rule: ruleMatch.rule, matched: ruleMatch.matched } : null
+        };
+    } catch (error) {
+        console.error('Error testing rules:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Run one AI tool against the data files as entered in Settings (saved or not), to check they can be read.
+// Order lookups only find a contact's own orders, so they need that contact's number.
+ipcMain.handle('test-tool', async (event, { settings, name, args, phoneNumber }) => {
+    try {
+        const tools = createTools(
+            normalizeToolSettings({ ...settings, enabled: true }),
+            normalizeBusinessHours(readConfig().businessHours),
+            name === 'lookup_order' ? validatePhoneNumber(phoneNumber) : null
+        );
+        if (!tools.some(tool => tool.name === name)) {
+            return { success: false, error: 'Set up the data for this tool first' };
+        }
+
+        const result = runToolCall(tools, { name, arguments: args || {} });
+        return { success: !result.error, result, error: result.error };
+    } catch (error) {
+        console.error('Error testing tool:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // Start warming
 ipcMain.handle('start-warming', async (event, config) => {
     try {
@@ -499,11 +1104,19 @@ ipcMain.handle('start-warming', async (event, config) => {
             return { success: false, error: 'Please add at least one phone number first' };
         }
 
+        // Never start conversations with contacts who opted out
+        const reachableNumbers = phoneNumbers.filter(p => !p.optedOut);
+
+        if (reachableNumbers.length === 0) {
+            return { success: false, error: 'All phone numbers have opted out' };
+        }
+
         // Get API key from config
         const savedConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
 
-        if (!savedConfig.apiKey) {
-            return { success: false, error: 'Please configure your Gemini API key first' };
+        const providerError = getProviderConfigError(savedConfig);
+        if (providerError) {
+            return { success: false, error: `${providerError}. Check the AI settings.` };
         }
 
         if (!savedConfig.aiPersonality || !savedConfig.aiPersonality.trim()) {
@@ -513,14 +1126,17 @@ ipcMain.handle('start-warming', async (event, config) => {
         // Prepare warming config
         const warmingConfig = {
             apiKey: savedConfig.apiKey,
+            aiProviders: savedConfig.aiProviders,
+            aiModels: savedConfig.aiModels,
             aiPersonality: savedConfig.aiPersonality,
-            phoneNumbers: phoneNumbers.map(p => p.number),
+            phoneNumbers: reachableNumbers.map(p => p.number),
             delayMin: savedConfig.delayMin || 3,
             delayMax: savedConfig.delayMax || 8,
             typingMin: savedConfig.typingMin || 2,
             typingMax: savedConfig.typingMax || 5,
             stickerSettings: savedConfig.stickerSettings,
-            mediaSettings: savedConfig.mediaSettings
+            mediaSettings: savedConfig.mediaSettings,
+            disclosure: savedConfig.disclosure
         };
 
         await whatsappManager.startWarming(warmingConfig);
@@ -542,6 +1158,39 @@ ipcMain.handle('stop-warming', async () => {
     }
 });
 
+// Reset the AI conversation with a phone number
+ipcMain.handle('reset-conversation', async (event, phoneNumber) => {
+    try {
+        const validatedNumber = validatePhoneNumber(String(phoneNumber));
+        whatsappManager.resetConversation(validatedNumber);
+        return { success: true };
+    } catch (error) {
+        console.error('Error resetting conversation:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Hand a conversation to the operator (active) or back to the AI
+ipcMain.handle('set-human-mode', async (event, phoneNumber, active) => {
+    try {
+        const validatedNumber = validatePhoneNumber(String(phoneNumber));
+        if (active) {
+            whatsappManager.startHumanMode(validatedNumber, 'manual');
+        } else {
+            whatsappManager.endHumanMode(validatedNumber, 'manual');
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('Error changing human mode:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Conversations currently handled by a person instead of the AI
+ipcMain.handle('get-conversation-owners', async () => {
+    return whatsappManager.getConversationOwners();
+});
+
 // Get warming status
 ipcMain.handle('get-warming-status', async () => {
     return whatsappManager.getWarmingStatus();
@@ -573,6 +1222,7 @@ ipcMain.handle('get-stats', async () => {
             totalAccounts: accounts.length,
             totalPhoneNumbers: phoneNumbers.length,
             messagesSentToday: stats.messagesSentToday,
+            sendLimits: sendLimiter.getStatus(),
             warmingActive: whatsappManager.isWarmingActive()
         };
     } catch (error) {
@@ -582,6 +1232,7 @@ ipcMain.handle('get-stats', async () => {
             totalAccounts: 0,
             totalPhoneNumbers: 0,
             messagesSentToday: 0,
+            sendLimits: sendLimiter.getStatus(),
             warmingActive: false
         };
     }
@@ -606,8 +1257,116 @@ ipcMain.handle('get-messages', async () => {
 });
 
 // Get messages segmented by phone number
-ipcMain.handle('get-messages-by-phone', async () => {
-    return whatsappManager.getAllMessagesByPhone();
+// Without a phoneNumber, returns the latest page of every conversation.
+// With a phoneNumber and a "before" message id, returns the page before it.
+ipcMain.handle('get-messages-by-phone', async (event, options) => {
+    try {
+        const { phoneNumber, before, limit } = options || {};
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+        if (phoneNumber) {
+            const validatedNumber = validatePhoneNumber(String(phoneNumber));
+            return {
+                [validatedNumber]: whatsappManager.getMessagesByPhone(validatedNumber, {
+                    limit: pageSize,
+                    before: typeof before === 'string' ? before : null
+                })
+            };
+        }
+
+        return whatsappManager.getAllMessagesByPhone({ limit: pageSize });
+    } catch (error) {
+        console.error('Error getting messages by phone:', error);
+        return {};
+    }
+});
+
+// AI replies waiting for approval
+ipcMain.handle('get-drafts', async () => {
+    return whatsappManager.getDrafts();
+});
+
+// Send a draft, optionally with edited text. force sends a stale draft anyway.
+ipcMain.handle('approve-draft', async (event, draftId, { text, force } = {}) => {
+    try {
+        let editedText = null;
+        if (typeof text === 'string') {
+            editedText = text.trim();
+            if (editedText.length > 4096) {
+                return { success: false, error: 'Message must be 4096 characters or less' };
+            }
+        }
+
+        await whatsappManager.approveDraft(String(draftId), { text: editedText, force: force === true });
+        return { success: true };
+    } catch (error) {
+        console.error('Error approving draft:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Throw a draft away without sending it
+ipcMain.handle('reject-draft', async (event, draftId) => {
+    try {
+        whatsappManager.rejectDraft(String(draftId));
+        return { success: true };
+    } catch (error) {
+        console.error('Error rejecting draft:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Send a message written by the operator (text, media library image or sticker)
+ipcMain.handle('send-message', async (event, { phoneNumber, text, mediaId, sticker } = {}) => {
+    try {
+        const validatedNumber = validatePhoneNumber(String(phoneNumber));
+        const messageText = typeof text === 'string' ? text.trim() : '';
+
+        if (messageText.length > 4096) {
+            return { success: false, error: 'Message must be 4096 characters or less' };
+        }
+
+        if (!messageText && !mediaId && !sticker) {
+            return { success: false, error: 'Message text, an image or a sticker is required' };
+        }
+
+        if (!whatsappManager.client || !whatsappManager.client.info) {
+            return { success: false, error: 'WhatsApp is not connected' };
+        }
+
+        let mediaItem = null;
+        let stickerPath = null;
+
+        if (sticker) {
+            // Security: Validate category and fileName, and keep the path inside the category folder
+            const sanitizedCategory = sanitizeCategory(sticker.category);
+            const sanitizedFileName = sanitizeFilePath(sticker.fileName);
+            const categoryPath = path.join(DATA_DIR, 'stickers', sanitizedCategory);
+            stickerPath = path.resolve(path.join(categoryPath, sanitizedFileName));
+
+            if (!stickerPath.startsWith(path.resolve(categoryPath)) || !fs.existsSync(stickerPath)) {
+                return { success: false, error: 'Sticker not found' };
+            }
+        } else if (mediaId) {
+            const mediaItems = JSON.parse(fs.readFileSync(MEDIA_INDEX_FILE, 'utf-8'));
+            mediaItem = mediaItems.find(item => item.id === mediaId);
+
+            if (!mediaItem || !fs.existsSync(mediaItem.filePath)) {
+                return { success: false, error: 'Media file not found' };
+            }
+        }
+
+        const message = await whatsappManager.sendManualMessage(validatedNumber, {
+            text: messageText,
+            mediaItem,
+            stickerPath
+        });
+
+        return { success: true, message };
+    } catch (error) {
+        console.error('Error sending message:', error);
+        return { success: false, error: error.message };
+    }
 });
 
 // Sticker Management IPC Handlers
@@ -956,40 +1715,224 @@ ipcMain.handle('update-media-context', async (event, { mediaId, newContext }) =>
 });
 
 // Blasting handlers
-ipcMain.handle('start-blast', async (event, { message, imageData }) => {
-    try {
-        // Validate inputs
-        if (!message || message.trim().length === 0) {
-            return { success: false, error: 'Message text is required' };
+
+const BLAST_SELECTION_MODES = ['all', 'tags', 'picked', 'pasted'];
+
+/**
+ * Turn a blast recipient selection into the contacts that will get it, with everyone
+ * left out and why. Only contacts in phone_numbers.json with recorded consent, not
+ * opted out and not paused are messaged.
+ * @param {object} selection - { mode: 'all'|'tags'|'picked'|'pasted', tags: [], numbers: [], text: '' }
+ * @returns {object} { valid, missing, optedOut, paused, unknown, invalid }, each a list of { number, name }
+ */
+function resolveBlastRecipients(selection = {}) {
+    const mode = selection.mode || 'all';
+    if (!BLAST_SELECTION_MODES.includes(mode)) {
+        throw new Error('Invalid recipient selection');
+    }
+
+    const contacts = contactStore.getAll();
+    const breakdown = { valid: [], missing: [], optedOut: [], paused: [], unknown: [], invalid: [] };
+
+    let chosen = [];
+    if (mode === 'all') {
+        chosen = contacts;
+    } else if (mode === 'tags') {
+        const tags = validateTags(selection.tags || []).map(tag => tag.toLowerCase());
+        if (tags.length === 0) {
+            throw new Error('Choose at least one tag');
+        }
+        chosen = contacts.filter(c => (c.tags || []).some(tag => tags.includes(tag.toLowerCase())));
+    } else {
+        let numbers;
+        if (mode === 'picked') {
+            numbers = Array.isArray(selection.numbers) ? selection.numbers.map(String) : [];
+        } else {
+            const parsed = parsePastedNumbers(selection.text);
+            numbers = parsed.numbers;
+            breakdown.invalid = parsed.invalid.map(entry => ({ number: entry, name: '' }));
         }
 
-        // Check if WhatsApp is ready
+        // Pasted lists often repeat a number, it still gets one message
+        for (const number of new Set(numbers)) {
+            const contact = contacts.find(c => c.number === number);
+            if (contact) {
+                chosen.push(contact);
+            } else {
+                breakdown.unknown.push({ number, name: '' });
+            }
+        }
+    }
+
+    for (const phone of chosen) {
+        const entry = { number: phone.number, name: phone.name };
+        const status = contactStore.getConsentStatus(phone);
+
+        if (status === 'opted_out') {
+            breakdown.optedOut.push(entry);
+        } else if (phone.enabled === false) {
+            breakdown.paused.push(entry);
+        } else if (status === 'valid') {
+            breakdown.valid.push(entry);
+        } else {
+            breakdown.missing.push(entry);
+        }
+    }
+
+    return breakdown;
+}
+
+/**
+ * Send a blast now. Recipients are resolved at this moment, so consent and opt-outs are
+ * as they are when it starts. Shared by the Blasting tab and scheduled blasts.
+ * The campaign is saved before anything is sent, so its id is known straight away.
+ * @returns {object} { campaignId, finished: Promise of the totals from runCampaign }
+ */
+function startBlast(message, imageData, selection) {
+    // Validate inputs
+    if (!message || message.trim().length === 0) {
+        throw new Error('Message text is required');
+    }
+
+    // Check if WhatsApp is ready
+    if (!whatsappManager.client || !whatsappManager.client.info) {
+        throw new Error('WhatsApp is not connected. Please add and connect your account first.');
+    }
+
+    const breakdown = resolveBlastRecipients(selection);
+    if (breakdown.valid.length === 0) {
+        throw new Error('None of the selected recipients can be messaged. Check consent and opt-outs in the preview.');
+    }
+
+    // Saved with the campaign so its history shows how recipients were chosen
+    const mode = (selection && selection.mode) || 'all';
+    const campaignSelection = { mode, tags: mode === 'tags' ? validateTags(selection.tags) : [] };
+
+    const campaign = whatsappManager.createBlastCampaign(message, imageData, {
+        recipients: breakdown.valid,
+        refused: [...breakdown.missing, ...breakdown.unknown].map(p => p.number),
+        selection: campaignSelection
+    });
+
+    // Start blast with progress callback
+    const finished = whatsappManager.runCampaign(campaign.id, (progress) => {
+        // Send progress updates to renderer
+        if (mainWindow) {
+            mainWindow.webContents.send('blast-progress', progress);
+        }
+    });
+    return { campaignId: campaign.id, finished };
+}
+
+ipcMain.handle('start-blast', async (event, { message, imageData, selection }) => {
+    try {
+        const results = await startBlast(message, imageData, selection).finished;
+        return { success: true, results: results };
+    } catch (error) {
+        console.error('Error starting blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Pause, resume and cancel act on the running blast before its next recipient
+ipcMain.handle('pause-blast', async () => {
+    try {
+        whatsappManager.pauseBlast();
+        return { success: true };
+    } catch (error) {
+        console.error('Error pausing blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('resume-blast', async () => {
+    try {
+        whatsappManager.resumeBlast();
+        return { success: true };
+    } catch (error) {
+        console.error('Error resuming blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('cancel-blast', async () => {
+    try {
+        whatsappManager.cancelBlast();
+        return { success: true };
+    } catch (error) {
+        console.error('Error cancelling blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// A campaign waiting for quiet hours isn't running, so it is cancelled by id
+ipcMain.handle('cancel-campaign', async (event, campaignId) => {
+    try {
+        whatsappManager.cancelWaitingCampaign(campaignId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-campaigns', async () => {
+    try {
+        return { success: true, campaigns: campaignStore.getAll() };
+    } catch (error) {
+        console.error('Error getting campaigns:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('resume-campaign', async (event, campaignId) => {
+    try {
         if (!whatsappManager.client || !whatsappManager.client.info) {
             return { success: false, error: 'WhatsApp is not connected. Please add and connect your account first.' };
         }
 
-        // Start blast with progress callback
-        const results = await whatsappManager.blastMessage(message, imageData, (progress) => {
-            // Send progress updates to renderer
+        const results = await whatsappManager.runCampaign(campaignId, (progress) => {
             mainWindow.webContents.send('blast-progress', progress);
         });
 
         return { success: true, results: results };
     } catch (error) {
-        console.error('Error starting blast:', error);
+        console.error('Error resuming campaign:', error);
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('get-blast-stats', async () => {
+// Fill in the blast template for the first few recipients and list anything that would stop it sending
+ipcMain.handle('preview-blast', async (event, { message, selection }) => {
     try {
-        const phoneNumbers = JSON.parse(fs.readFileSync(PHONE_NUMBERS_FILE, 'utf-8'));
-        const enabledNumbers = phoneNumbers.filter(p => p.enabled !== false);
+        const contacts = resolveBlastRecipients(selection).valid.map(entry => contactStore.find(entry.number));
 
         return {
             success: true,
-            totalRecipients: enabledNumbers.length,
-            estimatedTime: enabledNumbers.length * 3 // 3 seconds per recipient
+            errors: validateTemplate(message, contacts),
+            samples: contacts.slice(0, 3).map(contact => ({
+                number: contact.number,
+                name: contact.name,
+                text: renderTemplate(message, contact).text
+            }))
+        };
+    } catch (error) {
+        console.error('Error previewing blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Break a recipient selection down by consent so the preview shows exactly who gets the blast
+ipcMain.handle('get-blast-stats', async (event, selection) => {
+    try {
+        const breakdown = resolveBlastRecipients(selection);
+
+        return {
+            success: true,
+            totalRecipients: breakdown.valid.length,
+            breakdown,
+            tags: contactStore.getAllTags(),
+            estimatedTime: breakdown.valid.length * 3 // 3 seconds per recipient
         };
     } catch (error) {
         console.error('Error getting blast stats:', error);
@@ -997,6 +1940,304 @@ ipcMain.handle('get-blast-stats', async () => {
     }
 });
 
+// Scheduler: sends queued blasts and one-off messages when they come due (see schedule-store.js).
+// Connection, consent and opt-outs are checked when a job runs, not when it was queued.
+
+const SCHEDULER_MAX_WAIT = 60 * 1000; // Look again at least once a minute, for clock changes and jobs waiting to run
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+function notifyScheduledJobChanged(job, extra = {}) {
+    if (mainWindow) {
+        mainWindow.webContents.send('scheduled-job-changed', { job, ...extra });
+    }
+}
+
+// Wake up when the next job is due, or in a minute to retry one that had to wait
+function scheduleNextJob() {
+    clearTimeout(schedulerTimer);
+
+    const next = scheduleStore.getNextSendAt();
+    if (!next) {
+        return;
+    }
+
+    const untilDue = next.getTime() - Date.now();
+    schedulerTimer = setTimeout(runDueJobs, untilDue > 0 ? Math.min(untilDue, SCHEDULER_MAX_WAIT) : SCHEDULER_MAX_WAIT);
+}
+
+async function runDueJobs() {
+    if (schedulerRunning) {
+        return;
+    }
+    schedulerRunning = true;
+
+    try {
+        for (const { id } of scheduleStore.getDue()) {
+            // Sending the one before may have taken a while, it could have been edited or cancelled since
+            const job = scheduleStore.get(id);
+            if (job && job.status === 'scheduled' && new Date(job.sendAt) <= new Date()) {
+                await runScheduledJob(job);
+            }
+        }
+    } catch (error) {
+        console.error('Error running scheduled jobs:', error);
+    } finally {
+        schedulerRunning = false;
+        scheduleNextJob();
+    }
+}
+
+// Why a due job can't run right now, or '' when it can
+function getScheduledJobBlocker(job) {
+    if (!whatsappManager || !whatsappManager.client || !whatsappManager.client.info) {
+        return 'Waiting for WhatsApp to connect';
+    }
+    if (job.type === 'blast' && whatsappManager.activeCampaignId) {
+        return 'Waiting for the running blast to finish';
+    }
+    // Blasts hold each recipient in quiet hours themselves
+    if (job.type === 'message') {
+        const quietUntil = whatsappManager.getQuietUntil(job.phoneNumber);
+        if (quietUntil) {
+            return `Quiet hours for +${job.phoneNumber} until ${quietUntil.toLocaleString()}`;
+        }
+    }
+    return '';
+}
+
+async function runScheduledJob(job) {
+    const blocker = getScheduledJobBlocker(job);
+    if (blocker) {
+        if (job.waitingReason !== blocker) {
+            scheduleStore.setWaiting(job.id, blocker);
+            notifyScheduledJobChanged(scheduleStore.get(job.id));
+        }
+        return;
+    }
+
+    if (job.type === 'message') {
+        notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'running', { waitingReason: '' }));
+        try {
+            const status = contactStore.getConsentStatus(contactStore.find(job.phoneNumber));
+            if (status === 'opted_out') {
+                throw new Error('The contact has opted out since this was scheduled');
+            }
+            if (status !== 'valid') {
+                throw new Error('The contact has no recorded consent');
+            }
+
+            const message = await whatsappManager.sendScheduledMessage(job.phoneNumber, job.text);
+            console.log(`Scheduled message sent to ${job.phoneNumber}`);
+            notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'sent'), { message });
+        } catch (error) {
+            console.error(`Scheduled message to ${job.phoneNumber} failed:`, error);
+            notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'failed', { error: error.message }));
+        }
+        return;
+    }
+
+    // Blasts run in the background so messages due meanwhile aren't held up behind them
+    let blast;
+    try {
+        blast = startBlast(job.message, scheduleStore.loadAttachment(job.id), job.selection);
+    } catch (error) {
+        console.error(`Scheduled blast ${job.id} could not start:`, error);
+        notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'failed', { error: error.message }));
+        return;
+    }
+
+    console.log(`Scheduled blast ${job.id} started`);
+    notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'running', { campaignId: blast.campaignId, waitingReason: '' }));
+
+    // The job itself follows its campaign (see updateScheduledBlast), this only reports the first pass
+    blast.finished.then((results) => {
+        notifyScheduledJobChanged(scheduleStore.get(job.id), { results });
+    }).catch((error) => {
+        console.error(`Scheduled blast ${job.id} stopped:`, error);
+        const campaign = campaignStore.get(blast.campaignId);
+        if (campaign && campaign.status === 'interrupted') {
+            notifyScheduledJobChanged(scheduleStore.get(job.id), { stopped: error.message });
+        } else {
+            notifyScheduledJobChanged(scheduleStore.setStatus(job.id, 'failed', { error: error.message }));
+        }
+    }).finally(scheduleNextJob);
+}
+
+/**
+ * Finish the scheduled blast that started a campaign once the campaign completes or is cancelled,
+ * however that happens: its first pass, held recipients after quiet hours or a resume after reconnecting
+ */
+function updateScheduledBlast(campaignId) {
+    // Receipts land here too, most campaigns were never scheduled
+    if (!scheduleStore.findRunningBlast(campaignId)) {
+        return;
+    }
+    const job = scheduleStore.updateFromCampaign(campaignStore.get(campaignId));
+    if (job) {
+        notifyScheduledJobChanged(job);
+    }
+}
+
+// Keep what a scheduled blast needs to pick its recipients when it runs
+function validateScheduledSelection(selection = {}) {
+    const mode = selection.mode || 'all';
+    if (!BLAST_SELECTION_MODES.includes(mode)) {
+        throw new Error('Invalid recipient selection');
+    }
+
+    const validated = {
+        mode,
+        tags: mode === 'tags' ? validateTags(selection.tags || []) : [],
+        numbers: mode === 'picked' && Array.isArray(selection.numbers) ? selection.numbers.map(String) : [],
+        text: mode === 'pasted' ? String(selection.text || '') : ''
+    };
+
+    if (mode === 'tags' && validated.tags.length === 0) {
+        throw new Error('Choose at least one tag');
+    }
+    if (mode === 'picked' && validated.numbers.length === 0) {
+        throw new Error('Pick at least one contact');
+    }
+    if (mode === 'pasted' && parsePastedNumbers(validated.text).numbers.length === 0) {
+        throw new Error('Paste at least one phone number');
+    }
+    return validated;
+}
+
+// Blast template syntax is checked now; empty merge fields are checked when it runs
+function validateScheduledBlastMessage(message) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+        throw new Error('Message text is required');
+    }
+
+    const { errors } = parseTemplate(message);
+    if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+    }
+    return message;
+}
+
+function validateScheduledMessageText(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        throw new Error('Message text is required');
+    }
+    if (trimmed.length > 4096) {
+        throw new Error('Message must be 4096 characters or less');
+    }
+    return trimmed;
+}
+
+// Messages waiting for quiet hours to end where their recipient is, with scheduled messages held the same way
+ipcMain.handle('get-held-messages', async () => {
+    try {
+        const held = whatsappManager ? whatsappManager.getHeldMessages() : [];
+        if (whatsappManager) {
+            for (const job of scheduleStore.getDue()) {
+                const quietUntil = job.type === 'message' ? whatsappManager.getQuietUntil(job.phoneNumber) : null;
+                if (quietUntil) {
+                    held.push({
+                        id: `scheduled:${job.id}`,
+                        kind: 'scheduled',
+                        phoneNumber: job.phoneNumber,
+                        text: job.text,
+                        jobId: job.id,
+                        releaseAt: quietUntil.toISOString(),
+                        timeZone: whatsappManager.getRecipientTimeZone(job.phoneNumber)
+                    });
+                }
+            }
+        }
+
+        held.sort((a, b) => new Date(a.releaseAt) - new Date(b.releaseAt));
+        return { success: true, held, quietHours: whatsappManager ? whatsappManager.quietHours : null };
+    } catch (error) {
+        console.error('Error getting held messages:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-scheduled-jobs', async () => {
+    try {
+        return { success: true, jobs: scheduleStore.getAll() };
+    } catch (error) {
+        console.error('Error getting scheduled jobs:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('schedule-blast', async (event, { message, imageData, selection, sendAt }) => {
+    try {
+        const job = scheduleStore.create({
+            type: 'blast',
+            sendAt: validateSendAt(sendAt),
+            message: validateScheduledBlastMessage(message),
+            selection: validateScheduledSelection(selection),
+            imageData
+        });
+
+        scheduleNextJob();
+        return { success: true, job };
+    } catch (error) {
+        console.error('Error scheduling blast:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('schedule-message', async (event, { phoneNumber, text, sendAt }) => {
+    try {
+        const job = scheduleStore.create({
+            type: 'message',
+            sendAt: validateSendAt(sendAt),
+            phoneNumber: validatePhoneNumber(String(phoneNumber)),
+            text: validateScheduledMessageText(text)
+        });
+
+        scheduleNextJob();
+        return { success: true, job };
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Change the time or text of a job that hasn't run yet
+ipcMain.handle('update-scheduled-job', async (event, jobId, { sendAt, text }) => {
+    try {
+        const job = scheduleStore.get(jobId);
+        if (!job) {
+            return { success: false, error: 'Scheduled job not found' };
+        }
+
+        const updates = { sendAt: validateSendAt(sendAt), waitingReason: '' };
+        if (job.type === 'blast') {
+            updates.message = validateScheduledBlastMessage(text);
+        } else {
+            updates.text = validateScheduledMessageText(text);
+        }
+
+        const updated = scheduleStore.update(jobId, updates);
+        scheduleNextJob();
+        return { success: true, job: updated };
+    } catch (error) {
+        console.error('Error updating scheduled job:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('cancel-scheduled-job', async (event, jobId) => {
+    try {
+        const job = scheduleStore.cancel(jobId);
+        scheduleNextJob();
+        return { success: true, job };
+    } catch (error) {
+        console.error('Error cancelling scheduled job:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 console.log('WhatsApp Warmer Started');
 console.log('Data directory:', DATA_DIR);
 console.log('Sessions directory:', SESSIONS_DIR);
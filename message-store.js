@@ -0,0 +1,243 @@
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_RETENTION = {
+    maxMessagesPerPhone: 1000,
+    maxAgeDays: 90
+};
+
+// Delivery states of a sent message, in order. 'failed' sits outside the order.
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Whether moving from one delivery status to another is progress.
+ * Acks can arrive late or twice, and a message must never move backwards.
+ */
+function isStatusAdvance(current, next) {
+    if (!current) {
+        return true;
+    }
+    if (next === 'failed') {
+        return current === 'pending' || current === 'sent';
+    }
+    if (current === 'failed') {
+        return next === 'delivered' || next === 'read';
+    }
+    return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current);
+}
+
+/**
+ * Durable message history, one JSON file per phone number.
+ * Keeping threads in separate files means a busy conversation never forces
+ * a rewrite of every other thread on each new message.
+ */
+class MessageStore {
+    constructor(messagesDir, retention = {}) {
+        this.messagesDir = messagesDir;
+        this.threads = new Map(); // phoneNumber -> [messages], oldest first
+        this.retention = { ...DEFAULT_RETENTION };
+
+        if (!fs.existsSync(this.messagesDir)) {
+            fs.mkdirSync(this.messagesDir, { recursive: true });
+        }
+
+        this.loadAll();
+        this.setRetention(retention);
+    }
+
+    /**
+     * Update retention limits and prune existing threads to match
+     */
+    setRetention(retention = {}) {
+        const maxMessages = parseInt(retention.maxMessagesPerPhone);
+        const maxAgeDays = parseInt(retention.maxAgeDays);
+
+        this.retention = {
+            maxMessagesPerPhone: maxMessages > 0 ? maxMessages : DEFAULT_RETENTION.maxMessagesPerPhone,
+            // 0 keeps messages regardless of age
+            maxAgeDays: maxAgeDays >= 0 ? maxAgeDays : DEFAULT_RETENTION.maxAgeDays
+        };
+
+        this.pruneAll();
+    }
+
+    getRetention() {
+        return { ...this.retention };
+    }
+
+    /**
+     * Load every thread file into memory
+     */
+    loadAll() {
+        try {
+            const files = fs.readdirSync(this.messagesDir).filter(f => f.endsWith('.json'));
+
+            for (const file of files) {
+                try {
+                    const data = JSON.parse(fs.readFileSync(path.join(this.messagesDir, file), 'utf-8'));
+                    if (data && data.phoneNumber && Array.isArray(data.messages)) {
+                        this.threads.set(data.phoneNumber, data.messages);
+                    }
+                } catch (error) {
+                    console.error(`Error reading message thread ${file}:`, error);
+                }
+            }
+
+            console.log(`Loaded message history for ${this.threads.size} phone numbers`);
+        } catch (error) {
+            console.error('Error loading message history:', error);
+        }
+    }
+
+    getThreadFile(phoneNumber) {
+        // Phone numbers are digits, but group and broadcast ids are not
+        const safeName = String(phoneNumber).replace(/[^a-zA-Z0-9_.-]/g, '_');
+        return path.join(this.messagesDir, `${safeName}.json`);
+    }
+
+    saveThread(phoneNumber) {
+        const messages = this.threads.get(phoneNumber) || [];
+        try {
+            fs.writeFileSync(
+                this.getThreadFile(phoneNumber),
+                JSON.stringify({ phoneNumber, messages }, null, 2)
+            );
+        } catch (error) {
+            console.error(`Error saving messages for ${phoneNumber}:`, error);
+        }
+    }
+
+    /**
+     * Drop messages outside the retention window (timestamps are in seconds)
+     */
+    applyRetention(messages) {
+        let kept = messages;
+
+        if (this.retention.maxAgeDays > 0) {
+            const cutoff = Math.floor(Date.now() / 1000) - this.retention.maxAgeDays * 86400;
+            kept = kept.filter(msg => !msg.timestamp || msg.timestamp >= cutoff);
+        }
+
+        if (kept.length > this.retention.maxMessagesPerPhone) {
+            kept = kept.slice(-this.retention.maxMessagesPerPhone);
+        }
+
+        return kept;
+    }
+
+    pruneAll() {
+        for (const [phoneNumber, messages] of this.threads.entries()) {
+            const kept = this.applyRetention(messages);
+            if (kept.length !== messages.length) {
+                this.threads.set(phoneNumber, kept);
+                this.saveThread(phoneNumber);
+            }
+        }
+    }
+
+    /**
+     * Append a message to a phone number's thread, ignoring duplicate ids
+     */
+    append(phoneNumber, messageData) {
+        if (!phoneNumber) {
+            return false;
+        }
+
+        const messages = this.threads.get(phoneNumber) || [];
+
+        if (messageData.id && messages.some(msg => msg.id === messageData.id)) {
+            return false;
+        }
+
+        messages.push(messageData);
+        this.threads.set(phoneNumber, this.applyRetention(messages));
+        this.saveThread(phoneNumber);
+        return true;
+    }
+
+    getMessage(phoneNumber, messageId) {
+        const message = (this.threads.get(phoneNumber) || []).find(msg => msg.id === messageId);
+        return message ? { ...message } : null;
+    }
+
+    /**
+     * The newest message a blast campaign sent to a phone number, searching the whole thread
+     */
+    findCampaignMessage(phoneNumber, campaignId) {
+        const messages = this.threads.get(phoneNumber) || [];
+        for (let i = messages.length - 1; i >= 0; i--) {
+            if (messages[i].campaignId === campaignId) {
+                return { ...messages[i] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Set the delivery status of a sent message: pending, sent, delivered, read or failed
+     * @returns {object|null} The updated message, or null if it is unknown or the status is not newer
+     */
+    updateStatus(phoneNumber, messageId, status) {
+        const messages = this.threads.get(phoneNumber) || [];
+        const message = messages.find(msg => msg.id === messageId);
+        if (!message || !isStatusAdvance(message.status, status)) {
+            return null;
+        }
+
+        message.status = status;
+        message.statusUpdatedAt = new Date().toISOString();
+        this.saveThread(phoneNumber);
+        return { ...message };
+    }
+
+    /**
+     * Get one page of a thread, newest last.
+     * @param {string} phoneNumber
+     * @param {object} options - { limit, before } where before is a message id cursor
+     * @returns {Array} Empty when before is not in the thread
+     */
+    getMessages(phoneNumber, { limit = 50, before = null } = {}) {
+        const messages = this.threads.get(phoneNumber) || [];
+
+        let end = messages.length;
+        if (before) {
+            // Retention drops the oldest messages first, so if the cursor was pruned everything before it was too
+            end = messages.findIndex(msg => msg.id === before);
+            if (end === -1) {
+                return [];
+            }
+        }
+
+        return messages.slice(Math.max(0, end - limit), end);
+    }
+
+    /**
+     * Get the latest page of every thread, keyed by phone number
+     */
+    getAllMessages({ limit = 50 } = {}) {
+        const result = {};
+        for (const phoneNumber of this.threads.keys()) {
+            result[phoneNumber] = this.getMessages(phoneNumber, { limit });
+        }
+        return result;
+    }
+
+    /**
+     * Get the most recent messages across all threads, newest first
+     */
+    getRecentMessages(limit = 100) {
+        const all = [];
+        for (const messages of this.threads.values()) {
+            all.push(...messages.slice(-limit));
+        }
+        return all
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+            .slice(0, limit);
+    }
+
+    getMessageCount(phoneNumber) {
+        return (this.threads.get(phoneNumber) || []).length;
+    }
+}
+
+module.exports = MessageStore;
@@ -12,19 +12,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Phone number operations
     getPhoneNumbers: () => ipcRenderer.invoke('get-phone-numbers'),
-    addPhoneNumber: (phoneNumber, name) => ipcRenderer.invoke('add-phone-number', phoneNumber, name),
+    addPhoneNumber: (phoneNumber, name, consent, tags) => ipcRenderer.invoke('add-phone-number', phoneNumber, name, consent, tags),
+    recordConsent: (phoneId, consent) => ipcRenderer.invoke('record-consent', phoneId, consent),
     removePhoneNumber: (phoneId) => ipcRenderer.invoke('remove-phone-number', phoneId),
     togglePhoneNumber: (phoneId) => ipcRenderer.invoke('toggle-phone-number', phoneId),
     getPhoneEnabledStatus: (phoneNumber) => ipcRenderer.invoke('get-phone-enabled-status', phoneNumber),
+    optInPhoneNumber: (phoneId, note) => ipcRenderer.invoke('opt-in-phone-number', phoneId, note),
+    setPhoneApprovalMode: (phoneId, mode) => ipcRenderer.invoke('set-phone-approval-mode', phoneId, mode),
+    setPhoneTags: (phoneId, tags) => ipcRenderer.invoke('set-phone-tags', phoneId, tags),
+    setPhoneFields: (phoneId, fields) => ipcRenderer.invoke('set-phone-fields', phoneId, fields),
+    setPhoneTimeZone: (phoneId, timeZone) => ipcRenderer.invoke('set-phone-time-zone', phoneId, timeZone),
 
     // Config operations
     getConfig: () => ipcRenderer.invoke('get-config'),
     saveConfig: (config) => ipcRenderer.invoke('save-config', config),
+    testRules: (rules, text) => ipcRenderer.invoke('test-rules', { rules, text }),
+    testTool: (settings, name, args, phoneNumber) => ipcRenderer.invoke('test-tool', { settings, name, args, phoneNumber }),
+    getOptOutSettings: () => ipcRenderer.invoke('get-opt-out-settings'),
+    getAiProviderStatus: () => ipcRenderer.invoke('get-ai-provider-status'),
+    testAiProviders: (overrides) => ipcRenderer.invoke('test-ai-providers', overrides),
+    checkAiModels: (overrides) => ipcRenderer.invoke('check-ai-models', overrides),
 
     // Warming operations
     startWarming: (config) => ipcRenderer.invoke('start-warming', config),
     stopWarming: () => ipcRenderer.invoke('stop-warming'),
     getWarmingStatus: () => ipcRenderer.invoke('get-warming-status'),
+    resetConversation: (phoneNumber) => ipcRenderer.invoke('reset-conversation', phoneNumber),
+    setHumanMode: (phoneNumber, active) => ipcRenderer.invoke('set-human-mode', phoneNumber, active),
+    getConversationOwners: () => ipcRenderer.invoke('get-conversation-owners'),
 
     // Stats operations
     getStats: () => ipcRenderer.invoke('get-stats'),
@@ -32,7 +47,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Message operations
     getMessages: () => ipcRenderer.invoke('get-messages'),
-    getMessagesByPhone: () => ipcRenderer.invoke('get-messages-by-phone'),
+    getMessagesByPhone: (options) => ipcRenderer.invoke('get-messages-by-phone', options),
+    sendMessage: (data) => ipcRenderer.invoke('send-message', data),
+    getDrafts: () => ipcRenderer.invoke('get-drafts'),
+    approveDraft: (draftId, options) => ipcRenderer.invoke('approve-draft', draftId, options),
+    rejectDraft: (draftId) => ipcRenderer.invoke('reject-draft', draftId),
 
     // Sticker operations
     getStickerCategories: () => ipcRenderer.invoke('get-sticker-categories'),
@@ -49,7 +68,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Blasting operations
     startBlast: (data) => ipcRenderer.invoke('start-blast', data),
-    getBlastStats: () => ipcRenderer.invoke('get-blast-stats'),
+    getBlastStats: (selection) => ipcRenderer.invoke('get-blast-stats', selection),
+    previewBlast: (data) => ipcRenderer.invoke('preview-blast', data),
+    pauseBlast: () => ipcRenderer.invoke('pause-blast'),
+    resumeBlast: () => ipcRenderer.invoke('resume-blast'),
+    cancelBlast: () => ipcRenderer.invoke('cancel-blast'),
+    getCampaigns: () => ipcRenderer.invoke('get-campaigns'),
+    resumeCampaign: (campaignId) => ipcRenderer.invoke('resume-campaign', campaignId),
+    cancelCampaign: (campaignId) => ipcRenderer.invoke('cancel-campaign', campaignId),
+
+    // Scheduled blasts and messages
+    getScheduledJobs: () => ipcRenderer.invoke('get-scheduled-jobs'),
+    scheduleBlast: (data) => ipcRenderer.invoke('schedule-blast', data),
+    scheduleMessage: (data) => ipcRenderer.invoke('schedule-message', data),
+    updateScheduledJob: (jobId, updates) => ipcRenderer.invoke('update-scheduled-job', jobId, updates),
+    cancelScheduledJob: (jobId) => ipcRenderer.invoke('cancel-scheduled-job', jobId),
+
+    // Messages held for quiet hours
+    getHeldMessages: () => ipcRenderer.invoke('get-held-messages'),
 
     // Event listeners (one-way communication from main to renderer)
     onQrCode: (callback) => ipcRenderer.on('qr-code', (event, data) => callback(data)),
@@ -60,9 +96,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onWarmingMessageReceived: (callback) => ipcRenderer.on('warming-message-received', (event, data) => callback(data)),
     onIncrementStats: (callback) => ipcRenderer.on('increment-stats', () => callback()),
     onWarmingError: (callback) => ipcRenderer.on('warming-error', (event, data) => callback(data)),
+    onWarmingLog: (callback) => ipcRenderer.on('warming-log', (event, data) => callback(data)),
+    onSendLimitReached: (callback) => ipcRenderer.on('send-limit-reached', (event, data) => callback(data)),
     onWarmingStopped: (callback) => ipcRenderer.on('warming-stopped', (event, data) => callback(data)),
     onBlastProgress: (callback) => ipcRenderer.on('blast-progress', (event, progress) => callback(progress)),
-    onMessageReceived: (callback) => ipcRenderer.on('message-received', (event, data) => callback(data)),
+    onContactOptedOut: (callback) => ipcRenderer.on('contact-opted-out', (event, data) => callback(data)),
+    onContactTagged: (callback) => ipcRenderer.on('contact-tagged', (event, data) => callback(data)),
+    onHumanModeChanged: (callback) => ipcRenderer.on('human-mode-changed', (event, data) => callback(data)),
+    onDraftsChanged: (callback) => ipcRenderer.on('drafts-changed', (event, data) => callback(data)),
+    onMessageStatus: (callback) => ipcRenderer.on('message-status', (event, data) => callback(data)),
+    onCampaignsChanged: (callback) => ipcRenderer.on('campaigns-changed', (event, data) => callback(data)),
+    onCampaignResumed: (callback) => ipcRenderer.on('campaign-resumed', (event, data) => callback(data)),
+    onCampaignCompleted: (callback) => ipcRenderer.on('campaign-completed', (event, data) => callback(data)),
+    onScheduledJobChanged: (callback) => ipcRenderer.on('scheduled-job-changed', (event, data) => callback(data)),
+    onHeldMessagesChanged: (callback) => ipcRenderer.on('held-messages-changed', () => callback()),
 
     // Remove listeners
     removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
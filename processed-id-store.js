@@ -0,0 +1,69 @@
+const fs = require('fs');
+
+// WhatsApp can replay recent messages after a reconnect; remembering this many is plenty
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * The most recent WhatsApp message ids (message.id._serialized) the app has handled,
+ * inbound or outbound. Saved to disk so a restart doesn't reprocess them.
+ */
+class ProcessedIdStore {
+    constructor(filePath, limit = DEFAULT_LIMIT) {
+        this.filePath = filePath;
+        this.limit = limit;
+        this.ids = []; // Oldest first
+        this.index = new Set();
+
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify([], null, 2));
+        }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.ids = Array.isArray(data) ? data.filter(id => typeof id === 'string').slice(-this.limit) : [];
+        } catch (error) {
+            console.error('Error loading processed message ids:', error);
+            this.ids = [];
+        }
+        this.index = new Set(this.ids);
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.ids));
+        } catch (error) {
+            console.error('Error saving processed message ids:', error);
+        }
+    }
+
+    has(messageId) {
+        return this.index.has(messageId);
+    }
+
+    /**
+     * Remember an id. Returns false if it was already known.
+     */
+    add(messageId) {
+        if (!messageId || this.index.has(messageId)) {
+            return false;
+        }
+
+        this.ids.push(messageId);
+        this.index.add(messageId);
+
+        if (this.ids.length > this.limit) {
+            for (const dropped of this.ids.splice(0, this.ids.length - this.limit)) {
+                this.index.delete(dropped);
+            }
+        }
+
+        this.persist();
+        return true;
+    }
+}
+
+module.exports = ProcessedIdStore;
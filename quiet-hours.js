@@ -0,0 +1,196 @@
+/**
+ * Quiet hours: a daily window, in each recipient's own time zone, when nothing
+ * automated is sent to them. Windows can run past midnight (21:00 to 08:00).
+ *
+ * A contact's time zone is saved on the contact (contact.timeZone). Contacts
+ * without one use the zone their country calling code points to, or this
+ * computer's zone when the code is unknown.
+ *
+ * The time zone and wall clock helpers here are shared with business-hours.js.
+ */
+
+const DEFAULT_QUIET_HOURS = {
+    enabled: false, // Off until turned on in Settings, so upgrading doesn't start holding messages
+    start: '21:00', // Local time the window opens
+    end: '08:00' // Local time sending starts again
+};
+
+// 'HH:MM' on a 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Country calling code -> time zone. Countries spanning several zones get their most populous one.
+const CALLING_CODE_TIME_ZONES = {
+    1: 'America/New_York',
+    7: 'Europe/Moscow',
+    20: 'Africa/Cairo',
+    27: 'Africa/Johannesburg',
+    30: 'Europe/Athens',
+    31: 'Europe/Amsterdam',
+    32: 'Europe/Brussels',
+    33: 'Europe/Paris',
+    34: 'Europe/Madrid',
+    39: 'Europe/Rome',
+    40: 'Europe/Bucharest',
+    41: 'Europe/Zurich',
+    43: 'Europe/Vienna',
+    44: 'Europe/London',
+    45: 'Europe/Copenhagen',
+    46: 'Europe/Stockholm',
+    47: 'Europe/Oslo',
+    48: 'Europe/Warsaw',
+    49: 'Europe/Berlin',
+    51: 'America/Lima',
+    52: 'America/Mexico_City',
+    54: 'America/Argentina/Buenos_Aires',
+    55: 'America/Sao_Paulo',
+    56: 'America/Santiago',
+    57: 'America/Bogota',
+    60: 'Asia/Kuala_Lumpur',
+    61: 'Australia/Sydney',
+    62: 'Asia/Jakarta',
+    63: 'Asia/Manila',
+    64: 'Pacific/Auckland',
+    65: 'Asia/Singapore',
+    66: 'Asia/Bangkok',
+    81: 'Asia/Tokyo',
+    82: 'Asia/Seoul',
+    84: 'Asia/Ho_Chi_Minh',
+    86: 'Asia/Shanghai',
+    90: 'Europe/Istanbul',
+    91: 'Asia/Kolkata',
+    92: 'Asia/Karachi',
+    94: 'Asia/Colombo',
+    95: 'Asia/Yangon',
+    212: 'Africa/Casablanca',
+    234: 'Africa/Lagos',
+    254: 'Africa/Nairobi',
+    351: 'Europe/Lisbon',
+    353: 'Europe/Dublin',
+    673: 'Asia/Brunei',
+    852: 'Asia/Hong_Kong',
+    853: 'Asia/Macau',
+    855: 'Asia/Phnom_Penh',
+    880: 'Asia/Dhaka',
+    886: 'Asia/Taipei',
+    966: 'Asia/Riyadh',
+    971: 'Asia/Dubai',
+    977: 'Asia/Kathmandu'
+};
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// This computer's time zone
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Time zone for a number in international format (digits only), from its
+ * calling code. Codes are one to three digits, the longest match wins.
+ */
+function guessTimeZone(phoneNumber) {
+    const digits = String(phoneNumber || '');
+    for (let length = 3; length >= 1; length--) {
+        const timeZone = CALLING_CODE_TIME_ZONES[digits.slice(0, length)];
+        if (timeZone) {
+            return timeZone;
+        }
+    }
+    return getLocalTimeZone();
+}
+
+/**
+ * The zone quiet hours use for a contact: their saved one, or the guess from their number
+ */
+function getContactTimeZone(contact, phoneNumber = null) {
+    if (contact && isValidTimeZone(contact.timeZone)) {
+        return contact.timeZone;
+    }
+    return guessTimeZone(phoneNumber || (contact && contact.number));
+}
+
+/**
+ * Fill in missing or invalid quiet hours settings with the defaults
+ */
+function normalizeQuietHours(settings = {}) {
+    settings = settings || {};
+    return {
+        enabled: typeof settings.enabled === 'boolean' ? settings.enabled : DEFAULT_QUIET_HOURS.enabled,
+        start: TIME_PATTERN.test(settings.start) ? settings.start : DEFAULT_QUIET_HOURS.start,
+        end: TIME_PATTERN.test(settings.end) ? settings.end : DEFAULT_QUIET_HOURS.end
+    };
+}
+
+// Minutes past midnight of an 'HH:MM' time
+function toMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// Wall clock date and minutes past midnight in a time zone
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => parts.find(p => p.type === type).value;
+    return {
+        date: `${value('year')}-${value('month')}-${value('day')}`,
+        minutes: parseInt(value('hour')) * 60 + parseInt(value('minute'))
+    };
+}
+
+/**
+ * When quiet hours end for someone in a time zone, or null if it isn't quiet there now
+ * @param {object} quietHours - { enabled, start, end } as from normalizeQuietHours
+ * @returns {Date|null}
+ */
+function getQuietHoursEnd(quietHours, timeZone, now = new Date()) {
+    if (!quietHours.enabled || quietHours.start === quietHours.end) {
+        return null;
+    }
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = getZonedParts(now, timeZone).minutes;
+
+    const quiet = start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+    if (!quiet) {
+        return null;
+    }
+
+    // From the start of the current minute, so the window opens on the minute
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const minuteStart = Math.floor(now.getTime() / 60000) * 60000;
+    return new Date(minuteStart + minutesLeft * 60000);
+}
+
+module.exports = {
+    DEFAULT_QUIET_HOURS,
+    TIME_PATTERN,
+    toMinutes,
+    getZonedParts,
+    isValidTimeZone,
+    getLocalTimeZone,
+    guessTimeZone,
+    getContactTimeZone,
+    normalizeQuietHours,
+    getQuietHoursEnd
+};
@@ -7,6 +7,71 @@ let warmingMessageCount = 0;
 let activeConversations = [];
 let cachedMessages = {}; // Cache messages by phone number for faster updates
 let targetedPhoneNumbers = new Set(); // Cache targeted numbers
+const MESSAGE_PAGE_SIZE = 50; // Messages fetched per conversation page
+let consentPhoneId = null; // Contact being edited in the consent modal
+let fieldsPhoneId = null; // Contact being edited in the fields modal
+let scheduleModalTarget = null; // { phoneNumber } when scheduling a chat message, { jobId } when editing a job
+let composerAttachmentOptions = ''; // <option> list of media and stickers for chat composers
+let conversationOwners = {}; // phoneNumber -> human mode state, for chats an operator has taken over
+let pendingDrafts = {}; // phoneNumber -> AI replies waiting for approval
+
+// How a conversation ended up in human mode
+const HUMAN_MODE_REASON_LABELS = {
+    phone: 'replied from the phone',
+    app: 'replied from the app',
+    manual: 'taken over',
+    rule: 'was called in by a rule',
+    flow: 'was called in by a flow'
+};
+
+// AI capabilities that can each use their own provider (see ai-providers.js)
+const AI_CAPABILITY_LABELS = {
+    chat: 'Chat',
+    vision: 'Images',
+    transcription: 'Voice'
+};
+
+// AI jobs that can each use their own model (see MODEL_TASKS in ai-providers.js)
+const AI_MODEL_TASK_LABELS = {
+    chat: 'Chat',
+    emotion: 'Emotion',
+    vision: 'Images',
+    transcription: 'Voice'
+};
+
+// Delivery ticks on outgoing chat bubbles, by message status
+const MESSAGE_STATUS_TICKS = {
+    pending: { icon: '🕓', label: 'Pending' },
+    sent: { icon: '✓', label: 'Sent' },
+    delivered: { icon: '✓✓', label: 'Delivered' },
+    read: { icon: '✓✓', label: 'Read' },
+    failed: { icon: '!', label: 'Not delivered' }
+};
+
+// Labels shown on outgoing chat bubbles, by who or what sent them
+const MESSAGE_SOURCE_LABELS = {
+    ai: 'AI',
+    manual: 'You',
+    blast: 'Blast',
+    scheduled: 'Scheduled',
+    system: 'Auto',
+    phone: 'Phone',
+    away: 'Away',
+    rule: 'Rule',
+    flow: 'Flow'
+};
+
+// Consent channels (must match CONSENT_CHANNELS in main.js)
+const CONSENT_CHANNEL_LABELS = {
+    whatsapp: 'WhatsApp',
+    web_form: 'Web form',
+    sms: 'SMS',
+    email: 'Email',
+    phone_call: 'Phone call',
+    in_person: 'In person',
+    paper: 'Paper form',
+    other: 'Other'
+};
 
 // Custom dialog functions to replace native alert/confirm/prompt
 function showAlert(message, title = 'Alert') {
@@ -169,7 +234,10 @@ function switchTab(tabName) {
     } else if (tabName === 'media') {
         loadMediaItems();
     } else if (tabName === 'blasting') {
-        loadBlastStats();
+        renderBlastRecipientOptions();
+        loadCampaigns();
+        loadScheduledJobs();
+        loadHeldMessages();
     } else if (tabName === 'dashboard') {
         loadStats();
     } else if (tabName === 'settings') {
@@ -186,6 +254,25 @@ function initializeSettings() {
     const resetPersonalityBtn = document.getElementById('reset-ai-personality-btn');
     const saveDelayBtn = document.getElementById('save-delay-btn');
     const saveTypingBtn = document.getElementById('save-typing-btn');
+    const saveRetentionBtn = document.getElementById('save-retention-btn');
+    const saveOptOutBtn = document.getElementById('save-opt-out-btn');
+    const saveDisclosureBtn = document.getElementById('save-disclosure-btn');
+    const saveHumanModeBtn = document.getElementById('save-human-mode-btn');
+    const saveSendLimitsBtn = document.getElementById('save-send-limits-btn');
+    const saveQuietHoursBtn = document.getElementById('save-quiet-hours-btn');
+    const saveBusinessHoursBtn = document.getElementById('save-business-hours-btn');
+    const addRuleBtn = document.getElementById('add-rule-btn');
+    const saveRulesBtn = document.getElementById('save-rules-btn');
+    const testRulesBtn = document.getElementById('test-rules-btn');
+    const insertFlowExampleBtn = document.getElementById('insert-flow-example-btn');
+    const saveFlowsBtn = document.getElementById('save-flows-btn');
+    const saveToolsBtn = document.getElementById('save-tools-btn');
+    const testToolBtn = document.getElementById('test-tool-btn');
+    const saveApprovalBtn = document.getElementById('save-approval-btn');
+    const saveAIProvidersBtn = document.getElementById('save-ai-providers-btn');
+    const testAIProvidersBtn = document.getElementById('test-ai-providers-btn');
+    const saveAIModelsBtn = document.getElementById('save-ai-models-btn');
+    const checkAIModelsBtn = document.getElementById('check-ai-models-btn');
 
     saveBtn.addEventListener('click', saveApiKey);
     testBtn.addEventListener('click', testApiKey);
@@ -206,6 +293,63 @@ function initializeSettings() {
     if (saveTypingBtn) {
         saveTypingBtn.addEventListener('click', saveTypingSettings);
     }
+    if (saveRetentionBtn) {
+        saveRetentionBtn.addEventListener('click', saveRetentionSettings);
+    }
+    if (saveOptOutBtn) {
+        saveOptOutBtn.addEventListener('click', saveOptOutSettings);
+    }
+    if (saveDisclosureBtn) {
+        saveDisclosureBtn.addEventListener('click', saveDisclosureSettings);
+    }
+    if (saveHumanModeBtn) {
+        saveHumanModeBtn.addEventListener('click', saveHumanModeSettings);
+    }
+    if (saveSendLimitsBtn) {
+        saveSendLimitsBtn.addEventListener('click', saveSendLimitSettings);
+    }
+    if (saveQuietHoursBtn) {
+        saveQuietHoursBtn.addEventListener('click', saveQuietHoursSettings);
+    }
+    if (saveBusinessHoursBtn) {
+        saveBusinessHoursBtn.addEventListener('click', saveBusinessHoursSettings);
+    }
+    if (addRuleBtn) {
+        addRuleBtn.addEventListener('click', addRule);
+    }
+    if (saveRulesBtn) {
+        saveRulesBtn.addEventListener('click', saveRules);
+    }
+    if (testRulesBtn) {
+        testRulesBtn.addEventListener('click', testRules);
+    }
+    if (insertFlowExampleBtn) {
+        insertFlowExampleBtn.addEventListener('click', insertFlowExample);
+    }
+    if (saveFlowsBtn) {
+        saveFlowsBtn.addEventListener('click', saveFlows);
+    }
+    if (saveToolsBtn) {
+        saveToolsBtn.addEventListener('click', saveToolSettings);
+    }
+    if (testToolBtn) {
+        testToolBtn.addEventListener('click', testToolLookup);
+    }
+    if (saveApprovalBtn) {
+        saveApprovalBtn.addEventListener('click', saveApprovalSettings);
+    }
+    if (saveAIProvidersBtn) {
+        saveAIProvidersBtn.addEventListener('click', saveAIProviderSettings);
+    }
+    if (testAIProvidersBtn) {
+        testAIProvidersBtn.addEventListener('click', () => testAIProviders(showAIProvidersStatus));
+    }
+    if (saveAIModelsBtn) {
+        saveAIModelsBtn.addEventListener('click', saveAIModelSettings);
+    }
+    if (checkAIModelsBtn) {
+        checkAIModelsBtn.addEventListener('click', checkAIModels);
+    }
 }
 
 async function loadConfig() {
@@ -217,6 +361,75 @@ async function loadConfig() {
     document.getElementById('typing-min-input').value = config.typingMin || 2;
     document.getElementById('typing-max-input').value = config.typingMax || 5;
 
+    const retention = config.messageRetention || {};
+    document.getElementById('retention-max-messages-input').value = retention.maxMessagesPerPhone || 1000;
+    document.getElementById('retention-max-age-input').value = retention.maxAgeDays !== undefined ? retention.maxAgeDays : 90;
+
+    const disclosure = config.disclosure || {};
+    document.getElementById('disclosure-enabled-toggle').checked = disclosure.enabled === true;
+    document.getElementById('disclosure-mode-select').value = disclosure.mode === 'every' ? 'every' : 'first';
+    document.getElementById('disclosure-notice-input').value = disclosure.notice || 'This is an automated assistant.';
+    updateDisclosureWarning(disclosure.enabled === true);
+
+    const humanMode = config.humanMode || {};
+    document.getElementById('human-mode-timeout-input').value = humanMode.idleTimeoutMinutes !== undefined ? humanMode.idleTimeoutMinutes : 30;
+
+    const sendLimits = config.sendLimits || {};
+    document.getElementById('send-daily-limit-input').value = sendLimits.dailyLimit || 1000;
+    document.getElementById('send-hourly-limit-input').value = sendLimits.hourlyLimit || 250;
+    document.getElementById('send-contact-limit-input').value = sendLimits.perContactDailyLimit || 0;
+
+    const quietHours = config.quietHours || {};
+    document.getElementById('quiet-hours-enabled-toggle').checked = quietHours.enabled === true;
+    document.getElementById('quiet-hours-start-input').value = quietHours.start || '21:00';
+    document.getElementById('quiet-hours-end-input').value = quietHours.end || '08:00';
+
+    const businessHours = config.businessHours || {};
+    document.getElementById('business-hours-enabled-toggle').checked = businessHours.enabled === true;
+    document.getElementById('business-hours-time-zone-input').value = businessHours.timeZone || '';
+    renderBusinessHoursDays(businessHours.weekly || DEFAULT_BUSINESS_WEEK);
+    document.getElementById('business-hours-holidays-input').value = (businessHours.holidays || [])
+        .map(h => `${h.date}${h.name ? ` ${h.name}` : ''}`)
+        .join('\n');
+    document.getElementById('business-hours-away-input').value = businessHours.awayMessage
+        || 'Thanks for your message. We\'re closed right now and will reply {{opens_at}}.';
+
+    editedRules = (config.rules || []).map(rule => ({ ...rule, match: { ...rule.match }, actions: { ...rule.actions } }));
+    renderRules();
+    document.getElementById('flows-json-input').value = JSON.stringify(config.flows || [], null, 2);
+
+    const tools = config.tools || {};
+    document.getElementById('tools-enabled-toggle').checked = tools.enabled === true;
+    document.getElementById('tools-orders-file-input').value = tools.ordersFile || '';
+    document.getElementById('tools-order-id-field-input').value = tools.orderIdField || '';
+    document.getElementById('tools-order-phone-field-input').value = tools.orderPhoneField || '';
+    document.getElementById('tools-faq-file-input').value = tools.faqFile || '';
+    document.getElementById('tools-opening-hours-toggle').checked = tools.openingHours !== false;
+
+    const aiProviders = config.aiProviders || {};
+    const openai = aiProviders.openai || {};
+    const providerValue = (provider) => provider === 'openai' ? provider : 'gemini';
+    document.getElementById('ai-provider-chat-select').value = providerValue(aiProviders.chat);
+    document.getElementById('ai-provider-vision-select').value = providerValue(aiProviders.vision);
+    document.getElementById('ai-provider-transcription-select').value = providerValue(aiProviders.transcription);
+    document.getElementById('openai-base-url-input').value = openai.baseUrl || 'http://localhost:11434/v1';
+    document.getElementById('openai-api-key-input').value = openai.apiKey || '';
+    document.getElementById('openai-model-input').value = openai.model || '';
+    document.getElementById('openai-timeout-input').value = openai.timeoutSeconds || 60;
+
+    const aiModels = config.aiModels || {};
+    for (const task of Object.keys(AI_MODEL_TASK_LABELS)) {
+        document.getElementById(`ai-model-${task}-input`).value = aiModels[task] || '';
+    }
+
+    const approval = config.approval || {};
+    document.getElementById('approval-enabled-toggle').checked = approval.enabled === true;
+
+    // Opt-out settings come with defaults filled in by the main process
+    const optOut = await window.electronAPI.getOptOutSettings();
+    document.getElementById('opt-out-keywords-input').value = optOut.keywords.join('\n');
+    document.getElementById('opt-out-confirmation-input').value = optOut.confirmationMessage;
+
     if (config.apiKey) {
         showApiStatus('API key configured', 'success');
     }
@@ -236,7 +449,10 @@ async function saveApiKey() {
         return;
     }
 
-    const result = await window.electronAPI.saveConfig({ apiKey });
+    const config = await window.electronAPI.getConfig();
+    config.apiKey = apiKey;
+
+    const result = await window.electronAPI.saveConfig(config);
 
     if (result.success) {
         showApiStatus('API key saved successfully!', 'success');
@@ -248,16 +464,143 @@ async function saveApiKey() {
 }
 
 async function testApiKey() {
-    const apiKey = document.getElementById('api-key-input').value.trim();
+    await testAIProviders(showApiStatus);
+}
 
-    if (!apiKey) {
-        showApiStatus('Please enter an API key first', 'error');
+// Test whichever provider is selected for each capability, using the values in the form
+async function testAIProviders(showStatus) {
+    showStatus('Testing...', 'info');
+
+    const result = await window.electronAPI.testAiProviders({
+        apiKey: document.getElementById('api-key-input').value.trim(),
+        aiProviders: readAIProviderForm(),
+        aiModels: readAIModelForm()
+    });
+
+    const summary = result.results
+        .map(r => `${AI_CAPABILITY_LABELS[r.capability]} (${r.provider}): ${r.ok ? 'OK' : r.error}`)
+        .join(' · ');
+    showStatus(summary, result.success ? 'success' : 'error');
+}
+
+function readAIProviderForm() {
+    return {
+        chat: document.getElementById('ai-provider-chat-select').value,
+        vision: document.getElementById('ai-provider-vision-select').value,
+        transcription: document.getElementById('ai-provider-transcription-select').value,
+        openai: {
+            baseUrl: document.getElementById('openai-base-url-input').value.trim(),
+            apiKey: document.getElementById('openai-api-key-input').value.trim(),
+            model: document.getElementById('openai-model-input').value.trim(),
+            timeoutSeconds: parseInt(document.getElementById('openai-timeout-input').value) || 60
+        }
+    };
+}
+
+async function saveAIProviderSettings() {
+    const aiProviders = readAIProviderForm();
+    const usesOpenAI = [aiProviders.chat, aiProviders.vision, aiProviders.transcription].includes('openai');
+
+    // Validation
+    if (usesOpenAI && !/^https?:\/\//i.test(aiProviders.openai.baseUrl)) {
+        showAIProvidersStatus('Server URL must start with http:// or https://', 'error');
+        return;
+    }
+
+    if (usesOpenAI && !aiProviders.openai.model && !openAITasksHaveModels(aiProviders, readAIModelForm())) {
+        showAIProvidersStatus('Please enter the model name to use on the server', 'error');
+        return;
+    }
+
+    if (aiProviders.openai.timeoutSeconds < 5 || aiProviders.openai.timeoutSeconds > 600) {
+        showAIProvidersStatus('Timeout must be between 5 and 600 seconds', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.aiProviders = aiProviders;
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showAIProvidersStatus('AI provider settings saved. Takes effect the next time warming starts', 'success');
+        addActivityLog('AI provider settings updated');
+        checkRequirements();
+    } else {
+        showAIProvidersStatus('Error saving AI provider settings', 'error');
+    }
+}
+
+function showAIProvidersStatus(message, type) {
+    const statusEl = document.getElementById('ai-providers-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+function readAIModelForm() {
+    const aiModels = {};
+    for (const task of Object.keys(AI_MODEL_TASK_LABELS)) {
+        aiModels[task] = document.getElementById(`ai-model-${task}-input`).value.trim();
+    }
+    return aiModels;
+}
+
+// Whether every job on the OpenAI-compatible server has its own model, so no default is needed
+function openAITasksHaveModels(aiProviders, aiModels) {
+    const taskCapabilities = { chat: 'chat', emotion: 'chat', vision: 'vision', transcription: 'transcription' };
+    return Object.entries(taskCapabilities)
+        .every(([task, capability]) => aiProviders[capability] !== 'openai' || aiModels[task]);
+}
+
+async function saveAIModelSettings() {
+    const aiModels = readAIModelForm();
+    const config = await window.electronAPI.getConfig();
+
+    const aiProviders = config.aiProviders || {};
+    if (!(aiProviders.openai || {}).model && !openAITasksHaveModels(aiProviders, aiModels)) {
+        showAIModelsStatus('A job on the OpenAI-compatible server needs a model. Set one here or a default model under AI Providers', 'error');
         return;
     }
 
-    // Security: Cannot test API key directly from renderer process
-    // The API key will be validated when you start warming
-    showApiStatus('API key will be validated when warming starts. Save the key to continue.', 'info');
+    config.aiModels = aiModels;
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showAIModelsStatus('AI models saved. Takes effect the next time warming starts', 'success');
+        addActivityLog('AI model settings updated');
+        checkRequirements();
+    } else {
+        showAIModelsStatus('Error saving AI models', 'error');
+    }
+}
+
+// List the models the selected providers offer and check the ones in the form against them
+async function checkAIModels() {
+    showAIModelsStatus('Checking...', 'info');
+
+    const result = await window.electronAPI.checkAiModels({
+        apiKey: document.getElementById('api-key-input').value.trim(),
+        aiProviders: readAIProviderForm(),
+        aiModels: readAIModelForm()
+    });
+
+    // Offer the listed models as suggestions in the model fields
+    const modelNames = [...new Set(Object.values(result.models).flat())].sort();
+    document.getElementById('ai-model-options').innerHTML = modelNames
+        .map(name => `<option value="${sanitizeAttribute(name)}"></option>`)
+        .join('');
+
+    const summary = result.tasks
+        .map(t => `${AI_MODEL_TASK_LABELS[t.task]} (${t.provider}${t.model ? `, ${t.model}` : ''}): ${t.ok ? 'OK' : t.error}`)
+        .join(' · ');
+    const listed = modelNames.length > 0 ? ` · ${modelNames.length} models available` : '';
+    showAIModelsStatus(summary + listed, result.success ? 'success' : 'error');
+}
+
+function showAIModelsStatus(message, type) {
+    const statusEl = document.getElementById('ai-models-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
 }
 
 async function saveAIPersonality() {
@@ -427,160 +770,853 @@ function showTypingStatus(message, type) {
     statusEl.className = 'api-status ' + type;
 }
 
-// Accounts Tab
-function initializeAccountsTab() {
-    const addAccountBtn = document.getElementById('add-account-btn');
-    const closeModal = document.getElementById('close-account-modal');
-    const generateQrBtn = document.getElementById('generate-qr-btn');
+async function saveRetentionSettings() {
+    const maxMessagesPerPhone = parseInt(document.getElementById('retention-max-messages-input').value);
+    const maxAgeDays = parseInt(document.getElementById('retention-max-age-input').value);
 
-    addAccountBtn.addEventListener('click', openAddAccountModal);
-    closeModal.addEventListener('click', closeAddAccountModal);
-    generateQrBtn.addEventListener('click', generateQrCode);
+    // Validation
+    if (!maxMessagesPerPhone || maxMessagesPerPhone < 10) {
+        showRetentionStatus('Keep at least 10 messages per number', 'error');
+        return;
+    }
 
-    document.getElementById('add-account-modal').addEventListener('click', (e) => {
-        if (e.target.classList.contains('modal')) {
-            closeAddAccountModal();
-        }
-    });
+    if (maxMessagesPerPhone > 100000) {
+        showRetentionStatus('Cannot keep more than 100000 messages per number', 'error');
+        return;
+    }
 
-    // Fix: Focus on input when modal opens and handle Enter key
-    document.getElementById('account-name').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            generateQrCode();
-        }
-    });
+    if (isNaN(maxAgeDays) || maxAgeDays < 0) {
+        showRetentionStatus('Maximum age must be 0 (keep forever) or more days', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.messageRetention = { maxMessagesPerPhone, maxAgeDays };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        const ageText = maxAgeDays === 0 ? 'no age limit' : `${maxAgeDays} days`;
+        showRetentionStatus(`Message history saved: ${maxMessagesPerPhone} messages per number, ${ageText}`, 'success');
+        addActivityLog('Message history retention updated');
+    } else {
+        showRetentionStatus('Error saving message history settings', 'error');
+    }
 }
 
-async function openAddAccountModal() {
-    // Check if account already exists
-    const hasAccount = await window.electronAPI.hasAccount();
+function showRetentionStatus(message, type) {
+    const statusEl = document.getElementById('retention-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
 
-    if (hasAccount) {
-        await showAlert('Only one warming account is allowed. Please remove the existing account first.', 'Account Limit');
+async function saveDisclosureSettings() {
+    const enabled = document.getElementById('disclosure-enabled-toggle').checked;
+    const mode = document.getElementById('disclosure-mode-select').value;
+    const notice = document.getElementById('disclosure-notice-input').value.trim();
+
+    // Validation
+    if (enabled && !notice) {
+        showDisclosureStatus('Please enter a disclosure notice', 'error');
         return;
     }
 
-    const modal = document.getElementById('add-account-modal');
-    const input = document.getElementById('account-name');
-
-    modal.classList.add('active');
-    document.getElementById('account-form').style.display = 'block';
-    document.getElementById('qr-code-section').style.display = 'none';
-    input.value = '';
+    if (notice.length > 300) {
+        showDisclosureStatus('Disclosure notice must be 300 characters or less', 'error');
+        return;
+    }
 
-    // Ensure input is enabled and editable
-    input.disabled = false;
-    input.readOnly = false;
+    const config = await window.electronAPI.getConfig();
+    config.disclosure = { enabled, mode, notice };
 
-    // Multiple focus attempts with increasing delays to handle animation
-    const focusInput = () => {
-        input.focus();
-        input.select();
-    };
+    const result = await window.electronAPI.saveConfig(config);
 
-    // Immediate focus
-    focusInput();
+    if (result.success) {
+        updateDisclosureWarning(enabled);
+        showDisclosureStatus(`Disclosure ${enabled ? 'on' : 'off'}. Takes effect the next time warming starts`, enabled ? 'success' : 'info');
+        addActivityLog(`AI disclosure ${enabled ? 'enabled' : 'disabled'}`);
+    } else {
+        showDisclosureStatus('Error saving disclosure settings', 'error');
+    }
+}
 
-    // Delayed focus attempts
-    setTimeout(focusInput, 50);
-    setTimeout(focusInput, 150);
-    setTimeout(focusInput, 300);
+function updateDisclosureWarning(enabled) {
+    document.getElementById('disclosure-warning').style.display = enabled ? 'none' : 'flex';
+}
 
-    // Add click listener to ensure focus on click
-    input.addEventListener('click', focusInput, { once: true });
+function showDisclosureStatus(message, type) {
+    const statusEl = document.getElementById('disclosure-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
 }
 
-function closeAddAccountModal() {
-    const modal = document.getElementById('add-account-modal');
-    const input = document.getElementById('account-name');
+async function saveHumanModeSettings() {
+    const idleTimeoutMinutes = parseInt(document.getElementById('human-mode-timeout-input').value);
 
-    modal.classList.remove('active');
-    currentAccountId = null;
+    // Validation
+    if (isNaN(idleTimeoutMinutes) || idleTimeoutMinutes < 0) {
+        showHumanModeStatus('Inactivity timeout must be 0 (never) or more minutes', 'error');
+        return;
+    }
 
-    // Reset form to initial state
-    document.getElementById('account-form').style.display = 'block';
-    document.getElementById('qr-code-section').style.display = 'none';
-    input.value = '';
-    input.disabled = false;
-    input.readOnly = false;
+    if (idleTimeoutMinutes > 10080) {
+        showHumanModeStatus('Inactivity timeout cannot be more than a week (10080 minutes)', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.humanMode = { idleTimeoutMinutes };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        const timeoutText = idleTimeoutMinutes === 0 ? 'only when handed back by hand' : `after ${idleTimeoutMinutes} minutes without a reply`;
+        showHumanModeStatus(`Saved. Conversations go back to the AI ${timeoutText}`, 'success');
+        addActivityLog('Human takeover settings updated');
+    } else {
+        showHumanModeStatus('Error saving takeover settings', 'error');
+    }
 }
 
-async function generateQrCode() {
-    const accountName = document.getElementById('account-name').value.trim();
+function showHumanModeStatus(message, type) {
+    const statusEl = document.getElementById('human-mode-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
 
-    // Security: Validate account name
-    if (!accountName) {
-        await showAlert('Please enter an account name', 'Validation');
-        document.getElementById('account-name').focus();
+async function saveSendLimitSettings() {
+    const dailyLimit = parseInt(document.getElementById('send-daily-limit-input').value);
+    const hourlyLimit = parseInt(document.getElementById('send-hourly-limit-input').value);
+    const perContactDailyLimit = parseInt(document.getElementById('send-contact-limit-input').value);
+
+    // Validation
+    if (isNaN(dailyLimit) || dailyLimit < 1 || dailyLimit > 100000) {
+        showSendLimitsStatus('Messages per day must be between 1 and 100000', 'error');
         return;
     }
 
-    // Security: Validate length
-    if (accountName.length < 3 || accountName.length > 50) {
-        await showAlert('Account name must be between 3-50 characters', 'Validation');
-        document.getElementById('account-name').focus();
+    if (isNaN(hourlyLimit) || hourlyLimit < 1 || hourlyLimit > 100000) {
+        showSendLimitsStatus('Messages per hour must be between 1 and 100000', 'error');
         return;
     }
 
-    // Security: Only allow alphanumeric, spaces, and basic punctuation
-    if (!/^[a-zA-Z0-9\s\-_.]+$/.test(accountName)) {
-        await showAlert('Account name can only contain letters, numbers, spaces, and basic punctuation', 'Validation');
-        document.getElementById('account-name').focus();
+    if (isNaN(perContactDailyLimit) || perContactDailyLimit < 0 || perContactDailyLimit > 100000) {
+        showSendLimitsStatus('Messages per contact must be 0 (no limit) or up to 100000', 'error');
         return;
     }
 
-    document.getElementById('account-form').style.display = 'none';
-    document.getElementById('qr-code-section').style.display = 'block';
-    document.querySelector('.qr-loading').style.display = 'flex';
-    document.getElementById('qr-code-image').style.display = 'none';
-    document.getElementById('qr-status').textContent = 'Initializing...';
+    const config = await window.electronAPI.getConfig();
+    config.sendLimits = { dailyLimit, hourlyLimit, perContactDailyLimit };
 
-    const result = await window.electronAPI.addAccount(accountName);
+    const result = await window.electronAPI.saveConfig(config);
 
     if (result.success) {
-        currentAccountId = result.account.id;
-        document.getElementById('qr-status').textContent = 'Waiting for QR code...';
+        showSendLimitsStatus('Send limits saved. They apply from the next message', 'success');
+        addActivityLog(`Send limits set to ${dailyLimit}/day, ${hourlyLimit}/hour${perContactDailyLimit ? `, ${perContactDailyLimit} per contact` : ''}`);
+        loadStats();
     } else {
-        document.getElementById('qr-status').textContent = `Error: ${result.error}`;
+        showSendLimitsStatus('Error saving send limits', 'error');
     }
 }
 
-async function loadAccounts() {
-    const accounts = await window.electronAPI.getAccounts();
-    const accountsList = document.getElementById('accounts-list');
+function showSendLimitsStatus(message, type) {
+    const statusEl = document.getElementById('send-limits-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
 
-    if (accounts.length === 0) {
-        accountsList.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📱</div>
-                <h3>No account added yet</h3>
-                <p>Click "Add Account" to connect your WhatsApp account</p>
-            </div>
-        `;
+async function saveQuietHoursSettings() {
+    const enabled = document.getElementById('quiet-hours-enabled-toggle').checked;
+    const start = document.getElementById('quiet-hours-start-input').value;
+    const end = document.getElementById('quiet-hours-end-input').value;
+
+    // Validation
+    if (!/^\d{2}:\d{2}$/.test(start) || !/^\d{2}:\d{2}$/.test(end)) {
+        showQuietHoursStatus('Choose a start and an end time', 'error');
         return;
     }
 
-    // Single account - centered profile design
-    const account = accounts[0];
-    const statusColor = account.status === 'ready' ? '#10b981' : '#6b7280';
-    const statusIcon = account.status === 'ready' ? '✓' : '○';
+    if (start === end) {
+        showQuietHoursStatus('Quiet hours must start and end at different times', 'error');
+        return;
+    }
 
-    accountsList.innerHTML = `
-        <div class="account-profile-container">
-            <div class="account-profile-card ${account.status === 'ready' ? 'account-connected' : 'account-connecting'}">
-                <div class="account-profile-header">
-                    <div class="account-avatar">
-                        <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
-                            <circle cx="12" cy="7" r="4"></circle>
-                        </svg>
-                    </div>
-                    <div class="account-profile-info">
-                        <h2>${escapeHtml(account.name)}</h2>
-                        <p class="account-phone-number">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
-                            </svg>
+    const config = await window.electronAPI.getConfig();
+    config.quietHours = { enabled, start, end };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showQuietHoursStatus('Quiet hours saved. Held messages are checked again now', 'success');
+        addActivityLog(enabled ? `Quiet hours set to ${start}-${end} in each contact's time zone` : 'Quiet hours turned off');
+        loadHeldMessages();
+    } else {
+        showQuietHoursStatus('Error saving quiet hours', 'error');
+    }
+}
+
+function showQuietHoursStatus(message, type) {
+    const statusEl = document.getElementById('quiet-hours-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+const BUSINESS_WEEKDAYS = [
+    { key: 'mon', label: 'Monday' },
+    { key: 'tue', label: 'Tuesday' },
+    { key: 'wed', label: 'Wednesday' },
+    { key: 'thu', label: 'Thursday' },
+    { key: 'fri', label: 'Friday' },
+    { key: 'sat', label: 'Saturday' },
+    { key: 'sun', label: 'Sunday' }
+];
+
+// Used until business hours are first saved, matches business-hours.js
+const DEFAULT_BUSINESS_WEEK = {
+    mon: { open: '09:00', close: '18:00' },
+    tue: { open: '09:00', close: '18:00' },
+    wed: { open: '09:00', close: '18:00' },
+    thu: { open: '09:00', close: '18:00' },
+    fri: { open: '09:00', close: '18:00' },
+    sat: null,
+    sun: null
+};
+
+function renderBusinessHoursDays(weekly) {
+    document.getElementById('business-hours-days').innerHTML = BUSINESS_WEEKDAYS.map(({ key, label }) => {
+        const hours = weekly[key];
+        return `
+            <div class="business-hours-day">
+                <label class="business-hours-day-name">
+                    <input type="checkbox" id="business-open-${key}" ${hours ? 'checked' : ''}>
+                    ${label}
+                </label>
+                <input type="time" id="business-open-time-${key}" class="form-input" value="${sanitizeAttribute(hours ? hours.open : '09:00')}">
+                <span>to</span>
+                <input type="time" id="business-close-time-${key}" class="form-input" value="${sanitizeAttribute(hours ? hours.close : '18:00')}">
+            </div>
+        `;
+    }).join('');
+}
+
+async function saveBusinessHoursSettings() {
+    const enabled = document.getElementById('business-hours-enabled-toggle').checked;
+    const timeZone = document.getElementById('business-hours-time-zone-input').value.trim();
+    const awayMessage = document.getElementById('business-hours-away-input').value.trim();
+
+    // Validation
+    if (timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            showBusinessHoursStatus(`"${timeZone}" is not a time zone. Use a name like Asia/Kuala_Lumpur`, 'error');
+            return;
+        }
+    }
+
+    const weekly = {};
+    for (const { key, label } of BUSINESS_WEEKDAYS) {
+        if (!document.getElementById(`business-open-${key}`).checked) {
+            weekly[key] = null;
+            continue;
+        }
+        const open = document.getElementById(`business-open-time-${key}`).value;
+        const close = document.getElementById(`business-close-time-${key}`).value;
+        if (!open || !close || open >= close) {
+            showBusinessHoursStatus(`${label} must close after it opens, on the same day`, 'error');
+            return;
+        }
+        weekly[key] = { open, close };
+    }
+
+    if (enabled && Object.values(weekly).every(hours => !hours)) {
+        showBusinessHoursStatus('Open on at least one day of the week', 'error');
+        return;
+    }
+
+    const holidays = [];
+    for (const line of document.getElementById('business-hours-holidays-input').value.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        const [date, ...name] = line.trim().split(/\s+/);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+            showBusinessHoursStatus(`"${line.trim()}" needs to start with a date like 2026-12-25`, 'error');
+            return;
+        }
+        holidays.push({ date, name: name.join(' ') });
+    }
+
+    if (!awayMessage) {
+        showBusinessHoursStatus('Enter an away message', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.businessHours = { enabled, timeZone, weekly, holidays, awayMessage };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showBusinessHoursStatus('Business hours saved', 'success');
+        addActivityLog(enabled ? 'Business hours updated, away message on' : 'Away message turned off');
+    } else {
+        showBusinessHoursStatus('Error saving business hours', 'error');
+    }
+}
+
+function showBusinessHoursStatus(message, type) {
+    const statusEl = document.getElementById('business-hours-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+// Rules as edited in Settings, in priority order. Saved with Save Rules.
+let editedRules = [];
+
+async function renderRules() {
+    const listEl = document.getElementById('rules-list');
+    if (editedRules.length === 0) {
+        listEl.innerHTML = '<p class="campaigns-empty">No rules yet, every message goes to the AI</p>';
+        return;
+    }
+
+    const mediaItems = await window.electronAPI.getMediaItems();
+
+    listEl.innerHTML = editedRules.map((rule, index) => {
+        const match = rule.match || {};
+        const actions = rule.actions || {};
+        const matchText = match.type === 'regex' ? match.pattern : (match.keywords || []).join(', ');
+        const mediaMissing = actions.mediaId && !mediaItems.some(item => item.id === actions.mediaId);
+        const mediaOptions = mediaItems.map(item => `
+            <option value="${sanitizeAttribute(item.id)}" ${item.id === actions.mediaId ? 'selected' : ''}>${escapeHtml(item.context || item.originalName)}</option>
+        `).join('');
+
+        return `
+            <div class="rule-card${rule.enabled === false ? ' rule-disabled' : ''}">
+                <div class="rule-header">
+                    <span class="rule-priority">${index + 1}</span>
+                    <input type="text" id="rule-name-${index}" class="form-input" value="${sanitizeAttribute(rule.name)}" placeholder="Rule name" maxlength="100">
+                    <label class="rule-check">
+                        <input type="checkbox" id="rule-enabled-${index}" ${rule.enabled !== false ? 'checked' : ''}>
+                        On
+                    </label>
+                    <button class="btn btn-small btn-secondary" onclick="moveRule(${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Check earlier">↑</button>
+                    <button class="btn btn-small btn-secondary" onclick="moveRule(${index}, 1)" ${index === editedRules.length - 1 ? 'disabled' : ''} title="Check later">↓</button>
+                    <button class="btn btn-small btn-danger" onclick="deleteRule(${index})">Delete</button>
+                </div>
+                <div class="rule-row">
+                    <select id="rule-type-${index}" class="form-input rule-type">
+                        <option value="keyword" ${match.type !== 'regex' ? 'selected' : ''}>Keywords</option>
+                        <option value="regex" ${match.type === 'regex' ? 'selected' : ''}>Regex</option>
+                    </select>
+                    <input type="text" id="rule-match-${index}" class="form-input" value="${sanitizeAttribute(matchText)}" placeholder="price, how much (or a pattern like order\\s*#?\\d+)">
+                </div>
+                <textarea id="rule-reply-${index}" class="form-textarea" rows="2" maxlength="4096" placeholder="Reply (optional)">${escapeHtml(actions.reply || '')}</textarea>
+                <div class="rule-row">
+                    <select id="rule-media-${index}" class="form-input">
+                        <option value="">No media</option>
+                        ${mediaMissing ? `<option value="${sanitizeAttribute(actions.mediaId)}" selected>Deleted media item (reply is sent alone)</option>` : ''}
+                        ${mediaOptions}
+                    </select>
+                    <input type="text" id="rule-tags-${index}" class="form-input" value="${sanitizeAttribute((actions.tags || []).join(', '))}" placeholder="Tags to add, separated by commas">
+                </div>
+                <div class="rule-row">
+                    <label class="rule-check">
+                        <input type="checkbox" id="rule-human-${index}" ${actions.humanMode ? 'checked' : ''}>
+                        Hand the chat to a person
+                    </label>
+                    <label class="rule-check">
+                        <input type="checkbox" id="rule-skip-ai-${index}" ${actions.skipAI ? 'checked' : ''}>
+                        Don't send an AI reply
+                    </label>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Read the rule editor back into editedRules, so nothing typed is lost on re-render
+function collectRules() {
+    editedRules = editedRules.map((rule, index) => {
+        const type = document.getElementById(`rule-type-${index}`).value;
+        const matchText = document.getElementById(`rule-match-${index}`).value.trim();
+        const splitList = (value) => value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+
+        return {
+            id: rule.id,
+            name: document.getElementById(`rule-name-${index}`).value.trim(),
+            enabled: document.getElementById(`rule-enabled-${index}`).checked,
+            match: type === 'regex'
+                ? { type, pattern: matchText }
+                : { type, keywords: splitList(matchText) },
+            actions: {
+                reply: document.getElementById(`rule-reply-${index}`).value.trim(),
+                mediaId: document.getElementById(`rule-media-${index}`).value || null,
+                tags: splitList(document.getElementById(`rule-tags-${index}`).value),
+                humanMode: document.getElementById(`rule-human-${index}`).checked,
+                skipAI: document.getElementById(`rule-skip-ai-${index}`).checked
+            }
+        };
+    });
+    return editedRules;
+}
+
+function addRule() {
+    collectRules();
+    editedRules.push({
+        name: '',
+        enabled: true,
+        match: { type: 'keyword', keywords: [] },
+        actions: { reply: '', mediaId: null, tags: [], humanMode: false, skipAI: false }
+    });
+    renderRules();
+}
+
+function moveRule(index, direction) {
+    collectRules();
+    const target = index + direction;
+    if (target < 0 || target >= editedRules.length) {
+        return;
+    }
+    [editedRules[index], editedRules[target]] = [editedRules[target], editedRules[index]];
+    renderRules();
+}
+
+async function deleteRule(index) {
+    collectRules();
+    const name = editedRules[index].name || `Rule ${index + 1}`;
+    const confirmed = await showConfirm(`Delete ${name}? It is gone once you save the rules.`, 'Delete Rule');
+    if (!confirmed) {
+        return;
+    }
+    editedRules.splice(index, 1);
+    renderRules();
+}
+
+async function saveRules() {
+    const rules = collectRules();
+
+    const config = await window.electronAPI.getConfig();
+    config.rules = rules;
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        // Reload to pick up the ids of new rules
+        const saved = await window.electronAPI.getConfig();
+        editedRules = (saved.rules || []).map(rule => ({ ...rule, match: { ...rule.match }, actions: { ...rule.actions } }));
+        renderRules();
+        showRulesStatus('Rules saved', 'success');
+        addActivityLog(`Rules updated (${rules.length} rule${rules.length !== 1 ? 's' : ''})`);
+    } else {
+        showRulesStatus(result.error || 'Error saving rules', 'error');
+    }
+}
+
+function showRulesStatus(message, type) {
+    const statusEl = document.getElementById('rules-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+async function testRules() {
+    const text = document.getElementById('rules-test-input').value;
+    const resultEl = document.getElementById('rules-test-result');
+
+    const result = await window.electronAPI.testRules(collectRules(), text);
+
+    if (!result.success) {
+        resultEl.textContent = result.error;
+        resultEl.className = 'api-status error';
+        return;
+    }
+    if (!result.match) {
+        resultEl.textContent = 'No rule matches, this message would go to the AI';
+        resultEl.className = 'api-status info';
+        return;
+    }
+
+    const { rule, matched, index } = result.match;
+    const actions = rule.actions;
+    const does = [];
+    if (actions.reply) {
+        does.push(`reply "${actions.reply}"`);
+    }
+    if (actions.mediaId) {
+        does.push('send a media item');
+    }
+    if (actions.tags.length > 0) {
+        does.push(`tag ${actions.tags.join(', ')}`);
+    }
+    if (actions.humanMode) {
+        does.push('hand the chat to a person');
+    }
+    if (actions.skipAI) {
+        does.push('skip the AI');
+    }
+
+    resultEl.textContent = `Matches ${index + 1}. ${rule.name} on "${matched}": would ${does.join(', ')}`;
+    resultEl.className = 'api-status success';
+}
+
+// Starting point for a new flow, see flows.js
+const EXAMPLE_FLOW = {
+    name: 'Support menu',
+    triggers: ['menu', 'help'],
+    start: 'main',
+    fallback: 'human',
+    steps: [
+        {
+            id: 'main',
+            message: 'Hi! How can we help?',
+            options: [
+                { label: 'Opening hours', keywords: ['hours', 'open'], next: 'hours' },
+                { label: 'Order status', keywords: ['order'], next: 'order' },
+                { label: 'Talk to a person', keywords: ['person', 'human'], next: 'handover' }
+            ]
+        },
+        { id: 'hours', message: 'We\'re open 9:00 to 18:00, Monday to Friday.' },
+        { id: 'order', message: 'Send us your order number and we\'ll look it up.', next: 'ai' },
+        { id: 'handover', message: 'Someone from the team will be with you shortly.', next: 'human' }
+    ]
+};
+
+// The flows in the editor, or null (with the reason shown) when it isn't valid JSON
+function readFlowsInput() {
+    try {
+        const flows = JSON.parse(document.getElementById('flows-json-input').value.trim() || '[]');
+        if (!Array.isArray(flows)) {
+            showFlowsStatus('Flows must be a list: [ { ... }, { ... } ]', 'error');
+            return null;
+        }
+        return flows;
+    } catch (error) {
+        showFlowsStatus(`Not valid JSON: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+function insertFlowExample() {
+    const flows = readFlowsInput();
+    if (!flows) {
+        return;
+    }
+
+    const triggers = new Set(flows.flatMap(flow => (flow.triggers || []).map(t => String(t).toLowerCase())));
+    const example = { ...EXAMPLE_FLOW, triggers: EXAMPLE_FLOW.triggers.filter(t => !triggers.has(t)) };
+    if (example.triggers.length === 0) {
+        example.triggers = [`menu ${flows.length + 1}`];
+    }
+
+    flows.push(example);
+    document.getElementById('flows-json-input').value = JSON.stringify(flows, null, 2);
+    showFlowsStatus('Example added. Edit it, then save.', 'info');
+}
+
+async function saveFlows() {
+    const flows = readFlowsInput();
+    if (!flows) {
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.flows = flows;
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        // Show the flows as saved, with ids and defaults filled in
+        const saved = await window.electronAPI.getConfig();
+        document.getElementById('flows-json-input').value = JSON.stringify(saved.flows || [], null, 2);
+        showFlowsStatus('Flows saved', 'success');
+        addActivityLog(`Flows updated (${flows.length} flow${flows.length !== 1 ? 's' : ''})`);
+    } else {
+        showFlowsStatus(result.error || 'Error saving flows', 'error');
+    }
+}
+
+function showFlowsStatus(message, type) {
+    const statusEl = document.getElementById('flows-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+function readToolSettingsForm() {
+    return {
+        enabled: document.getElementById('tools-enabled-toggle').checked,
+        ordersFile: document.getElementById('tools-orders-file-input').value.trim(),
+        orderIdField: document.getElementById('tools-order-id-field-input').value.trim(),
+        orderPhoneField: document.getElementById('tools-order-phone-field-input').value.trim(),
+        faqFile: document.getElementById('tools-faq-file-input').value.trim(),
+        openingHours: document.getElementById('tools-opening-hours-toggle').checked
+    };
+}
+
+async function saveToolSettings() {
+    const tools = readToolSettingsForm();
+
+    if (tools.enabled && !tools.ordersFile && !tools.faqFile && !tools.openingHours) {
+        showToolsStatus('Add an orders or FAQ file, or turn on the opening hours lookup', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.tools = tools;
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showToolsStatus(tools.enabled ? 'AI tools saved, the AI can now look things up' : 'AI tools saved (turned off)', tools.enabled ? 'success' : 'info');
+        addActivityLog(`AI tools ${tools.enabled ? 'enabled' : 'disabled'}`);
+    } else {
+        showToolsStatus(result.error || 'Error saving AI tools', 'error');
+    }
+}
+
+function showToolsStatus(message, type) {
+    const statusEl = document.getElementById('tools-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+// Run a tool with the settings in the form, before saving them
+async function testToolLookup() {
+    const name = document.getElementById('tools-test-select').value;
+    const value = document.getElementById('tools-test-input').value.trim();
+    const resultEl = document.getElementById('tools-test-result');
+
+    const args = name === 'lookup_order' ? { order_id: value } : name === 'search_faq' ? { query: value } : {};
+    // Order lookups answer as if this contact had asked
+    const phoneNumber = document.getElementById('tools-test-phone-input').value.replace(/\D/g, '');
+    const result = await window.electronAPI.testTool(readToolSettingsForm(), name, args, phoneNumber);
+
+    if (!result.success) {
+        resultEl.textContent = result.error || 'Lookup failed';
+        resultEl.className = 'api-status error';
+        return;
+    }
+
+    resultEl.textContent = JSON.stringify(result.result, null, 2);
+    resultEl.className = 'api-status ' + (result.result.found === false ? 'info' : 'success');
+}
+
+async function saveApprovalSettings() {
+    const enabled = document.getElementById('approval-enabled-toggle').checked;
+
+    const config = await window.electronAPI.getConfig();
+    config.approval = { enabled };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showApprovalStatus(enabled
+            ? 'AI replies will wait for approval in Live Chat'
+            : 'AI replies are sent automatically, except for contacts set to always need approval', enabled ? 'success' : 'info');
+        addActivityLog(`Reply approval ${enabled ? 'enabled' : 'disabled'}`);
+    } else {
+        showApprovalStatus('Error saving approval settings', 'error');
+    }
+}
+
+function showApprovalStatus(message, type) {
+    const statusEl = document.getElementById('approval-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+async function saveOptOutSettings() {
+    const keywords = document.getElementById('opt-out-keywords-input').value
+        .split('\n')
+        .map(k => k.trim())
+        .filter(k => k.length > 0);
+    const confirmationMessage = document.getElementById('opt-out-confirmation-input').value.trim();
+
+    // Validation
+    if (keywords.length === 0) {
+        showOptOutStatus('Enter at least one opt-out keyword', 'error');
+        return;
+    }
+
+    if (keywords.some(k => k.length > 50)) {
+        showOptOutStatus('Keywords must be 50 characters or less', 'error');
+        return;
+    }
+
+    const config = await window.electronAPI.getConfig();
+    config.optOut = { keywords, confirmationMessage };
+
+    const result = await window.electronAPI.saveConfig(config);
+
+    if (result.success) {
+        showOptOutStatus(`Opt-out settings saved: ${keywords.length} keyword${keywords.length !== 1 ? 's' : ''}`, 'success');
+        addActivityLog('Opt-out settings updated');
+    } else {
+        showOptOutStatus('Error saving opt-out settings', 'error');
+    }
+}
+
+function showOptOutStatus(message, type) {
+    const statusEl = document.getElementById('opt-out-status');
+    statusEl.textContent = message;
+    statusEl.className = 'api-status ' + type;
+}
+
+// Accounts Tab
+function initializeAccountsTab() {
+    const addAccountBtn = document.getElementById('add-account-btn');
+    const closeModal = document.getElementById('close-account-modal');
+    const generateQrBtn = document.getElementById('generate-qr-btn');
+
+    addAccountBtn.addEventListener('click', openAddAccountModal);
+    closeModal.addEventListener('click', closeAddAccountModal);
+    generateQrBtn.addEventListener('click', generateQrCode);
+
+    document.getElementById('add-account-modal').addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            closeAddAccountModal();
+        }
+    });
+
+    // Fix: Focus on input when modal opens and handle Enter key
+    document.getElementById('account-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            generateQrCode();
+        }
+    });
+}
+
+async function openAddAccountModal() {
+    // Check if account already exists
+    const hasAccount = await window.electronAPI.hasAccount();
+
+    if (hasAccount) {
+        await showAlert('Only one warming account is allowed. Please remove the existing account first.', 'Account Limit');
+        return;
+    }
+
+    const modal = document.getElementById('add-account-modal');
+    const input = document.getElementById('account-name');
+
+    modal.classList.add('active');
+    document.getElementById('account-form').style.display = 'block';
+    document.getElementById('qr-code-section').style.display = 'none';
+    input.value = '';
+
+    // Ensure input is enabled and editable
+    input.disabled = false;
+    input.readOnly = false;
+
+    // Multiple focus attempts with increasing delays to handle animation
+    const focusInput = () => {
+        input.focus();
+        input.select();
+    };
+
+    // Immediate focus
+    focusInput();
+
+    // Delayed focus attempts
+    setTimeout(focusInput, 50);
+    setTimeout(focusInput, 150);
+    setTimeout(focusInput, 300);
+
+    // Add click listener to ensure focus on click
+    input.addEventListener('click', focusInput, { once: true });
+}
+
+function closeAddAccountModal() {
+    const modal = document.getElementById('add-account-modal');
+    const input = document.getElementById('account-name');
+
+    modal.classList.remove('active');
+    currentAccountId = null;
+
+    // Reset form to initial state
+    document.getElementById('account-form').style.display = 'block';
+    document.getElementById('qr-code-section').style.display = 'none';
+    input.value = '';
+    input.disabled = false;
+    input.readOnly = false;
+}
+
+async function generateQrCode() {
+    const accountName = document.getElementById('account-name').value.trim();
+
+    // Security: Validate account name
+    if (!accountName) {
+        await showAlert('Please enter an account name', 'Validation');
+        document.getElementById('account-name').focus();
+        return;
+    }
+
+    // Security: Validate length
+    if (accountName.length < 3 || accountName.length > 50) {
+        await showAlert('Account name must be between 3-50 characters', 'Validation');
+        document.getElementById('account-name').focus();
+        return;
+    }
+
+    // Security: Only allow alphanumeric, spaces, and basic punctuation
+    if (!/^[a-zA-Z0-9\s\-_.]+$/.test(accountName)) {
+        await showAlert('Account name can only contain letters, numbers, spaces, and basic punctuation', 'Validation');
+        document.getElementById('account-name').focus();
+        return;
+    }
+
+    document.getElementById('account-form').style.display = 'none';
+    document.getElementById('qr-code-section').style.display = 'block';
+    document.querySelector('.qr-loading').style.display = 'flex';
+    document.getElementById('qr-code-image').style.display = 'none';
+    document.getElementById('qr-status').textContent = 'Initializing...';
+
+    const result = await window.electronAPI.addAccount(accountName);
+
+    if (result.success) {
+        currentAccountId = result.account.id;
+        document.getElementById('qr-status').textContent = 'Waiting for QR code...';
+    } else {
+        document.getElementById('qr-status').textContent = `Error: ${result.error}`;
+    }
+}
+
+async function loadAccounts() {
+    const accounts = await window.electronAPI.getAccounts();
+    const accountsList = document.getElementById('accounts-list');
+
+    if (accounts.length === 0) {
+        accountsList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">📱</div>
+                <h3>No account added yet</h3>
+                <p>Click "Add Account" to connect your WhatsApp account</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Single account - centered profile design
+    const account = accounts[0];
+    const hasProblem = account.status === 'degraded' || account.status === 'disconnected';
+    const statusColor = account.status === 'ready' ? '#10b981' : hasProblem ? '#ef4444' : '#6b7280';
+    const statusIcon = account.status === 'ready' ? '✓' : '○';
+
+    accountsList.innerHTML = `
+        <div class="account-profile-container">
+            <div class="account-profile-card ${account.status === 'ready' ? 'account-connected' : 'account-connecting'}">
+                <div class="account-profile-header">
+                    <div class="account-avatar">
+                        <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+                            <circle cx="12" cy="7" r="4"></circle>
+                        </svg>
+                    </div>
+                    <div class="account-profile-info">
+                        <h2>${escapeHtml(account.name)}</h2>
+                        <p class="account-phone-number">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
+                            </svg>
                             +${escapeHtml(account.phoneNumber || 'Connecting...')}</p>
                     </div>
                     <div class="account-profile-status">
@@ -600,7 +1636,7 @@ async function loadAccounts() {
                     <div class="account-detail-item">
                         <span class="detail-label">Connection Status</span>
                         <span class="detail-value" style="color: ${statusColor}; font-weight: 600;">
-                            ${account.status === 'ready' ? 'Active & Ready' : 'Connecting...'}
+                            ${account.status === 'ready' ? 'Active & Ready' : escapeHtml(getStatusText(account.status))}${hasProblem && account.statusReason ? ` (${escapeHtml(account.statusReason)})` : ''}
                         </span>
                     </div>
                     <div class="account-detail-item">
@@ -627,9 +1663,11 @@ function getStatusText(status) {
     const statusMap = {
         'ready': 'Connected',
         'connecting': 'Connecting...',
+        'pairing': 'Waiting for QR Scan',
         'authenticated': 'Authenticated',
+        'degraded': 'Connection Problem',
         'disconnected': 'Disconnected',
-        'auth_failure': 'Auth Failed'
+        'not_initialized': 'Not Connected'
     };
     return statusMap[status] || status;
 }
@@ -649,6 +1687,61 @@ async function removeAccount(accountId) {
     }
 }
 
+// Clear the AI's saved conversation so the next warming session starts fresh
+async function resetConversation(phoneNumber) {
+    const confirmed = await showConfirm(
+        `Reset the AI conversation with +${phoneNumber}? The AI will forget what was said and greet this number again next time warming starts. Chat history stays visible.`,
+        'Reset Conversation'
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    const result = await window.electronAPI.resetConversation(phoneNumber);
+    if (result.success) {
+        addActivityLog(`Conversation with +${phoneNumber} reset`);
+    } else {
+        await showAlert(`Failed to reset conversation: ${result.error}`, 'Error');
+    }
+}
+
+// Take a conversation over from the AI, or hand it back
+async function toggleHumanMode(phoneNumber) {
+    const active = !conversationOwners[phoneNumber];
+    const result = await window.electronAPI.setHumanMode(phoneNumber, active);
+    if (!result.success) {
+        await showAlert(`Failed to change who handles this conversation: ${result.error}`, 'Error');
+    }
+}
+
+// Owner badge and take over / hand back button for a chat header
+function buildConversationOwnerHtml(phoneNumber) {
+    const owner = conversationOwners[phoneNumber];
+    const safeNumber = sanitizeAttribute(phoneNumber);
+
+    if (!owner) {
+        return `
+            <span class="owner-badge owner-ai" title="The AI answers this conversation">🤖 AI</span>
+            <button class="btn btn-small btn-secondary" onclick="toggleHumanMode('${safeNumber}')">Take Over</button>
+        `;
+    }
+
+    const since = new Date(owner.since).toLocaleTimeString();
+    const how = HUMAN_MODE_REASON_LABELS[owner.reason] || 'taken over';
+    return `
+        <span class="owner-badge owner-human" title="Operator ${sanitizeAttribute(how)} at ${sanitizeAttribute(since)}. The AI won't reply.">👤 Human</span>
+        <button class="btn btn-small btn-secondary" onclick="toggleHumanMode('${safeNumber}')">Hand Back to AI</button>
+    `;
+}
+
+function updateConversationOwner(phoneNumber) {
+    const segment = document.getElementById(`chat-segment-${phoneNumber}`);
+    const ownerEl = segment && segment.querySelector('.conversation-owner');
+    if (ownerEl) {
+        ownerEl.innerHTML = buildConversationOwnerHtml(phoneNumber);
+    }
+}
+
 // Phone Numbers Tab
 function initializePhoneNumbersTab() {
     const addBtn = document.getElementById('add-phone-number-btn');
@@ -677,6 +1770,76 @@ function initializePhoneNumbersTab() {
             savePhoneNumber();
         }
     });
+
+    // Consent channel options
+    document.querySelectorAll('.consent-channel-select').forEach(select => {
+        select.innerHTML = '<option value="">Select channel...</option>' +
+            Object.entries(CONSENT_CHANNEL_LABELS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+    });
+
+    // Contact fields modal
+    document.getElementById('close-fields-modal').addEventListener('click', closeFieldsModal);
+    document.getElementById('save-fields-btn').addEventListener('click', saveFields);
+    document.getElementById('fields-modal').addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            closeFieldsModal();
+        }
+    });
+
+    // Consent modal
+    document.getElementById('close-consent-modal').addEventListener('click', closeConsentModal);
+    document.getElementById('save-consent-btn').addEventListener('click', saveConsent);
+    document.getElementById('consent-modal').addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            closeConsentModal();
+        }
+    });
+}
+
+// Format a date for a datetime-local input (local time, minute precision)
+function toDateTimeLocalValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function fillConsentForm(prefix, consent) {
+    document.getElementById(`${prefix}-source-input`).value = consent ? consent.source : '';
+    document.getElementById(`${prefix}-channel-select`).value = consent ? consent.channel : '';
+    document.getElementById(`${prefix}-date-input`).value = toDateTimeLocalValue(consent ? new Date(consent.timestamp) : new Date());
+    document.getElementById(`${prefix}-evidence-input`).value = consent ? consent.evidence || '' : '';
+}
+
+// Read a consent form. Returns null when left blank, { error } when incomplete, otherwise { consent }.
+function readConsentForm(prefix) {
+    const source = document.getElementById(`${prefix}-source-input`).value.trim();
+    const channel = document.getElementById(`${prefix}-channel-select`).value;
+    const dateValue = document.getElementById(`${prefix}-date-input`).value;
+    const evidence = document.getElementById(`${prefix}-evidence-input`).value.trim();
+
+    if (!source && !channel && !evidence) {
+        return null;
+    }
+
+    if (!source) {
+        return { error: 'Please enter where consent was given' };
+    }
+
+    if (!channel) {
+        return { error: 'Please choose the channel consent was given through' };
+    }
+
+    const timestamp = new Date(dateValue);
+    if (!dateValue || isNaN(timestamp.getTime())) {
+        return { error: 'Please enter when consent was given' };
+    }
+
+    if (timestamp > new Date()) {
+        return { error: 'Consent date cannot be in the future' };
+    }
+
+    return { consent: { source, channel, timestamp: timestamp.toISOString(), evidence } };
 }
 
 function openAddPhoneModal() {
@@ -686,6 +1849,8 @@ function openAddPhoneModal() {
     modal.classList.add('active');
     input.value = '';
     document.getElementById('phone-name-input').value = '';
+    document.getElementById('phone-tags-input').value = '';
+    fillConsentForm('phone-consent', null);
 
     // Ensure input is enabled and editable
     input.disabled = false;
@@ -719,6 +1884,8 @@ function closeAddPhoneModal() {
     // Reset form to initial state
     phoneInput.value = '';
     nameInput.value = '';
+    document.getElementById('phone-tags-input').value = '';
+    fillConsentForm('phone-consent', null);
     phoneInput.disabled = false;
     phoneInput.readOnly = false;
     nameInput.disabled = false;
@@ -728,6 +1895,7 @@ function closeAddPhoneModal() {
 async function savePhoneNumber() {
     const phoneNumber = document.getElementById('phone-number-input').value.trim();
     const name = document.getElementById('phone-name-input').value.trim();
+    const tags = document.getElementById('phone-tags-input').value;
 
     // Security: Validate phone number
     if (!phoneNumber) {
@@ -747,87 +1915,291 @@ async function savePhoneNumber() {
         return;
     }
 
-    // Security: Validate name if provided
-    if (name) {
-        if (name.length > 50) {
-            await showAlert('Name must be less than 50 characters', 'Validation');
-            return;
+    // Security: Validate name if provided
+    if (name) {
+        if (name.length > 50) {
+            await showAlert('Name must be less than 50 characters', 'Validation');
+            return;
+        }
+        // Only allow alphanumeric, spaces, and basic punctuation
+        if (!/^[a-zA-Z0-9\s\-_.]+$/.test(name)) {
+            await showAlert('Name can only contain letters, numbers, spaces, and basic punctuation', 'Validation');
+            return;
+        }
+    }
+
+    const consentForm = readConsentForm('phone-consent');
+    if (consentForm && consentForm.error) {
+        await showAlert(consentForm.error, 'Validation');
+        return;
+    }
+
+    const result = await window.electronAPI.addPhoneNumber(phoneNumber, name, consentForm ? consentForm.consent : null, tags);
+
+    if (result.success) {
+        closeAddPhoneModal();
+        loadPhoneNumbers();
+        loadStats();
+        checkRequirements();
+        addActivityLog(`Phone number added: ${phoneNumber}`);
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
+}
+
+async function loadPhoneNumbers() {
+    const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+
+    // Update cache for chat filtering
+    targetedPhoneNumbers = new Set(phoneNumbers.map(p => p.number));
+
+    const listEl = document.getElementById('phone-numbers-list');
+
+    if (phoneNumbers.length === 0) {
+        listEl.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                        <circle cx="9" cy="7" r="4"></circle>
+                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+                        <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+                    </svg>
+                </div>
+                <h3>No phone numbers added yet</h3>
+                <p>Click "Add Phone Number" to add target numbers</p>
+            </div>
+        `;
+        return;
+    }
+
+    listEl.innerHTML = phoneNumbers.map(phone => {
+        const isEnabled = phone.enabled !== false;
+        const optedOutInfo = phone.optedOut
+            ? `<p class="phone-opt-out-info">Opted out ${escapeHtml(new Date(phone.optedOutAt).toLocaleString())}${phone.optOutKeyword ? ` (replied "${escapeHtml(phone.optOutKeyword)}")` : ''}</p>`
+            : '';
+        const consentInfo = phone.consentStatus === 'valid'
+            ? `<p class="phone-consent-info" title="${sanitizeAttribute(phone.consent.evidence || '')}">Consent: ${escapeHtml(CONSENT_CHANNEL_LABELS[phone.consent.channel] || phone.consent.channel)} &middot; ${escapeHtml(phone.consent.source)} &middot; ${escapeHtml(new Date(phone.consent.timestamp).toLocaleDateString())}</p>`
+            : '';
+        const fieldsInfo = phone.fields && Object.keys(phone.fields).length > 0
+            ? `<p class="phone-fields-info">${Object.entries(phone.fields).map(([field, value]) => `${escapeHtml(field)}: ${escapeHtml(value)}`).join(' &middot; ')}</p>`
+            : '';
+        const timeZoneInfo = `<p class="phone-time-zone-info">Time zone: ${escapeHtml(phone.effectiveTimeZone)}${phone.timeZone ? '' : ' (from country code)'}</p>`;
+        const tagsInfo = phone.tags && phone.tags.length > 0
+            ? `<div class="phone-tags">${phone.tags.map(tag => `<span class="phone-tag">${escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+        return `
+            <div class="phone-number-card ${isEnabled && !phone.optedOut ? '' : 'phone-disabled'}">
+                <div class="phone-info">
+                    <h3>${escapeHtml(phone.name)}</h3>
+                    <div class="phone-number-row">
+                        <p class="phone-number">+${escapeHtml(phone.number)}</p>
+                        ${phone.optedOut ? '<span class="phone-status-badge opted-out">Opted out</span>' : ''}
+                        ${!isEnabled && !phone.optedOut ? '<span class="phone-status-badge">Paused</span>' : ''}
+                        ${phone.consentStatus === 'missing' ? '<span class="phone-status-badge no-consent">No consent</span>' : ''}
+                    </div>
+                    ${tagsInfo}
+                    ${fieldsInfo}
+                    ${timeZoneInfo}
+                    ${consentInfo}
+                    ${optedOutInfo}
+                </div>
+                <div class="phone-actions">
+                    ${phone.optedOut
+                        ? `<button class="btn btn-small btn-secondary" onclick="optInPhoneNumber('${sanitizeAttribute(phone.id)}')">Opt In</button>`
+                        : `<button class="btn btn-small btn-secondary" onclick="openConsentModal('${sanitizeAttribute(phone.id)}')">Consent</button>
+                    <label class="toggle-switch" title="${sanitizeAttribute(isEnabled ? 'Disable AI responses' : 'Enable AI responses')}">
+                        <input type="checkbox" ${isEnabled ? 'checked' : ''} onchange="togglePhoneNumber('${sanitizeAttribute(phone.id)}', this.checked)">
+                        <span class="toggle-slider"></span>
+                    </label>`}
+                    <select class="phone-approval-select" title="Review AI replies before they are sent" onchange="setPhoneApprovalMode('${sanitizeAttribute(phone.id)}', this.value)">
+                        <option value="default" ${!phone.approvalMode ? 'selected' : ''}>Approval: default</option>
+                        <option value="always" ${phone.approvalMode === 'always' ? 'selected' : ''}>Approval: always</option>
+                        <option value="never" ${phone.approvalMode === 'never' ? 'selected' : ''}>Approval: never</option>
+                    </select>
+                    <button class="btn btn-small btn-secondary" onclick="editPhoneTags('${sanitizeAttribute(phone.id)}')">Tags</button>
+                    <button class="btn btn-small btn-secondary" onclick="openFieldsModal('${sanitizeAttribute(phone.id)}')">Fields</button>
+                    <button class="btn btn-small btn-secondary" onclick="editPhoneTimeZone('${sanitizeAttribute(phone.id)}')">Time Zone</button>
+                    <button class="btn btn-small btn-danger" onclick="removePhoneNumber('${sanitizeAttribute(phone.id)}')">Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function togglePhoneNumber(phoneId, enabled) {
+    const result = await window.electronAPI.togglePhoneNumber(phoneId);
+    if (result.success) {
+        loadPhoneNumbers();
+        const status = result.enabled ? 'enabled' : 'paused';
+        addActivityLog(`Phone number ${status}`);
+    }
+}
+
+async function setPhoneApprovalMode(phoneId, mode) {
+    const result = await window.electronAPI.setPhoneApprovalMode(phoneId, mode);
+    if (result.success) {
+        const labels = { default: 'follow the global setting', always: 'always need approval', never: 'are sent without approval' };
+        addActivityLog(`AI replies to +${result.phoneNumber.number} ${labels[mode]}`);
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+        loadPhoneNumbers();
+    }
+}
+
+async function editPhoneTags(phoneId) {
+    const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+    const phone = phoneNumbers.find(p => p.id === phoneId);
+    if (!phone) {
+        return;
+    }
+
+    const tags = await showPrompt(
+        `Tags for ${phone.name} (+${phone.number}), separated by commas:`,
+        (phone.tags || []).join(', '),
+        'Edit Tags'
+    );
+    if (tags === null) {
+        return;
+    }
+
+    const result = await window.electronAPI.setPhoneTags(phoneId, tags);
+    if (result.success) {
+        loadPhoneNumbers();
+        loadBlastStats();
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
+}
+
+async function editPhoneTimeZone(phoneId) {
+    const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+    const phone = phoneNumbers.find(p => p.id === phoneId);
+    if (!phone) {
+        return;
+    }
+
+    const timeZone = await showPrompt(
+        `Time zone for ${phone.name} (+${phone.number}), used for quiet hours. Use a name like Asia/Kuala_Lumpur or Europe/London, or leave empty to go by the country code:`,
+        phone.effectiveTimeZone,
+        'Time Zone'
+    );
+    if (timeZone === null) {
+        return;
+    }
+
+    const result = await window.electronAPI.setPhoneTimeZone(phoneId, timeZone);
+    if (result.success) {
+        loadPhoneNumbers();
+        loadHeldMessages();
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
+}
+
+async function openFieldsModal(phoneId) {
+    const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+    const phone = phoneNumbers.find(p => p.id === phoneId);
+    if (!phone) {
+        return;
+    }
+
+    fieldsPhoneId = phoneId;
+    document.getElementById('fields-contact-label').textContent = `Merge fields for ${phone.name} (+${phone.number})`;
+    document.getElementById('fields-input').value = Object.entries(phone.fields || {})
+        .map(([field, value]) => `${field}: ${value}`)
+        .join('\n');
+    document.getElementById('fields-modal').classList.add('active');
+    document.getElementById('fields-input').focus();
+}
+
+function closeFieldsModal() {
+    document.getElementById('fields-modal').classList.remove('active');
+    fieldsPhoneId = null;
+}
+
+async function saveFields() {
+    // One "field: value" per line
+    const fields = {};
+    for (const line of document.getElementById('fields-input').value.split('\n')) {
+        if (!line.trim()) {
+            continue;
         }
-        // Only allow alphanumeric, spaces, and basic punctuation
-        if (!/^[a-zA-Z0-9\s\-_.]+$/.test(name)) {
-            await showAlert('Name can only contain letters, numbers, spaces, and basic punctuation', 'Validation');
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            await showAlert(`"${line.trim()}" needs a colon between the field and its value`, 'Validation');
             return;
         }
+        fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
     }
 
-    const result = await window.electronAPI.addPhoneNumber(phoneNumber, name);
-
+    const result = await window.electronAPI.setPhoneFields(fieldsPhoneId, fields);
     if (result.success) {
-        closeAddPhoneModal();
+        closeFieldsModal();
         loadPhoneNumbers();
-        loadStats();
-        checkRequirements();
-        addActivityLog(`Phone number added: ${phoneNumber}`);
     } else {
         await showAlert('Error: ' + result.error, 'Error');
     }
 }
 
-async function loadPhoneNumbers() {
+async function openConsentModal(phoneId) {
     const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+    const phone = phoneNumbers.find(p => p.id === phoneId);
+    if (!phone) {
+        return;
+    }
 
-    // Update cache for chat filtering
-    targetedPhoneNumbers = new Set(phoneNumbers.map(p => p.number));
+    consentPhoneId = phoneId;
+    document.getElementById('consent-contact-label').textContent = `${phone.name} (+${phone.number})`;
+    fillConsentForm('consent', phone.consent || null);
+    document.getElementById('consent-modal').classList.add('active');
+    document.getElementById('consent-source-input').focus();
+}
 
-    const listEl = document.getElementById('phone-numbers-list');
+function closeConsentModal() {
+    document.getElementById('consent-modal').classList.remove('active');
+    consentPhoneId = null;
+}
 
-    if (phoneNumbers.length === 0) {
-        listEl.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
-                        <circle cx="9" cy="7" r="4"></circle>
-                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
-                        <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
-                    </svg>
-                </div>
-                <h3>No phone numbers added yet</h3>
-                <p>Click "Add Phone Number" to add target numbers</p>
-            </div>
-        `;
+async function saveConsent() {
+    const consentForm = readConsentForm('consent');
+    if (!consentForm) {
+        await showAlert('Please fill in the consent details', 'Validation');
+        return;
+    }
+    if (consentForm.error) {
+        await showAlert(consentForm.error, 'Validation');
         return;
     }
 
-    listEl.innerHTML = phoneNumbers.map(phone => {
-        const isEnabled = phone.enabled !== false;
-        return `
-            <div class="phone-number-card ${isEnabled ? '' : 'phone-disabled'}">
-                <div class="phone-info">
-                    <h3>${escapeHtml(phone.name)}</h3>
-                    <div class="phone-number-row">
-                        <p class="phone-number">+${escapeHtml(phone.number)}</p>
-                        ${!isEnabled ? '<span class="phone-status-badge">Paused</span>' : ''}
-                    </div>
-                </div>
-                <div class="phone-actions">
-                    <label class="toggle-switch" title="${sanitizeAttribute(isEnabled ? 'Disable AI responses' : 'Enable AI responses')}">
-                        <input type="checkbox" ${isEnabled ? 'checked' : ''} onchange="togglePhoneNumber('${sanitizeAttribute(phone.id)}', this.checked)">
-                        <span class="toggle-slider"></span>
-                    </label>
-                    <button class="btn btn-small btn-danger" onclick="removePhoneNumber('${sanitizeAttribute(phone.id)}')">Remove</button>
-                </div>
-            </div>
-        `;
-    }).join('');
+    const result = await window.electronAPI.recordConsent(consentPhoneId, consentForm.consent);
+    if (result.success) {
+        closeConsentModal();
+        loadPhoneNumbers();
+        loadBlastStats();
+        addActivityLog(`Consent recorded for +${result.phoneNumber.number}`);
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
 }
 
-async function togglePhoneNumber(phoneId, enabled) {
-    const result = await window.electronAPI.togglePhoneNumber(phoneId);
+async function optInPhoneNumber(phoneId) {
+    const note = await showPrompt(
+        'This contact asked not to be messaged. Only opt them back in if they have asked to receive messages again. How did they ask? (saved with the opt-in)',
+        '',
+        'Opt Contact Back In'
+    );
+    if (note === null) {
+        return;
+    }
+
+    const result = await window.electronAPI.optInPhoneNumber(phoneId, note);
     if (result.success) {
         loadPhoneNumbers();
-        const status = result.enabled ? 'enabled' : 'paused';
-        addActivityLog(`Phone number ${status}`);
+        loadBlastStats();
+        addActivityLog(`+${result.phoneNumber.number} opted back in by operator`);
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
     }
 }
 
@@ -858,20 +2230,21 @@ function initializeWarmerTab() {
 async function checkRequirements() {
     const accounts = await window.electronAPI.getAccounts();
     const phoneNumbers = await window.electronAPI.getPhoneNumbers();
-    const config = await window.electronAPI.getConfig();
+    const aiStatus = await window.electronAPI.getAiProviderStatus();
 
     const hasAccount = accounts.length > 0 && accounts[0].status === 'ready';
-    const hasApiKey = config.apiKey && config.apiKey.length > 0;
+    const hasAI = aiStatus.ready;
     const hasNumbers = phoneNumbers.length > 0;
 
     document.getElementById('req-account').textContent = hasAccount ? '✅' : '❌';
-    document.getElementById('req-api').textContent = hasApiKey ? '✅' : '❌';
+    document.getElementById('req-api').textContent = hasAI ? '✅' : '❌';
+    document.getElementById('req-api').title = aiStatus.error || '';
     document.getElementById('req-numbers').textContent = hasNumbers ? '✅' : '❌';
 
-    const canStart = hasAccount && hasApiKey && hasNumbers;
+    const canStart = hasAccount && hasAI && hasNumbers;
     document.getElementById('start-warming-btn').disabled = !canStart;
 
-    return { hasAccount, hasApiKey, hasNumbers, canStart };
+    return { hasAccount, hasAI, hasNumbers, canStart };
 }
 
 async function startWarming() {
@@ -991,13 +2364,17 @@ function clearDemoMessages() {
 }
 
 async function loadMessages() {
-    const messagesByPhone = await window.electronAPI.getMessagesByPhone();
+    const messagesByPhone = await window.electronAPI.getMessagesByPhone({ limit: MESSAGE_PAGE_SIZE });
     const targetedNumbers = await window.electronAPI.getPhoneNumbers();
 
     // Update caches
     cachedMessages = messagesByPhone || {};
     targetedPhoneNumbers = new Set(targetedNumbers.map(p => p.number));
 
+    await loadComposerAttachmentOptions();
+    conversationOwners = await window.electronAPI.getConversationOwners() || {};
+    await loadDrafts();
+
     displaySegmentedMessages(messagesByPhone, targetedNumbers);
 }
 
@@ -1062,7 +2439,11 @@ function addMessageToChat(messageData) {
             header.className = 'chat-segment-header';
             header.innerHTML = `
                 <h3>📱 +${escapeHtml(phoneNumber)}</h3>
-                <span class="message-count">1 message</span>
+                <div class="chat-segment-actions">
+                    <span class="conversation-owner">${buildConversationOwnerHtml(phoneNumber)}</span>
+                    <span class="message-count">1 message</span>
+                    <button class="btn btn-small btn-danger" onclick="resetConversation('${sanitizeAttribute(phoneNumber)}')">Reset</button>
+                </div>
             `;
 
             const chatContainer = document.createElement('div');
@@ -1070,6 +2451,8 @@ function addMessageToChat(messageData) {
 
             segment.appendChild(header);
             segment.appendChild(chatContainer);
+            segment.appendChild(createDraftsElement(phoneNumber));
+            segment.appendChild(createComposerElement(phoneNumber));
             container.appendChild(segment);
             console.log('Created new chat segment for:', phoneNumber);
         }
@@ -1083,34 +2466,12 @@ function addMessageToChat(messageData) {
         const chatContainer = segment.querySelector('.chat-segment-messages');
 
         // Create message element
-        const time = new Date(msg.timestamp * 1000).toLocaleTimeString();
-
-        let displayBody = escapeHtml(msg.body || '');
-        let mediaIndicator = '';
-
-        // Add media indicators
-        if (msg.hasMedia && msg.mediaContext) {
-            if (msg.mediaContext.type === 'image') {
-                const desc = msg.mediaContext.description || 'an image';
-                mediaIndicator = `<div class="media-indicator image-indicator">
-                    📷 Image: ${escapeHtml(desc)}
-                </div>`;
-            } else if (msg.mediaContext.type === 'voice') {
-                const trans = msg.mediaContext.transcription || '[voice message]';
-                mediaIndicator = `<div class="media-indicator voice-indicator">
-                    🎤 Voice: "${escapeHtml(trans)}"
-                </div>`;
-                displayBody = ''; // Voice messages don't have separate body
-            }
-        }
-
         const messageDiv = document.createElement('div');
-        messageDiv.className = `chat-message ${isOwnMessage ? 'message-own' : 'message-received'}`;
-        messageDiv.innerHTML = `
-            ${mediaIndicator}
-            ${displayBody ? `<div class="message-body">${displayBody}</div>` : ''}
-            <div class="message-time">${time}</div>
-        `;
+        messageDiv.className = getMessageClassName(cachedMsg);
+        if (cachedMsg.id) {
+            messageDiv.dataset.messageId = cachedMsg.id;
+        }
+        messageDiv.innerHTML = buildMessageContentHtml(cachedMsg);
 
         // Append message
         chatContainer.appendChild(messageDiv);
@@ -1171,45 +2532,29 @@ function displaySegmentedMessages(messagesByPhone, targetedNumbers = []) {
         header.className = 'chat-segment-header';
         header.innerHTML = `
             <h3>📱 +${phoneNumber}</h3>
-            <span class="message-count">${messages.length} messages</span>
+            <div class="chat-segment-actions">
+                ${demoMode ? '' : `<span class="conversation-owner">${buildConversationOwnerHtml(phoneNumber)}</span>`}
+                <span class="message-count">${messages.length} messages</span>
+                ${demoMode ? '' : `<button class="btn btn-small btn-danger" onclick="resetConversation('${sanitizeAttribute(phoneNumber)}')">Reset</button>`}
+            </div>
         `;
 
         const chatContainer = document.createElement('div');
         chatContainer.className = 'chat-segment-messages';
 
-        chatContainer.innerHTML = messages.map(msg => {
-            const time = new Date(msg.timestamp * 1000).toLocaleTimeString();
-
-            let displayBody = escapeHtml(msg.body || '');
-            let mediaIndicator = '';
-
-            // Add media indicators
-            if (msg.hasMedia && msg.mediaContext) {
-                if (msg.mediaContext.type === 'image') {
-                    const desc = msg.mediaContext.description || 'an image';
-                    mediaIndicator = `<div class="media-indicator image-indicator">
-                        📷 Image: ${escapeHtml(desc)}
-                    </div>`;
-                } else if (msg.mediaContext.type === 'voice') {
-                    const trans = msg.mediaContext.transcription || '[voice message]';
-                    mediaIndicator = `<div class="media-indicator voice-indicator">
-                        🎤 Voice: "${escapeHtml(trans)}"
-                    </div>`;
-                    displayBody = ''; // Voice messages don't have separate body
-                }
-            }
+        // Older history is fetched page by page on demand
+        const loadOlderHtml = !demoMode && messages.length >= MESSAGE_PAGE_SIZE
+            ? `<button class="load-older-btn" onclick="loadOlderMessages('${sanitizeAttribute(phoneNumber)}')">Load earlier messages</button>`
+            : '';
 
-            return `
-                <div class="chat-message ${msg.isOwn ? 'message-own' : 'message-received'}">
-                    ${mediaIndicator}
-                    ${displayBody ? `<div class="message-body">${displayBody}</div>` : ''}
-                    <div class="message-time">${time}</div>
-                </div>
-            `;
-        }).join('');
+        chatContainer.innerHTML = loadOlderHtml + messages.map(buildMessageHtml).join('');
 
         segment.appendChild(header);
         segment.appendChild(chatContainer);
+        if (!demoMode) {
+            segment.appendChild(createDraftsElement(phoneNumber));
+            segment.appendChild(createComposerElement(phoneNumber));
+        }
         fragment.appendChild(segment);
         hasConversations = true;
 
@@ -1236,6 +2581,322 @@ function displaySegmentedMessages(messagesByPhone, targetedNumbers = []) {
     }
 }
 
+// Build the inner HTML of a chat bubble (media indicator, body, time)
+function buildMessageContentHtml(msg) {
+    const time = new Date(msg.timestamp * 1000).toLocaleTimeString();
+
+    let displayBody = escapeHtml(msg.body || '');
+    let mediaIndicator = '';
+
+    // Add media indicators
+    if (msg.hasMedia && msg.mediaContext) {
+        if (msg.mediaContext.type === 'image') {
+            const desc = msg.mediaContext.description || 'an image';
+            mediaIndicator = `<div class="media-indicator image-indicator">
+                📷 Image: ${escapeHtml(desc)}
+            </div>`;
+        } else if (msg.mediaContext.type === 'voice') {
+            const trans = msg.mediaContext.transcription || '[voice message]';
+            mediaIndicator = `<div class="media-indicator voice-indicator">
+                🎤 Voice: "${escapeHtml(trans)}"
+            </div>`;
+            displayBody = ''; // Voice messages don't have separate body
+        } else if (msg.mediaContext.type === 'sticker') {
+            mediaIndicator = `<div class="media-indicator sticker-indicator">
+                🏷️ Sticker
+            </div>`;
+        }
+    }
+
+    const isOwnMessage = msg.fromMe !== undefined ? msg.fromMe : msg.isOwn;
+    const sourceLabel = isOwnMessage && MESSAGE_SOURCE_LABELS[msg.source]
+        ? `<span class="message-source">${MESSAGE_SOURCE_LABELS[msg.source]}</span>`
+        : '';
+
+    return `
+        ${mediaIndicator}
+        ${displayBody ? `<div class="message-body">${displayBody}</div>` : ''}
+        <div class="message-time">${sourceLabel}${time}${isOwnMessage ? buildStatusTicksHtml(msg.status) : ''}</div>
+    `;
+}
+
+function buildStatusTicksHtml(status) {
+    const ticks = MESSAGE_STATUS_TICKS[status];
+    if (!ticks) {
+        return '';
+    }
+    return `<span class="message-ticks status-${status}" title="${ticks.label}">${ticks.icon}</span>`;
+}
+
+// Update the ticks on a sent message when WhatsApp reports delivery or reading
+function updateMessageStatus({ phoneNumber, messageId, status }) {
+    const cached = (cachedMessages[phoneNumber] || []).find(m => m.id === messageId);
+    if (cached) {
+        cached.status = status;
+    }
+
+    const messageEl = document.querySelector(`.chat-message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageEl) {
+        return;
+    }
+
+    const timeEl = messageEl.querySelector('.message-time');
+    const ticksEl = timeEl.querySelector('.message-ticks');
+    if (ticksEl) {
+        ticksEl.remove();
+    }
+    timeEl.insertAdjacentHTML('beforeend', buildStatusTicksHtml(status));
+}
+
+function getMessageClassName(msg) {
+    const isOwnMessage = msg.fromMe !== undefined ? msg.fromMe : msg.isOwn;
+    if (!isOwnMessage) {
+        return 'chat-message message-received';
+    }
+    return `chat-message message-own${msg.source === 'manual' ? ' message-manual' : ''}`;
+}
+
+function buildMessageHtml(msg) {
+    return `
+        <div class="${getMessageClassName(msg)}" data-message-id="${sanitizeAttribute(msg.id)}">
+            ${buildMessageContentHtml(msg)}
+        </div>
+    `;
+}
+
+// Build the <option> list of media library images and stickers for chat composers
+async function loadComposerAttachmentOptions() {
+    try {
+        const [mediaItems, stickerCategories] = await Promise.all([
+            window.electronAPI.getMediaItems(),
+            window.electronAPI.getStickerCategories()
+        ]);
+
+        const mediaOptions = (mediaItems || [])
+            .map(item => `<option value="media:${sanitizeAttribute(item.id)}">${escapeHtml((item.context || item.fileName).substring(0, 40))}</option>`)
+            .join('');
+
+        const stickerOptions = (stickerCategories || [])
+            .flatMap(category => category.stickers.map(fileName =>
+                `<option value="sticker:${sanitizeAttribute(category.name)}/${sanitizeAttribute(fileName)}">${escapeHtml(category.name)}: ${escapeHtml(fileName)}</option>`
+            ))
+            .join('');
+
+        composerAttachmentOptions =
+            (mediaOptions ? `<optgroup label="Media Library">${mediaOptions}</optgroup>` : '') +
+            (stickerOptions ? `<optgroup label="Stickers">${stickerOptions}</optgroup>` : '');
+    } catch (error) {
+        console.error('Error loading composer attachments:', error);
+        composerAttachmentOptions = '';
+    }
+}
+
+// Reply box shown under each conversation
+function createComposerElement(phoneNumber) {
+    const composer = document.createElement('div');
+    composer.className = 'chat-composer';
+    composer.innerHTML = `
+        ${composerAttachmentOptions ? `
+            <select class="composer-attachment-select" title="Attach an image or sticker">
+                <option value="">No attachment</option>
+                ${composerAttachmentOptions}
+            </select>
+        ` : ''}
+        <div class="composer-row">
+            <textarea class="composer-input" rows="1" maxlength="4096" placeholder="Type a reply..."></textarea>
+            <button class="btn btn-secondary btn-small composer-schedule-btn" title="Send this message later">Schedule</button>
+            <button class="btn btn-primary btn-small composer-send-btn">Send</button>
+        </div>
+    `;
+
+    const input = composer.querySelector('.composer-input');
+    composer.querySelector('.composer-send-btn').addEventListener('click', () => sendComposerMessage(phoneNumber));
+    composer.querySelector('.composer-schedule-btn').addEventListener('click', () => openScheduleMessageModal(phoneNumber, input.value.trim()));
+
+    // Enter sends, Shift+Enter adds a new line
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendComposerMessage(phoneNumber);
+        }
+    });
+
+    return composer;
+}
+
+async function sendComposerMessage(phoneNumber) {
+    const segment = document.getElementById(`chat-segment-${phoneNumber}`);
+    if (!segment) return;
+
+    const input = segment.querySelector('.composer-input');
+    const attachmentSelect = segment.querySelector('.composer-attachment-select');
+    const sendBtn = segment.querySelector('.composer-send-btn');
+
+    const text = input.value.trim();
+    const attachment = attachmentSelect ? attachmentSelect.value : '';
+
+    if (!text && !attachment) {
+        return;
+    }
+
+    const data = { phoneNumber, text };
+    if (attachment.startsWith('media:')) {
+        data.mediaId = attachment.substring('media:'.length);
+    } else if (attachment.startsWith('sticker:')) {
+        const [category, fileName] = attachment.substring('sticker:'.length).split('/');
+        data.sticker = { category, fileName };
+    }
+
+    sendBtn.disabled = true;
+
+    try {
+        const result = await window.electronAPI.sendMessage(data);
+
+        if (result.success) {
+            input.value = '';
+            if (attachmentSelect) attachmentSelect.value = '';
+            addMessageToChat({ phoneNumber, message: result.message });
+            addActivityLog(`Manual message sent to +${phoneNumber}`);
+        } else {
+            await showAlert('Error: ' + result.error, 'Send Failed');
+        }
+    } finally {
+        sendBtn.disabled = false;
+        input.focus();
+    }
+}
+
+async function loadDrafts() {
+    const drafts = await window.electronAPI.getDrafts() || [];
+    pendingDrafts = {};
+    for (const draft of drafts) {
+        if (!pendingDrafts[draft.phoneNumber]) {
+            pendingDrafts[draft.phoneNumber] = [];
+        }
+        pendingDrafts[draft.phoneNumber].push(draft);
+    }
+}
+
+// AI replies waiting for approval, shown above the reply box
+function buildDraftsHtml(phoneNumber) {
+    return (pendingDrafts[phoneNumber] || []).map(draft => {
+        const safeId = sanitizeAttribute(draft.id);
+        const isStale = draft.status === 'stale';
+        const time = new Date(draft.createdAt).toLocaleTimeString();
+
+        let attachment = '';
+        if (draft.type === 'sticker') {
+            attachment = `<div class="media-indicator sticker-indicator">🏷️ Sticker (${escapeHtml(draft.emotion)})</div>`;
+        } else if (draft.type === 'media') {
+            attachment = `<div class="media-indicator image-indicator">📷 Image: ${escapeHtml(draft.mediaItem.context)}</div>`;
+        }
+
+        // Text replies and image captions can be edited before sending
+        const textInput = draft.type === 'sticker'
+            ? ''
+            : `<textarea class="composer-input draft-text" id="draft-text-${safeId}" rows="2" maxlength="4096">${escapeHtml(draft.text || '')}</textarea>`;
+
+        return `
+            <div class="draft-item${isStale ? ' draft-stale' : ''}">
+                <div class="draft-header">
+                    <span class="draft-label">${isStale ? 'Out of date: the contact replied since' : 'AI draft waiting for approval'}</span>
+                    <span class="draft-time">${time}</span>
+                </div>
+                ${attachment}
+                ${textInput}
+                <div class="draft-actions">
+                    <button class="btn btn-small btn-primary" onclick="approveDraft('${safeId}', ${isStale})">${isStale ? 'Send Anyway' : 'Approve & Send'}</button>
+                    <button class="btn btn-small btn-danger" onclick="rejectDraft('${safeId}')">Reject</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function createDraftsElement(phoneNumber) {
+    const drafts = document.createElement('div');
+    drafts.className = 'chat-drafts';
+    drafts.innerHTML = buildDraftsHtml(phoneNumber);
+    return drafts;
+}
+
+function updateDraftsForPhone(phoneNumber) {
+    const segment = document.getElementById(`chat-segment-${phoneNumber}`);
+    const draftsEl = segment && segment.querySelector('.chat-drafts');
+    if (draftsEl) {
+        draftsEl.innerHTML = buildDraftsHtml(phoneNumber);
+    }
+}
+
+async function approveDraft(draftId, isStale) {
+    if (isStale) {
+        const confirmed = await showConfirm(
+            'The contact has sent another message since this reply was drafted. Send it anyway?',
+            'Send Out-of-Date Draft'
+        );
+        if (!confirmed) {
+            return;
+        }
+    }
+
+    const textInput = document.getElementById(`draft-text-${draftId}`);
+    const options = { force: isStale };
+    if (textInput) {
+        options.text = textInput.value;
+    }
+
+    const result = await window.electronAPI.approveDraft(draftId, options);
+    if (result.success) {
+        addActivityLog('AI draft approved and sent');
+    } else {
+        await showAlert('Error: ' + result.error, 'Send Failed');
+    }
+}
+
+async function rejectDraft(draftId) {
+    const result = await window.electronAPI.rejectDraft(draftId);
+    if (result.success) {
+        addActivityLog('AI draft rejected');
+    } else {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
+}
+
+// Fetch the page of history before the oldest loaded message and prepend it
+async function loadOlderMessages(phoneNumber) {
+    const loaded = cachedMessages[phoneNumber] || [];
+    if (loaded.length === 0) return;
+
+    const result = await window.electronAPI.getMessagesByPhone({
+        phoneNumber,
+        before: loaded[0].id,
+        limit: MESSAGE_PAGE_SIZE
+    });
+    const older = (result && result[phoneNumber]) || [];
+
+    cachedMessages[phoneNumber] = [...older, ...loaded];
+
+    const segment = document.getElementById(`chat-segment-${phoneNumber}`);
+    if (!segment) return;
+
+    const chatContainer = segment.querySelector('.chat-segment-messages');
+    const loadOlderBtn = chatContainer.querySelector('.load-older-btn');
+    const previousHeight = chatContainer.scrollHeight;
+
+    if (loadOlderBtn) {
+        loadOlderBtn.insertAdjacentHTML('afterend', older.map(buildMessageHtml).join(''));
+        if (older.length < MESSAGE_PAGE_SIZE) {
+            loadOlderBtn.remove();
+        }
+    }
+
+    // Keep the view anchored on the message the user was looking at
+    chatContainer.scrollTop = chatContainer.scrollHeight - previousHeight;
+
+    const count = cachedMessages[phoneNumber].length;
+    segment.querySelector('.message-count').textContent = `${count} message${count !== 1 ? 's' : ''}`;
+}
+
 // Security: Comprehensive HTML escaping to prevent XSS
 function escapeHtml(text) {
     if (!text) return '';
@@ -1260,7 +2921,7 @@ function sanitizeAttribute(value) {
 async function loadStats() {
     const stats = await window.electronAPI.getStats();
     const accounts = await window.electronAPI.getAccounts();
-    const config = await window.electronAPI.getConfig();
+    const aiStatus = await window.electronAPI.getAiProviderStatus();
 
     // Header
     const accountStatus = stats.connectedAccounts > 0 ? 'Connected' : 'Not Connected';
@@ -1273,12 +2934,17 @@ async function loadStats() {
     document.getElementById('dash-phone-numbers').textContent = stats.totalPhoneNumbers;
     document.getElementById('dash-messages-today').textContent = stats.messagesSentToday;
 
-    const hasApiKey = config.apiKey && config.apiKey.length > 0;
-    const apiStatusText = hasApiKey ? 'Configured' : 'Not Configured';
-    const apiStatusClass = hasApiKey ? 'status-active' : 'status-inactive';
+    const sendLimits = stats.sendLimits;
+    document.getElementById('dash-send-cap').textContent = sendLimits.remainingToday;
+    document.getElementById('dash-send-cap-detail').textContent =
+        `of ${sendLimits.dailyLimit} left today, ${sendLimits.remainingThisHour} of ${sendLimits.hourlyLimit} this hour`;
+
+    const apiStatusText = aiStatus.ready ? 'Configured' : 'Not Configured';
+    const apiStatusClass = aiStatus.ready ? 'status-active' : 'status-inactive';
+    const chatProvider = aiStatus.selection.chat === 'openai' ? 'Local AI' : 'Gemini AI';
     document.getElementById('dash-ai-badge').textContent = apiStatusText;
     document.getElementById('dash-ai-badge').className = `status-badge ${apiStatusClass}`;
-    document.getElementById('dash-ai-detail').textContent = hasApiKey ? 'Gemini AI ready' : 'Configure API key in Settings';
+    document.getElementById('dash-ai-detail').textContent = aiStatus.ready ? `${chatProvider} ready` : 'Configure AI in Settings';
 
     updateWarmingStatus(stats.warmingActive);
 }
@@ -1377,6 +3043,9 @@ function setupIpcListeners() {
 
     // Account status changed
     window.electronAPI.onAccountStatusChanged((data) => {
+        if (data.status === 'degraded' || data.status === 'disconnected') {
+            addActivityLog(`WhatsApp ${getStatusText(data.status).toLowerCase()}${data.reason ? `: ${data.reason}` : ''}`);
+        }
         loadAccounts();
         loadStats();
         checkRequirements();
@@ -1389,21 +3058,6 @@ function setupIpcListeners() {
         addMessageToChat(data);
     });
 
-    // Message received (from restored session) - also use incremental update
-    window.electronAPI.onMessageReceived((data) => {
-        console.log('onMessageReceived event:', data);
-        // Extract phone number and message from different format
-        const phoneNumber = data.message.fromMe
-            ? data.message.to.replace('@c.us', '')
-            : data.message.from.replace('@c.us', '');
-
-        const messageData = {
-            phoneNumber: phoneNumber,
-            message: data.message
-        };
-        addMessageToChat(messageData);
-    });
-
     // Warming message sent - use incremental update
     window.electronAPI.onWarmingMessageSent((data) => {
         warmingMessageCount++;
@@ -1423,7 +3077,8 @@ function setupIpcListeners() {
                 body: data.message,
                 timestamp: Math.floor(data.timestamp / 1000),
                 fromMe: true,
-                hasMedia: false
+                hasMedia: false,
+                source: 'ai'
             }
         };
         addMessageToChat(messageData);
@@ -1447,6 +3102,18 @@ function setupIpcListeners() {
         addActivityLog(`Error: ${data.error}`);
     });
 
+    // Notes on rules, flows, media and tool lookups, escaped since they quote what contacts sent
+    window.electronAPI.onWarmingLog((data) => {
+        addWarmingLog(escapeHtml(data.message));
+    });
+
+    // A send was held back by the daily, hourly or per-contact cap
+    window.electronAPI.onSendLimitReached((data) => {
+        addWarmingLog(`Send cap: ${data.message}`);
+        addActivityLog(`Send cap: ${data.message}`);
+        loadStats();
+    });
+
     // Warming stopped (disconnection or other reason)
     window.electronAPI.onWarmingStopped((data) => {
         document.getElementById('start-warming-btn').style.display = 'inline-block';
@@ -1457,8 +3124,95 @@ function setupIpcListeners() {
         addActivityLog(`Warming stopped: ${data.message}`);
     });
 
+    // Contact opted out by replying with a keyword
+    window.electronAPI.onContactOptedOut((data) => {
+        addWarmingLog(`+${data.phoneNumber} opted out ("${data.keyword}")`);
+        addActivityLog(`+${data.phoneNumber} opted out`);
+        loadPhoneNumbers();
+        loadBlastStats();
+    });
+
+    // Contact tagged by a keyword rule
+    window.electronAPI.onContactTagged((data) => {
+        addActivityLog(`+${data.phoneNumber} tagged by rule "${data.rule}"`);
+        loadPhoneNumbers();
+        loadBlastStats();
+    });
+
+    // Conversation taken over by an operator or handed back to the AI
+    window.electronAPI.onHumanModeChanged((data) => {
+        if (data.active) {
+            conversationOwners[data.phoneNumber] = data;
+            addActivityLog(`+${data.phoneNumber} is now handled by a person`);
+        } else {
+            delete conversationOwners[data.phoneNumber];
+            const why = data.reason === 'idle' ? ' after inactivity' : '';
+            addActivityLog(`+${data.phoneNumber} handed back to the AI${why}`);
+        }
+        updateConversationOwner(data.phoneNumber);
+    });
+
+    // Draft queued, sent, rejected or gone stale
+    window.electronAPI.onDraftsChanged(async (data) => {
+        await loadDrafts();
+        updateDraftsForPhone(data.phoneNumber);
+    });
+
+    // Delivery and read receipts for sent messages
+    window.electronAPI.onMessageStatus(updateMessageStatus);
+
+    // Campaign saved, sent to someone or got a receipt
+    window.electronAPI.onCampaignsChanged(() => {
+        loadCampaigns();
+    });
+
+    // Interrupted blast picked up again after a restart or reconnect
+    // or sending to recipients who were held for quiet hours
+    window.electronAPI.onCampaignResumed((data) => {
+        setBlastInProgress(true);
+        if (data.held) {
+            showBlastStatus('Sending to blast recipients held for quiet hours...', 'info');
+            addActivityLog('Sending to blast recipients held for quiet hours');
+        } else {
+            showBlastStatus('Resuming an interrupted blast...', 'info');
+            addActivityLog('Resuming an interrupted blast');
+        }
+    });
+
+    window.electronAPI.onCampaignCompleted((data) => {
+        setBlastInProgress(false);
+        if (data.error) {
+            showBlastStatus('Error: ' + data.error, 'error');
+            addActivityLog(`Resumed blast stopped: ${data.error}`);
+        } else if (data.results.status === 'cancelled') {
+            showBlastCancelled(data.results);
+        } else if (data.results.status === 'waiting') {
+            showBlastWaiting(data.results);
+        } else {
+            showBlastStatus(`Resumed blast completed! Sent: ${data.results.sent}, Failed: ${data.results.failed}`, 'success');
+            addActivityLog(`Resumed blast completed: ${data.results.sent} sent, ${data.results.failed} failed`);
+        }
+    });
+
+    // Scheduled blast or message queued, started, sent or failed
+    window.electronAPI.onScheduledJobChanged(handleScheduledJobChanged);
+
+    // Something was held for quiet hours, or released
+    window.electronAPI.onHeldMessagesChanged(loadHeldMessages);
+
     // Blast progress
     window.electronAPI.onBlastProgress((progress) => {
+        document.getElementById('blast-delivered-count').textContent = progress.delivered || 0;
+        document.getElementById('blast-read-count').textContent = progress.read || 0;
+
+        // Receipts arrive during and after the blast, they only change the counts
+        if (progress.receipt) {
+            return;
+        }
+
+        activeCampaignId = progress.campaignId;
+        setBlastPaused(progress.state === 'paused');
+
         const sentCount = document.getElementById('blast-sent-count');
         const progressPercent = document.getElementById('blast-progress');
         const progressBar = document.getElementById('blast-progress-bar');
@@ -1474,8 +3228,20 @@ function setupIpcListeners() {
         }
 
         // Show current status
-        if (progress.error) {
+        if (progress.state === 'paused') {
+            showBlastStatus(`Blast paused. ${progress.notAttempted.length} recipient(s) left. Press Resume to continue.`, 'warning');
+        } else if (progress.state === 'cancelled') {
+            showBlastStatus('Cancelling blast...', 'warning');
+        } else if (progress.waiting) {
+            showBlastStatus(`Blast waiting: ${progress.waiting}`, 'warning');
+        } else if (!progress.phoneNumber) {
+            showBlastStatus(`Blast resumed. ${progress.notAttempted.length} recipient(s) left.`, 'info');
+        } else if (progress.error) {
             showBlastStatus(`Failed to send to +${progress.phoneNumber}: ${progress.error}`, 'warning');
+        } else if (progress.skipped) {
+            showBlastStatus(`Skipped +${progress.phoneNumber} (opted out)`, 'info');
+        } else if (progress.held) {
+            showBlastStatus(`Holding +${progress.phoneNumber} for quiet hours until ${new Date(progress.heldUntil).toLocaleString()}`, 'info');
         } else {
             showBlastStatus(`Sending to +${progress.phoneNumber}... (${progress.current}/${progress.total})`, 'info');
         }
@@ -2052,6 +3818,8 @@ function showMediaStatus(message, type) {
 
 let blastImageData = null;
 let isBlasting = false;
+let isBlastPaused = false;
+let activeCampaignId = null; // Campaign the current blast progress belongs to
 
 function initializeBlastingTab() {
     const imageInput = document.getElementById('blast-image-input');
@@ -2079,6 +3847,55 @@ function initializeBlastingTab() {
     if (startBlastBtn) {
         startBlastBtn.addEventListener('click', startBlast);
     }
+
+    const recipientModeSelect = document.getElementById('blast-recipient-mode-select');
+    if (recipientModeSelect) {
+        recipientModeSelect.addEventListener('change', renderBlastRecipientOptions);
+    }
+
+    const pastedInput = document.getElementById('blast-recipient-pasted-input');
+    if (pastedInput) {
+        pastedInput.addEventListener('input', loadBlastStats);
+    }
+
+    const pauseBlastBtn = document.getElementById('pause-blast-btn');
+    if (pauseBlastBtn) {
+        pauseBlastBtn.addEventListener('click', togglePauseBlast);
+    }
+
+    const cancelBlastBtn = document.getElementById('cancel-blast-btn');
+    if (cancelBlastBtn) {
+        cancelBlastBtn.addEventListener('click', cancelBlast);
+    }
+
+    const refreshCampaignsBtn = document.getElementById('refresh-campaigns-btn');
+    if (refreshCampaignsBtn) {
+        refreshCampaignsBtn.addEventListener('click', loadCampaigns);
+    }
+
+    const scheduleBlastBtn = document.getElementById('schedule-blast-btn');
+    if (scheduleBlastBtn) {
+        scheduleBlastBtn.addEventListener('click', scheduleBlast);
+    }
+
+    const refreshScheduledBtn = document.getElementById('refresh-scheduled-btn');
+    if (refreshScheduledBtn) {
+        refreshScheduledBtn.addEventListener('click', loadScheduledJobs);
+    }
+
+    const refreshHeldBtn = document.getElementById('refresh-held-btn');
+    if (refreshHeldBtn) {
+        refreshHeldBtn.addEventListener('click', loadHeldMessages);
+    }
+
+    // Schedule modal, shared by chat messages and editing jobs
+    document.getElementById('close-schedule-modal').addEventListener('click', closeScheduleModal);
+    document.getElementById('save-schedule-btn').addEventListener('click', saveSchedule);
+    document.getElementById('schedule-modal').addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            closeScheduleModal();
+        }
+    });
 }
 
 async function handleBlastImageUpload(event) {
@@ -2125,6 +3942,63 @@ async function handleBlastImageUpload(event) {
     reader.readAsDataURL(file);
 }
 
+// Who the blast goes to, in the shape start-blast and get-blast-stats take
+function getBlastSelection() {
+    const mode = document.getElementById('blast-recipient-mode-select').value;
+    const checked = (containerId) => Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => input.value);
+
+    if (mode === 'tags') {
+        return { mode, tags: checked('blast-recipient-tags') };
+    }
+    if (mode === 'picked') {
+        return { mode, numbers: checked('blast-recipient-picked') };
+    }
+    if (mode === 'pasted') {
+        return { mode, text: document.getElementById('blast-recipient-pasted-input').value };
+    }
+    return { mode: 'all' };
+}
+
+// Show the tag checkboxes, contact checkboxes or paste box for the chosen mode
+async function renderBlastRecipientOptions() {
+    const mode = document.getElementById('blast-recipient-mode-select').value;
+    const tagsEl = document.getElementById('blast-recipient-tags');
+    const pickedEl = document.getElementById('blast-recipient-picked');
+
+    tagsEl.style.display = mode === 'tags' ? 'flex' : 'none';
+    pickedEl.style.display = mode === 'picked' ? 'flex' : 'none';
+    document.getElementById('blast-recipient-pasted-input').style.display = mode === 'pasted' ? 'block' : 'none';
+
+    if (mode === 'tags') {
+        const selected = new Set(getBlastSelection().tags);
+        const stats = await window.electronAPI.getBlastStats({ mode: 'all' });
+        const tags = stats.success ? stats.tags : [];
+        tagsEl.innerHTML = tags.length === 0
+            ? '<span class="blast-recipient-option-note">No contacts have tags yet. Add them with Tags in the Phone Numbers tab.</span>'
+            : tags.map(tag => `
+                <label class="blast-recipient-option">
+                    <input type="checkbox" value="${sanitizeAttribute(tag)}" ${selected.has(tag) ? 'checked' : ''} onchange="loadBlastStats()">
+                    ${escapeHtml(tag)}
+                </label>
+            `).join('');
+    } else if (mode === 'picked') {
+        const selected = new Set(getBlastSelection().numbers);
+        const phoneNumbers = await window.electronAPI.getPhoneNumbers();
+        pickedEl.innerHTML = phoneNumbers.length === 0
+            ? '<span class="blast-recipient-option-note">No phone numbers added yet</span>'
+            : phoneNumbers.map(phone => `
+                <label class="blast-recipient-option">
+                    <input type="checkbox" value="${sanitizeAttribute(phone.number)}" ${selected.has(phone.number) ? 'checked' : ''} onchange="loadBlastStats()">
+                    ${escapeHtml(phone.name)} (+${escapeHtml(phone.number)})
+                    ${phone.optedOut ? '<span class="blast-recipient-option-note">opted out</span>' : ''}
+                    ${!phone.optedOut && phone.consentStatus !== 'valid' ? '<span class="blast-recipient-option-note">no consent</span>' : ''}
+                </label>
+            `).join('');
+    }
+
+    loadBlastStats();
+}
+
 function updateCharCount() {
     const messageInput = document.getElementById('blast-message-input');
     const charCount = document.getElementById('blast-char-count');
@@ -2140,12 +4014,12 @@ async function previewBlast() {
     }
 
     const previewSection = document.getElementById('blast-preview-section');
-    const previewMessage = document.getElementById('blast-preview-message');
+    const previewSamples = document.getElementById('blast-preview-samples');
     const previewImage = document.getElementById('blast-preview-image');
+    const selection = getBlastSelection();
 
     // Show preview
     previewSection.style.display = 'block';
-    previewMessage.textContent = message;
 
     if (blastImageData) {
         previewImage.innerHTML = `<img src="data:${blastImageData.mimeType};base64,${blastImageData.base64Data}" alt="Preview" style="max-width: 100%; max-height: 200px; border-radius: 8px; margin-bottom: 12px;">`;
@@ -2153,10 +4027,63 @@ async function previewBlast() {
         previewImage.innerHTML = '';
     }
 
+    // The message as the first few recipients will get it, and any template problems
+    const preview = await window.electronAPI.previewBlast({ message, selection });
+    previewSamples.innerHTML = preview.success ? buildBlastSamplesHtml(preview, message) : '';
+
+    // Exactly who gets it, and who is left out and why
+    const stats = await window.electronAPI.getBlastStats(selection);
+    const recipientsEl = document.getElementById('blast-preview-recipients');
+    recipientsEl.innerHTML = stats.success
+        ? buildRecipientBreakdownHtml(stats.breakdown)
+        : `<div class="recipient-breakdown-row missing">${escapeHtml(stats.error)}</div>`;
+
     // Scroll to preview
     previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+function buildBlastSamplesHtml(preview, message) {
+    const errors = preview.errors.map(error => `
+        <div class="recipient-breakdown-row missing">${escapeHtml(error)}</div>
+    `).join('');
+
+    // No recipients to fill it in for yet, show the template itself
+    const samples = preview.samples.length > 0
+        ? preview.samples
+        : [{ number: '', name: '', text: message }];
+
+    return errors + samples.map(sample => `
+        <div class="blast-preview-card">
+            ${sample.number ? `<div class="blast-preview-to">To ${escapeHtml(sample.name)} (+${escapeHtml(sample.number)})</div>` : ''}
+            <div class="blast-preview-message">${escapeHtml(sample.text)}</div>
+        </div>
+    `).join('');
+}
+
+function buildRecipientBreakdownHtml(breakdown) {
+    const listContacts = (contacts) => contacts
+        .map(c => c.name ? `${escapeHtml(c.name)} (+${escapeHtml(c.number)})` : escapeHtml(c.number))
+        .join(', ');
+
+    const rows = [
+        { key: 'valid', label: 'will receive this message (consent recorded)', showNames: true },
+        { key: 'missing', label: 'will be skipped: no recorded consent', showNames: true },
+        { key: 'optedOut', label: 'will be skipped: opted out', showNames: true },
+        { key: 'paused', label: 'will be skipped: paused', showNames: true },
+        { key: 'unknown', label: 'will be skipped: not in Phone Numbers, so no recorded consent', showNames: true },
+        { key: 'invalid', label: 'will be skipped: not a valid phone number', showNames: true }
+    ];
+
+    return rows
+        .filter(row => row.key === 'valid' || breakdown[row.key].length > 0)
+        .map(row => `
+            <div class="recipient-breakdown-row ${row.key}">
+                <strong>${breakdown[row.key].length}</strong> ${row.label}
+                ${row.showNames ? `<div class="recipient-breakdown-names">${listContacts(breakdown[row.key])}</div>` : ''}
+            </div>
+        `).join('');
+}
+
 function resetBlast() {
     // Clear message input
     document.getElementById('blast-message-input').value = '';
@@ -2176,9 +4103,17 @@ function resetBlast() {
     // Reset character count
     document.getElementById('blast-char-count').textContent = '0';
 
+    // Clear schedule time
+    document.getElementById('blast-schedule-input').value = '';
+
     // Clear blast image data
     blastImageData = null;
 
+    // Back to all contacts
+    document.getElementById('blast-recipient-mode-select').value = 'all';
+    document.getElementById('blast-recipient-pasted-input').value = '';
+    renderBlastRecipientOptions();
+
     // Clear status message
     const statusEl = document.getElementById('blast-status');
     if (statusEl) {
@@ -2201,48 +4136,65 @@ async function startBlast() {
     }
 
     // Confirm blast
-    const stats = await window.electronAPI.getBlastStats();
+    const selection = getBlastSelection();
+    const stats = await window.electronAPI.getBlastStats(selection);
     if (!stats.success) {
         showBlastStatus('Error: ' + stats.error, 'error');
         return;
     }
 
-    const confirmMsg = `Send this message to ${stats.totalRecipients} recipient(s)?\n\nEstimated time: ${Math.ceil(stats.estimatedTime / 60)} minute(s)\n\nThis action cannot be undone.`;
-    const confirmed = await showConfirm(confirmMsg, 'Confirm Blast');
-    if (!confirmed) {
+    if (stats.totalRecipients === 0) {
+        showBlastStatus('None of the selected recipients have recorded consent. Preview to see why, or record consent in the Phone Numbers tab.', 'error');
         return;
     }
 
-    isBlasting = true;
-
-    // Disable button and show progress
-    const startBtn = document.getElementById('start-blast-btn');
-    startBtn.disabled = true;
-    startBtn.textContent = 'Blasting...';
+    // Nobody should get a message with a blank where their name should be
+    const preview = await window.electronAPI.previewBlast({ message, selection });
+    if (!preview.success) {
+        showBlastStatus('Error: ' + preview.error, 'error');
+        return;
+    }
+    if (preview.errors.length > 0) {
+        showBlastStatus(`Fix the message template first: ${preview.errors.join(' ')}`, 'error');
+        return;
+    }
 
-    // Show progress bar
-    document.getElementById('blast-progress-container').style.display = 'block';
-    document.getElementById('blast-sent-count').textContent = '0';
-    document.getElementById('blast-progress').textContent = '0%';
-    document.getElementById('blast-progress-bar').style.width = '0%';
+    const { missing, optedOut, unknown, invalid } = stats.breakdown;
+    const skippedCount = missing.length + optedOut.length + unknown.length + invalid.length;
+    const skippedNote = skippedCount > 0 ? `\n\n${skippedCount} contact(s) without consent or opted out will be skipped.` : '';
+    const confirmMsg = `Send this message to ${stats.totalRecipients} recipient(s)?${skippedNote}\n\nEstimated time: ${Math.ceil(stats.estimatedTime / 60)} minute(s)\n\nThis action cannot be undone.`;
+    const confirmed = await showConfirm(confirmMsg, 'Confirm Blast');
+    if (!confirmed) {
+        return;
+    }
 
+    setBlastInProgress(true);
     showBlastStatus('Starting blast...', 'info');
 
     try {
         const result = await window.electronAPI.startBlast({
             message: message,
-            imageData: blastImageData
+            imageData: blastImageData,
+            selection
         });
 
-        if (result.success) {
+        if (result.success && result.results.status === 'cancelled') {
+            showBlastCancelled(result.results);
+        } else if (result.success) {
             const results = result.results;
-            showBlastStatus(
-                `Blast completed! Sent: ${results.sent}, Failed: ${results.failed}`,
-                results.failed === 0 ? 'success' : 'warning'
-            );
-
-            // Add to activity log
-            addActivityLog(`Blast completed: ${results.sent} sent, ${results.failed} failed`);
+            if (results.status === 'waiting') {
+                showBlastWaiting(results);
+            } else {
+                const skippedCount = results.skipped + results.refused.length;
+                const skippedText = skippedCount ? `, Skipped (no consent or opted out): ${skippedCount}` : '';
+                showBlastStatus(
+                    `Blast completed! Sent: ${results.sent}, Failed: ${results.failed}${skippedText}. Delivered and read counts keep updating as receipts arrive`,
+                    results.failed === 0 ? 'success' : 'warning'
+                );
+
+                // Add to activity log
+                addActivityLog(`Blast completed: ${results.sent} sent, ${results.failed} failed${skippedCount ? `, ${skippedCount} skipped` : ''}`);
+            }
 
             // Clear form after successful blast
             document.getElementById('blast-message-input').value = '';
@@ -2258,31 +4210,59 @@ async function startBlast() {
     } catch (error) {
         showBlastStatus('Error: ' + error.message, 'error');
     } finally {
-        isBlasting = false;
-        startBtn.disabled = false;
-        startBtn.innerHTML = `
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"></path>
-                <path d="M21 3v5h-5"></path>
-                <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"></path>
-                <path d="M8 16H3v5"></path>
-            </svg>
-            Start Blast
-        `;
+        setBlastInProgress(false);
+    }
+}
 
-        // Hide progress bar after a delay
-        setTimeout(() => {
-            document.getElementById('blast-progress-container').style.display = 'none';
-        }, 3000);
+// Lock the Start button and reset the progress display while a blast or resumed campaign is sending
+function setBlastInProgress(active) {
+    isBlasting = active;
+    setBlastPaused(false);
+    const startBtn = document.getElementById('start-blast-btn');
+    document.getElementById('blast-control-actions').style.display = active ? 'flex' : 'none';
+
+    if (active) {
+        startBtn.disabled = true;
+        startBtn.textContent = 'Blasting...';
+
+        // Show progress bar
+        document.getElementById('blast-progress-container').style.display = 'block';
+        document.getElementById('blast-sent-count').textContent = '0';
+        document.getElementById('blast-delivered-count').textContent = '0';
+        document.getElementById('blast-read-count').textContent = '0';
+        document.getElementById('blast-progress').textContent = '0%';
+        document.getElementById('blast-progress-bar').style.width = '0%';
+        return;
     }
+
+    startBtn.disabled = false;
+    startBtn.innerHTML = `
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"></path>
+            <path d="M21 3v5h-5"></path>
+            <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"></path>
+            <path d="M8 16H3v5"></path>
+        </svg>
+        Start Blast
+    `;
+
+    // Hide progress bar after a delay
+    setTimeout(() => {
+        document.getElementById('blast-progress-container').style.display = 'none';
+    }, 3000);
 }
 
 async function loadBlastStats() {
     try {
-        const stats = await window.electronAPI.getBlastStats();
+        const stats = await window.electronAPI.getBlastStats(getBlastSelection());
+        const summaryEl = document.getElementById('blast-recipient-summary');
         if (stats.success) {
             document.getElementById('blast-total-recipients').textContent = stats.totalRecipients;
             document.getElementById('blast-est-time').textContent = `${Math.ceil(stats.estimatedTime / 60)}m`;
+            summaryEl.textContent = `${stats.totalRecipients} recipient(s) with recorded consent will get this blast. Preview to see the full list.`;
+        } else {
+            document.getElementById('blast-total-recipients').textContent = 0;
+            summaryEl.textContent = stats.error;
         }
     } catch (error) {
         console.error('Error loading blast stats:', error);
@@ -2305,10 +4285,558 @@ function showBlastStatus(message, type) {
     }
 }
 
+function setBlastPaused(paused) {
+    isBlastPaused = paused;
+    document.getElementById('pause-blast-btn').textContent = paused ? 'Resume' : 'Pause';
+}
+
+async function togglePauseBlast() {
+    const result = isBlastPaused
+        ? await window.electronAPI.resumeBlast()
+        : await window.electronAPI.pauseBlast();
+
+    if (!result.success) {
+        showBlastStatus('Error: ' + result.error, 'error');
+    }
+}
+
+async function cancelBlast() {
+    const confirmed = await showConfirm(
+        'Stop this blast? Recipients who have not been messaged yet will be skipped. A message already being sent still goes out.',
+        'Cancel Blast'
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    const result = await window.electronAPI.cancelBlast();
+    if (!result.success) {
+        showBlastStatus('Error: ' + result.error, 'error');
+    }
+}
+
+function showBlastCancelled(results) {
+    const notAttempted = results.notAttempted.length;
+    showBlastStatus(
+        `Blast cancelled. Sent: ${results.sent}, Failed: ${results.failed}, Not attempted: ${notAttempted}${notAttempted ? ` (${results.notAttempted.map(number => `+${number}`).join(', ')})` : ''}`,
+        'warning'
+    );
+    addActivityLog(`Blast cancelled: ${results.sent} sent, ${notAttempted} never attempted`);
+}
+
+// Held recipients go out by themselves once it is morning where they are
+function showBlastWaiting(results) {
+    showBlastStatus(
+        `Blast sent to everyone outside quiet hours. Sent: ${results.sent}, Failed: ${results.failed}, Held for quiet hours: ${results.held}. They get it once quiet hours end where they are`,
+        'info'
+    );
+    addActivityLog(`Blast waiting for quiet hours: ${results.sent} sent, ${results.held} held`);
+}
+
+// Campaign history
+
+const CAMPAIGN_STATUS_LABELS = {
+    running: 'Running',
+    paused: 'Paused',
+    interrupted: 'Interrupted',
+    waiting: 'Waiting for quiet hours',
+    cancelled: 'Cancelled',
+    completed: 'Completed'
+};
+
+const CAMPAIGN_RECIPIENT_STATUS_LABELS = {
+    pending: 'Waiting',
+    held: 'Held (quiet hours)',
+    sending: 'Sending',
+    sent: 'Sent',
+    failed: 'Failed',
+    skipped: 'Skipped (opted out)'
+};
+
+const BLAST_SELECTION_LABELS = {
+    all: 'All contacts',
+    tags: 'Tagged',
+    picked: 'Hand-picked',
+    pasted: 'Pasted list'
+};
+
+let campaigns = [];
+const expandedCampaigns = new Set(); // Campaign ids showing their recipient list
+
+async function loadCampaigns() {
+    try {
+        const result = await window.electronAPI.getCampaigns();
+        if (result.success) {
+            campaigns = result.campaigns;
+            renderCampaigns();
+        }
+    } catch (error) {
+        console.error('Error loading campaigns:', error);
+    }
+}
+
+function renderCampaigns() {
+    const listEl = document.getElementById('campaigns-list');
+    if (!listEl) {
+        return;
+    }
+
+    if (campaigns.length === 0) {
+        listEl.innerHTML = '<p class="campaigns-empty">No blasts sent yet</p>';
+        return;
+    }
+
+    listEl.innerHTML = campaigns.map(campaign => {
+        const safeId = sanitizeAttribute(campaign.id);
+        const count = (status) => campaign.recipients.filter(r => r.status === status).length;
+        const delivered = campaign.recipients.filter(r => r.receipt === 'delivered' || r.receipt === 'read').length;
+        const read = campaign.recipients.filter(r => r.receipt === 'read').length;
+        const isExpanded = expandedCampaigns.has(campaign.id);
+        const selection = campaign.selection || { mode: 'all', tags: [] };
+        const selectionLabel = `${BLAST_SELECTION_LABELS[selection.mode] || selection.mode}${selection.tags && selection.tags.length ? `: ${selection.tags.join(', ')}` : ''}`;
+
+        return `
+            <div class="campaign-item">
+                <div class="campaign-header">
+                    <span class="campaign-status status-${sanitizeAttribute(campaign.status)}">${escapeHtml(CAMPAIGN_STATUS_LABELS[campaign.status] || campaign.status)}</span>
+                    <span class="campaign-time">${escapeHtml(new Date(campaign.createdAt).toLocaleString())}</span>
+                </div>
+                <div class="campaign-message">${campaign.attachment ? '📷 ' : ''}${escapeHtml(campaign.message)}</div>
+                <div class="campaign-counts">
+                    ${escapeHtml(selectionLabel)} &middot; ${campaign.recipients.length} recipients &middot; ${count('sent')} sent &middot; ${delivered} delivered &middot; ${read} read
+                    ${count('failed') ? ` &middot; ${count('failed')} failed` : ''}${count('skipped') ? ` &middot; ${count('skipped')} skipped` : ''}${count('pending') ? ` &middot; ${count('pending')} waiting` : ''}${count('held') ? ` &middot; ${count('held')} held for quiet hours` : ''}
+                </div>
+                <div class="campaign-actions">
+                    <button class="btn btn-small btn-secondary" onclick="toggleCampaignDetails('${safeId}')">${isExpanded ? 'Hide Recipients' : 'Show Recipients'}</button>
+                    ${campaign.status === 'interrupted' || campaign.status === 'paused' ? `<button class="btn btn-small btn-primary" onclick="resumeCampaign('${safeId}')">Resume</button>` : ''}
+                    ${campaign.status === 'waiting' ? `<button class="btn btn-small btn-danger" onclick="cancelCampaign('${safeId}')">Cancel</button>` : ''}
+                </div>
+                ${isExpanded ? buildCampaignRecipientsHtml(campaign) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function buildCampaignRecipientsHtml(campaign) {
+    const rows = campaign.recipients.map(recipient => {
+        // Nobody will reach the rest of a cancelled campaign
+        const statusLabel = campaign.status === 'cancelled' && (recipient.status === 'pending' || recipient.status === 'held')
+            ? 'Not attempted'
+            : CAMPAIGN_RECIPIENT_STATUS_LABELS[recipient.status] || recipient.status;
+        const heldUntil = recipient.status === 'held' && campaign.status !== 'cancelled' && recipient.heldUntil
+            ? ` until ${new Date(recipient.heldUntil).toLocaleString()}`
+            : '';
+        const receipt = recipient.status === 'sent' && MESSAGE_STATUS_TICKS[recipient.receipt]
+            ? MESSAGE_STATUS_TICKS[recipient.receipt].label
+            : '';
+        return `
+            <div class="campaign-recipient status-${sanitizeAttribute(recipient.status)}">
+                <span class="campaign-recipient-name">${escapeHtml(recipient.name || '')} +${escapeHtml(recipient.number)}</span>
+                <span class="campaign-recipient-status" title="${sanitizeAttribute(recipient.error || '')}">${escapeHtml(statusLabel + heldUntil)}${receipt ? ` &middot; ${escapeHtml(receipt)}` : ''}</span>
+                ${recipient.text ? `<div class="campaign-recipient-text">${escapeHtml(recipient.text)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    const refused = campaign.refused.length > 0
+        ? `<p class="campaign-refused">Not sent, no recorded consent: ${campaign.refused.map(number => `+${escapeHtml(number)}`).join(', ')}</p>`
+        : '';
+
+    return `<div class="campaign-recipients">${rows}${refused}</div>`;
+}
+
+function toggleCampaignDetails(campaignId) {
+    if (expandedCampaigns.has(campaignId)) {
+        expandedCampaigns.delete(campaignId);
+    } else {
+        expandedCampaigns.add(campaignId);
+    }
+    renderCampaigns();
+}
+
+async function resumeCampaign(campaignId) {
+    // Paused in this session: the blast loop is still waiting
+    if (isBlasting && isBlastPaused && campaignId === activeCampaignId) {
+        await togglePauseBlast();
+        return;
+    }
+
+    if (isBlasting) {
+        await showAlert('A blast is already in progress', 'Blast In Progress');
+        return;
+    }
+
+    setBlastInProgress(true);
+    showBlastStatus('Resuming blast...', 'info');
+
+    try {
+        const result = await window.electronAPI.resumeCampaign(campaignId);
+        if (result.success && result.results.status === 'cancelled') {
+            showBlastCancelled(result.results);
+        } else if (result.success && result.results.status === 'waiting') {
+            showBlastWaiting(result.results);
+        } else if (result.success) {
+            showBlastStatus(`Blast resumed and completed! Sent: ${result.results.sent}, Failed: ${result.results.failed}`, 'success');
+            addActivityLog(`Blast resumed: ${result.results.sent} sent, ${result.results.failed} failed`);
+        } else {
+            showBlastStatus('Error: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showBlastStatus('Error: ' + error.message, 'error');
+    } finally {
+        setBlastInProgress(false);
+        loadCampaigns();
+    }
+}
+
+async function cancelCampaign(campaignId) {
+    const confirmed = await showConfirm(
+        'Stop this blast? Recipients still held for quiet hours will not get it.',
+        'Cancel Blast'
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    const result = await window.electronAPI.cancelCampaign(campaignId);
+    if (!result.success) {
+        await showAlert('Error: ' + result.error, 'Error');
+        return;
+    }
+    addActivityLog('Blast cancelled while waiting for quiet hours');
+    loadCampaigns();
+}
+
+// Scheduled blasts and messages
+
+const SCHEDULED_JOB_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    running: 'Sending',
+    sent: 'Sent',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const MAX_FINISHED_JOBS_SHOWN = 10;
+
+let scheduledJobs = [];
+
+async function loadScheduledJobs() {
+    try {
+        const result = await window.electronAPI.getScheduledJobs();
+        if (result.success) {
+            scheduledJobs = result.jobs;
+            renderScheduledJobs();
+        }
+    } catch (error) {
+        console.error('Error loading scheduled jobs:', error);
+    }
+}
+
+function renderScheduledJobs() {
+    const listEl = document.getElementById('scheduled-jobs-list');
+    if (!listEl) {
+        return;
+    }
+
+    // Upcoming soonest first, then the latest few that already ran
+    const upcoming = scheduledJobs.filter(job => job.status === 'scheduled' || job.status === 'running');
+    const finished = scheduledJobs
+        .filter(job => job.status !== 'scheduled' && job.status !== 'running')
+        .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+        .slice(0, MAX_FINISHED_JOBS_SHOWN);
+
+    if (upcoming.length === 0 && finished.length === 0) {
+        listEl.innerHTML = '<p class="campaigns-empty">Nothing scheduled</p>';
+        return;
+    }
+
+    listEl.innerHTML = [...upcoming, ...finished].map(job => {
+        const safeId = sanitizeAttribute(job.id);
+        const target = job.type === 'blast'
+            ? `Blast to ${BLAST_SELECTION_LABELS[job.selection.mode] || job.selection.mode}${job.selection.tags.length ? `: ${job.selection.tags.join(', ')}` : ''}`
+            : `Message to +${job.phoneNumber}`;
+        const note = job.status === 'failed'
+            ? `<div class="scheduled-job-note error">${escapeHtml(job.error)}</div>`
+            : (job.waitingReason ? `<div class="scheduled-job-note">${escapeHtml(job.waitingReason)}</div>` : '');
+
+        return `
+            <div class="campaign-item">
+                <div class="campaign-header">
+                    <span class="campaign-status status-${sanitizeAttribute(job.status)}">${escapeHtml(SCHEDULED_JOB_STATUS_LABELS[job.status] || job.status)}</span>
+                    <span class="campaign-time">${escapeHtml(new Date(job.sendAt).toLocaleString())}</span>
+                </div>
+                <div class="campaign-message">${job.attachment ? '📷 ' : ''}${escapeHtml(job.type === 'blast' ? job.message : job.text)}</div>
+                <div class="campaign-counts">${escapeHtml(target)}</div>
+                ${note}
+                ${job.status === 'scheduled' ? `
+                    <div class="campaign-actions">
+                        <button class="btn btn-small btn-secondary" onclick="editScheduledJob('${safeId}')">Edit</button>
+                        <button class="btn btn-small btn-danger" onclick="cancelScheduledJob('${safeId}')">Cancel</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function handleScheduledJobChanged({ job, message, results, stopped }) {
+    loadScheduledJobs();
+    loadHeldMessages();
+
+    if (job.type === 'message') {
+        if (job.status === 'sent') {
+            addMessageToChat({ phoneNumber: job.phoneNumber, message });
+            addActivityLog(`Scheduled message sent to +${job.phoneNumber}`);
+        } else if (job.status === 'failed') {
+            addActivityLog(`Scheduled message to +${job.phoneNumber} failed: ${job.error}`);
+        }
+        return;
+    }
+
+    // The job stays running while its campaign waits for quiet hours or a reconnect
+    if (results) {
+        setBlastInProgress(false);
+        if (results.status === 'cancelled') {
+            showBlastCancelled(results);
+        } else if (results.status === 'waiting') {
+            showBlastWaiting(results);
+        } else {
+            showBlastStatus(`Scheduled blast completed! Sent: ${results.sent}, Failed: ${results.failed}`, results.failed === 0 ? 'success' : 'warning');
+            addActivityLog(`Scheduled blast completed: ${results.sent} sent, ${results.failed} failed`);
+        }
+    } else if (stopped) {
+        setBlastInProgress(false);
+        showBlastStatus('Scheduled blast stopped: ' + stopped, 'warning');
+        addActivityLog(`Scheduled blast stopped: ${stopped}`);
+    } else if (job.status === 'running') {
+        setBlastInProgress(true);
+        showBlastStatus('Sending a scheduled blast...', 'info');
+        addActivityLog('Scheduled blast started');
+    } else if (job.status === 'failed') {
+        // Only a blast that got as far as starting holds the blast controls
+        if (job.campaignId) {
+            setBlastInProgress(false);
+        }
+        showBlastStatus('Scheduled blast failed: ' + job.error, 'error');
+        addActivityLog(`Scheduled blast failed: ${job.error}`);
+    }
+}
+
+// Read the schedule time from a datetime-local input, as an ISO string
+function readScheduleTime(inputId) {
+    const value = document.getElementById(inputId).value;
+    const sendAt = new Date(value);
+    if (!value || isNaN(sendAt.getTime())) {
+        return { error: 'Please choose when to send it' };
+    }
+    if (sendAt <= new Date()) {
+        return { error: 'Please choose a time in the future' };
+    }
+    return { sendAt: sendAt.toISOString() };
+}
+
+async function scheduleBlast() {
+    const message = document.getElementById('blast-message-input').value.trim();
+    if (!message) {
+        await showAlert('Please enter a message', 'Validation');
+        return;
+    }
+
+    const time = readScheduleTime('blast-schedule-input');
+    if (time.error) {
+        await showAlert(time.error, 'Validation');
+        return;
+    }
+
+    const confirmed = await showConfirm(
+        `Schedule this blast for ${new Date(time.sendAt).toLocaleString()}?\n\nRecipients are chosen, and consent and opt-outs checked, when it sends.`,
+        'Schedule Blast'
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    const result = await window.electronAPI.scheduleBlast({
+        message,
+        imageData: blastImageData,
+        selection: getBlastSelection(),
+        sendAt: time.sendAt
+    });
+
+    if (result.success) {
+        resetBlast();
+        showBlastStatus(`Blast scheduled for ${new Date(result.job.sendAt).toLocaleString()}`, 'success');
+        addActivityLog(`Blast scheduled for ${new Date(result.job.sendAt).toLocaleString()}`);
+        loadScheduledJobs();
+    } else {
+        showBlastStatus('Error: ' + result.error, 'error');
+    }
+}
+
+function openScheduleModal(title, targetLabel, sendAt, text) {
+    document.getElementById('schedule-modal-title').textContent = title;
+    document.getElementById('schedule-target-label').textContent = targetLabel;
+    document.getElementById('schedule-time-input').value = toDateTimeLocalValue(sendAt);
+    document.getElementById('schedule-text-input').value = text;
+    document.getElementById('schedule-modal').classList.add('active');
+    document.getElementById('schedule-time-input').focus();
+}
+
+function openScheduleMessageModal(phoneNumber, text) {
+    scheduleModalTarget = { phoneNumber };
+    // Default to an hour from now
+    openScheduleModal('Schedule Message', `Message to +${phoneNumber}`, new Date(Date.now() + 60 * 60 * 1000), text);
+}
+
+function editScheduledJob(jobId) {
+    const job = scheduledJobs.find(j => j.id === jobId);
+    if (!job) {
+        return;
+    }
+
+    scheduleModalTarget = { jobId };
+    openScheduleModal(
+        job.type === 'blast' ? 'Edit Scheduled Blast' : 'Edit Scheduled Message',
+        job.type === 'blast' ? 'Recipients are chosen when it sends' : `Message to +${job.phoneNumber}`,
+        new Date(job.sendAt),
+        job.type === 'blast' ? job.message : job.text
+    );
+}
+
+function closeScheduleModal() {
+    document.getElementById('schedule-modal').classList.remove('active');
+    scheduleModalTarget = null;
+}
+
+async function saveSchedule() {
+    const text = document.getElementById('schedule-text-input').value.trim();
+    if (!text) {
+        await showAlert('Please enter a message', 'Validation');
+        return;
+    }
+
+    const time = readScheduleTime('schedule-time-input');
+    if (time.error) {
+        await showAlert(time.error, 'Validation');
+        return;
+    }
+
+    const target = scheduleModalTarget;
+    const result = target.jobId
+        ? await window.electronAPI.updateScheduledJob(target.jobId, { sendAt: time.sendAt, text })
+        : await window.electronAPI.scheduleMessage({ phoneNumber: target.phoneNumber, text, sendAt: time.sendAt });
+
+    if (!result.success) {
+        await showAlert('Error: ' + result.error, 'Error');
+        return;
+    }
+
+    // The text now lives in the scheduled job, not the reply box
+    if (target.phoneNumber) {
+        const segment = document.getElementById(`chat-segment-${target.phoneNumber}`);
+        const input = segment && segment.querySelector('.composer-input');
+        if (input) {
+            input.value = '';
+        }
+        addActivityLog(`Message to +${target.phoneNumber} scheduled for ${new Date(result.job.sendAt).toLocaleString()}`);
+    }
+
+    closeScheduleModal();
+    loadScheduledJobs();
+}
+
+async function cancelScheduledJob(jobId) {
+    const confirmed = await showConfirm('Cancel this scheduled job? It will not be sent.', 'Cancel Scheduled Job');
+    if (!confirmed) {
+        return;
+    }
+
+    const result = await window.electronAPI.cancelScheduledJob(jobId);
+    if (!result.success) {
+        await showAlert('Error: ' + result.error, 'Error');
+    }
+    loadScheduledJobs();
+}
+
+// Messages held for quiet hours
+
+const HELD_MESSAGE_KIND_LABELS = {
+    greeting: 'Greeting',
+    reply: 'Reply',
+    blast: 'Blast',
+    scheduled: 'Scheduled'
+};
+
+async function loadHeldMessages() {
+    try {
+        const result = await window.electronAPI.getHeldMessages();
+        if (result.success) {
+            renderHeldMessages(result.held, result.quietHours);
+        }
+    } catch (error) {
+        console.error('Error loading held messages:', error);
+    }
+}
+
+function renderHeldMessages(held, quietHours) {
+    const listEl = document.getElementById('held-messages-list');
+    if (!listEl) {
+        return;
+    }
+
+    if (held.length === 0) {
+        listEl.innerHTML = quietHours && !quietHours.enabled
+            ? '<p class="campaigns-empty">Quiet hours are off in Settings</p>'
+            : '<p class="campaigns-empty">Nothing held</p>';
+        return;
+    }
+
+    listEl.innerHTML = held.map(item => {
+        // Greetings are written when they go out, replies answer the contact's queued message
+        let text = item.text;
+        if (item.kind === 'greeting') {
+            text = 'AI greeting, written when it is sent';
+        } else if (item.kind === 'reply') {
+            text = `AI reply to "${item.text}"`;
+        }
+
+        return `
+            <div class="campaign-item">
+                <div class="campaign-header">
+                    <span class="campaign-status status-held">${escapeHtml(HELD_MESSAGE_KIND_LABELS[item.kind] || item.kind)}</span>
+                    <span class="campaign-time">Until ${escapeHtml(new Date(item.releaseAt).toLocaleString())}</span>
+                </div>
+                <div class="campaign-message">${escapeHtml(text)}</div>
+                <div class="campaign-counts">To +${escapeHtml(item.phoneNumber)} &middot; ${escapeHtml(item.timeZone)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
 // Make functions global
 window.switchTab = switchTab;
 window.removeAccount = removeAccount;
 window.removePhoneNumber = removePhoneNumber;
+window.optInPhoneNumber = optInPhoneNumber;
+window.openConsentModal = openConsentModal;
+window.editPhoneTags = editPhoneTags;
+window.openFieldsModal = openFieldsModal;
+window.editPhoneTimeZone = editPhoneTimeZone;
+window.moveRule = moveRule;
+window.deleteRule = deleteRule;
+window.editScheduledJob = editScheduledJob;
+window.cancelScheduledJob = cancelScheduledJob;
 window.deleteSticker = deleteSticker;
 window.editMediaContext = editMediaContext;
 window.deleteMedia = deleteMedia;
+window.loadOlderMessages = loadOlderMessages;
+window.resetConversation = resetConversation;
+window.toggleHumanMode = toggleHumanMode;
+window.approveDraft = approveDraft;
+window.rejectDraft = rejectDraft;
+window.setPhoneApprovalMode = setPhoneApprovalMode;
+window.toggleCampaignDetails = toggleCampaignDetails;
+window.resumeCampaign = resumeCampaign;
+window.cancelCampaign = cancelCampaign;
+window.loadBlastStats = loadBlastStats;
@@ -0,0 +1,177 @@
+/**
+ * Keyword rules: checked against every message a contact sends, before the AI
+ * sees it. Rules run in list order and the first enabled rule that matches wins.
+ *
+ *   { id, name, enabled,
+ *     match: { type: 'keyword', keywords: ['price', 'how much'] } or { type: 'regex', pattern: 'order\\s*#?\\d+' },
+ *     actions: { reply, mediaId, tags: [], humanMode, skipAI } }
+ *
+ * Keywords match as whole words or phrases anywhere in the message, ignoring case
+ * and punctuation. Patterns are JavaScript regular expressions, matched ignoring case.
+ * A rule that sends a reply or media item always skips the AI, so the contact
+ * doesn't get two answers.
+ */
+
+const MATCH_TYPES = ['keyword', 'regex'];
+
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_REPLY_LENGTH = 4096;
+
+/**
+ * Normalize text for keyword matching: lowercase, punctuation and emoji stripped.
+ * Shared by rules, flows, the FAQ tool and opt-out keywords, so they all match alike.
+ */
+function normalizeKeywordText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function createRuleId() {
+    return `rule_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Check rules before saving them, filling in ids and defaults
+ * @param {Array} rules - Rules as edited in Settings
+ * @returns {object} { rules, errors: [string] } - errors is empty when the rules can be saved
+ */
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return { rules: [], errors: ['Rules must be a list'] };
+    }
+    if (rules.length > MAX_RULES) {
+        return { rules: [], errors: [`At most ${MAX_RULES} rules are allowed`] };
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+
+    const normalized = rules.map((rule, index) => {
+        rule = rule || {};
+        const match = rule.match || {};
+        const actions = rule.actions || {};
+        const name = String(rule.name || '').trim() || `Rule ${index + 1}`;
+        const problem = (message) => errors.push(`${name}: ${message}`);
+
+        let id = typeof rule.id === 'string' && rule.id ? rule.id : createRuleId();
+        if (seenIds.has(id)) {
+            id = createRuleId();
+        }
+        seenIds.add(id);
+
+        const type = MATCH_TYPES.includes(match.type) ? match.type : null;
+        let normalizedMatch = null;
+        if (type === 'keyword') {
+            const keywords = (Array.isArray(match.keywords) ? match.keywords : [])
+                .map(keyword => String(keyword).trim())
+                .filter(keyword => normalizeKeywordText(keyword));
+            if (keywords.length === 0) {
+                problem('add at least one keyword with a letter or number in it');
+            }
+            normalizedMatch = { type, keywords };
+        } else if (type === 'regex') {
+            const pattern = String(match.pattern || '');
+            if (!pattern) {
+                problem('enter a pattern');
+            } else if (pattern.length > MAX_PATTERN_LENGTH) {
+                problem(`the pattern can be at most ${MAX_PATTERN_LENGTH} characters`);
+            } else {
+                try {
+                    new RegExp(pattern, 'iu');
+                } catch (error) {
+                    problem(`the pattern is not valid (${error.message})`);
+                }
+            }
+            normalizedMatch = { type, pattern };
+        } else {
+            problem('match type must be keyword or regex');
+        }
+
+        const reply = typeof actions.reply === 'string' ? actions.reply.trim() : '';
+        if (reply.length > MAX_REPLY_LENGTH) {
+            problem(`the reply can be at most ${MAX_REPLY_LENGTH} characters`);
+        }
+
+        // Not checked against the media library, deleting an item shouldn't stop settings saving.
+        // A rule whose item is gone sends its reply text alone.
+        const mediaId = typeof actions.mediaId === 'string' && actions.mediaId ? actions.mediaId : null;
+
+        // Tags compared without case, the first spelling kept
+        const tags = [];
+        for (const tag of Array.isArray(actions.tags) ? actions.tags : []) {
+            const trimmed = String(tag).trim();
+            if (trimmed && !tags.some(t => t.toLowerCase() === trimmed.toLowerCase())) {
+                tags.push(trimmed);
+            }
+        }
+
+        const normalizedActions = {
+            reply,
+            mediaId,
+            tags,
+            humanMode: actions.humanMode === true,
+            skipAI: actions.skipAI === true || !!reply || !!mediaId
+        };
+        if (!reply && !mediaId && tags.length === 0 && !normalizedActions.humanMode && !normalizedActions.skipAI) {
+            problem('give it something to do');
+        }
+
+        return {
+            id,
+            name,
+            enabled: rule.enabled !== false,
+            match: normalizedMatch,
+            actions: normalizedActions
+        };
+    });
+
+    return { rules: normalized, errors };
+}
+
+/**
+ * Whether one rule matches a message
+ * @returns {string|null} The keyword or text that matched, null when it doesn't
+ */
+function matchRule(rule, text) {
+    if (rule.match.type === 'keyword') {
+        // Padded with spaces so keywords only match whole words
+        const normalized = ` ${normalizeKeywordText(text)} `;
+        return rule.match.keywords.find(keyword => normalized.includes(` ${normalizeKeywordText(keyword)} `)) || null;
+    }
+
+    const found = new RegExp(rule.match.pattern, 'iu').exec(String(text || ''));
+    return found ? found[0] : null;
+}
+
+/**
+ * The first enabled rule that matches a message
+ * @param {Array} rules - Rules from validateRules
+ * @returns {object|null} { rule, matched } where matched is the keyword or text that matched
+ */
+function findMatchingRule(rules, text) {
+    for (const rule of rules) {
+        if (!rule.enabled || !rule.match) {
+            continue;
+        }
+        try {
+            const matched = matchRule(rule, text);
+            if (matched !== null) {
+                return { rule, matched };
+            }
+        } catch (error) {
+            console.error(`Error checking rule ${rule.name}:`, error);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    MATCH_TYPES,
+    normalizeKeywordText,
+    validateRules,
+    findMatchingRule
+};
@@ -0,0 +1,276 @@
+const path = require('path');
+const fs = require('fs');
+
+// How many finished jobs to keep in the list
+const MAX_FINISHED_JOBS = 100;
+
+// Jobs that will never run again
+const FINISHED_STATUSES = ['sent', 'failed', 'cancelled'];
+
+const ATTACHMENT_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png'
+};
+
+/**
+ * Blasts and one-off messages queued to send at a set time, saved so they still
+ * go out on the next launch if the app was closed when they were due.
+ *
+ * Job type: 'blast' ({ message, selection, attachment }) or 'message' ({ phoneNumber, text }).
+ * Job status: 'scheduled', 'running', 'sent', 'failed' or 'cancelled'.
+ * A due job that can't run yet (not connected, another blast running) stays scheduled
+ * with the reason in waitingReason. A blast that has started follows its campaign (campaignId):
+ * it stays running while the campaign waits for quiet hours, is paused or was interrupted.
+ */
+class ScheduleStore {
+    constructor(filePath, attachmentsDir) {
+        this.filePath = filePath;
+        this.attachmentsDir = attachmentsDir; // Images for scheduled blasts
+        this.jobs = [];
+
+        if (!fs.existsSync(this.attachmentsDir)) {
+            fs.mkdirSync(this.attachmentsDir, { recursive: true });
+        }
+        if (!fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify([], null, 2));
+        }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.jobs = Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error('Error loading scheduled jobs:', error);
+            this.jobs = [];
+        }
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.jobs, null, 2));
+        } catch (error) {
+            console.error('Error saving scheduled jobs:', error);
+        }
+    }
+
+    find(jobId) {
+        return this.jobs.find(j => j.id === jobId) || null;
+    }
+
+    copy(job) {
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * All jobs, soonest first
+     */
+    getAll() {
+        return this.jobs
+            .map(job => this.copy(job))
+            .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    }
+
+    get(jobId) {
+        return this.copy(this.find(jobId));
+    }
+
+    /**
+     * Queue a job
+     * @param {object} job - { type: 'blast'|'message', sendAt (ISO string), message, selection, imageData, phoneNumber, text }
+     */
+    create({ type, sendAt, message = '', selection = null, imageData = null, phoneNumber = null, text = '' }) {
+        const id = `job_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+
+        let attachment = null;
+        if (imageData && imageData.base64Data) {
+            const fileName = `${id}${ATTACHMENT_EXTENSIONS[imageData.mimeType] || path.extname(imageData.fileName || '')}`;
+            fs.writeFileSync(path.join(this.attachmentsDir, fileName), Buffer.from(imageData.base64Data, 'base64'));
+            attachment = { fileName, originalName: imageData.fileName, mimeType: imageData.mimeType };
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            type,
+            sendAt,
+            status: 'scheduled',
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            waitingReason: '',
+            error: '',
+            ...(type === 'blast'
+                ? { message, selection, attachment, campaignId: null }
+                : { phoneNumber, text })
+        };
+
+        this.jobs.push(job);
+        this.trim();
+        this.persist();
+        return this.copy(job);
+    }
+
+    /**
+     * Change a job that hasn't run yet
+     */
+    update(jobId, updates) {
+        const job = this.find(jobId);
+        if (!job) {
+            throw new Error('Scheduled job not found');
+        }
+        if (job.status !== 'scheduled') {
+            throw new Error('Only jobs that haven\'t run yet can be changed');
+        }
+
+        Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+        this.persist();
+        return this.copy(job);
+    }
+
+    setStatus(jobId, status, details = {}) {
+        const job = this.find(jobId);
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, details, { status, updatedAt: new Date().toISOString() });
+        if (FINISHED_STATUSES.includes(status)) {
+            job.finishedAt = job.updatedAt;
+            job.waitingReason = '';
+            this.removeAttachment(job);
+        }
+        this.persist();
+        return this.copy(job);
+    }
+
+    /**
+     * Note why a due job hasn't run yet, without persisting on every retry
+     */
+    setWaiting(jobId, reason) {
+        const job = this.find(jobId);
+        if (job && job.waitingReason !== reason) {
+            job.waitingReason = reason;
+            this.persist();
+        }
+    }
+
+    cancel(jobId) {
+        const job = this.find(jobId);
+        if (!job) {
+            throw new Error('Scheduled job not found');
+        }
+        if (job.status !== 'scheduled') {
+            throw new Error('Only jobs that haven\'t run yet can be cancelled');
+        }
+        return this.setStatus(jobId, 'cancelled');
+    }
+
+    /**
+     * Scheduled jobs whose time has come, oldest first
+     */
+    getDue(now = new Date()) {
+        return this.getAll().filter(job => job.status === 'scheduled' && new Date(job.sendAt) <= now);
+    }
+
+    /**
+     * When the next scheduled job is due, or null when nothing is queued
+     */
+    getNextSendAt() {
+        const next = this.getAll().find(job => job.status === 'scheduled');
+        return next ? new Date(next.sendAt) : null;
+    }
+
+    /**
+     * The running blast job that started a campaign, or null
+     */
+    findRunningBlast(campaignId) {
+        return this.copy(this.jobs.find(j => j.status === 'running' && j.campaignId === campaignId));
+    }
+
+    /**
+     * Bring the blast job that started a campaign in line with it: sent once the campaign has
+     * completed, cancelled with it, and left running while the campaign still has recipients to go
+     * @returns {object|null} The updated job, or null if no running job started the campaign or it isn't finished
+     */
+    updateFromCampaign(campaign) {
+        const job = this.findRunningBlast(campaign.id);
+        if (!job) {
+            return null;
+        }
+
+        if (campaign.status === 'completed') {
+            return this.setStatus(job.id, 'sent');
+        }
+        if (campaign.status === 'cancelled') {
+            return this.setStatus(job.id, 'cancelled');
+        }
+        return null;
+    }
+
+    /**
+     * Called on startup: a job still marked running was cut off by a crash or quit.
+     * It isn't run again. A blast that got as far as its campaign stays running, the campaign
+     * resumes and updateFromCampaign finishes the job.
+     * @returns {number} How many jobs were interrupted
+     */
+    markInterrupted() {
+        const running = this.jobs.filter(j => j.status === 'running' && !(j.type === 'blast' && j.campaignId));
+        for (const job of running) {
+            this.setStatus(job.id, 'failed', {
+                error: job.type === 'blast'
+                    ? 'The app closed before this blast started. Schedule it again to send it.'
+                    : 'The app closed while this message was sending. Check the chat before sending it again.'
+            });
+        }
+        return running.length;
+    }
+
+    /**
+     * Attachment in the shape blastMessage takes, or null for text-only jobs
+     */
+    loadAttachment(jobId) {
+        const job = this.find(jobId);
+        if (!job || !job.attachment) {
+            return null;
+        }
+
+        const filePath = path.join(this.attachmentsDir, job.attachment.fileName);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Scheduled image ${job.attachment.originalName} is missing`);
+        }
+
+        return {
+            fileName: job.attachment.originalName,
+            mimeType: job.attachment.mimeType,
+            base64Data: fs.readFileSync(filePath).toString('base64')
+        };
+    }
+
+    // The campaign keeps its own copy once a blast starts, so a finished job's image can go
+    removeAttachment(job) {
+        if (job.attachment) {
+            fs.rmSync(path.join(this.attachmentsDir, job.attachment.fileName), { force: true });
+        }
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+     */
+    trim() {
+        const finished = this.jobs
+            .filter(j => FINISHED_STATUSES.includes(j.status))
+            .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+        const excess = finished.length - MAX_FINISHED_JOBS;
+        if (excess > 0) {
+            const dropped = new Set(finished.slice(0, excess).map(j => j.id));
+            this.jobs = this.jobs.filter(j => !dropped.has(j.id));
+        }
+    }
+}
+
+module.exports = ScheduleStore;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_SEND_LIMITS = {
+    dailyLimit: 1000, // Messages per calendar day, across warming, replies, blasts and manual sends
+    hourlyLimit: 250, // Messages in any 60 minutes
+    perContactDailyLimit: 0 // Messages to one contact per day, 0 for no limit
+};
+
+class SendLimitError extends Error {
+    constructor(limit, message, retryAt) {
+        super(message);
+        this.name = 'SendLimitError';
+        this.limit = limit; // 'daily', 'hourly' or 'contact'
+        this.retryAt = retryAt; // Date there is room again
+    }
+}
+
+/**
+ * Hard caps on outbound messages, a safety brake against a misconfiguration flooding
+ * contacts. Every send reserves a slot first; counts are saved so a restart doesn't
+ * reset them.
+ */
+class SendLimiter {
+    constructor(filePath, limits = {}) {
+        this.filePath = filePath;
+        this.day = new Date().toDateString();
+        this.sentToday = 0;
+        this.perContact = {}; // phoneNumber -> messages today
+        this.recentSends = []; // Send times in the last hour, oldest first
+
+        this.setLimits(limits);
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.day = data.day || this.day;
+            this.sentToday = data.sentToday || 0;
+            this.perContact = data.perContact || {};
+            this.recentSends = Array.isArray(data.recentSends) ? data.recentSends : [];
+        } catch (error) {
+            console.error('Error loading send counts:', error);
+        }
+    }
+
+    persist() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                day: this.day,
+                sentToday: this.sentToday,
+                perContact: this.perContact,
+                recentSends: this.recentSends
+            }, null, 2));
+        } catch (error) {
+            console.error('Error saving send counts:', error);
+        }
+    }
+
+    /**
+     * Update the caps. Anything missing or invalid falls back to its default.
+     */
+    setLimits(limits = {}) {
+        const read = (key, min) => {
+            const value = parseInt(limits[key]);
+            return isNaN(value) || value < min ? DEFAULT_SEND_LIMITS[key] : value;
+        };
+
+        this.limits = {
+            dailyLimit: read('dailyLimit', 1),
+            hourlyLimit: read('hourlyLimit', 1),
+            perContactDailyLimit: read('perContactDailyLimit', 0)
+        };
+    }
+
+    // Start a fresh day at midnight and forget sends older than an hour
+    refresh(now = Date.now()) {
+        const today = new Date(now).toDateString();
+        if (today !== this.day) {
+            this.day = today;
+            this.sentToday = 0;
+            this.perContact = {};
+        }
+
+        while (this.recentSends.length > 0 && this.recentSends[0] <= now - HOUR_MS) {
+            this.recentSends.shift();
+        }
+    }
+
+    /**
+     * Which cap a send would break, or null when there is room
+     * @param {string} phoneNumber - Recipient, or null to check only the daily and hourly caps
+     * @returns {object|null} { limit: 'daily'|'hourly'|'contact', message, retryAt }
+     */
+    check(phoneNumber = null) {
+        const now = Date.now();
+        this.refresh(now);
+        const { dailyLimit, hourlyLimit, perContactDailyLimit } = this.limits;
+
+        if (this.sentToday >= dailyLimit) {
+            const midnight = new Date(now);
+            midnight.setHours(24, 0, 0, 0);
+            return {
+                limit: 'daily',
+                message: `Daily send cap of ${dailyLimit} messages reached. Sending starts again at midnight.`,
+                retryAt: midnight
+            };
+        }
+
+        if (this.recentSends.length >= hourlyLimit) {
+            const retryAt = new Date(this.recentSends[this.recentSends.length - hourlyLimit] + HOUR_MS);
+            return {
+                limit: 'hourly',
+                message: `Hourly send cap of ${hourlyLimit} messages reached. Sending starts again at ${retryAt.toLocaleTimeString()}.`,
+                retryAt
+            };
+        }
+
+        if (phoneNumber && perContactDailyLimit > 0 && (this.perContact[phoneNumber] || 0) >= perContactDailyLimit) {
+            const midnight = new Date(now);
+            midnight.setHours(24, 0, 0, 0);
+            return {
+                limit: 'contact',
+                message: `+${phoneNumber} reached the per-contact cap of ${perContactDailyLimit} message(s) today. Nothing more goes to them until midnight.`,
+                retryAt: midnight
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Reserve a slot for one message before it is sent
+     * @throws {SendLimitError} When a cap is reached, nothing is reserved then
+     */
+    acquire(phoneNumber) {
+        const blocked = this.check(phoneNumber);
+        if (blocked) {
+            throw new SendLimitError(blocked.limit, blocked.message, blocked.retryAt);
+        }
+
+        const now = Date.now();
+        this.sentToday += 1;
+        this.perContact[phoneNumber] = (this.perContact[phoneNumber] || 0) + 1;
+        this.recentSends.push(now);
+        this.persist();
+        return now;
+    }
+
+    /**
+     * Give back a slot whose message didn't go out
+     * @param {number} reservedAt - What acquire returned
+     */
+    release(phoneNumber, reservedAt) {
+        const index = this.recentSends.lastIndexOf(reservedAt);
+        if (index !== -1) {
+            this.recentSends.splice(index, 1);
+        }
+
+        // Reserved before midnight and failed after it: today's counts never included it
+        if (new Date(reservedAt).toDateString() === this.day) {
+            this.sentToday = Math.max(0, this.sentToday - 1);
+            if (this.perContact[phoneNumber] > 1) {
+                this.perContact[phoneNumber] -= 1;
+            } else {
+                delete this.perContact[phoneNumber];
+            }
+        }
+        this.persist();
+    }
+
+    /**
+     * Counts and caps for the dashboard
+     */
+    getStatus() {
+        this.refresh();
+        const { dailyLimit, hourlyLimit, perContactDailyLimit } = this.limits;
+        return {
+            sentToday: this.sentToday,
+            dailyLimit,
+            remainingToday: Math.max(0, dailyLimit - this.sentToday),
+            sentThisHour: this.recentSends.length,
+            hourlyLimit,
+            remainingThisHour: Math.max(0, hourlyLimit - this.recentSends.length),
+            perContactDailyLimit
+        };
+    }
+}
+
+module.exports = { SendLimiter, SendLimitError, DEFAULT_SEND_LIMITS };
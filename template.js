@@ -0,0 +1,154 @@
+/**
+ * Blast message templates with merge fields.
+ *
+ *   Hi {{first_name|there}}, your order from {{company}} is ready.
+ *
+ * {{field}} is replaced with the contact's value. {{field|fallback}} uses the
+ * fallback when the contact has no value. Built-in fields come from the contact
+ * record; anything else is a custom field saved on the contact (contact.fields).
+ */
+
+const BUILT_IN_FIELDS = ['name', 'first_name', 'number'];
+
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Split a template into literal text and merge fields
+ * @returns {object} { parts: [{ text } | { field, fallback }], errors: [string] }
+ */
+function parseTemplate(template) {
+    const parts = [];
+    const errors = [];
+    const text = String(template || '');
+
+    let position = 0;
+    while (position < text.length) {
+        const open = text.indexOf('{{', position);
+        if (open === -1) {
+            parts.push({ text: text.slice(position) });
+            break;
+        }
+
+        if (open > position) {
+            parts.push({ text: text.slice(position, open) });
+        }
+
+        const close = text.indexOf('}}', open + 2);
+        if (close === -1) {
+            errors.push(`"${text.slice(open, open + 20)}" is missing its closing }}`);
+            break;
+        }
+
+        const raw = text.slice(open + 2, close);
+        const separator = raw.indexOf('|');
+        const field = (separator === -1 ? raw : raw.slice(0, separator)).trim().toLowerCase();
+        const fallback = separator === -1 ? null : raw.slice(separator + 1).trim();
+
+        if (!field) {
+            errors.push(`{{${raw}}} has no field name`);
+        } else if (!FIELD_NAME_PATTERN.test(field)) {
+            errors.push(`{{${raw}}}: field names can only use letters, numbers and _`);
+        } else {
+            parts.push({ field, fallback });
+        }
+
+        position = close + 2;
+    }
+
+    return { parts, errors };
+}
+
+/**
+ * A contact's value for a field, or '' when it has none
+ */
+function getFieldValue(contact, field) {
+    // Contacts added without a name get their number as the name, that is no name to greet
+    const name = contact.name && contact.name !== contact.number ? contact.name.trim() : '';
+
+    if (field === 'name') {
+        return name;
+    }
+    if (field === 'first_name') {
+        return name.split(/\s+/)[0] || '';
+    }
+    if (field === 'number') {
+        return contact.number || '';
+    }
+
+    const value = contact.fields ? contact.fields[field] : '';
+    return value ? String(value).trim() : '';
+}
+
+/**
+ * Fill in a template for one contact
+ * @returns {object} { text, missing: [field] } - missing lists empty fields that had no fallback
+ */
+function renderTemplate(template, contact) {
+    const { parts } = parseTemplate(template);
+    const missing = [];
+
+    const text = parts.map(part => {
+        if (part.text !== undefined) {
+            return part.text;
+        }
+
+        const value = getFieldValue(contact, part.field);
+        if (value) {
+            return value;
+        }
+        if (part.fallback !== null) {
+            return part.fallback;
+        }
+
+        if (!missing.includes(part.field)) {
+            missing.push(part.field);
+        }
+        return '';
+    }).join('');
+
+    return { text, missing };
+}
+
+/**
+ * Check a template before sending it to these contacts
+ * @returns {string[]} Problems that should stop the blast, empty when it is fine to send
+ */
+function validateTemplate(template, contacts) {
+    const { errors } = parseTemplate(template);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    // Which contacts would get a blank where a field should be
+    const missingBy = new Map();
+    for (const contact of contacts) {
+        for (const field of renderTemplate(template, contact).missing) {
+            if (!missingBy.has(field)) {
+                missingBy.set(field, []);
+            }
+            missingBy.get(field).push(contact);
+        }
+    }
+
+    return Array.from(missingBy.entries()).map(([field, missingContacts]) => {
+        const names = missingContacts.slice(0, 3).map(c => `+${c.number}`).join(', ');
+        const more = missingContacts.length > 3 ? ` and ${missingContacts.length - 3} more` : '';
+        return `{{${field}}} is empty for ${names}${more}. Fill it in or add a fallback like {{${field}|friend}}.`;
+    });
+}
+
+/**
+ * Whether a custom field name is allowed: same characters as merge fields, and not a built-in
+ */
+function isValidCustomFieldName(field) {
+    return FIELD_NAME_PATTERN.test(field) && !BUILT_IN_FIELDS.includes(field);
+}
+
+module.exports = {
+    BUILT_IN_FIELDS,
+    parseTemplate,
+    getFieldValue,
+    renderTemplate,
+    validateTemplate,
+    isValidCustomFieldName
+};
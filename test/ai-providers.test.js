@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { OpenAICompatibleProvider, GeminiProvider, ModelRejectedError, StubProvider, getProviderSelection, createProviders } = require('../ai-providers');
+const { createTools, normalizeToolSettings, buildToolPrompt } = require('../tools');
+const { normalizeBusinessHours } = require('../business-hours');
+
+// Answer every fetch with this status and body
+function mockFetch(t, status, body) {
+    t.mock.method(global, 'fetch', async () => new Response(typeof body === 'string' ? body : JSON.stringify(body), { status }));
+}
+
+function createProvider() {
+    return new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3' });
+}
+
+test('OpenAI-compatible chat returns the message text', async (t) => {
+    mockFetch(t, 200, { choices: [{ message: { content: ' Hello there ' } }] });
+
+    assert.strictEqual(await createProvider().generateText('Hi'), 'Hello there');
+});
+
+test('a 404 from an OpenAI-compatible server rejects the model', async (t) => {
+    mockFetch(t, 404, { error: 'model "llama9" not found, try pulling it first' });
+
+    await assert.rejects(createProvider().generateText('Hi', { model: 'llama9' }), (error) => {
+        assert.ok(error instanceof ModelRejectedError);
+        assert.strictEqual(error.model, 'llama9');
+        return true;
+    });
+});
+
+test('model_not_found from an OpenAI-compatible server rejects the model', async (t) => {
+    mockFetch(t, 400, { error: { message: 'The model gpt-9 does not exist', code: 'model_not_found' } });
+
+    await assert.rejects(createProvider().generateText('Hi', { model: 'gpt-9' }), ModelRejectedError);
+});
+
+test('other errors that mention the model are not a rejected model', async (t) => {
+    for (const [status, body] of [
+        [503, { error: 'model is loading, try again shortly' }],
+        [400, { error: { message: 'This model\'s maximum context length is 8192 tokens', code: 'context_length_exceeded' } }]
+    ]) {
+        mockFetch(t, status, body);
+
+        await assert.rejects(createProvider().generateText('Hi'), (error) => {
+            assert.ok(!(error instanceof ModelRejectedError), error.message);
+            assert.match(error.message, new RegExp(`returned ${status}`));
+            return true;
+        });
+        t.mock.restoreAll();
+    }
+});
+
+test('a saved stub selection falls back to Gemini instead of building the stub', () => {
+    const config = { apiKey: 'key', aiProviders: { chat: 'stub', vision: 'stub', transcription: 'stub' } };
+
+    assert.deepStrictEqual(getProviderSelection(config), { chat: 'gemini', vision: 'gemini', transcription: 'gemini' });
+    for (const provider of Object.values(createProviders(config))) {
+        assert.ok(provider instanceof GeminiProvider);
+    }
+});
+
+// A reply prompt offering the tools, as generateReplyWithTools builds it
+function toolPrompt(conversation, settings = {}) {
+    const tools = createTools(normalizeToolSettings({ enabled: true, ordersFile: 'orders.csv', faqFile: 'faq.md', ...settings }), normalizeBusinessHours(), '60123456789');
+    return `Be helpful.\n\n${buildToolPrompt(tools)}\n\nHere's the conversation so far:\n\n${conversation}\n\nGenerate a natural response.`;
+}
+
+test('StubProvider greets, echoes replies and picks a sticker mood without a network', async () => {
+    const stub = new StubProvider();
+
+    assert.match(await stub.generateText('Write a short friendly opening message.'), /^Hi!/);
+    assert.strictEqual(await stub.generateText('Here\'s the conversation so far:\n\nYou: Hi\nThem: All good'), 'Thanks for your message: All good');
+    assert.strictEqual(await stub.generateText('Pick a mood. Respond with ONLY ONE of these categories: happy, casual'), 'casual');
+});
+
+test('StubProvider calls the tool that fits the last message, if it is offered', async () => {
+    const stub = new StubProvider();
+
+    assert.strictEqual(await stub.generateText(toolPrompt('Them: Where is my order #1234?')), 'TOOL_CALL {"name":"lookup_order","arguments":{"order_id":"1234"}}');
+    assert.strictEqual(await stub.generateText(toolPrompt('Them: Are you open on Sunday')), 'TOOL_CALL {"name":"get_opening_hours","arguments":{}}');
+    assert.strictEqual(await stub.generateText(toolPrompt('Them: Do you deliver?')), 'TOOL_CALL {"name":"search_faq","arguments":{"query":"Do you deliver?"}}');
+    assert.strictEqual(await stub.generateText(toolPrompt('Them: Where is my order #1234?', { ordersFile: '' })), 'TOOL_CALL {"name":"search_faq","arguments":{"query":"Where is my order #1234?"}}');
+});
+
+test('StubProvider repeats a tool result back once it has one', async () => {
+    const stub = new StubProvider();
+    const prompt = toolPrompt('Them: Where is my order #1234?\nTOOL_CALL {"name":"lookup_order","arguments":{"order_id":"1234"}}\nTOOL_RESULT lookup_order: {"found":true}');
+
+    assert.strictEqual(await stub.generateText(prompt), 'Here\'s what I found: lookup_order: {"found":true}');
+    assert.deepStrictEqual(await stub.listModels(), ['stub']);
+});
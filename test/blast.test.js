@@ -0,0 +1,254 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const FakeTransport = require('../fake-transport');
+const ScheduleStore = require('../schedule-store');
+const { contact, createTestManager, waitFor, textsSentTo } = require('./helpers');
+
+const CONTACTS = [
+    contact('15552220001', { name: 'Ana' }),
+    contact('15552220002', { name: 'Ben' }),
+    contact('15552220003', { name: 'Cy' })
+];
+
+async function connected(t, options = {}) {
+    const setup = createTestManager(t, { contacts: CONTACTS, ...options });
+    await setup.manager.addAccount('acc1', 'Test');
+    return setup;
+}
+
+test('blastMessage sends each recipient their own text and records the campaign', async (t) => {
+    const { manager, transport, stores } = await connected(t);
+    const progress = [];
+
+    const results = await manager.blastMessage('Hi {{name}}, we are open today', null, p => progress.push(p), {
+        recipients: CONTACTS.map(c => ({ number: c.number, name: c.name }))
+    });
+
+    assert.strictEqual(results.sent, 3);
+    assert.strictEqual(results.failed, 0);
+    assert.strictEqual(results.status, 'completed');
+    assert.deepStrictEqual(textsSentTo(transport, '15552220002'), ['Hi Ben, we are open today']);
+    assert.strictEqual(progress.at(-1).sent, 3);
+
+    const campaign = stores.campaignStore.get(results.campaignId);
+    assert.ok(campaign.recipients.every(r => r.status === 'sent' && r.messageId));
+    const stored = stores.messageStore.getMessages('15552220001')[0];
+    assert.strictEqual(stored.source, 'blast');
+    assert.strictEqual(stored.campaignId, results.campaignId);
+});
+
+test('blastMessage skips a recipient who opted out after it was chosen', async (t) => {
+    const { manager, transport, stores } = await connected(t);
+    stores.contactStore.markOptedOut('15552220003', 'stop');
+
+    const results = await manager.blastMessage('Hello', null, null, {
+        recipients: CONTACTS.map(c => ({ number: c.number, name: c.name }))
+    });
+
+    assert.strictEqual(results.sent, 2);
+    assert.strictEqual(results.skipped, 1);
+    assert.strictEqual(transport.sentTo('15552220003').length, 0);
+});
+
+test('blastMessage marks a failed send and carries on', async (t) => {
+    const { manager, transport } = await connected(t);
+    transport.failNextSend = new Error('Chat not found');
+
+    const results = await manager.blastMessage('Hello', null, null, {
+        recipients: CONTACTS.map(c => ({ number: c.number, name: c.name }))
+    });
+
+    assert.strictEqual(results.sent, 2);
+    assert.deepStrictEqual(results.errors, [{ phoneNumber: '15552220001', error: 'Chat not found' }]);
+});
+
+test('blastMessage refuses a template with merge fields a recipient lacks', async (t) => {
+    const { manager, transport } = await connected(t);
+
+    await assert.rejects(
+        manager.blastMessage('Your code is {{code}}', null, null, { recipients: [{ number: '15552220001' }] }),
+        /code/
+    );
+    assert.strictEqual(transport.sent.length, 0);
+});
+
+test('blastMessage needs a connected account', async (t) => {
+    const { manager } = createTestManager(t, { contacts: CONTACTS });
+
+    await assert.rejects(
+        manager.blastMessage('Hello', null, null, { recipients: [{ number: '15552220001' }] }),
+        /not ready/
+    );
+});
+
+test('a blast cut off by a disconnect resumes on reconnect without messaging anyone twice', async (t) => {
+    const first = new FakeTransport();
+    const second = new FakeTransport();
+    const transports = [first, second];
+    const { manager, stores } = await connected(t, { createTransport: () => transports.shift() });
+
+    // Drop the connection as soon as the first message is out
+    const sendMessage = first.sendMessage.bind(first);
+    first.sendMessage = async (...args) => {
+        const message = await sendMessage(...args);
+        await first.disconnect('NAVIGATION');
+        return message;
+    };
+
+    await assert.rejects(
+        manager.blastMessage('Hello', null, null, { recipients: CONTACTS.map(c => ({ number: c.number })) }),
+        /disconnected during the blast after 1 message/
+    );
+    const [campaign] = stores.campaignStore.getAll();
+    assert.strictEqual(campaign.status, 'interrupted');
+
+    // The next connection picks it up where it stopped
+    await manager.removeAccount();
+    await manager.restoreSession('acc1', 'Test');
+    await waitFor(() => stores.campaignStore.get(campaign.id).status === 'completed', { message: 'resumed campaign' });
+
+    assert.strictEqual(first.sent.length, 1);
+    assert.strictEqual(second.sent.length, 2);
+    assert.ok(!second.sentTo(first.sent[0].chatId.replace('@c.us', '')).length);
+});
+
+test('a send cut off by a crash counts as sent if it reached history, however long the chat has grown', async (t) => {
+    const { manager, transport, stores } = await connected(t);
+    const campaign = stores.campaignStore.create({
+        message: 'Hello',
+        accountId: 'acc1',
+        recipients: CONTACTS.slice(0, 2).map(c => ({ number: c.number, text: 'Hello' }))
+    });
+    stores.campaignStore.updateRecipient(campaign.id, '15552220001', { status: 'sending' });
+    stores.campaignStore.updateRecipient(campaign.id, '15552220002', { status: 'sending' });
+    stores.campaignStore.setStatus(campaign.id, 'interrupted');
+
+    // The first recipient got it, and has written a lot since
+    const now = Math.floor(Date.now() / 1000);
+    stores.messageStore.append('15552220001', { id: 'blast-1', body: 'Hello', timestamp: now - 100, isOwn: true, campaignId: campaign.id, status: 'delivered' });
+    for (let i = 0; i < 60; i++) {
+        stores.messageStore.append('15552220001', { id: `reply-${i}`, body: `Reply ${i}`, timestamp: now - 60 + i });
+    }
+
+    const results = await manager.runCampaign(campaign.id);
+
+    assert.strictEqual(transport.sent.length, 0);
+    const recipients = stores.campaignStore.get(campaign.id).recipients;
+    assert.deepStrictEqual(
+        { status: recipients[0].status, messageId: recipients[0].messageId, receipt: recipients[0].receipt },
+        { status: 'sent', messageId: 'blast-1', receipt: 'delivered' }
+    );
+    assert.strictEqual(recipients[1].status, 'failed');
+    assert.deepStrictEqual({ sent: results.sent, failed: results.failed }, { sent: 1, failed: 1 });
+});
+
+// Quiet hours for the next two hours in UTC, which is around midday twelve hours east
+function quietHoursNow() {
+    const hour = new Date().getUTCHours();
+    const time = h => `${String(h % 24).padStart(2, '0')}:00`;
+    return { enabled: true, start: time(hour), end: time(hour + 2) };
+}
+
+const SPREAD_CONTACTS = [
+    contact('15552220001', { name: 'Ana', timeZone: 'UTC' }),
+    contact('15552220002', { name: 'Ben', timeZone: 'Etc/GMT-12' }),
+    contact('15552220003', { name: 'Cy', timeZone: 'Etc/GMT-12' })
+];
+
+test('a blast with recipients held for quiet hours finishes its pass and sends to them later', async (t) => {
+    const { manager, transport, stores, sent } = await connected(t, { contacts: SPREAD_CONTACTS, quietHours: quietHoursNow() });
+
+    const results = await manager.blastMessage('Hello', null, null, {
+        recipients: SPREAD_CONTACTS.map(c => ({ number: c.number }))
+    });
+
+    assert.deepStrictEqual({ status: results.status, sent: results.sent, held: results.held }, { status: 'waiting', sent: 2, held: 1 });
+    assert.strictEqual(manager.activeCampaignId, null);
+    assert.strictEqual(transport.sentTo('15552220001').length, 0);
+
+    // Another blast can run meanwhile
+    const next = await manager.blastMessage('Second', null, null, { recipients: [{ number: '15552220002' }] });
+    assert.strictEqual(next.status, 'completed');
+
+    manager.setQuietHoursSettings({ enabled: false });
+    await waitFor(() => stores.campaignStore.get(results.campaignId).status === 'completed', { message: 'held recipients sent' });
+
+    assert.deepStrictEqual(textsSentTo(transport, '15552220001'), ['Hello']);
+    assert.ok(sent.some(e => e.channel === 'campaign-resumed' && e.data.campaignId === results.campaignId && e.data.held));
+    assert.ok(sent.some(e => e.channel === 'campaign-completed' && e.data.results && e.data.results.campaignId === results.campaignId));
+});
+
+test('a campaign waiting for quiet hours can be cancelled', async (t) => {
+    const { manager, transport, stores } = await connected(t, { contacts: SPREAD_CONTACTS, quietHours: quietHoursNow() });
+
+    const results = await manager.blastMessage('Hello', null, null, {
+        recipients: SPREAD_CONTACTS.map(c => ({ number: c.number }))
+    });
+    manager.cancelWaitingCampaign(results.campaignId);
+    manager.setQuietHoursSettings({ enabled: false });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(stores.campaignStore.get(results.campaignId).status, 'cancelled');
+    assert.strictEqual(transport.sentTo('15552220001').length, 0);
+    assert.throws(() => manager.cancelWaitingCampaign(results.campaignId), /not waiting/);
+});
+
+// A manager whose campaign changes finish scheduled blast jobs, the way main.js wires them up
+async function withSchedule(t) {
+    let scheduleStore = null;
+    const setup = await connected(t, {
+        contacts: SPREAD_CONTACTS,
+        quietHours: quietHoursNow(),
+        onCampaignChange: (campaignId) => {
+            if (scheduleStore.findRunningBlast(campaignId)) {
+                scheduleStore.updateFromCampaign(setup.stores.campaignStore.get(campaignId));
+            }
+        }
+    });
+    scheduleStore = new ScheduleStore(path.join(setup.dir, 'scheduled.json'), path.join(setup.dir, 'scheduled'));
+    return { ...setup, scheduleStore };
+}
+
+// Start a scheduled blast the way runScheduledJob does
+function startScheduledBlast({ manager, scheduleStore }, recipients) {
+    const job = scheduleStore.create({ type: 'blast', sendAt: new Date().toISOString(), message: 'Hello', selection: { mode: 'picked', numbers: recipients } });
+    const campaign = manager.createBlastCampaign('Hello', null, { recipients: recipients.map(number => ({ number })) });
+    scheduleStore.setStatus(job.id, 'running', { campaignId: campaign.id });
+    return { job, campaign, finished: manager.runCampaign(campaign.id) };
+}
+
+test('a scheduled blast with every recipient held stays running until its campaign completes', async (t) => {
+    const setup = await withSchedule(t);
+    const { manager, transport, scheduleStore } = setup;
+
+    const { job, campaign, finished } = startScheduledBlast(setup, ['15552220001']);
+    // Nothing to await when every recipient is held, the pass is over before runCampaign returns
+    assert.strictEqual(manager.activeCampaignId, null);
+    const results = await finished;
+
+    assert.deepStrictEqual({ campaignId: results.campaignId, status: results.status, held: results.held }, { campaignId: campaign.id, status: 'waiting', held: 1 });
+    assert.deepStrictEqual(
+        { status: scheduleStore.get(job.id).status, campaignId: scheduleStore.get(job.id).campaignId },
+        { status: 'running', campaignId: campaign.id }
+    );
+
+    manager.setQuietHoursSettings({ enabled: false });
+    await waitFor(() => scheduleStore.get(job.id).status === 'sent', { message: 'scheduled blast sent' });
+    assert.deepStrictEqual(textsSentTo(transport, '15552220001'), ['Hello']);
+});
+
+test('a scheduled blast is cancelled with its waiting campaign, and outlives a restart once it has started', async (t) => {
+    const setup = await withSchedule(t);
+    const { manager, scheduleStore } = setup;
+
+    const { job, campaign, finished } = startScheduledBlast(setup, ['15552220001']);
+    await finished;
+
+    // Restarting leaves it running, the campaign carries on by itself
+    assert.strictEqual(scheduleStore.markInterrupted(), 0);
+    assert.strictEqual(scheduleStore.get(job.id).status, 'running');
+
+    manager.cancelWaitingCampaign(campaign.id);
+    assert.strictEqual(scheduleStore.get(job.id).status, 'cancelled');
+});
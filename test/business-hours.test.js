@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeBusinessHours, getClosedPeriod, renderAwayMessage } = require('../business-hours');
+
+// Monday to Friday 09:00-18:00 in Kuala Lumpur (UTC+8, no DST)
+const SETTINGS = normalizeBusinessHours({ enabled: true, timeZone: 'Asia/Kuala_Lumpur' });
+
+test('open during the day in the business time zone', () => {
+    // Tuesday 10:00 in Kuala Lumpur
+    assert.strictEqual(getClosedPeriod(SETTINGS, new Date('2026-03-10T02:00:00Z')), null);
+});
+
+test('closed overnight until the next opening, skipping the weekend and holidays', () => {
+    // Friday 19:00 in Kuala Lumpur: next open Monday 09:00
+    const weekend = getClosedPeriod(SETTINGS, new Date('2026-03-13T11:00:00Z'));
+    assert.deepStrictEqual(weekend.opensAt, new Date('2026-03-16T01:00:00Z'));
+    assert.strictEqual(renderAwayMessage(SETTINGS, weekend), 'Thanks for your message. We\'re closed right now and will reply Monday at 9:00 AM.');
+
+    const withHoliday = normalizeBusinessHours({ ...SETTINGS, holidays: [{ date: '2026-03-16', name: 'Holiday' }] });
+    assert.deepStrictEqual(getClosedPeriod(withHoliday, new Date('2026-03-13T11:00:00Z')).opensAt, new Date('2026-03-17T01:00:00Z'));
+});
+
+test('invalid day hours are closed', () => {
+    const settings = normalizeBusinessHours({ weekly: { mon: { open: '18:00', close: '09:00' }, tue: { open: '9:00', close: '17:00' }, wed: { open: '08:30', close: '17:00' } } });
+
+    assert.deepStrictEqual(
+        { mon: settings.weekly.mon, tue: settings.weekly.tue, wed: settings.weekly.wed },
+        { mon: null, tue: null, wed: { open: '08:30', close: '17:00' } }
+    );
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FakeTransport = require('../fake-transport');
+const { ClientLifecycle, TRANSITIONS } = require('../client-lifecycle');
+const { createTestManager, silenceConsole, waitFor } = require('./helpers');
+
+// A lifecycle on a transport that waits to be scripted, recording every state change
+function createLifecycle(t) {
+    silenceConsole(t);
+    const transport = new FakeTransport({ autoReady: false });
+    const lifecycle = new ClientLifecycle(transport, { accountId: 'acc1', accountName: 'Test' });
+    const changes = [];
+    lifecycle.on('state', change => changes.push(change));
+    return { transport, lifecycle, changes };
+}
+
+async function readyLifecycle(t) {
+    const setup = createLifecycle(t);
+    await setup.transport.initialize();
+    await setup.transport.connect();
+    return setup;
+}
+
+test('a new session goes connecting -> pairing -> authenticated -> ready', async (t) => {
+    const { transport, lifecycle, changes } = createLifecycle(t);
+    assert.strictEqual(lifecycle.state, 'connecting');
+
+    await transport.initialize();
+    await transport.showQr('qr-1');
+    await transport.showQr('qr-2');
+    await transport.connect();
+
+    assert.deepStrictEqual(changes.map(c => `${c.previous}->${c.state}`), [
+        'connecting->pairing',
+        'pairing->pairing',
+        'pairing->authenticated',
+        'authenticated->ready'
+    ]);
+    assert.strictEqual(changes[1].qr, 'qr-2');
+    assert.deepStrictEqual(
+        { phoneNumber: changes[3].phoneNumber, pushname: changes[3].pushname, accountId: changes[3].accountId },
+        { phoneNumber: transport.phoneNumber, pushname: transport.pushname, accountId: 'acc1' }
+    );
+    assert.strictEqual(lifecycle.isReady(), true);
+});
+
+test('a restored session goes straight from connecting to authenticated and ready', async (t) => {
+    const { lifecycle, changes } = await readyLifecycle(t);
+
+    assert.deepStrictEqual(changes.map(c => c.state), ['authenticated', 'ready']);
+    assert.strictEqual(lifecycle.lastChange, changes[1]);
+});
+
+test('each state is also emitted as its own event', async (t) => {
+    const { transport, lifecycle } = createLifecycle(t);
+    const ready = [];
+    lifecycle.on('ready', change => ready.push(change));
+
+    await transport.initialize();
+    await transport.connect();
+
+    assert.strictEqual(ready.length, 1);
+    assert.strictEqual(ready[0].previous, 'authenticated');
+});
+
+test('connection trouble while ready is degraded until WhatsApp reports CONNECTED', async (t) => {
+    const { transport, lifecycle, changes } = await readyLifecycle(t);
+
+    await transport.changeState('TIMEOUT');
+    assert.strictEqual(lifecycle.state, 'degraded');
+    assert.strictEqual(changes.at(-1).reason, 'TIMEOUT');
+
+    await transport.changeState('CONNECTED');
+    assert.strictEqual(lifecycle.state, 'ready');
+    assert.deepStrictEqual(changes.slice(-2).map(c => `${c.previous}->${c.state}`), ['ready->degraded', 'degraded->ready']);
+});
+
+test('states that are not trouble, or CONNECTED while not degraded, change nothing', async (t) => {
+    const { transport, lifecycle, changes } = await readyLifecycle(t);
+
+    await transport.changeState('OPENING');
+    await transport.changeState('CONNECTED');
+
+    assert.strictEqual(lifecycle.state, 'ready');
+    assert.strictEqual(changes.length, 2);
+});
+
+test('an auth failure is degraded, and a new QR code can pair again', async (t) => {
+    const { transport, lifecycle, changes } = createLifecycle(t);
+    await transport.initialize();
+    await transport.showQr();
+
+    await transport.failAuth('Bad session');
+    assert.strictEqual(lifecycle.state, 'degraded');
+    assert.deepStrictEqual({ reason: changes.at(-1).reason, error: changes.at(-1).error }, { reason: 'auth_failure', error: 'Bad session' });
+
+    await transport.showQr();
+    assert.strictEqual(lifecycle.state, 'pairing');
+});
+
+test('disconnected is final', async (t) => {
+    const { transport, lifecycle, changes } = await readyLifecycle(t);
+
+    await transport.disconnect('LOGOUT');
+    assert.strictEqual(lifecycle.state, 'disconnected');
+    assert.strictEqual(changes.at(-1).reason, 'LOGOUT');
+
+    await transport.connect();
+    await transport.showQr();
+    assert.strictEqual(lifecycle.state, 'disconnected');
+    assert.strictEqual(changes.length, 3);
+});
+
+test('transitions the table does not allow are ignored', async (t) => {
+    const { lifecycle, changes } = await readyLifecycle(t);
+
+    assert.strictEqual(lifecycle.transition('authenticated'), false);
+    assert.strictEqual(lifecycle.transition('pairing', { qr: 'late' }), false);
+    assert.strictEqual(lifecycle.transition('connecting'), false);
+    assert.strictEqual(lifecycle.state, 'ready');
+    assert.strictEqual(changes.length, 2);
+});
+
+test('every state can reach disconnected except disconnected itself', () => {
+    for (const [state, next] of Object.entries(TRANSITIONS)) {
+        assert.strictEqual(next.includes('disconnected'), state !== 'disconnected', state);
+    }
+});
+
+test('WhatsAppManager reports each change to the renderer and its owner', async (t) => {
+    const transport = new FakeTransport({ autoReady: false });
+    const owned = [];
+    const { manager, sent } = createTestManager(t, { transport, onLifecycleChange: change => owned.push(change.state) });
+
+    await manager.addAccount('acc1', 'Test');
+    await transport.showQr();
+    // The QR code image is drawn before the pairing status goes out
+    await waitFor(() => sent.some(e => e.channel === 'qr-code'), { message: 'QR code' });
+    await transport.connect();
+    await transport.changeState('CONFLICT');
+    await transport.disconnect('LOGOUT');
+
+    const statuses = sent.filter(e => e.channel === 'account-status-changed').map(e => e.data.status);
+    assert.deepStrictEqual(statuses, ['pairing', 'authenticated', 'ready', 'degraded', 'disconnected']);
+    assert.deepStrictEqual(owned, statuses);
+    assert.ok(sent.some(e => e.channel === 'account-ready' && e.data.phoneNumber === transport.phoneNumber));
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContactStore = require('../contact-store');
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-dash-contacts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new ContactStore(path.join(dir, 'phone_numbers.json'));
+}
+
+test('opt-out keywords match the whole message, ignoring case, punctuation and emoji', (t) => {
+    const store = createStore(t);
+
+    assert.strictEqual(store.matchOptOutKeyword('STOP!'), 'stop');
+    assert.strictEqual(store.matchOptOutKeyword('  Opt-out 🙏 '), 'opt out');
+    assert.strictEqual(store.matchOptOutKeyword('停止。'), '停止');
+    assert.strictEqual(store.matchOptOutKeyword('don\'t stop'), null);
+    assert.strictEqual(store.matchOptOutKeyword('!!!'), null);
+});
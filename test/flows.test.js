@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateFlows, routeFlowMessage } = require('../flows');
+const { createTestManager, waitFor, textsSentTo } = require('./helpers');
+
+const SUPPORT_MENU = {
+    id: 'support',
+    name: 'Support menu',
+    triggers: ['menu', 'help'],
+    start: 'main',
+    maxInvalid: 1,
+    timeoutMinutes: 10,
+    steps: [
+        { id: 'main', message: 'How can we help?', options: [
+            { label: 'Opening hours', keywords: ['hours'], next: 'hours' },
+            { label: 'Order status', keywords: ['order'], next: 'ai' },
+            { label: 'Talk to a person', keywords: ['person', 'human'], next: 'human' }
+        ] },
+        { id: 'hours', message: 'We\'re open 9 to 6, Monday to Friday.', next: 'thanks' },
+        { id: 'thanks', message: 'Anything else? Send "menu" any time.' }
+    ]
+};
+
+const MENU_TEXT = 'How can we help?\n\n1. Opening hours\n2. Order status\n3. Talk to a person';
+
+const START = new Date('2026-03-10T10:00:00Z');
+const minutesLater = (minutes) => new Date(START.getTime() + minutes * 60000);
+
+function flows(...extra) {
+    const result = validateFlows([SUPPORT_MENU, ...extra]);
+    assert.deepStrictEqual(result.errors, []);
+    return result.flows;
+}
+
+// The state after a contact sends "menu"
+function started() {
+    return routeFlowMessage(flows(), null, 'menu', START).state;
+}
+
+test('a trigger sent on its own starts the flow and waits on the first menu', () => {
+    const route = routeFlowMessage(flows(), null, 'Help!', START);
+
+    assert.strictEqual(route.event, 'started');
+    assert.deepStrictEqual(route.messages, [MENU_TEXT]);
+    assert.strictEqual(route.ending, null);
+    assert.deepStrictEqual(route.state, { flowId: 'support', stepId: 'main', invalidCount: 0, updatedAt: START.toISOString() });
+
+    assert.strictEqual(routeFlowMessage(flows(), null, 'I need help with my order', START), null);
+});
+
+test('an answer by number or keyword runs on through steps without options', () => {
+    const byNumber = routeFlowMessage(flows(), started(), '1', minutesLater(1));
+    const byKeyword = routeFlowMessage(flows(), started(), 'what are your HOURS?', minutesLater(1));
+
+    for (const route of [byNumber, byKeyword]) {
+        assert.strictEqual(route.event, 'answered');
+        assert.deepStrictEqual(route.messages, ['We\'re open 9 to 6, Monday to Friday.', 'Anything else? Send "menu" any time.']);
+        assert.deepStrictEqual({ state: route.state, ending: route.ending }, { state: null, ending: 'end' });
+    }
+});
+
+test('an option can hand the contact to the AI or a person', () => {
+    assert.deepStrictEqual(
+        (({ messages, ending }) => ({ messages, ending }))(routeFlowMessage(flows(), started(), '2', minutesLater(1))),
+        { messages: [], ending: 'ai' }
+    );
+    assert.strictEqual(routeFlowMessage(flows(), started(), 'a person please', minutesLater(1)).ending, 'human');
+});
+
+test('an answer that matches no option asks again, then falls back', () => {
+    const invalid = routeFlowMessage(flows(), started(), '7', minutesLater(1));
+    assert.strictEqual(invalid.event, 'invalid');
+    assert.deepStrictEqual(invalid.messages, [`Sorry, I didn't get that. Please reply with the number of an option.\n\n${MENU_TEXT}`]);
+    assert.strictEqual(invalid.state.invalidCount, 1);
+
+    const gaveUp = routeFlowMessage(flows(), invalid.state, 'blah', minutesLater(2));
+    assert.deepStrictEqual(
+        { event: gaveUp.event, state: gaveUp.state, messages: gaveUp.messages, ending: gaveUp.ending },
+        { event: 'gave_up', state: null, messages: [], ending: 'ai' }
+    );
+
+    const toPerson = validateFlows([{ ...SUPPORT_MENU, fallback: 'human', maxInvalid: 0 }]).flows;
+    assert.strictEqual(routeFlowMessage(toPerson, started(), 'blah', minutesLater(1)).ending, 'human');
+});
+
+test('a contact who does not answer within the timeout is out of the flow', () => {
+    const expired = routeFlowMessage(flows(), started(), '1', minutesLater(11));
+
+    assert.deepStrictEqual(
+        { event: expired.event, state: expired.state, messages: expired.messages },
+        { event: 'expired', state: null, messages: [] }
+    );
+    assert.strictEqual(routeFlowMessage(flows(), started(), '1', minutesLater(9)).event, 'answered');
+});
+
+test('a flow turned off or removed since is forgotten, and a trigger starts over', () => {
+    const turnedOff = validateFlows([{ ...SUPPORT_MENU, enabled: false }]).flows;
+    assert.strictEqual(routeFlowMessage(turnedOff, started(), '1', minutesLater(1)).event, 'expired');
+    assert.strictEqual(routeFlowMessage([], null, '1', minutesLater(1)), null);
+
+    const restarted = routeFlowMessage(flows(), { ...started(), invalidCount: 1 }, 'menu', minutesLater(1));
+    assert.deepStrictEqual({ event: restarted.event, invalidCount: restarted.state.invalidCount }, { event: 'started', invalidCount: 0 });
+});
+
+test('validateFlows reports broken steps and shared triggers', () => {
+    const { errors } = validateFlows([
+        SUPPORT_MENU,
+        { name: 'Other', triggers: ['help'], steps: [
+            { id: 'a', message: 'A', next: 'b' },
+            { id: 'b', message: 'B', next: 'a' },
+            { id: 'end', message: 'Reserved' },
+            { id: 'c', message: 'C', options: [{ label: 'Go', next: 'nowhere' }] }
+        ] }
+    ]);
+
+    assert.deepStrictEqual(errors, [
+        'Other: "help" already starts Support menu',
+        'Other: "end" can\'t be a step id, it is reserved',
+        'Other: option 1 of step "c" goes to "nowhere", which is not a step',
+        'Other: step "a" loops without waiting for an answer',
+        'Other: step "b" loops without waiting for an answer'
+    ]);
+});
+
+test('WhatsAppManager sends flow messages, hands over to a person, and stops once the sender opts out', async (t) => {
+    // Not in phone_numbers.json, flows answer anyone who writes in
+    const stranger = '15557770001';
+    const { manager, transport, stores } = createTestManager(t, { flows: [SUPPORT_MENU] });
+    await manager.addAccount('acc1', 'Test');
+
+    await transport.receive({ from: stranger, body: 'menu' });
+    await waitFor(() => transport.sentTo(stranger).length === 1, { message: 'menu' });
+    assert.deepStrictEqual(textsSentTo(transport, stranger), [MENU_TEXT]);
+    assert.strictEqual(stores.messageStore.getMessages(stranger).at(-1).source, 'flow');
+
+    await transport.receive({ from: stranger, body: '3' });
+    assert.strictEqual(manager.isHumanMode(stranger), true);
+    manager.endHumanMode(stranger, 'manual');
+
+    await transport.receive({ from: stranger, body: 'STOP' });
+    await waitFor(() => transport.sentTo(stranger).length === 2, { message: 'opt-out confirmation' });
+    await transport.receive({ from: stranger, body: 'menu' });
+
+    assert.strictEqual(transport.sentTo(stranger).length, 2);
+    assert.strictEqual(stores.contactStore.isOptedOut(stranger), true);
+});
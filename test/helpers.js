@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppManager = require('../whatsapp');
+const FakeTransport = require('../fake-transport');
+const MessageStore = require('../message-store');
+const ConversationStore = require('../conversation-store');
+const ContactStore = require('../contact-store');
+const DraftStore = require('../draft-store');
+const ProcessedIdStore = require('../processed-id-store');
+const CampaignStore = require('../campaign-store');
+const { SendLimiter } = require('../send-limiter');
+const { stubProviders } = require('../ai-providers');
+
+// Consent that makes a contact a valid blast recipient
+const CONSENT = { source: 'test', channel: 'whatsapp', timestamp: '2026-01-01T00:00:00.000Z' };
+
+/**
+ * A phone_numbers.json entry with consent recorded
+ */
+function contact(number, fields = {}) {
+    return { number, name: `Contact ${number}`, enabled: true, consent: { ...CONSENT }, ...fields };
+}
+
+/**
+ * Run the manager's delays (typing, reply and between-send waits) straight away, for the rest of the test
+ */
+function useInstantTimers(t) {
+    const realSetTimeout = setTimeout;
+    t.mock.method(global, 'setTimeout', (fn, ms, ...args) => realSetTimeout(fn, 0, ...args));
+}
+
+/**
+ * Keep the manager's progress logging out of the test output
+ */
+function silenceConsole(t) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+}
+
+/**
+ * Wait until check() returns something truthy, letting timers and I/O run in between
+ * @returns {Promise<*>} What check() returned
+ */
+async function waitFor(check, { timeout = 2000, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = check();
+        if (value) {
+            return value;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * A WhatsAppManager on a FakeTransport, with every store in a temporary directory that is
+ * removed when the test ends. Delays run instantly, AI replies come from the offline StubProvider and
+ * quiet hours are off unless options say otherwise.
+ * @param {object} options - { contacts: [phone_numbers.json entries], transport, ...WhatsAppManager options }
+ * @returns {object} { manager, transport, sent: renderer events [{ channel, data }], stores, dir }
+ */
+function createTestManager(t, { contacts = [], transport = new FakeTransport(), ...options } = {}) {
+    useInstantTimers(t);
+    silenceConsole(t);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-dash-test-'));
+    const phoneNumbersFile = path.join(dir, 'phone_numbers.json');
+    fs.writeFileSync(phoneNumbersFile, JSON.stringify(contacts, null, 2));
+
+    const stores = {
+        messageStore: new MessageStore(path.join(dir, 'messages')),
+        conversationStore: new ConversationStore(path.join(dir, 'conversations.json')),
+        contactStore: new ContactStore(phoneNumbersFile),
+        draftStore: new DraftStore(path.join(dir, 'drafts.json')),
+        processedIdStore: new ProcessedIdStore(path.join(dir, 'processed_message_ids.json')),
+        campaignStore: new CampaignStore(path.join(dir, 'campaigns.json'), path.join(dir, 'campaigns')),
+        sendLimiter: new SendLimiter(path.join(dir, 'send_counts.json'))
+    };
+
+    const sent = [];
+    const mainWindow = {
+        isDestroyed: () => false,
+        webContents: { send: (channel, data) => sent.push({ channel, data }) }
+    };
+
+    const manager = new WhatsAppManager(path.join(dir, 'sessions'), mainWindow, {
+        ...stores,
+        quietHours: { enabled: false },
+        createTransport: () => transport,
+        createAIProviders: stubProviders,
+        ...options
+    });
+
+    t.after(() => {
+        manager.stopWarming();
+        clearInterval(manager.humanModeTimer);
+        for (const timer of manager.heldCampaignTimers.values()) {
+            clearTimeout(timer);
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return { manager, transport, sent, stores, dir };
+}
+
+/**
+ * Texts sent to a phone number, oldest first
+ */
+function textsSentTo(transport, phoneNumber) {
+    return transport.sentTo(phoneNumber).map(s => typeof s.content === 'string' ? s.content : s.options.caption);
+}
+
+module.exports = {
+    contact,
+    useInstantTimers,
+    silenceConsole,
+    waitFor,
+    createTestManager,
+    textsSentTo
+};
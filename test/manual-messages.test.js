@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { contact, createTestManager, textsSentTo } = require('./helpers');
+
+async function connected(t) {
+    const setup = createTestManager(t, { contacts: [contact('15554440001')] });
+    await setup.manager.addAccount('acc1', 'Test');
+    return setup;
+}
+
+test('a message sent from Live Chat takes the chat over from the AI', async (t) => {
+    const { manager, stores } = await connected(t);
+
+    await manager.sendManualMessage('15554440001', { text: 'On my way' });
+
+    assert.strictEqual(manager.isHumanMode('15554440001'), true);
+    assert.strictEqual(stores.messageStore.getMessages('15554440001')[0].source, 'manual');
+});
+
+test('a scheduled message goes out without taking the chat over', async (t) => {
+    const { manager, transport, stores } = await connected(t);
+
+    const record = await manager.sendScheduledMessage('15554440001', 'Your table is ready');
+
+    assert.deepStrictEqual(textsSentTo(transport, '15554440001'), ['Your table is ready']);
+    assert.strictEqual(manager.isHumanMode('15554440001'), false);
+    assert.strictEqual(record.source, 'scheduled');
+    assert.strictEqual(stores.messageStore.getMessages('15554440001')[0].source, 'scheduled');
+});
+
+test('a scheduled message is refused once the contact has opted out', async (t) => {
+    const { manager, transport, stores } = await connected(t);
+    stores.contactStore.markOptedOut('15554440001', 'stop');
+
+    await assert.rejects(manager.sendScheduledMessage('15554440001', 'Hello'), /opted out/);
+    assert.strictEqual(transport.sent.length, 0);
+});
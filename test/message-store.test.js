@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageStore = require('../message-store');
+const { silenceConsole } = require('./helpers');
+
+function createStore(t, retention = {}) {
+    silenceConsole(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-dash-messages-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new MessageStore(dir, retention);
+}
+
+function appendMessages(store, phoneNumber, count) {
+    const now = Math.floor(Date.now() / 1000);
+    for (let i = 1; i <= count; i++) {
+        store.append(phoneNumber, { id: `m${i}`, body: `Message ${i}`, timestamp: now - count + i });
+    }
+}
+
+test('getMessages pages backwards from a message id', (t) => {
+    const store = createStore(t);
+    appendMessages(store, '15553330001', 7);
+
+    const latest = store.getMessages('15553330001', { limit: 3 });
+    const older = store.getMessages('15553330001', { limit: 3, before: latest[0].id });
+    const oldest = store.getMessages('15553330001', { limit: 3, before: older[0].id });
+
+    assert.deepStrictEqual(latest.map(m => m.id), ['m5', 'm6', 'm7']);
+    assert.deepStrictEqual(older.map(m => m.id), ['m2', 'm3', 'm4']);
+    assert.deepStrictEqual(oldest.map(m => m.id), ['m1']);
+    assert.deepStrictEqual(store.getMessages('15553330001', { limit: 3, before: 'm1' }), []);
+});
+
+test('getMessages returns nothing for a cursor that was pruned, instead of the newest page again', (t) => {
+    const store = createStore(t, { maxMessagesPerPhone: 5 });
+    appendMessages(store, '15553330001', 8);
+
+    assert.deepStrictEqual(store.getMessages('15553330001', { limit: 3, before: 'm2' }), []);
+    assert.deepStrictEqual(store.getMessages('15553330001', { limit: 3, before: 'unknown' }), []);
+    assert.deepStrictEqual(store.getMessages('15553330001', { limit: 3 }).map(m => m.id), ['m6', 'm7', 'm8']);
+});
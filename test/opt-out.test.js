@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateRules } = require('../rules');
+const { createTestManager, waitFor, textsSentTo } = require('./helpers');
+
+// Someone who isn't in phone_numbers.json
+const STRANGER = '15556660001';
+
+const PRICE_RULE = validateRules([
+    { name: 'Prices', match: { type: 'keyword', keywords: ['price'] }, actions: { reply: 'Our prices start at RM 10.' } }
+]).rules;
+
+async function connected(t, options = {}) {
+    const setup = createTestManager(t, options);
+    await setup.manager.addAccount('acc1', 'Test');
+    return setup;
+}
+
+test('a sender who is not a contact can opt out of rule replies', async (t) => {
+    const { transport, stores } = await connected(t, { rules: PRICE_RULE });
+
+    await transport.receive({ from: STRANGER, body: 'price' });
+    await waitFor(() => transport.sentTo(STRANGER).length === 1, { message: 'rule reply' });
+
+    await transport.receive({ from: STRANGER, body: 'STOP' });
+    await waitFor(() => transport.sentTo(STRANGER).length === 2, { message: 'opt-out confirmation' });
+
+    await transport.receive({ from: STRANGER, body: 'price' });
+
+    const texts = textsSentTo(transport, STRANGER);
+    assert.deepStrictEqual(texts.slice(0, 1), ['Our prices start at RM 10.']);
+    assert.match(texts[1], /unsubscribed/);
+    assert.strictEqual(texts.length, 2);
+    assert.strictEqual(stores.contactStore.isOptedOut(STRANGER), true);
+    assert.strictEqual(stores.contactStore.find(STRANGER).optOutKeyword, 'stop');
+});
+
+test('a second STOP from a number already opted out is not confirmed again', async (t) => {
+    const { transport } = await connected(t, { rules: PRICE_RULE });
+
+    await transport.receive({ from: STRANGER, body: 'STOP' });
+    await waitFor(() => transport.sentTo(STRANGER).length === 1, { message: 'opt-out confirmation' });
+    await transport.receive({ from: STRANGER, body: 'stop' });
+
+    assert.strictEqual(transport.sentTo(STRANGER).length, 1);
+});
+
+test('a sender who is not a contact gets no away message after opting out', async (t) => {
+    // Closed every day of the week
+    const { transport } = await connected(t, { businessHours: { enabled: true, weekly: {} } });
+
+    await transport.receive({ from: STRANGER, body: 'STOP' });
+    await waitFor(() => transport.sentTo(STRANGER).length === 1, { message: 'opt-out confirmation' });
+    await transport.receive({ from: STRANGER, body: 'Are you open tomorrow?' });
+
+    const texts = textsSentTo(transport, STRANGER);
+    assert.strictEqual(texts.length, 1);
+    assert.match(texts[0], /unsubscribed/);
+});
+
+test('a sender who is not a contact still gets the away message before opting out', async (t) => {
+    const { transport } = await connected(t, { businessHours: { enabled: true, weekly: {} } });
+
+    await transport.receive({ from: STRANGER, body: 'Are you open tomorrow?' });
+    await waitFor(() => transport.sentTo(STRANGER).length === 1, { message: 'away message' });
+
+    assert.match(textsSentTo(transport, STRANGER)[0], /closed right now and will reply as soon as we can/);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeQuietHours, getQuietHoursEnd } = require('../quiet-hours');
+
+test('quiet hours are off unless turned on', () => {
+    assert.deepStrictEqual(normalizeQuietHours(), { enabled: false, start: '21:00', end: '08:00' });
+    assert.deepStrictEqual(normalizeQuietHours(null), normalizeQuietHours({}));
+    assert.strictEqual(normalizeQuietHours({ enabled: true }).enabled, true);
+});
+
+test('getQuietHoursEnd finds the end of a window that runs past midnight', () => {
+    const quietHours = normalizeQuietHours({ enabled: true });
+
+    assert.deepStrictEqual(
+        getQuietHoursEnd(quietHours, 'UTC', new Date('2026-03-10T23:30:45Z')),
+        new Date('2026-03-11T08:00:00Z')
+    );
+    assert.strictEqual(getQuietHoursEnd(quietHours, 'UTC', new Date('2026-03-10T12:00:00Z')), null);
+    assert.strictEqual(getQuietHoursEnd(normalizeQuietHours(), 'UTC', new Date('2026-03-10T23:30:00Z')), null);
+});
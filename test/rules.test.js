@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeKeywordText, validateRules, findMatchingRule } = require('../rules');
+const { contact, createTestManager, waitFor, textsSentTo } = require('./helpers');
+
+function rules(...list) {
+    const result = validateRules(list);
+    assert.deepStrictEqual(result.errors, []);
+    return result.rules;
+}
+
+const PRICES = { name: 'Prices', match: { type: 'keyword', keywords: ['price', 'how much'] }, actions: { reply: 'See our price list.' } };
+const ORDERS = { name: 'Orders', match: { type: 'regex', pattern: 'order\\s*#?(\\d+)' }, actions: { tags: ['orders'] } };
+
+test('keywords match whole words and phrases, ignoring case and punctuation', () => {
+    const list = rules(PRICES);
+
+    assert.strictEqual(findMatchingRule(list, 'What is the PRICE?').matched, 'price');
+    assert.strictEqual(findMatchingRule(list, 'how... much is it').matched, 'how much');
+    assert.strictEqual(findMatchingRule(list, 'Any discount on prices'), null);
+    assert.strictEqual(findMatchingRule(list, 'Is it priceless'), null);
+});
+
+test('a pattern matches anywhere, ignoring case, and reports the text it matched', () => {
+    const list = rules(ORDERS);
+
+    assert.strictEqual(findMatchingRule(list, 'Where is ORDER #1234 now?').matched, 'ORDER #1234');
+    assert.strictEqual(findMatchingRule(list, 'I want to order something'), null);
+});
+
+test('the first enabled rule in the list wins', () => {
+    const both = { name: 'Order prices', match: { type: 'keyword', keywords: ['order'] }, actions: { reply: 'Orders are free.' } };
+
+    assert.strictEqual(findMatchingRule(rules(ORDERS, both), 'price of order 12').rule.name, 'Orders');
+    assert.strictEqual(findMatchingRule(rules(both, ORDERS), 'price of order 12').rule.name, 'Order prices');
+    assert.strictEqual(findMatchingRule(rules({ ...ORDERS, enabled: false }, both), 'price of order 12').rule.name, 'Order prices');
+});
+
+test('normalizeKeywordText lowercases and drops punctuation and emoji', () => {
+    assert.strictEqual(normalizeKeywordText('  STOP!!! 🙏  please,now '), 'stop please now');
+    assert.strictEqual(normalizeKeywordText('Ça coûte combien?'), 'ça coûte combien');
+    assert.strictEqual(normalizeKeywordText(null), '');
+});
+
+test('validateRules fills in defaults and a reply or media item always skips the AI', () => {
+    const [rule] = rules({ match: { type: 'keyword', keywords: [' hi ', '!!'] }, actions: { reply: ' Hello! ', tags: ['VIP', 'vip', ' new '] } });
+
+    assert.match(rule.id, /^rule_/);
+    assert.strictEqual(rule.name, 'Rule 1');
+    assert.strictEqual(rule.enabled, true);
+    assert.deepStrictEqual(rule.match, { type: 'keyword', keywords: ['hi'] });
+    assert.deepStrictEqual(rule.actions, { reply: 'Hello!', mediaId: null, tags: ['VIP', 'new'], humanMode: false, skipAI: true });
+});
+
+test('validateRules explains what is wrong with each rule', () => {
+    const { errors } = validateRules([
+        { name: 'Empty', match: { type: 'keyword', keywords: ['?!'] }, actions: { reply: 'Hi' } },
+        { name: 'Broken', match: { type: 'regex', pattern: '(' }, actions: { reply: 'Hi' } },
+        { name: 'Idle', match: { type: 'keyword', keywords: ['hi'] }, actions: {} },
+        { name: 'Odd', match: { type: 'exact' }, actions: { reply: 'Hi' } }
+    ]);
+
+    assert.strictEqual(errors.length, 4);
+    assert.match(errors[0], /^Empty: add at least one keyword/);
+    assert.match(errors[1], /^Broken: the pattern is not valid/);
+    assert.strictEqual(errors[2], 'Idle: give it something to do');
+    assert.strictEqual(errors[3], 'Odd: match type must be keyword or regex');
+    assert.deepStrictEqual(validateRules('nope').errors, ['Rules must be a list']);
+});
+
+test('a matching rule replies instead of the AI and says so in the warming log', async (t) => {
+    const { manager, transport, sent } = createTestManager(t, { contacts: [contact('15558880001')], rules: rules(PRICES) });
+    await manager.addAccount('acc1', 'Test');
+
+    await transport.receive({ from: '15558880001', body: 'How much?' });
+    await waitFor(() => transport.sentTo('15558880001').length === 1, { message: 'rule reply' });
+
+    assert.deepStrictEqual(textsSentTo(transport, '15558880001'), ['See our price list.']);
+    assert.ok(sent.some(e => e.channel === 'warming-log' && e.data.message === 'Message from 15558880001 matched rule "Prices"'));
+});
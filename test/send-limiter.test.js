@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SendLimiter, SendLimitError, DEFAULT_SEND_LIMITS } = require('../send-limiter');
+const { contact, createTestManager, waitFor } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Mid-morning local time, so an hour or two later is still the same day
+const MORNING = new Date(2026, 2, 10, 9, 0, 0).getTime();
+
+// A limiter saving to a temporary file, with Date under the test's control from MORNING
+function createLimiter(t, limits = {}) {
+    t.mock.timers.enable({ apis: ['Date'], now: MORNING });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-dash-limits-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'send_counts.json');
+    return { limiter: new SendLimiter(filePath, limits), filePath };
+}
+
+test('the hourly cap frees a slot an hour after the oldest send in the window', (t) => {
+    const { limiter } = createLimiter(t, { hourlyLimit: 2 });
+
+    limiter.acquire('15553330001');
+    t.mock.timers.tick(10 * MINUTE_MS);
+    limiter.acquire('15553330002');
+
+    const blocked = limiter.check();
+    assert.strictEqual(blocked.limit, 'hourly');
+    assert.strictEqual(blocked.retryAt.getTime(), MORNING + HOUR_MS);
+    assert.throws(() => limiter.acquire('15553330003'), (error) => {
+        assert.ok(error instanceof SendLimitError);
+        assert.strictEqual(error.limit, 'hourly');
+        return true;
+    });
+
+    t.mock.timers.tick(50 * MINUTE_MS);
+    assert.strictEqual(limiter.check(), null);
+    assert.strictEqual(limiter.getStatus().sentThisHour, 1);
+});
+
+test('the daily cap holds until midnight and then starts a fresh day', (t) => {
+    const { limiter } = createLimiter(t, { dailyLimit: 2 });
+
+    limiter.acquire('15553330001');
+    limiter.acquire('15553330002');
+    t.mock.timers.tick(2 * HOUR_MS);
+
+    const blocked = limiter.check();
+    assert.strictEqual(blocked.limit, 'daily');
+    assert.strictEqual(blocked.retryAt.getTime(), new Date(2026, 2, 11).getTime());
+
+    t.mock.timers.tick(new Date(2026, 2, 11).getTime() - Date.now());
+    assert.strictEqual(limiter.check(), null);
+    assert.strictEqual(limiter.getStatus().sentToday, 0);
+});
+
+test('the per-contact cap only stops that contact', (t) => {
+    const { limiter } = createLimiter(t, { perContactDailyLimit: 1 });
+
+    limiter.acquire('15553330001');
+
+    assert.strictEqual(limiter.check('15553330001').limit, 'contact');
+    assert.strictEqual(limiter.check('15553330002'), null);
+    assert.strictEqual(limiter.check(), null);
+});
+
+test('release gives the slot back, unless it was reserved before midnight', (t) => {
+    const { limiter } = createLimiter(t, { perContactDailyLimit: 1 });
+
+    const reservedAt = limiter.acquire('15553330001');
+    limiter.release('15553330001', reservedAt);
+    assert.strictEqual(limiter.check('15553330001'), null);
+    assert.deepStrictEqual({ sentToday: limiter.getStatus().sentToday, sentThisHour: limiter.getStatus().sentThisHour }, { sentToday: 0, sentThisHour: 0 });
+
+    // Reserved at 23:59, failed after midnight: the new day's counts are left alone
+    t.mock.timers.tick(new Date(2026, 2, 10, 23, 59).getTime() - Date.now());
+    const lateReservation = limiter.acquire('15553330001');
+    t.mock.timers.tick(2 * MINUTE_MS);
+    limiter.acquire('15553330002');
+    limiter.release('15553330001', lateReservation);
+    assert.strictEqual(limiter.getStatus().sentToday, 1);
+});
+
+test('counts survive a restart and invalid caps fall back to the defaults', (t) => {
+    const { limiter, filePath } = createLimiter(t, { dailyLimit: 3 });
+    limiter.acquire('15553330001');
+    limiter.acquire('15553330001');
+
+    const restarted = new SendLimiter(filePath, { dailyLimit: 'lots', hourlyLimit: 0, perContactDailyLimit: -1 });
+
+    assert.deepStrictEqual(restarted.limits, DEFAULT_SEND_LIMITS);
+    assert.deepStrictEqual(
+        { sentToday: restarted.getStatus().sentToday, sentThisHour: restarted.getStatus().sentThisHour },
+        { sentToday: 2, sentThisHour: 2 }
+    );
+});
+
+test('a blast over the hourly cap waits for room and then carries on', async (t) => {
+    const { manager, transport, stores, sent } = createTestManager(t, {
+        contacts: [contact('15553330001'), contact('15553330002')]
+    });
+    t.mock.timers.enable({ apis: ['Date'], now: MORNING });
+    stores.sendLimiter.setLimits({ hourlyLimit: 1 });
+    await manager.addAccount('acc1', 'Test');
+
+    const progress = [];
+    const finished = manager.blastMessage('Hello', null, p => progress.push(p), {
+        recipients: [{ number: '15553330001' }, { number: '15553330002' }]
+    });
+    await waitFor(() => progress.some(p => p.waiting), { message: 'blast waiting for the hourly cap' });
+
+    assert.strictEqual(transport.sent.length, 1);
+    assert.ok(sent.some(e => e.channel === 'send-limit-reached' && e.data.limit === 'hourly'));
+
+    t.mock.timers.tick(HOUR_MS);
+    const results = await finished;
+    assert.deepStrictEqual({ status: results.status, sent: results.sent }, { status: 'completed', sent: 2 });
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTemplate, renderTemplate, validateTemplate, isValidCustomFieldName } = require('../template');
+
+const ANA = { number: '15554440001', name: 'Ana Lima', fields: { company: 'Lima Bakery', code: ' ' } };
+const NAMELESS = { number: '15554440002', name: '15554440002' };
+
+test('built-in and custom fields are filled in from the contact', () => {
+    assert.deepStrictEqual(
+        renderTemplate('Hi {{first_name}} ({{ NAME }}), your order from {{company}} goes to +{{number}}.', ANA),
+        { text: 'Hi Ana (Ana Lima), your order from Lima Bakery goes to +15554440001.', missing: [] }
+    );
+});
+
+test('a missing field uses its fallback, or is left blank and reported', () => {
+    assert.deepStrictEqual(renderTemplate('Hi {{first_name|there}}!', NAMELESS), { text: 'Hi there!', missing: [] });
+    assert.deepStrictEqual(renderTemplate('Hi {{name|}}!', NAMELESS), { text: 'Hi !', missing: [] });
+    // A value of only spaces counts as missing
+    assert.deepStrictEqual(renderTemplate('Code {{code}} for {{name}}, {{code}}', ANA), { text: 'Code  for Ana Lima, ', missing: ['code'] });
+});
+
+test('validateTemplate names the contacts a field is missing for', () => {
+    const contacts = [1, 2, 3, 4, 5].map(i => ({ number: `1555444000${i}` }));
+
+    assert.deepStrictEqual(validateTemplate('Hi {{first_name|there}}', contacts), []);
+    assert.deepStrictEqual(validateTemplate('Hi {{first_name}}', [ANA]), []);
+    assert.deepStrictEqual(validateTemplate('Hi {{first_name}}', contacts), [
+        '{{first_name}} is empty for +15554440001, +15554440002, +15554440003 and 2 more. Fill it in or add a fallback like {{first_name|friend}}.'
+    ]);
+});
+
+test('an unknown placeholder is a custom field, missing unless the contact has it', () => {
+    assert.deepStrictEqual(renderTemplate('Your table: {{table}}', ANA), { text: 'Your table: ', missing: ['table'] });
+    assert.deepStrictEqual(renderTemplate('Your table: {{table}}', { ...ANA, fields: { table: 7 } }).text, 'Your table: 7');
+    assert.match(validateTemplate('Your table: {{table}}', [ANA])[0], /^\{\{table\}\} is empty for \+15554440001\./);
+});
+
+test('placeholders that can\'t be parsed stop the blast with what is wrong', () => {
+    assert.deepStrictEqual(parseTemplate('Hi {{}} and {{first name}} and {{ |x}}').errors, [
+        '{{}} has no field name',
+        '{{first name}}: field names can only use letters, numbers and _',
+        '{{ |x}} has no field name'
+    ]);
+    assert.deepStrictEqual(validateTemplate('Hi {{name', [ANA]), ['"{{name" is missing its closing }}']);
+});
+
+test('values and single braces are sent as they are, never read as placeholders', () => {
+    const sneaky = { number: '15554440003', name: '{{number}}', fields: { note: '{{company}} <b>&</b>' } };
+
+    assert.deepStrictEqual(renderTemplate('{{name}} says {{note}}', sneaky), { text: '{{number}} says {{company}} <b>&</b>', missing: [] });
+    assert.deepStrictEqual(renderTemplate('Use code {SAVE10} or }} {single}', ANA), { text: 'Use code {SAVE10} or }} {single}', missing: [] });
+});
+
+test('custom field names follow the merge field rules and can\'t shadow a built-in', () => {
+    assert.strictEqual(isValidCustomFieldName('loyalty_tier'), true);
+    assert.strictEqual(isValidCustomFieldName('first_name'), false);
+    assert.strictEqual(isValidCustomFieldName('Tier'), false);
+    assert.strictEqual(isValidCustomFieldName('2fa'), false);
+});
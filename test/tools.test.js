@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_TOOL_CALLS, normalizeToolSettings, createTools, parseToolCall, runToolCall, formatToolResult } = require('../tools');
+const { normalizeBusinessHours } = require('../business-hours');
+const { contact, createTestManager, silenceConsole, waitFor, textsSentTo } = require('./helpers');
+
+const ORDERS_CSV = `order_id,customer_name,address,phone,status,tracking_number,total
+1234,Ana Lim,"12 Jalan Ampang, KL",012-345 6789,shipped,MY123,RM 99
+1235,Ben Tan,"3 Jalan Bukit, KL",+60 19 876 5432,packing,,RM 20
+1236,Cy Ong,"8 Jalan Raja, KL",,delivered,MY456,RM 45
+`;
+
+function writeFile(t, name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ap-dash-tools-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+}
+
+function orderTools(t, phoneNumber, settings = {}) {
+    const ordersFile = writeFile(t, 'orders.csv', ORDERS_CSV);
+    return createTools(normalizeToolSettings({ enabled: true, ordersFile, openingHours: false, ...settings }), normalizeBusinessHours(), phoneNumber);
+}
+
+function lookup(tools, orderId) {
+    return runToolCall(tools, { name: 'lookup_order', arguments: { order_id: orderId } });
+}
+
+test('parseToolCall reads a TOOL_CALL line and ignores answers for the contact', () => {
+    assert.strictEqual(parseToolCall('Your order is on its way!'), null);
+    assert.deepStrictEqual(
+        parseToolCall('Let me check.\n`TOOL_CALL {"name": "lookup_order", "arguments": {"order_id": "1234"}}`'),
+        { name: 'lookup_order', arguments: { order_id: '1234' } }
+    );
+    assert.deepStrictEqual(parseToolCall('TOOL_CALL {"name": "get_opening_hours", "arguments": "none"}'), { name: 'get_opening_hours', arguments: {} });
+    assert.strictEqual(parseToolCall('TOOL_CALL {"arguments": {}}'), null);
+    assert.match(parseToolCall('TOOL_CALL {name: lookup_order}').error, /Could not read the tool call/);
+});
+
+test('runToolCall reports problems as errors instead of throwing', (t) => {
+    silenceConsole(t);
+    const tools = [{ name: 'broken', arguments: {}, run: () => { throw new Error('Disk on fire'); } }];
+
+    assert.deepStrictEqual(runToolCall(tools, { name: 'missing', arguments: {} }), { error: 'There is no tool called missing' });
+    assert.deepStrictEqual(runToolCall(tools, { name: '', arguments: {}, error: 'Could not read the tool call' }), { error: 'Could not read the tool call' });
+    assert.deepStrictEqual(runToolCall(tools, { name: 'broken', arguments: {} }), { error: 'Disk on fire' });
+});
+
+test('lookup_order finds the contact\'s own order and only returns its status fields', (t) => {
+    const result = lookup(orderTools(t, '60123456789'), '#1234');
+
+    assert.deepStrictEqual(result, { found: true, order: { order_id: '#1234', status: 'shipped', tracking_number: 'MY123' } });
+});
+
+test('lookup_order does not find another contact\'s order, or one with no phone number', (t) => {
+    const tools = orderTools(t, '60123456789');
+
+    assert.deepStrictEqual(lookup(tools, '1235'), { found: false, message: 'No order 1235 on file for this contact' });
+    assert.strictEqual(lookup(tools, '1236').found, false);
+    assert.strictEqual(lookup(orderTools(t, '60198765432'), '1235').found, true);
+});
+
+test('lookup_order needs the contact\'s number and uses the phone column it is given', (t) => {
+    assert.match(lookup(orderTools(t, null), '1234').error, /phone number/);
+    assert.strictEqual(lookup(orderTools(t, '60123456789', { orderPhoneField: 'address' }), '1234').found, false);
+});
+
+test('formatToolResult cuts off a huge result', () => {
+    const line = formatToolResult('search_faq', { matches: ['x'.repeat(5000)] });
+
+    assert.ok(line.startsWith('TOOL_RESULT search_faq: {"matches"'));
+    assert.ok(line.endsWith('... (cut off)'));
+    assert.ok(line.length < 2100);
+});
+
+test('the AI gets at most MAX_TOOL_CALLS lookups per reply', async (t) => {
+    const { manager } = createTestManager(t);
+    const prompts = [];
+    manager.aiProviders = {
+        chat: {
+            generateText: async (prompt) => {
+                prompts.push(prompt);
+                return 'TOOL_CALL {"name": "get_opening_hours", "arguments": {}}';
+            }
+        }
+    };
+    const tools = createTools(normalizeToolSettings({ enabled: true }), normalizeBusinessHours());
+    const calls = [];
+
+    await assert.rejects(
+        manager.generateReplyWithTools('Be helpful.', 'Them: Are you open?', tools, call => calls.push(call)),
+        new RegExp(`after ${MAX_TOOL_CALLS} lookups`)
+    );
+    assert.strictEqual(calls.length, MAX_TOOL_CALLS);
+    assert.strictEqual(prompts.length, MAX_TOOL_CALLS + 1);
+    assert.match(prompts.at(-1), /You have used all your lookups/);
+});
+
+test('an AI reply looks up the order of the contact who asked', async (t) => {
+    // Above the 15% chance of also reacting with an emoji
+    t.mock.method(Math, 'random', () => 0.5);
+    const ordersFile = writeFile(t, 'orders.csv', ORDERS_CSV);
+    const { manager, transport, stores } = createTestManager(t, {
+        contacts: [contact('60123456789'), contact('60198765432')],
+        tools: { enabled: true, ordersFile, openingHours: false }
+    });
+    await manager.addAccount('acc1', 'Test');
+    await manager.startWarming({ phoneNumbers: ['60198765432'] });
+    await waitFor(() => transport.sentTo('60198765432').length === 1, { message: 'greeting' });
+
+    await transport.receive({ from: '60198765432', body: 'Where is order 1234?' });
+    await waitFor(() => transport.sentTo('60198765432').length === 2, { message: 'AI reply' });
+
+    assert.match(textsSentTo(transport, '60198765432')[1], /"found":false/);
+    assert.doesNotMatch(textsSentTo(transport, '60198765432')[1], /Ana|Jalan|MY123/);
+    const toolEntry = stores.conversationStore.get('60198765432').history.find(entry => entry.role === 'tool');
+    assert.deepStrictEqual({ name: toolEntry.name, found: toolEntry.result.found }, { name: 'lookup_order', found: false });
+});
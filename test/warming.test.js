@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { contact, createTestManager, waitFor, textsSentTo } = require('./helpers');
+
+const WARMING_CONFIG = { phoneNumbers: ['15551110001', '15551110002'] };
+
+async function startWarming(t, options = {}) {
+    const setup = createTestManager(t, {
+        contacts: [contact('15551110001'), contact('15551110002')],
+        ...options
+    });
+    await setup.manager.addAccount('acc1', 'Test');
+    await setup.manager.startWarming(WARMING_CONFIG);
+    return setup;
+}
+
+test('startWarming greets every number and saves the conversation', async (t) => {
+    const { manager, transport, stores } = await startWarming(t);
+
+    await waitFor(() => transport.sentTo('15551110001').length > 0 && transport.sentTo('15551110002').length > 0, { message: 'greetings' });
+
+    assert.strictEqual(manager.isWarmingActive(), true);
+    for (const number of WARMING_CONFIG.phoneNumbers) {
+        assert.strictEqual(textsSentTo(transport, number).length, 1);
+        const history = stores.conversationStore.get(number).history;
+        assert.deepStrictEqual(history.map(entry => entry.role), ['assistant']);
+        assert.strictEqual(stores.messageStore.getMessages(number)[0].source, 'ai');
+    }
+});
+
+test('startWarming resumes a saved conversation instead of greeting again', async (t) => {
+    const setup = createTestManager(t, { contacts: [contact('15551110001'), contact('15551110002')] });
+    setup.stores.conversationStore.save('15551110001', {
+        history: [{ role: 'assistant', text: 'Hi there', timestamp: Date.now() }],
+        lastMessageTime: Date.now()
+    });
+
+    await setup.manager.addAccount('acc1', 'Test');
+    await setup.manager.startWarming(WARMING_CONFIG);
+    await waitFor(() => setup.transport.sentTo('15551110002').length > 0, { message: 'greeting' });
+
+    assert.strictEqual(setup.transport.sentTo('15551110001').length, 0);
+    assert.ok(setup.sent.some(e => e.channel === 'warming-log' && /Resumed conversation with 15551110001/.test(e.data.message)));
+});
+
+test('startWarming needs a connected account', async (t) => {
+    const { manager } = createTestManager(t);
+
+    await assert.rejects(manager.startWarming(WARMING_CONFIG), /No WhatsApp account connected/);
+});
+
+test('sendAIReply answers a contact who writes back', async (t) => {
+    // Above the 15% chance of also reacting with an emoji
+    t.mock.method(Math, 'random', () => 0.5);
+    const { transport, stores } = await startWarming(t);
+    await waitFor(() => transport.sentTo('15551110001').length === 1, { message: 'greeting' });
+
+    await transport.receive({ from: '15551110001', body: 'Doing well, you?' });
+    await waitFor(() => transport.sentTo('15551110001').length === 2, { message: 'AI reply' });
+
+    assert.strictEqual(textsSentTo(transport, '15551110001')[1], 'Thanks for your message: Doing well, you?');
+    assert.deepStrictEqual(
+        stores.conversationStore.get('15551110001').history.map(entry => entry.role),
+        ['assistant', 'user', 'assistant']
+    );
+    assert.ok(transport.typing.some(entry => entry.chatId === '15551110001@c.us' && entry.state === 'typing'));
+});
+
+test('sendAIReply stays quiet once a contact opts out', async (t) => {
+    const { manager, transport, stores } = await startWarming(t);
+    await waitFor(() => transport.sentTo('15551110001').length === 1, { message: 'greeting' });
+
+    await transport.receive({ from: '15551110001', body: 'STOP' });
+    await waitFor(() => transport.sentTo('15551110001').length === 2, { message: 'opt-out confirmation' });
+    await manager.sendAIReply('15551110001');
+
+    assert.strictEqual(stores.contactStore.isOptedOut('15551110001'), true);
+    assert.match(textsSentTo(transport, '15551110001')[1], /unsubscribed/);
+    assert.strictEqual(transport.sentTo('15551110001').length, 2);
+});
+
+test('processQueuedMessages answers what arrived while a number was disabled', async (t) => {
+    const { manager, transport } = await startWarming(t);
+    await waitFor(() => transport.sentTo('15551110001').length === 1, { message: 'greeting' });
+
+    manager.setNumberDisabled('15551110001', true);
+    await transport.receive({ from: '15551110001', body: 'Are you there?' });
+
+    assert.strictEqual(manager.getQueuedMessage('15551110001').message, 'Are you there?');
+    assert.strictEqual(transport.sentTo('15551110001').length, 1);
+
+    manager.setNumberDisabled('15551110001', false);
+    await manager.processQueuedMessages('15551110001');
+    await waitFor(() => transport.sentTo('15551110001').length === 2, { message: 'queued reply' });
+
+    assert.strictEqual(textsSentTo(transport, '15551110001')[1], 'Thanks for your message: Are you there?');
+    assert.strictEqual(manager.getQueuedMessage('15551110001'), undefined);
+});
+
+test('processQueuedMessages drops the queue of a contact who opted out', async (t) => {
+    const { manager, transport, stores } = await startWarming(t);
+    await waitFor(() => transport.sentTo('15551110001').length === 1, { message: 'greeting' });
+
+    manager.setNumberDisabled('15551110001', true);
+    await transport.receive({ from: '15551110001', body: 'Later maybe' });
+    stores.contactStore.markOptedOut('15551110001', 'stop');
+
+    await manager.processQueuedMessages('15551110001');
+
+    assert.strictEqual(manager.getQueuedMessage('15551110001'), undefined);
+    assert.strictEqual(transport.sentTo('15551110001').length, 1);
+});
+
+test('warming stops when WhatsApp disconnects', async (t) => {
+    const { manager, transport, sent } = await startWarming(t);
+
+    await transport.disconnect('LOGOUT');
+
+    assert.strictEqual(manager.isWarmingActive(), false);
+    assert.ok(sent.some(e => e.channel === 'warming-stopped' && e.data.reason === 'disconnected'));
+});
@@ -0,0 +1,397 @@
+/**
+ * Tools the AI can call to look things up in local business data instead of guessing:
+ *
+ *   lookup_order      - the status of one of the contact's own orders, from an orders file (JSON or CSV)
+ *   search_faq        - the best matching passages of an FAQ document (text, Markdown or JSON)
+ *   get_opening_hours - the hours from Settings > Business Hours, and whether we're open now
+ *
+ * Providers only have to produce text, so calls use a plain text protocol. To call a
+ * tool the AI replies with a single line
+ *
+ *   TOOL_CALL {"name": "lookup_order", "arguments": {"order_id": "1234"}}
+ *
+ * and is asked again with the result added to the prompt:
+ *
+ *   TOOL_RESULT lookup_order: {"found": true, "order": {...}}
+ *
+ * Files are read on every call, so edits to them apply straight away.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WEEKDAYS, getClosedPeriod } = require('./business-hours');
+const { getLocalTimeZone } = require('./quiet-hours');
+const { normalizeKeywordText } = require('./rules');
+
+const TOOL_CALL_PREFIX = 'TOOL_CALL';
+const TOOL_RESULT_PREFIX = 'TOOL_RESULT';
+
+// Lookups allowed per reply, so a confused model can't loop
+const MAX_TOOL_CALLS = 3;
+
+// Keeps a huge order row or FAQ section from filling the prompt
+const MAX_RESULT_LENGTH = 2000;
+
+const DEFAULT_TOOL_SETTINGS = {
+    enabled: false,
+    ordersFile: '', // .json (a list of orders) or .csv (with a header row)
+    orderIdField: '', // Column holding the order number, empty to guess
+    orderPhoneField: '', // Column holding the customer's phone number, empty to guess
+    faqFile: '', // .txt or .md (sections separated by blank lines) or .json ([{ question, answer }])
+    openingHours: true // Offer get_opening_hours, from the business hours settings
+};
+
+// Columns tried, in order, when no order id field is set
+const ORDER_ID_FIELDS = ['order_id', 'orderId', 'order_number', 'orderNumber', 'order', 'id'];
+
+// Columns tried, in order, when no phone field is set
+const ORDER_PHONE_FIELDS = ['phone', 'phone_number', 'phoneNumber', 'customer_phone', 'customerPhone', 'mobile', 'whatsapp'];
+
+// The only columns the AI gets to see, compared without case, spaces or underscores.
+// Names, addresses and payment details in the same row stay out of the prompt.
+const ORDER_STATUS_FIELDS = [
+    'status', 'order_status', 'fulfillment_status', 'payment_status',
+    'order_date', 'created_at', 'updated_at', 'shipped_at', 'delivered_at', 'estimated_delivery',
+    'carrier', 'tracking_number', 'tracking_url'
+];
+
+// Shortest run of digits that counts as the same phone number, when one number is written without its country code
+const MIN_PHONE_MATCH_DIGITS = 8;
+
+// Too common to say anything about which FAQ section fits
+const FAQ_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'you', 'your', 'can', 'how', 'what', 'when', 'where', 'why', 'who',
+    'does', 'did', 'have', 'has', 'with', 'this', 'that', 'there', 'from', 'about', 'any', 'our', 'get'
+]);
+
+/**
+ * Fill in missing tool settings with the defaults
+ */
+function normalizeToolSettings(settings = {}) {
+    settings = settings || {};
+    const text = (value) => typeof value === 'string' ? value.trim() : '';
+    return {
+        enabled: settings.enabled === true,
+        ordersFile: text(settings.ordersFile),
+        orderIdField: text(settings.orderIdField),
+        orderPhoneField: text(settings.orderPhoneField),
+        faqFile: text(settings.faqFile),
+        openingHours: settings.openingHours !== false
+    };
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas, quotes ("") and line breaks.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+// Orders as a list of objects, from a JSON list, { orders: [...] } or a CSV file
+function readOrders(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) {
+            return [];
+        }
+        const columns = header.map(column => column.trim());
+        return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] || '').trim()])));
+    }
+
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+        return data;
+    }
+    if (data && Array.isArray(data.orders)) {
+        return data.orders;
+    }
+    throw new Error('The orders file must hold a list of orders');
+}
+
+// Order numbers compare without case, spaces or a leading #
+function normalizeOrderId(value) {
+    return String(value === undefined || value === null ? '' : value).trim().replace(/^#/, '').replace(/\s+/g, '').toLowerCase();
+}
+
+function fieldKey(field) {
+    return String(field).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+const ORDER_STATUS_KEYS = new Set(ORDER_STATUS_FIELDS.map(fieldKey));
+
+/**
+ * Whether two phone numbers are the same, however they are written: digits only, without
+ * leading zeros, and allowing one of them to leave out the country code
+ */
+function isSamePhoneNumber(a, b) {
+    const digits = (value) => String(value === undefined || value === null ? '' : value).replace(/\D/g, '').replace(/^0+/, '');
+    const [shorter, longer] = [digits(a), digits(b)].sort((x, y) => x.length - y.length);
+    return shorter.length >= MIN_PHONE_MATCH_DIGITS && longer.endsWith(shorter);
+}
+
+/**
+ * Find one of the contact's own orders. An order whose phone column doesn't match the
+ * contact's number, or that has none, is treated as not on file, so nobody can read
+ * another customer's order by guessing its number.
+ */
+function lookupOrder(settings, args, phoneNumber) {
+    if (!settings.ordersFile || !fs.existsSync(settings.ordersFile)) {
+        return { error: 'The orders file is missing' };
+    }
+
+    if (!phoneNumber) {
+        return { error: 'Order lookups need the contact\'s phone number' };
+    }
+
+    const wanted = normalizeOrderId(args.order_id);
+    if (!wanted) {
+        return { error: 'order_id is required' };
+    }
+
+    const orders = readOrders(settings.ordersFile);
+    const idFields = settings.orderIdField ? [settings.orderIdField] : ORDER_ID_FIELDS;
+    const phoneFields = settings.orderPhoneField ? [settings.orderPhoneField] : ORDER_PHONE_FIELDS;
+    const order = orders.find(o => o
+        && idFields.some(field => o[field] !== undefined && normalizeOrderId(o[field]) === wanted)
+        && phoneFields.some(field => isSamePhoneNumber(o[field], phoneNumber)));
+
+    if (!order) {
+        return { found: false, message: `No order ${args.order_id} on file for this contact` };
+    }
+
+    const status = { order_id: args.order_id };
+    for (const [field, value] of Object.entries(order)) {
+        if (ORDER_STATUS_KEYS.has(fieldKey(field))) {
+            status[field] = value;
+        }
+    }
+    return { found: true, order: status };
+}
+
+// FAQ sections: question/answer pairs from JSON, or blocks of text separated by blank lines
+function readFaqSections(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error('The FAQ file must hold a list of { question, answer }');
+        }
+        return data
+            .filter(item => item && (item.question || item.answer))
+            .map(item => `Q: ${item.question || ''}\nA: ${item.answer || ''}`);
+    }
+
+    return text.split(/\r?\n\s*\r?\n/).map(section => section.trim()).filter(section => section.length > 0);
+}
+
+function searchFaq(settings, args) {
+    if (!settings.faqFile || !fs.existsSync(settings.faqFile)) {
+        return { error: 'The FAQ file is missing' };
+    }
+
+    const words = normalizeKeywordText(args.query).split(' ').filter(word => word.length > 2 && !FAQ_STOP_WORDS.has(word));
+    if (words.length === 0) {
+        return { error: 'query needs a few words to search for' };
+    }
+
+    const matches = readFaqSections(settings.faqFile)
+        .map(section => {
+            const sectionWords = new Set(normalizeKeywordText(section).split(' '));
+            return { section, score: words.filter(word => sectionWords.has(word)).length };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3)
+        .map(match => match.section);
+
+    return matches.length > 0
+        ? { found: true, matches }
+        : { found: false, message: 'Nothing in the FAQ matches' };
+}
+
+function getOpeningHours(businessHours) {
+    const weekly = {};
+    for (const day of WEEKDAYS) {
+        const hours = businessHours.weekly[day];
+        weekly[day] = hours ? `${hours.open}-${hours.close}` : 'closed';
+    }
+
+    // Answer from the hours even while the away message is turned off
+    const timeZone = businessHours.timeZone || getLocalTimeZone();
+    const today = new Date().toLocaleDateString('en-CA', { timeZone }); // YYYY-MM-DD
+    const closedPeriod = getClosedPeriod({ ...businessHours, enabled: true });
+    return {
+        timeZone,
+        weekly,
+        upcomingHolidays: businessHours.holidays.filter(h => h.date >= today),
+        openNow: !closedPeriod,
+        nextOpening: closedPeriod && closedPeriod.opensAt ? closedPeriod.opensAt.toISOString() : null
+    };
+}
+
+/**
+ * The tools on offer with these settings. Each is { name, description, arguments: { name: description }, run(args) }.
+ * @param {object} settings - As from normalizeToolSettings
+ * @param {object} businessHours - As from normalizeBusinessHours, for get_opening_hours
+ * @param {string} phoneNumber - The contact being answered; lookup_order only finds their orders
+ */
+function createTools(settings, businessHours, phoneNumber = null) {
+    if (!settings.enabled) {
+        return [];
+    }
+
+    const tools = [];
+    if (settings.ordersFile) {
+        tools.push({
+            name: 'lookup_order',
+            description: 'Look up the status, dates and tracking of one of the contact\'s orders by its order number',
+            arguments: { order_id: 'The order number the contact gave, e.g. "1234"' },
+            run: (args) => lookupOrder(settings, args, phoneNumber)
+        });
+    }
+    if (settings.faqFile) {
+        tools.push({
+            name: 'search_faq',
+            description: 'Search the business FAQ for questions about products, prices, delivery, returns and policies',
+            arguments: { query: 'What the contact wants to know, in a few words' },
+            run: (args) => searchFaq(settings, args)
+        });
+    }
+    if (settings.openingHours) {
+        tools.push({
+            name: 'get_opening_hours',
+            description: 'Get the opening hours, holidays and whether the business is open right now',
+            arguments: {},
+            run: () => getOpeningHours(businessHours)
+        });
+    }
+    return tools;
+}
+
+/**
+ * Instructions listing the tools, added to the reply prompt
+ */
+function buildToolPrompt(tools) {
+    const list = tools.map(tool => {
+        const args = Object.entries(tool.arguments).map(([name, description]) => `${name}: ${description}`).join('; ');
+        return `- ${tool.name}(${Object.keys(tool.arguments).join(', ')}): ${tool.description}${args ? `. ${args}` : ''}`;
+    }).join('\n');
+
+    return `TOOLS
+You can look up real business data with these tools:
+${list}
+
+To use a tool, reply with ONLY this line and nothing else:
+${TOOL_CALL_PREFIX} {"name": "<tool name>", "arguments": {<arguments>}}
+The result comes back as a ${TOOL_RESULT_PREFIX} line. Use a tool whenever the answer depends on this data, and never make up order details, prices or hours. If a lookup finds nothing, say so.`;
+}
+
+/**
+ * The tool call in a model's reply, or null when it is an answer for the contact
+ * @returns {object|null} { name, arguments }
+ */
+function parseToolCall(text) {
+    const line = String(text || '').split('\n').map(l => l.trim().replace(/^`+|`+$/g, '')).find(l => l.startsWith(TOOL_CALL_PREFIX));
+    if (!line) {
+        return null;
+    }
+
+    try {
+        const call = JSON.parse(line.slice(TOOL_CALL_PREFIX.length).trim());
+        if (!call || typeof call.name !== 'string') {
+            return null;
+        }
+        return {
+            name: call.name,
+            arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {}
+        };
+    } catch (error) {
+        return { name: '', arguments: {}, error: `Could not read the tool call: ${error.message}` };
+    }
+}
+
+/**
+ * Run a tool call. Never throws: problems come back as { error } for the model to deal with.
+ */
+function runToolCall(tools, call) {
+    if (call.error) {
+        return { error: call.error };
+    }
+
+    const tool = tools.find(t => t.name === call.name);
+    if (!tool) {
+        return { error: `There is no tool called ${call.name}` };
+    }
+
+    try {
+        return tool.run(call.arguments);
+    } catch (error) {
+        console.error(`Tool ${call.name} failed:`, error);
+        return { error: error.message };
+    }
+}
+
+/**
+ * A tool result as the TOOL_RESULT line the model reads, cut to MAX_RESULT_LENGTH
+ */
+function formatToolResult(name, result) {
+    let json = JSON.stringify(result);
+    if (json.length > MAX_RESULT_LENGTH) {
+        json = `${json.substring(0, MAX_RESULT_LENGTH)}... (cut off)`;
+    }
+    return `${TOOL_RESULT_PREFIX} ${name}: ${json}`;
+}
+
+module.exports = {
+    TOOL_CALL_PREFIX,
+    TOOL_RESULT_PREFIX,
+    MAX_TOOL_CALLS,
+    DEFAULT_TOOL_SETTINGS,
+    normalizeToolSettings,
+    createTools,
+    buildToolPrompt,
+    parseToolCall,
+    runToolCall,
+    formatToolResult
+};
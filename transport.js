@@ -0,0 +1,93 @@
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+/**
+ * The connection WhatsAppManager talks to. Every transport implements:
+ *   info                               - { wid: { user, _serialized }, pushname } once ready, null before
+ *   on(event, handler)                 - 'qr', 'ready', 'authenticated', 'auth_failure', 'change_state',
+ *                                        'disconnected', 'message', 'message_create' and 'message_ack'
+ *   initialize() / destroy()
+ *   sendMessage(chatId, content, options) - resolves to the sent message ({ id: { _serialized } })
+ *   getChatById(chatId)                - chat with sendStateTyping() and clearState()
+ *   react(message, emoji)
+ *   downloadMedia(message)             - { mimetype, data (base64), filename } or null
+ *   mediaFromFile(filePath) / mediaFromData(mimetype, data, filename) - content for sendMessage
+ *
+ * Messages handed to event handlers look like whatsapp-web.js messages:
+ * { id: { _serialized }, from, to, body, timestamp, fromMe, hasMedia, type }
+ * fake-transport.js implements the same interface in memory.
+ */
+class WhatsAppWebTransport {
+    constructor({ accountId, sessionsDir }) {
+        this.client = new Client({
+            authStrategy: new LocalAuth({
+                clientId: accountId,
+                dataPath: sessionsDir
+            }),
+            puppeteer: {
+                headless: true,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--disable-gpu'
+                ]
+            }
+        });
+    }
+
+    get info() {
+        return this.client.info;
+    }
+
+    on(event, handler) {
+        this.client.on(event, handler);
+        return this;
+    }
+
+    initialize() {
+        return this.client.initialize();
+    }
+
+    destroy() {
+        return this.client.destroy();
+    }
+
+    sendMessage(chatId, content, options = {}) {
+        return this.client.sendMessage(chatId, content, options);
+    }
+
+    getChatById(chatId) {
+        return this.client.getChatById(chatId);
+    }
+
+    react(message, emoji) {
+        return message.react(emoji);
+    }
+
+    downloadMedia(message) {
+        return message.downloadMedia();
+    }
+
+    mediaFromFile(filePath) {
+        return MessageMedia.fromFilePath(filePath);
+    }
+
+    mediaFromData(mimetype, data, filename) {
+        return new MessageMedia(mimetype, data, filename);
+    }
+}
+
+/**
+ * Default transport factory: a real WhatsApp Web session in headless Chromium
+ */
+function createWhatsAppWebTransport(settings) {
+    return new WhatsAppWebTransport(settings);
+}
+
+module.exports = {
+    WhatsAppWebTransport,
+    createWhatsAppWebTransport
+};
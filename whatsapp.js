@@ -1,25 +1,54 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createWhatsAppWebTransport } = require('./transport');
+const { ClientLifecycle } = require('./client-lifecycle');
+const { renderTemplate, validateTemplate } = require('./template');
+const { SendLimitError } = require('./send-limiter');
+const { normalizeQuietHours, getContactTimeZone, getQuietHoursEnd } = require('./quiet-hours');
+const { normalizeBusinessHours, getClosedPeriod, renderAwayMessage } = require('./business-hours');
+const { validateRules, findMatchingRule } = require('./rules');
+const { validateFlows, routeFlowMessage } = require('./flows');
+const { MAX_TOOL_CALLS, normalizeToolSettings, createTools, buildToolPrompt, parseToolCall, runToolCall, formatToolResult } = require('./tools');
+const { createProviders, getTaskModel, PROVIDER_LABELS, ModelRejectedError } = require('./ai-providers');
 const path = require('path');
 const fs = require('fs');
 
+// Delivery status for each whatsapp-web.js ack value (-1 error, 0 pending, 1 server, 2 device, 3 read, 4 played)
+const ACK_STATUSES = {
+    '-1': 'failed',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'read'
+};
+
 class WhatsAppManager {
-    constructor(sessionsDir, mainWindow) {
+    constructor(sessionsDir, mainWindow, options = {}) {
         this.sessionsDir = sessionsDir;
         this.mainWindow = mainWindow;
+        this.messageStore = options.messageStore; // Durable per-phone message history
+        this.conversationStore = options.conversationStore; // Saved AI conversation state
+        this.contactStore = options.contactStore; // Phone numbers and opt-out state
+        this.draftStore = options.draftStore; // AI replies waiting for approval
+        this.campaignStore = options.campaignStore; // Blast campaigns with per-recipient status
+        this.sendLimiter = options.sendLimiter; // Daily, hourly and per-contact send caps, checked before every send
+        this.createTransport = options.createTransport || createWhatsAppWebTransport; // ({ accountId, sessionsDir }) -> transport (see transport.js)
+        this.createAIProviders = options.createAIProviders || createProviders; // config -> { chat, vision, transcription }, tests pass stubProviders
+        this.onLifecycleChange = options.onLifecycleChange || null; // Called with each connection state change
+        this.onCampaignChange = options.onCampaignChange || null; // Called with the campaign id after each status or receipt change
+        this.findMediaItem = options.findMediaItem || (() => null); // mediaId -> media library item or null, for rules that send media
         this.client = null;
+        this.lifecycle = null; // ClientLifecycle of the current client
         this.accountId = null;
         this.accountName = null;
         this.warmingActive = false;
         this.warmingConfig = null;
-        this.recentMessages = [];
         this.maxMessages = 100;
-        this.genAI = null;
+        this.aiProviders = null; // { chat, vision, transcription } providers from ai-providers.js
+        this.aiModels = {}; // task -> model name, '' uses the provider default
         this.activeConversations = new Map(); // phoneNumber -> { history: [], lastMessageTime: timestamp }
         this.conversationCheckIntervals = new Map(); // phoneNumber -> intervalId
-        this.processedMessageIds = new Set(); // Track processed messages to prevent duplicates
-        this.messagesByPhone = new Map(); // phoneNumber -> [messages]
+        this.processedMessageIds = options.processedIdStore; // Recent WhatsApp message ids already handled, survives restarts
         this.queuedMessages = new Map(); // phoneNumber -> { message: string, timestamp: number } - stores last message when disabled
         this.disabledNumbers = new Set(); // Track disabled numbers
         this.stickerConfig = null; // Sticker configuration
@@ -28,28 +57,126 @@ class WhatsAppManager {
         this.mediaConfig = null; // Media configuration
         this.mediaDir = null; // Path to media directory
         this.mediaItems = []; // Cached media items
+        this.pendingSends = new Map(); // chatId -> Set of in-flight send promises
+        this.earlyAcks = new Map(); // messageId -> status, for acks that beat the message into history
+        this.activeCampaignId = null; // Campaign currently sending, one at a time
+        this.latestCampaign = null; // { id, progressCallback, lastProgress } of the latest blast, for receipts that arrive after it
+        this.blastControl = null; // { campaignId, paused, cancelled, wake, current, reportProgress } while a campaign is sending
+        this.humanModeTimer = null; // Checks human mode idle timeouts while any chat is taken over
+        this.heldCampaignTimers = new Map(); // campaignId -> timer that sends a waiting campaign to its recipients held for quiet hours
+        this.heldMessages = new Map(); // 'kind:phoneNumber' -> { id, kind, phoneNumber, text, heldAt, releaseAt, release, timer } for greetings and queued replies held for quiet hours
+        this.setHumanModeSettings(options.humanMode);
+        this.setApprovalSettings(options.approval);
+        this.setQuietHoursSettings(options.quietHours);
+        this.setBusinessHoursSettings(options.businessHours);
+        this.setRules(options.rules);
+        this.setFlows(options.flows);
+        this.setToolSettings(options.tools);
+
+        if (Object.keys(this.conversationStore.getHumanModes()).length > 0) {
+            this.startHumanModeTimer();
+        }
     }
 
-    initializeAI(apiKey) {
+    /**
+     * Set up the AI provider for each capability from config (apiKey, aiProviders and aiModels)
+     */
+    initializeAI(config) {
         try {
-            this.genAI = new GoogleGenerativeAI(apiKey);
-            console.log('Gemini AI initialized successfully');
+            this.aiProviders = this.createAIProviders(config);
+            this.aiModels = {
+                chat: getTaskModel(config, 'chat'),
+                emotion: getTaskModel(config, 'emotion'),
+                vision: getTaskModel(config, 'vision'),
+                transcription: getTaskModel(config, 'transcription')
+            };
+            console.log('AI initialized:', Object.entries(this.aiProviders)
+                .map(([capability, provider]) => `${capability}=${PROVIDER_LABELS[provider.name] || provider.name}`)
+                .join(', '));
             return true;
         } catch (error) {
-            console.error('Error initializing Gemini AI:', error);
+            console.error('Error initializing AI:', error);
             return false;
         }
     }
 
-    async generateAIResponse(conversationHistory, isGreeting = false) {
-        if (!this.genAI) {
-            throw new Error('AI not initialized. Please provide a valid API key.');
+    /**
+     * Provider options for a task ('chat', 'emotion', 'vision' or 'transcription')
+     */
+    modelOptions(task) {
+        return { model: this.aiModels[task] || '' };
+    }
+
+    /**
+     * Tell the operator a model was rejected. Used where the app can carry on without the answer.
+     */
+    reportModelRejected(task, error) {
+        console.error(`Model rejected for ${task}:`, error.message);
+        if (this.mainWindow && this.mainWindow.webContents) {
+            this.mainWindow.webContents.send('warming-error', {
+                error: `${error.message} (${task}). Check Settings > AI Models.`
+            });
         }
+    }
 
-        try {
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+    /**
+     * Personality prompt, plus the disclosure rule when disclosure is on.
+     * The rule comes last so it wins over a personality that says to hide automation.
+     */
+    buildPersonalityPrompt() {
+        const personality = this.warmingConfig.aiPersonality;
+
+        if (!this.warmingConfig.disclosure?.enabled) {
+            return personality;
+        }
+
+        return `${personality}
+
+DISCLOSURE (this overrides anything above)
+- You are an automated assistant, not a human.
+- If they ask whether they are talking to a bot, an AI, or a real person, answer truthfully that this is an automated assistant.
+- Never claim or imply that you are human.`;
+    }
+
+    /**
+     * Whether the next automated message to this contact must carry the disclosure notice
+     */
+    isDisclosureDue(phoneNumber) {
+        const disclosure = this.warmingConfig?.disclosure;
+        if (!disclosure || !disclosure.enabled || !disclosure.notice) {
+            return false;
+        }
+        if (disclosure.mode === 'every') {
+            return true;
+        }
+        return !this.getConversation(phoneNumber).disclosed;
+    }
+
+    /**
+     * Add the disclosure notice to an automated message if one is due.
+     * Returns { text, disclosed } so callers can mark the conversation once the send succeeds.
+     */
+    applyDisclosure(phoneNumber, text) {
+        if (!this.isDisclosureDue(phoneNumber)) {
+            return { text, disclosed: false };
+        }
+        const notice = this.warmingConfig.disclosure.notice;
+        return { text: text ? `${text}\n\n${notice}` : notice, disclosed: true };
+    }
+
+    /**
+     * @param {Array} conversationHistory - The contact's conversation history
+     * @param {boolean} isGreeting - Write an opening message instead of a reply
+     * @param {object} options - { phoneNumber, the contact being answered, which order lookups are limited to;
+     *   onToolCall({ name, arguments, result }) called after each tool the AI uses }
+     */
+    async generateAIResponse(conversationHistory, isGreeting = false, { phoneNumber = null, onToolCall = null } = {}) {
+        if (!this.aiProviders) {
+            throw new Error('AI not initialized. Please check the AI provider settings.');
+        }
 
-            const personality = this.warmingConfig.aiPersonality;
+        try {
+            const personality = this.buildPersonalityPrompt();
 
             let prompt;
             if (isGreeting) {
@@ -95,11 +222,18 @@ IMPORTANT: Do NOT start with "Hey!" - vary your opening. Start differently each
 
 Just respond with the message, nothing else.`;
             } else {
-                // Build conversation context
+                // Build conversation context, with earlier lookups so the AI can refer back to them
                 const context = conversationHistory
-                    .map(msg => `${msg.role === 'user' ? 'Them' : 'You'}: ${msg.text}`)
+                    .map(msg => msg.role === 'tool'
+                        ? formatToolResult(msg.name, msg.result)
+                        : `${msg.role === 'user' ? 'Them' : 'You'}: ${msg.text}`)
                     .join('\n');
 
+                const tools = createTools(this.toolSettings, this.businessHours, phoneNumber);
+                if (tools.length > 0) {
+                    return await this.generateReplyWithTools(personality, context, tools, onToolCall);
+                }
+
                 prompt = `${personality}
 
 Here's the conversation so far:
@@ -109,14 +243,16 @@ ${context}
 Generate a natural response to their last message. Keep it short (1-2 sentences) and conversational. Just respond with your message, nothing else.`;
             }
 
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
+            const text = await this.aiProviders.chat.generateText(prompt, this.modelOptions('chat'));
 
             // Remove quotes if AI wrapped the response
             return text.replace(/^["']|["']$/g, '');
         } catch (error) {
             console.error('Error generating AI response:', error);
+            // A rejected model fails every reply, so report it instead of sending canned text
+            if (error instanceof ModelRejectedError) {
+                throw error;
+            }
             // Fallback responses
             if (isGreeting) {
                 const greetings = [
@@ -139,6 +275,53 @@ Generate a natural response to their last message. Keep it short (1-2 sentences)
         }
     }
 
+    /**
+     * Update the local data the AI can look up ({ enabled, ordersFile, orderIdField, faqFile, openingHours }, see tools.js)
+     */
+    setToolSettings(settings = {}) {
+        this.toolSettings = normalizeToolSettings(settings);
+    }
+
+    /**
+     * Ask for a reply, running the tools the AI calls and asking again with their results,
+     * up to MAX_TOOL_CALLS lookups per reply
+     */
+    async generateReplyWithTools(personality, context, tools, onToolCall) {
+        let transcript = '';
+
+        for (let calls = 0; ; calls++) {
+            const outOfCalls = calls >= MAX_TOOL_CALLS;
+            const prompt = `${personality}
+
+${buildToolPrompt(tools)}
+
+Here's the conversation so far:
+
+${context}${transcript}
+
+${outOfCalls
+        ? 'You have used all your lookups. Answer their last message now with what you found, without calling a tool.'
+        : 'Generate a natural response to their last message, or call a tool first if you need to look something up.'} Keep it short (1-2 sentences) and conversational. Just respond with your message, nothing else.`;
+
+            const text = await this.aiProviders.chat.generateText(prompt, this.modelOptions('chat'));
+            const call = parseToolCall(text);
+            if (!call) {
+                return text.replace(/^["']|["']$/g, '');
+            }
+            if (outOfCalls) {
+                throw new Error(`AI kept calling tools after ${MAX_TOOL_CALLS} lookups`);
+            }
+
+            const result = runToolCall(tools, call);
+            console.log(`AI called ${call.name || 'an unreadable tool'}`, call.arguments, '->', result);
+            if (onToolCall) {
+                onToolCall({ name: call.name, arguments: call.arguments, result });
+            }
+
+            transcript += `\n${text.trim()}\n${formatToolResult(call.name, result)}`;
+        }
+    }
+
     /**
      * Initialize sticker management
      */
@@ -202,15 +385,13 @@ Generate a natural response to their last message. Keep it short (1-2 sentences)
      * Detect emotion/category from conversation using AI
      */
     async detectConversationEmotion(conversationHistory) {
-        if (!this.genAI) {
+        if (!this.aiProviders) {
             return 'casual'; // Fallback
         }
 
         try {
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
             // Build conversation context (last 5 messages for efficiency)
-            const recentHistory = conversationHistory.slice(-5);
+            const recentHistory = conversationHistory.filter(msg => msg.role !== 'tool').slice(-5);
             const context = recentHistory
                 .map(msg => `${msg.role === 'user' ? 'Them' : 'You'}: ${msg.text}`)
                 .join('\n');
@@ -222,9 +403,7 @@ ${context}
 
 Respond with just the single category word, nothing else.`;
 
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const emotion = response.text().trim().toLowerCase();
+            const emotion = (await this.aiProviders.chat.generateText(prompt, this.modelOptions('emotion'))).toLowerCase();
 
             // Validate response
             const validCategories = ['funny', 'love', 'sad', 'excited',
@@ -239,6 +418,9 @@ Respond with just the single category word, nothing else.`;
 
         } catch (error) {
             console.error('Error detecting emotion:', error);
+            if (error instanceof ModelRejectedError) {
+                this.reportModelRejected('emotion detection', error);
+            }
             return 'casual';
         }
     }
@@ -258,14 +440,32 @@ Respond with just the single category word, nothing else.`;
 
             // Note: Typing indicator already shown in sendAIReply before this function is called
 
-            // Load sticker using MessageMedia
-            const media = MessageMedia.fromFilePath(stickerPath);
+            // Load sticker file
+            const media = this.client.mediaFromFile(stickerPath);
 
             // Send as sticker
-            await this.client.sendMessage(chatId, media, {
+            const sent = await this.sendTrackedMessage(chatId, media, {
                 sendMediaAsSticker: true
             });
 
+            // Record in persistent message history
+            const sentAt = Date.now();
+            this.addMessageToPhone(phoneNumber, {
+                id: sent.id._serialized,
+                accountId: this.accountId,
+                accountName: this.accountName,
+                phoneNumber,
+                from: this.client.info.wid._serialized,
+                to: chatId,
+                body: '',
+                timestamp: Math.floor(sentAt / 1000),
+                isOwn: true,
+                source: 'ai',
+                hasMedia: true,
+                mediaType: 'sticker',
+                mediaContext: { type: 'sticker', description: path.basename(stickerPath) }
+            });
+
             console.log(`Sent sticker to ${phoneNumber}: ${path.basename(stickerPath)}`);
 
             // Log to UI
@@ -277,6 +477,10 @@ Respond with just the single category word, nothing else.`;
 
         } catch (error) {
             console.error('Error sending sticker:', error);
+            // Over a send cap a fallback would be refused too, let the caller report it once
+            if (error instanceof SendLimitError) {
+                throw error;
+            }
             return false;
         }
     }
@@ -346,7 +550,7 @@ Respond with just the single category word, nothing else.`;
      * Generate AI message about media using context
      */
     async generateMediaMessage(conversationHistory, mediaContext) {
-        if (!this.genAI) {
+        if (!this.aiProviders) {
             // Fallback messages
             const fallbacks = [
                 `Check this out! ${mediaContext}`,
@@ -357,14 +561,12 @@ Respond with just the single category word, nothing else.`;
         }
 
         try {
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
-            const personality = this.warmingConfig.aiPersonality;
+            const personality = this.buildPersonalityPrompt();
 
             // Build conversation context if available
             let conversationContext = '';
             if (conversationHistory && conversationHistory.length > 0) {
-                const recentHistory = conversationHistory.slice(-5);
+                const recentHistory = conversationHistory.filter(msg => msg.role !== 'tool').slice(-5);
                 conversationContext = recentHistory
                     .map(msg => `${msg.role === 'user' ? 'Them' : 'You'}: ${msg.text}`)
                     .join('\n');
@@ -376,15 +578,16 @@ ${conversationContext ? `Recent conversation:\n${conversationContext}\n\n` : ''}
 
 Generate a natural, casual message (1-2 sentences) to accompany this image. Make it conversational and relevant to your ongoing chat${conversationContext ? '' : ', as if you\'re sharing something interesting with a friend'}. Just respond with the message text, nothing else.`;
 
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
+            const text = await this.aiProviders.chat.generateText(prompt, this.modelOptions('chat'));
 
             // Remove quotes if AI wrapped the response
             return text.replace(/^["']|["']$/g, '');
 
         } catch (error) {
             console.error('Error generating media message:', error);
+            if (error instanceof ModelRejectedError) {
+                throw error;
+            }
             // Fallback
             return `Check this out! ${mediaContext}`;
         }
@@ -393,7 +596,7 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
     /**
      * Send media with AI-generated message about it
      */
-    async sendMediaWithMessage(phoneNumber, mediaItem) {
+    async sendMediaWithMessage(phoneNumber, mediaItem, caption = null) {
         if (!this.client || !this.client.info) {
             console.error('Client not ready');
             return false;
@@ -405,16 +608,39 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
             // Note: Typing indicator already shown in sendAIReply before this function is called
 
-            // Generate AI message about the image using context
+            // Generate AI message about the image using context, unless an approved caption was given
             const conversation = this.activeConversations.get(phoneNumber);
-            const aiMessage = await this.generateMediaMessage(conversation?.history || [], mediaItem.context);
+            const aiMessage = caption !== null ? caption : await this.generateMediaMessage(conversation?.history || [], mediaItem.context);
 
-            // Load media using MessageMedia
-            const media = MessageMedia.fromFilePath(mediaItem.filePath);
+            // Load media file
+            const media = this.client.mediaFromFile(mediaItem.filePath);
 
             // Send media with caption (AI message)
-            await this.client.sendMessage(chatId, media, {
-                caption: aiMessage
+            const outgoing = this.applyDisclosure(phoneNumber, aiMessage);
+            const sent = await this.sendTrackedMessage(chatId, media, {
+                caption: outgoing.text
+            });
+
+            if (outgoing.disclosed) {
+                this.getConversation(phoneNumber).disclosed = true;
+            }
+
+            // Record in persistent message history
+            const sentAt = Date.now();
+            this.addMessageToPhone(phoneNumber, {
+                id: sent.id._serialized,
+                accountId: this.accountId,
+                accountName: this.accountName,
+                phoneNumber,
+                from: this.client.info.wid._serialized,
+                to: chatId,
+                body: outgoing.text,
+                timestamp: Math.floor(sentAt / 1000),
+                isOwn: true,
+                source: 'ai',
+                hasMedia: true,
+                mediaType: 'image',
+                mediaContext: { type: 'image', description: mediaItem.context }
             });
 
             console.log(`Sent media to ${phoneNumber}: ${mediaItem.fileName} with message: "${aiMessage}"`);
@@ -428,17 +654,36 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
         } catch (error) {
             console.error('Error sending media:', error);
+            if (error instanceof SendLimitError) {
+                throw error;
+            }
             return false;
         }
     }
 
     /**
-     * Blast message to all phone numbers with 3-second interval
+     * Blast a message to the chosen recipients with 3-second interval, saved as a campaign
+     * (see campaign-store.js) so it can resume after a crash. The message is a template
+     * (see template.js), filled in for each recipient before the first send.
      * @param {string} message - Text message to send
      * @param {object} imageData - Optional image data {fileName, mimeType, base64Data}
      * @param {function} progressCallback - Callback function for progress updates
+     * @param {object} audience - { recipients: [{ number, name }], refused: [number], selection: { mode, tags } },
+     *   already filtered for consent and opt-outs by main.js
+     * @returns {object} Totals: { campaignId, status, total, sent, failed, skipped, held, refused, delivered, read, errors, notAttempted }
+     */
+    async blastMessage(message, imageData = null, progressCallback = null, audience = {}) {
+        const campaign = this.createBlastCampaign(message, imageData, audience);
+        return this.runCampaign(campaign.id, progressCallback);
+    }
+
+    /**
+     * Check a blast and save it as a campaign without sending anything yet, for callers that need
+     * the campaign id before runCampaign starts (it may finish without a single await when every
+     * recipient is held or skipped). Takes the same arguments as blastMessage.
+     * @returns {object} The new campaign
      */
-    async blastMessage(message, imageData = null, progressCallback = null) {
+    createBlastCampaign(message, imageData = null, { recipients = [], refused = [], selection = null } = {}) {
         if (!this.client || !this.client.info) {
             throw new Error('WhatsApp client not ready');
         }
@@ -447,659 +692,1029 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             throw new Error('Message text is required');
         }
 
-        const phoneNumbers = await this.getPhoneNumbers();
-        const enabledNumbers = phoneNumbers.filter(p => p.enabled !== false);
+        if (this.activeCampaignId) {
+            throw new Error('A blast is already running');
+        }
 
-        if (enabledNumbers.length === 0) {
-            throw new Error('No enabled phone numbers found');
+        if (recipients.length === 0) {
+            throw new Error('No recipients selected');
         }
 
-        const results = {
-            total: enabledNumbers.length,
-            sent: 0,
-            failed: 0,
-            errors: []
-        };
+        // Merge fields come from the saved contact, falling back to what main.js passed
+        const contacts = recipients.map(r => this.contactStore.find(r.number) || r);
+        const problems = validateTemplate(message, contacts);
+        if (problems.length > 0) {
+            throw new Error(problems.join(' '));
+        }
 
-        console.log(`Starting blast to ${enabledNumbers.length} recipients...`);
+        if (refused.length > 0) {
+            console.log(`Refusing blast to ${refused.length} contact(s) without consent`);
+        }
 
-        for (let i = 0; i < enabledNumbers.length; i++) {
-            const phone = enabledNumbers[i];
-            const phoneNumber = phone.number;
+        return this.campaignStore.create({
+            message,
+            imageData,
+            accountId: this.accountId,
+            recipients: contacts.map(contact => ({
+                number: contact.number,
+                name: contact.name,
+                text: renderTemplate(message, contact).text
+            })),
+            refused,
+            selection
+        });
+    }
 
-            try {
-                const chatId = `${phoneNumber}@c.us`;
-                const chat = await this.client.getChatById(chatId);
+    /**
+     * Send a campaign to its recipients that haven't had it yet. Used for new blasts and to resume interrupted ones.
+     */
+    async runCampaign(campaignId, progressCallback = null) {
+        if (!this.client || !this.client.info) {
+            throw new Error('WhatsApp client not ready');
+        }
 
-                // Show typing indicator with random duration (2-4 seconds for blast)
-                await chat.sendStateTyping();
-                const typingDuration = 2000 + Math.random() * 2000; // 2-4 seconds
-                await new Promise(resolve => setTimeout(resolve, typingDuration));
+        if (this.activeCampaignId) {
+            throw new Error('A blast is already running');
+        }
+
+        const campaign = this.campaignStore.get(campaignId);
+        if (!campaign) {
+            throw new Error('Campaign not found');
+        }
+        if (this.campaignStore.isFinished(campaign)) {
+            throw new Error(`Campaign already ${campaign.status}`);
+        }
+
+        const imageData = this.campaignStore.loadAttachment(campaignId);
+
+        // Sending now, whether its held recipients are due or it was resumed by hand
+        clearTimeout(this.heldCampaignTimers.get(campaignId));
+        this.heldCampaignTimers.delete(campaignId);
+
+        this.activeCampaignId = campaignId;
+        this.campaignStore.setStatus(campaignId, 'running');
+        this.settleInterruptedSends(campaign);
+        this.notifyCampaignsChanged(campaignId);
+
+        // Receipts keep arriving after the blast returns, they are reported against the latest campaign
+        this.latestCampaign = { id: campaignId, progressCallback, lastProgress: null };
+        const control = { campaignId, paused: false, cancelled: false, wake: null, current: 0, reportProgress: null };
+        const reportProgress = (progress) => {
+            const totals = this.campaignStore.summarize(campaignId);
+            control.current = progress.current;
+            const fullProgress = {
+                ...progress,
+                campaignId,
+                state: control.cancelled ? 'cancelled' : (control.paused ? 'paused' : 'running'),
+                total: totals.total,
+                sent: totals.sent,
+                failed: totals.failed,
+                delivered: totals.delivered,
+                read: totals.read,
+                notAttempted: totals.notAttempted
+            };
+            this.latestCampaign.lastProgress = fullProgress;
+            if (progressCallback) {
+                progressCallback(fullProgress);
+            }
+        };
 
-                if (imageData && imageData.base64Data) {
-                    // Send image with message as caption
-                    const media = new MessageMedia(
-                        imageData.mimeType,
-                        imageData.base64Data,
-                        imageData.fileName
-                    );
+        control.reportProgress = reportProgress;
+        this.blastControl = control;
 
-                    await this.client.sendMessage(chatId, media, {
-                        caption: message
-                    });
-                } else {
-                    // Send text only
-                    await this.client.sendMessage(chatId, message);
-                }
+        const pending = campaign.recipients.filter(r => r.status === 'pending').length;
+        console.log(pending < campaign.recipients.length
+            ? `Resuming blast: ${pending} of ${campaign.recipients.length} recipients left...`
+            : `Starting blast to ${campaign.recipients.length} recipients...`);
 
-                results.sent++;
-                console.log(`Blast sent to ${phoneNumber} (${results.sent}/${results.total})`);
-
-                // Call progress callback
-                if (progressCallback) {
-                    progressCallback({
-                        current: i + 1,
-                        total: results.total,
-                        sent: results.sent,
-                        failed: results.failed,
-                        phoneNumber: phoneNumber
-                    });
+        let interrupted = false;
+        let cancelled = false;
+        let attempted = false;
+
+        try {
+            for (let i = 0; i < campaign.recipients.length; i++) {
+                const phoneNumber = campaign.recipients[i].number;
+                // Campaigns from before templates have no per-recipient text
+                const message = campaign.recipients[i].text || campaign.message;
+
+                // Sent, failed or skipped before the blast was interrupted
+                if (campaign.recipients[i].status !== 'pending' && campaign.recipients[i].status !== 'held') {
+                    continue;
                 }
 
-                // Wait 3 seconds before sending to next number (except for the last one)
-                if (i < enabledNumbers.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 3000));
+                if (this.contactStore.getConsentStatus(this.contactStore.find(phoneNumber)) !== 'valid') {
+                    this.campaignStore.updateRecipient(campaignId, phoneNumber, { status: 'skipped' });
+                    console.log(`Skipping blast to ${phoneNumber} - contact opted out or was removed`);
+                    reportProgress({ current: i + 1, phoneNumber, skipped: true });
+                    continue;
                 }
 
-            } catch (error) {
-                results.failed++;
-                results.errors.push({
-                    phoneNumber: phoneNumber,
-                    error: error.message
-                });
-                console.error(`Failed to send blast to ${phoneNumber}:`, error);
-
-                // Call progress callback even on error
-                if (progressCallback) {
-                    progressCallback({
-                        current: i + 1,
-                        total: results.total,
-                        sent: results.sent,
-                        failed: results.failed,
-                        phoneNumber: phoneNumber,
-                        error: error.message
-                    });
+                // Quiet hours where they live: hold them until it ends, the rest of the blast carries on
+                const quietUntil = this.getQuietUntil(phoneNumber);
+                if (quietUntil) {
+                    this.campaignStore.updateRecipient(campaignId, phoneNumber, { status: 'held', heldUntil: quietUntil.toISOString() });
+                    console.log(`Holding blast to ${phoneNumber} for quiet hours until ${quietUntil.toLocaleString()}`);
+                    reportProgress({ current: i + 1, phoneNumber, held: true, heldUntil: quietUntil.toISOString() });
+                    this.notifyHeldMessagesChanged();
+                    continue;
                 }
 
-                // Continue to next number even if this one failed
-                if (i < enabledNumbers.length - 1) {
+                // Wait 3 seconds between recipients
+                if (attempted) {
                     await new Promise(resolve => setTimeout(resolve, 3000));
                 }
-            }
-        }
+                attempted = true;
 
-        console.log(`Blast completed: ${results.sent} sent, ${results.failed} failed`);
-        return results;
-    }
+                // Pause and cancel take effect between recipients
+                await this.waitWhileBlastPaused();
+                if (control.cancelled) {
+                    cancelled = true;
+                    break;
+                }
 
-    async addAccount(accountId, accountName) {
-        // Only allow one account
-        if (this.client) {
-            throw new Error('Only one warming account is allowed. Please remove the existing account first.');
-        }
+                // Lost the connection: stop here and resume once it is back, rather than failing everyone left
+                if (!this.client || !this.client.info || !this.lifecycle || this.lifecycle.state === 'disconnected') {
+                    interrupted = true;
+                    break;
+                }
 
-        try {
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: accountId,
-                    dataPath: this.sessionsDir
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--disable-gpu'
-                    ]
+                // Over the daily or hourly send cap: the blast queues until there is room again
+                await this.waitForSendCapacity(control);
+                if (control.cancelled) {
+                    cancelled = true;
+                    break;
                 }
-            });
 
-            // QR Code event
-            client.on('qr', async (qr) => {
-                console.log(`QR Code received for ${accountName}`);
+                // Marked before sending, so a crash mid-send is not retried into a duplicate
+                this.campaignStore.updateRecipient(campaignId, phoneNumber, { status: 'sending' });
+                const ownId = this.client.info.wid._serialized;
+
                 try {
-                    console.log('Converting QR to data URL...');
-                    const qrDataUrl = await qrcode.toDataURL(qr);
-                    console.log('QR data URL generated, length:', qrDataUrl.length);
-                    console.log('Sending QR code to renderer...');
-                    if (this.mainWindow && this.mainWindow.webContents) {
-                        this.mainWindow.webContents.send('qr-code', {
-                            accountId,
-                            qrCode: qrDataUrl
+                    const chatId = `${phoneNumber}@c.us`;
+                    const chat = await this.client.getChatById(chatId);
+
+                    // Show typing indicator with random duration (2-4 seconds for blast)
+                    await chat.sendStateTyping();
+                    const typingDuration = 2000 + Math.random() * 2000; // 2-4 seconds
+                    await new Promise(resolve => setTimeout(resolve, typingDuration));
+
+                    let sent;
+                    if (imageData && imageData.base64Data) {
+                        // Send image with message as caption
+                        const media = this.client.mediaFromData(
+                            imageData.mimeType,
+                            imageData.base64Data,
+                            imageData.fileName
+                        );
+
+                        sent = await this.sendTrackedMessage(chatId, media, {
+                            caption: message
                         });
-                        console.log('QR code sent to renderer successfully');
                     } else {
-                        console.error('mainWindow or webContents not available');
+                        // Send text only
+                        sent = await this.sendTrackedMessage(chatId, message);
                     }
-                } catch (error) {
-                    console.error('Error generating QR code:', error);
-                }
-            });
 
-            // Ready event
-            client.on('ready', async () => {
-                console.log(`Client ${accountName} is ready!`);
-
-                const clientInfo = client.info;
-                this.mainWindow.webContents.send('account-ready', {
-                    accountId,
-                    phoneNumber: clientInfo.wid.user,
-                    pushname: clientInfo.pushname
-                });
-
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'ready'
-                });
-            });
+                    // Record in persistent message history
+                    const sentAt = Date.now();
+                    this.addMessageToPhone(phoneNumber, {
+                        id: sent.id._serialized,
+                        accountId: this.accountId,
+                        accountName: this.accountName,
+                        phoneNumber,
+                        from: ownId,
+                        to: chatId,
+                        body: message,
+                        timestamp: Math.floor(sentAt / 1000),
+                        isOwn: true,
+                        hasMedia: !!(imageData && imageData.base64Data),
+                        mediaType: imageData && imageData.base64Data ? 'image' : 'chat',
+                        mediaContext: imageData && imageData.base64Data
+                            ? { type: 'image', description: imageData.fileName }
+                            : null,
+                        isBlast: true,
+                        campaignId,
+                        source: 'blast'
+                    });
 
-            // Authentication event
-            client.on('authenticated', () => {
-                console.log(`Client ${accountName} authenticated`);
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'authenticated'
-                });
-            });
+                    // An ack may already have arrived while the message was being recorded
+                    const stored = this.messageStore.getMessage(phoneNumber, sent.id._serialized);
+                    this.campaignStore.updateRecipient(campaignId, phoneNumber, {
+                        status: 'sent',
+                        messageId: sent.id._serialized,
+                        sentAt: new Date(sentAt).toISOString(),
+                        receipt: stored ? stored.status : 'pending'
+                    });
 
-            // Authentication failure
-            client.on('auth_failure', (msg) => {
-                console.error(`Authentication failure for ${accountName}:`, msg);
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'auth_failure',
-                    error: msg
-                });
-            });
+                    console.log(`Blast sent to ${phoneNumber} (${i + 1}/${campaign.recipients.length})`);
+                    reportProgress({ current: i + 1, phoneNumber });
 
-            // Disconnected event
-            client.on('disconnected', (reason) => {
-                console.log(`Client ${accountName} disconnected:`, reason);
+                } catch (error) {
+                    // Something else took the last slot under the cap: wait and try this recipient again
+                    if (error instanceof SendLimitError && error.limit !== 'contact') {
+                        this.campaignStore.updateRecipient(campaignId, phoneNumber, { status: 'pending' });
+                        i--;
+                        continue;
+                    }
 
-                // Stop warming if active
-                if (this.warmingActive) {
-                    this.warmingActive = false;
-                    this.mainWindow.webContents.send('warming-stopped', {
-                        reason: 'disconnected',
-                        message: `WhatsApp disconnected: ${reason}`
+                    this.campaignStore.updateRecipient(campaignId, phoneNumber, {
+                        status: 'failed',
+                        error: error.message
                     });
+                    console.error(`Failed to send blast to ${phoneNumber}:`, error);
+
+                    // Call progress callback even on error, and continue to the next number
+                    reportProgress({ current: i + 1, phoneNumber, error: error.message });
                 }
+            }
+        } finally {
+            this.activeCampaignId = null;
+            this.blastControl = null;
+            this.notifyHeldMessagesChanged();
+        }
 
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'disconnected',
-                    reason
-                });
-            });
+        // Recipients held for quiet hours are sent later from a timer, so the next blast can start meanwhile
+        const held = this.campaignStore.get(campaignId).recipients.some(r => r.status === 'held');
 
-            // Message received event - Listen for replies from phone numbers
-            client.on('message', async (message) => {
-                try {
-                    // Create unique message ID to prevent duplicates
-                    const messageId = `${message.from}_${message.timestamp}_${message.body.substring(0, 20)}`;
+        let finalStatus = 'completed';
+        if (interrupted) {
+            finalStatus = 'interrupted';
+        } else if (cancelled) {
+            finalStatus = 'cancelled';
+        } else if (held) {
+            finalStatus = 'waiting';
+        }
+        this.campaignStore.setStatus(campaignId, finalStatus);
+        this.notifyCampaignsChanged(campaignId);
+        if (finalStatus === 'waiting') {
+            this.scheduleHeldRecipients(campaignId);
+        }
 
-                    // Skip if already processed
-                    if (this.processedMessageIds.has(messageId)) {
-                        return;
-                    }
-                    this.processedMessageIds.add(messageId);
+        const results = this.campaignStore.summarize(campaignId);
+        if (interrupted) {
+            console.log(`Blast interrupted, WhatsApp disconnected: ${results.sent} sent so far`);
+            throw new Error(`WhatsApp disconnected during the blast after ${results.sent} message(s). It will resume when the account reconnects.`);
+        }
 
-                    // Clean up old message IDs (keep last 1000)
-                    if (this.processedMessageIds.size > 1000) {
-                        const idsArray = Array.from(this.processedMessageIds);
-                        this.processedMessageIds = new Set(idsArray.slice(-500));
-                    }
+        if (cancelled) {
+            console.log(`Blast cancelled: ${results.sent} sent, ${results.notAttempted.length} never attempted`);
+        } else if (finalStatus === 'waiting') {
+            console.log(`Blast waiting for quiet hours: ${results.sent} sent, ${results.held} held`);
+        } else {
+            console.log(`Blast completed: ${results.sent} sent, ${results.failed} failed, ${results.skipped} skipped`);
+        }
+        return results;
+    }
 
-                    // Extract phone number
-                    const phoneNumber = message.fromMe
-                        ? message.to.replace('@c.us', '')
-                        : message.from.replace('@c.us', '');
+    /**
+     * Hold the running blast while the daily or hourly send cap is reached, until there is
+     * room or it is cancelled. Checked again at least once a minute, in case the caps change.
+     */
+    async waitForSendCapacity(control) {
+        let blocked = this.sendLimiter.check();
+        if (!blocked) {
+            return;
+        }
 
-                    // Handle media if present
-                    const hasMedia = message.hasMedia;
-                    const messageType = message.type;
-                    let mediaContext = null;
+        this.reportSendLimit(new SendLimitError(blocked.limit, blocked.message, blocked.retryAt));
+        while (blocked && !control.cancelled) {
+            control.reportProgress({ current: control.current, waiting: blocked.message });
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, Math.min(Math.max(blocked.retryAt - Date.now(), 1000), 60 * 1000));
+                control.wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            control.wake = null;
 
-                    if (hasMedia && !message.fromMe) {
-                        console.log(`Message has media: ${messageType}`);
-                        mediaContext = await this.handleMediaMessage(message);
-                    }
+            // Paused while waiting: stay paused until resumed
+            await this.waitWhileBlastPaused();
+            blocked = this.sendLimiter.check();
+        }
 
-                // Add message to phone-specific storage
-                this.addMessageToPhone(phoneNumber, {
-                    id: messageId,
-                    accountId: this.accountId,
-                    accountName: this.accountName,
-                    phoneNumber,
-                    from: message.from,
-                    to: message.to,
-                    body: message.body,
-                    timestamp: message.timestamp,
-                    isOwn: message.fromMe,
-                    hasMedia: hasMedia,
-                    mediaType: messageType,
-                    mediaContext: mediaContext
-                });
+        control.reportProgress({ current: control.current });
+    }
 
-                // Handle warming logic if active
-                if (this.warmingActive && !message.fromMe) {
-                    const fromNumber = message.from.replace('@c.us', '');
-
-                    // Check if this is from one of our target phone numbers
-                    if (this.warmingConfig && this.warmingConfig.phoneNumbers.includes(fromNumber)) {
-                        // Format message text with media context
-                        let messageText = message.body || '';
-
-                        if (mediaContext) {
-                            if (mediaContext.type === 'voice') {
-                                messageText = `[Voice message: "${mediaContext.transcription}"]`;
-                            } else if (mediaContext.type === 'image') {
-                                const caption = message.body ? ` Caption: "${message.body}"` : '';
-                                messageText = `[Sent an image: ${mediaContext.description}${caption}]`;
-                            }
-                        }
+    /**
+     * Send a waiting campaign to its held recipients once quiet hours end for the first of them.
+     * Checked again at least once a minute, in case quiet hours or a contact's time zone change.
+     */
+    scheduleHeldRecipients(campaignId) {
+        clearTimeout(this.heldCampaignTimers.get(campaignId));
 
-                        console.log(`Received reply from ${fromNumber}: ${messageText}`);
+        const ends = this.campaignStore.get(campaignId).recipients
+            .filter(r => r.status === 'held')
+            .map(r => this.getQuietUntil(r.number));
+        const releaseAt = ends.includes(null) ? Date.now() : Math.min(...ends.map(end => end.getTime()));
 
-                        // Add to conversation history
-                        if (!this.activeConversations.has(fromNumber)) {
-                            this.activeConversations.set(fromNumber, { history: [], lastMessageTime: Date.now() });
-                        }
+        this.heldCampaignTimers.set(campaignId, setTimeout(() => {
+            this.releaseHeldRecipients(campaignId);
+        }, Math.min(Math.max(releaseAt - Date.now(), 1000), 60 * 1000)));
+    }
 
-                        const conversation = this.activeConversations.get(fromNumber);
-                        conversation.history.push({
-                            role: 'user',
-                            text: messageText,
-                            timestamp: Date.now(),
-                            hasMedia: hasMedia,
-                            mediaType: messageType,
-                            mediaContext: mediaContext
-                        });
-                        conversation.lastMessageTime = Date.now();
+    releaseHeldRecipients(campaignId) {
+        this.heldCampaignTimers.delete(campaignId);
 
-                        // Log the received message
-                        this.mainWindow.webContents.send('warming-message-received', {
-                            from: fromNumber,
-                            message: message.body,
-                            timestamp: Date.now()
-                        });
+        const campaign = this.campaignStore.get(campaignId);
+        if (!campaign || campaign.status !== 'waiting') {
+            return;
+        }
 
-                        // Check if this number is disabled
-                        const isDisabled = this.disabledNumbers.has(fromNumber);
-
-                        if (isDisabled) {
-                            // Queue the message for later processing
-                            console.log(`Number ${fromNumber} is disabled, queuing message`);
-                            this.queuedMessages.set(fromNumber, {
-                                message: message.body,
-                                timestamp: Date.now()
-                            });
-                            this.mainWindow.webContents.send('warming-log', {
-                                message: `Message from ${fromNumber} queued (number disabled)`
-                            });
-                        } else {
-                            // 15% chance to react with emoji in addition to text
-                            const shouldReact = Math.random() < 0.15;
-
-                            if (shouldReact) {
-                                // React immediately
-                                console.log(`Reacting to message from ${fromNumber} (15% chance)`);
-                                await this.sendEmojiReaction(message, fromNumber);
-                            }
+        // Not connected as its account: armed again when that account is ready
+        if (!this.client || !this.client.info || campaign.accountId !== this.accountId) {
+            return;
+        }
 
-                            // Always send text reply after delay
-                            const delayMin = (this.warmingConfig?.delayMin || 3) * 1000;
-                            const delayMax = (this.warmingConfig?.delayMax || 8) * 1000;
-                            const delay = delayMin + Math.random() * (delayMax - delayMin);
-
-                            console.log(`Waiting ${Math.round(delay / 1000)}s before responding...`);
-                            setTimeout(async () => {
-                                try {
-                                    await this.sendAIReply(fromNumber);
-                                } catch (error) {
-                                    console.error(`Error sending AI reply to ${fromNumber}:`, error);
-                                    this.mainWindow.webContents.send('warming-error', {
-                                        error: `Failed to send reply to ${fromNumber}: ${error.message}`
-                                    });
-                                }
-                            }, delay);
-                        }
-                    }
-                }
+        // Still night for all of them, or another blast is sending: look again later
+        const awake = campaign.recipients.some(r => r.status === 'held' && !this.getQuietUntil(r.number));
+        if (!awake || this.activeCampaignId) {
+            this.scheduleHeldRecipients(campaignId);
+            return;
+        }
 
-                    // Send to renderer for UI update
-                    this.mainWindow.webContents.send('new-message', {
-                        phoneNumber,
-                        message: {
-                            id: messageId,
-                            from: message.from,
-                            to: message.to,
-                            body: message.body,
-                            timestamp: message.timestamp,
-                            fromMe: message.fromMe,
-                            hasMedia: hasMedia,
-                            mediaType: messageType,
-                            mediaContext: mediaContext
-                        }
-                    });
-                } catch (error) {
-                    console.error('Error handling incoming message:', error);
-                    // Don't crash the app, just log the error
-                    this.mainWindow.webContents.send('warming-error', {
-                        error: `Message handling error: ${error.message}`
-                    });
-                }
-            });
+        console.log(`Sending campaign ${campaignId} to recipients held for quiet hours`);
+        this.runCampaignInBackground(campaignId, { held: true });
+    }
 
-            // Initialize client
-            await client.initialize();
+    /**
+     * Give up on the held recipients of a campaign waiting for quiet hours
+     */
+    cancelWaitingCampaign(campaignId) {
+        const campaign = this.campaignStore.get(campaignId);
+        if (!campaign || campaign.status !== 'waiting') {
+            throw new Error('Campaign is not waiting for quiet hours');
+        }
 
-            this.client = client;
-            this.accountId = accountId;
-            this.accountName = accountName;
+        clearTimeout(this.heldCampaignTimers.get(campaignId));
+        this.heldCampaignTimers.delete(campaignId);
+        this.campaignStore.setStatus(campaignId, 'cancelled');
+        this.notifyCampaignsChanged(campaignId);
+        this.notifyHeldMessagesChanged();
+        console.log(`Campaign ${campaignId} cancelled while waiting for quiet hours`);
+    }
 
-            return true;
-        } catch (error) {
-            console.error(`Error adding account ${accountName}:`, error);
-            throw error;
+    async waitWhileBlastPaused() {
+        const control = this.blastControl;
+        while (control.paused && !control.cancelled) {
+            await new Promise(resolve => {
+                control.wake = resolve;
+            });
         }
     }
 
-    async removeAccount() {
-        if (this.client) {
-            try {
-                await this.client.destroy();
-                this.client = null;
-                this.accountId = null;
-                this.accountName = null;
-            } catch (error) {
-                console.error('Error removing account:', error);
-            }
+    /**
+     * Hold the running blast before its next recipient
+     */
+    pauseBlast() {
+        const control = this.blastControl;
+        if (!control || control.cancelled) {
+            throw new Error('No blast is running');
+        }
+        if (control.paused) {
+            return;
         }
+
+        control.paused = true;
+        this.campaignStore.setStatus(control.campaignId, 'paused');
+        this.notifyCampaignsChanged(control.campaignId);
+        control.reportProgress({ current: control.current });
+        console.log('Blast paused');
     }
 
-    async restoreSession(accountId, accountName) {
-        // Skip if client already exists
-        if (this.client) {
-            console.log('Session already active, skipping restore');
-            return true;
+    resumeBlast() {
+        const control = this.blastControl;
+        if (!control || control.cancelled) {
+            throw new Error('No blast is running');
         }
+        if (!control.paused) {
+            return;
+        }
+
+        control.paused = false;
+        this.campaignStore.setStatus(control.campaignId, 'running');
+        this.notifyCampaignsChanged(control.campaignId);
+        control.reportProgress({ current: control.current });
+        if (control.wake) {
+            control.wake();
+        }
+        console.log('Blast resumed');
+    }
+
+    /**
+     * Stop the running blast before its next recipient. A message already being sent still goes out.
+     */
+    cancelBlast() {
+        const control = this.blastControl;
+        if (!control) {
+            throw new Error('No blast is running');
+        }
+        if (control.cancelled) {
+            return;
+        }
+
+        control.cancelled = true;
+        control.reportProgress({ current: control.current });
+        if (control.wake) {
+            control.wake();
+        }
+        console.log('Blast cancelled');
+    }
+
+    /**
+     * A recipient left 'sending' by a crash may or may not have got the message.
+     * If it reached history it was sent; otherwise it is failed rather than risking a duplicate.
+     */
+    settleInterruptedSends(campaign) {
+        for (const recipient of campaign.recipients) {
+            if (recipient.status !== 'sending') {
+                continue;
+            }
+
+            const recorded = this.messageStore.findCampaignMessage(recipient.number, campaign.id);
+            const updates = recorded
+                ? { status: 'sent', messageId: recorded.id, sentAt: new Date(recorded.timestamp * 1000).toISOString(), receipt: recorded.status }
+                : { status: 'failed', error: 'Interrupted while sending. Not retried in case it was delivered.' };
+
+            Object.assign(recipient, updates);
+            this.campaignStore.updateRecipient(campaign.id, recipient.number, updates);
+        }
+    }
+
+    /**
+     * Resume this account's campaigns that were cut off by a crash or disconnect, one at a time,
+     * and wait again for the held recipients of those waiting for quiet hours
+     */
+    async resumeInterruptedCampaigns() {
+        for (const campaign of this.campaignStore.getWaiting().filter(c => c.accountId === this.accountId)) {
+            this.scheduleHeldRecipients(campaign.id);
+        }
+
+        const campaigns = this.campaignStore.getInterrupted().filter(c => c.accountId === this.accountId);
+
+        for (const campaign of campaigns) {
+            if (this.activeCampaignId || !this.client || !this.client.info) {
+                return;
+            }
+
+            console.log(`Resuming interrupted campaign ${campaign.id}`);
+            await this.runCampaignInBackground(campaign.id);
+        }
+    }
 
-        console.log(`Restoring session for ${accountName} (${accountId})...`);
-
+    /**
+     * Run a campaign nobody is awaiting, reporting its progress and result to the renderer
+     * @param {object} options - { held: true } when it is sending to recipients held for quiet hours
+     */
+    async runCampaignInBackground(campaignId, { held = false } = {}) {
+        this.mainWindow.webContents.send('campaign-resumed', { campaignId, held });
         try {
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: accountId,
-                    dataPath: this.sessionsDir
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--disable-gpu'
-                    ]
-                }
+            const results = await this.runCampaign(campaignId, (progress) => {
+                this.mainWindow.webContents.send('blast-progress', progress);
             });
+            this.mainWindow.webContents.send('campaign-completed', { campaignId, results });
+        } catch (error) {
+            console.error(`Failed to resume campaign ${campaignId}:`, error);
+            this.mainWindow.webContents.send('campaign-completed', { campaignId, error: error.message });
+        }
+    }
 
-            // QR Code event - only fires if session is invalid/expired
-            client.on('qr', async (qr) => {
-                console.log(`Session expired for ${accountName}, QR Code required`);
-                try {
-                    const qrDataUrl = await qrcode.toDataURL(qr);
-                    if (this.mainWindow && this.mainWindow.webContents) {
-                        this.mainWindow.webContents.send('qr-code', {
-                            accountId,
-                            qrCode: qrDataUrl
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error generating QR code:', error);
-                }
-            });
+    notifyCampaignsChanged(campaignId) {
+        this.mainWindow.webContents.send('campaigns-changed', { campaignId });
+        if (this.onCampaignChange) {
+            this.onCampaignChange(campaignId);
+        }
+    }
+
+    /**
+     * Record a delivery or read receipt for one of our messages and tell the renderer
+     */
+    handleMessageAck(message, ack) {
+        const status = ACK_STATUSES[ack];
+        const messageId = message.id && message.id._serialized;
+        if (!status || !messageId || !message.fromMe || !message.to || !message.to.endsWith('@c.us')) {
+            return;
+        }
 
-            // Ready event
-            client.on('ready', async () => {
-                console.log(`Session restored for ${accountName}!`);
+        const phoneNumber = message.to.replace('@c.us', '');
 
-                const clientInfo = client.info;
-                this.mainWindow.webContents.send('account-ready', {
-                    accountId,
-                    phoneNumber: clientInfo.wid.user,
-                    pushname: clientInfo.pushname
-                });
+        if (!this.messageStore.getMessage(phoneNumber, messageId)) {
+            // Not recorded yet, addMessageToPhone applies it
+            this.earlyAcks.set(messageId, status);
+            if (this.earlyAcks.size > 200) {
+                this.earlyAcks.delete(this.earlyAcks.keys().next().value);
+            }
+            return;
+        }
 
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'ready'
-                });
+        const updated = this.messageStore.updateStatus(phoneNumber, messageId, status);
+        if (!updated) {
+            return; // Stale or repeated ack
+        }
+
+        if (updated.campaignId && this.campaignStore.recordReceipt(updated.campaignId, messageId, status)) {
+            this.notifyCampaignsChanged(updated.campaignId);
+
+            const latest = this.latestCampaign;
+            if (latest && latest.id === updated.campaignId && latest.progressCallback && latest.lastProgress) {
+                const totals = this.campaignStore.summarize(updated.campaignId);
+                latest.progressCallback({ ...latest.lastProgress, delivered: totals.delivered, read: totals.read, receipt: true });
+            }
+        }
+
+        this.mainWindow.webContents.send('message-status', {
+            phoneNumber,
+            messageId,
+            status
+        });
+    }
+
+    /**
+     * Send a message written by the operator in the Chat tab
+     * @param {string} phoneNumber - Recipient phone number
+     * @param {object} content - { text, mediaItem, stickerPath }; text becomes the caption when sending media
+     * @returns {object} The message as recorded in history
+     */
+    async sendManualMessage(phoneNumber, { text = '', mediaItem = null, stickerPath = null } = {}) {
+        if (!this.client || !this.client.info) {
+            throw new Error('WhatsApp is not connected');
+        }
+
+        if (this.isOptedOut(phoneNumber)) {
+            throw new Error('This contact has opted out. Opt them back in before messaging them.');
+        }
+
+        const chatId = `${phoneNumber}@c.us`;
+        let mediaType = 'chat';
+        let mediaContext = null;
+        let historyText = text;
+        let sent;
+
+        if (stickerPath) {
+            const media = this.client.mediaFromFile(stickerPath);
+            sent = await this.sendTrackedMessage(chatId, media, {
+                sendMediaAsSticker: true
             });
+            mediaType = 'sticker';
+            mediaContext = { type: 'sticker', description: path.basename(stickerPath) };
+            text = '';
+            historyText = '[Sent sticker]';
+        } else if (mediaItem) {
+            const media = this.client.mediaFromFile(mediaItem.filePath);
+            sent = await this.sendTrackedMessage(chatId, media, text ? { caption: text } : {});
+            mediaType = 'image';
+            mediaContext = { type: 'image', description: mediaItem.context };
+            historyText = `[Sent image: ${mediaItem.context}]${text ? ` ${text}` : ''}`;
+        } else {
+            sent = await this.sendTrackedMessage(chatId, text);
+        }
 
-            // Authentication event
-            client.on('authenticated', () => {
-                console.log(`Session ${accountName} authenticated`);
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'authenticated'
-                });
+        // Record in persistent message history
+        const sentAt = Date.now();
+        const record = {
+            id: sent.id._serialized,
+            accountId: this.accountId,
+            accountName: this.accountName,
+            phoneNumber,
+            from: this.client.info.wid._serialized,
+            to: chatId,
+            body: text,
+            timestamp: Math.floor(sentAt / 1000),
+            isOwn: true,
+            hasMedia: mediaType !== 'chat',
+            mediaType,
+            mediaContext,
+            source: 'manual'
+        };
+        this.addMessageToPhone(phoneNumber, record);
+
+        // Keep the AI aware of what the operator said in a warmed conversation
+        if (this.activeConversations.has(phoneNumber)) {
+            this.addToConversation(phoneNumber, {
+                role: 'assistant',
+                text: historyText,
+                timestamp: sentAt,
+                isManual: true
             });
+        }
 
-            // Authentication failure
-            client.on('auth_failure', (msg) => {
-                console.error(`Authentication failure for ${accountName}:`, msg);
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'auth_failure',
-                    error: msg
-                });
+        // The operator is talking now, keep the AI out of the way
+        this.startHumanMode(phoneNumber, 'app');
+
+        console.log(`Sent manual ${mediaType} message to ${phoneNumber}`);
+        return record;
+    }
+
+    /**
+     * Send a message scheduled from Live Chat. Unlike sendManualMessage it doesn't take over
+     * the chat: nobody is at the keyboard when it goes out, so the AI keeps answering.
+     */
+    async sendScheduledMessage(phoneNumber, text) {
+        if (!this.client || !this.client.info) {
+            throw new Error('WhatsApp is not connected');
+        }
+
+        if (this.isOptedOut(phoneNumber)) {
+            throw new Error('This contact has opted out. Opt them back in before messaging them.');
+        }
+
+        const chatId = `${phoneNumber}@c.us`;
+        const sent = await this.sendTrackedMessage(chatId, text);
+
+        // Record in persistent message history
+        const sentAt = Date.now();
+        const record = {
+            id: sent.id._serialized,
+            accountId: this.accountId,
+            accountName: this.accountName,
+            phoneNumber,
+            from: this.client.info.wid._serialized,
+            to: chatId,
+            body: text,
+            timestamp: Math.floor(sentAt / 1000),
+            isOwn: true,
+            hasMedia: false,
+            mediaType: 'chat',
+            mediaContext: null,
+            source: 'scheduled'
+        };
+        this.addMessageToPhone(phoneNumber, record);
+
+        // Keep the AI aware of it in a warmed conversation
+        if (this.activeConversations.has(phoneNumber)) {
+            this.addToConversation(phoneNumber, {
+                role: 'assistant',
+                text,
+                timestamp: sentAt
             });
+        }
+
+        console.log(`Sent scheduled message to ${phoneNumber}`);
+        return record;
+    }
+
+    async addAccount(accountId, accountName) {
+        // Only allow one account
+        if (this.client) {
+            throw new Error('Only one warming account is allowed. Please remove the existing account first.');
+        }
+
+        try {
+            await this.connect(accountId, accountName);
+            return true;
+        } catch (error) {
+            console.error(`Error adding account ${accountName}:`, error);
+            throw error;
+        }
+    }
+
+    async removeAccount() {
+        if (this.client) {
+            try {
+                await this.client.destroy();
+                this.client = null;
+                this.lifecycle = null;
+                this.accountId = null;
+                this.accountName = null;
+            } catch (error) {
+                console.error('Error removing account:', error);
+            }
+        }
+    }
+
+    async restoreSession(accountId, accountName) {
+        // Skip if client already exists
+        if (this.client) {
+            console.log('Session already active, skipping restore');
+            return true;
+        }
+
+        console.log(`Restoring session for ${accountName} (${accountId})...`);
+
+        try {
+            // Will auto-restore the session if it is still valid, otherwise a QR code is shown
+            await this.connect(accountId, accountName, { restoring: true });
+            return true;
+        } catch (error) {
+            console.error(`Error restoring session for ${accountName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create the transport for an account and wire its events. Shared by addAccount and restoreSession.
+     */
+    async connect(accountId, accountName, { restoring = false } = {}) {
+        const client = this.createTransport({
+            accountId,
+            sessionsDir: this.sessionsDir
+        });
+
+        const lifecycle = new ClientLifecycle(client, { accountId, accountName });
+        lifecycle.on('state', (change) => this.handleLifecycleChange(change, restoring));
+        this.lifecycle = lifecycle;
+
+        // Message created event - fires for our own messages too, including ones typed on the phone
+        client.on('message_create', async (message) => {
+            try {
+                await this.handleOwnMessage(message);
+            } catch (error) {
+                console.error('Error handling outgoing message:', error);
+            }
+        });
+
+        // Message received event - Listen for replies from phone numbers
+        client.on('message', (message) => this.handleIncomingMessage(message));
+
+        // Delivery and read receipts for messages we sent
+        client.on('message_ack', (message, ack) => this.handleMessageAck(message, ack));
+
+        // Initialize client
+        await client.initialize();
+
+        this.client = client;
+        this.accountId = accountId;
+        this.accountName = accountName;
 
-            // Disconnected event
-            client.on('disconnected', (reason) => {
-                console.log(`Session ${accountName} disconnected:`, reason);
+        // Ready fired before initialize() returned, so the resume in handleLifecycleChange had no client yet
+        if (lifecycle.isReady()) {
+            this.resumeInterruptedCampaigns();
+        }
+    }
+
+    /**
+     * React to a connection lifecycle change (see client-lifecycle.js) and tell the renderer
+     */
+    async handleLifecycleChange(change, restoring) {
+        const { state, accountId, accountName } = change;
 
-                // Stop warming if active
-                if (this.warmingActive) {
-                    this.warmingActive = false;
-                    this.mainWindow.webContents.send('warming-stopped', {
-                        reason: 'disconnected',
-                        message: `WhatsApp disconnected: ${reason}`
+        if (state === 'pairing') {
+            console.log(restoring
+                ? `Session expired for ${accountName}, QR Code required`
+                : `QR Code received for ${accountName}`);
+            try {
+                const qrDataUrl = await qrcode.toDataURL(change.qr);
+                if (this.mainWindow && this.mainWindow.webContents) {
+                    this.mainWindow.webContents.send('qr-code', {
+                        accountId,
+                        qrCode: qrDataUrl
                     });
                 }
+            } catch (error) {
+                console.error('Error generating QR code:', error);
+            }
+        } else if (state === 'ready') {
+            console.log(restoring ? `Session restored for ${accountName}!` : `Client ${accountName} is ready!`);
+            this.mainWindow.webContents.send('account-ready', {
+                accountId,
+                phoneNumber: change.phoneNumber,
+                pushname: change.pushname
+            });
 
-                this.mainWindow.webContents.send('account-status-changed', {
-                    accountId,
-                    status: 'disconnected',
-                    reason
+            // Pick up any blast a crash or disconnect cut short
+            if (this.client) {
+                this.resumeInterruptedCampaigns();
+            }
+        } else if (state === 'degraded') {
+            console.error(`Connection degraded for ${accountName}:`, change.reason, change.error);
+            if (this.warmingActive) {
+                this.mainWindow.webContents.send('warming-error', {
+                    error: `WhatsApp connection problem (${change.reason}). Messages may not be delivered until it recovers.`
                 });
-            });
+            }
+        } else if (state === 'disconnected') {
+            console.log(`Client ${accountName} disconnected:`, change.reason);
+
+            // Stop warming if active
+            if (this.warmingActive) {
+                this.warmingActive = false;
+                this.mainWindow.webContents.send('warming-stopped', {
+                    reason: 'disconnected',
+                    message: `WhatsApp disconnected: ${change.reason}`
+                });
+            }
+        } else {
+            console.log(`Client ${accountName} ${state}`);
+        }
 
-            // Message received event - same as addAccount
-            client.on('message', async (message) => {
-                try {
-                    const messageId = `${message.from}_${message.timestamp}_${message.body.substring(0, 20)}`;
+        this.mainWindow.webContents.send('account-status-changed', {
+            accountId,
+            status: state,
+            previous: change.previous,
+            reason: change.reason,
+            error: change.error
+        });
 
-                    if (this.processedMessageIds.has(messageId)) {
-                        return;
-                    }
-                    this.processedMessageIds.add(messageId);
+        if (this.onLifecycleChange) {
+            this.onLifecycleChange(change);
+        }
+    }
 
-                    if (this.processedMessageIds.size > 1000) {
-                        const idsArray = Array.from(this.processedMessageIds);
-                        this.processedMessageIds = new Set(idsArray.slice(-500));
-                    }
+    /**
+     * Handle a message from a contact (and any other 'message' event from the transport)
+     */
+    async handleIncomingMessage(message) {
+        try {
+            // WhatsApp's own id, also used for the stored message and delivery receipts
+            const messageId = message.id._serialized;
 
-                    const phoneNumber = message.fromMe
-                        ? message.to.replace('@c.us', '')
-                        : message.from.replace('@c.us', '');
+            // Skip if already processed (including before a restart)
+            if (!this.processedMessageIds.add(messageId)) {
+                return;
+            }
 
-                    const hasMedia = message.hasMedia;
-                    const messageType = message.type;
-                    let mediaContext = null;
+            // Extract phone number
+            const phoneNumber = message.fromMe
+                ? message.to.replace('@c.us', '')
+                : message.from.replace('@c.us', '');
 
-                    if (hasMedia && !message.fromMe) {
-                        console.log(`Message has media: ${messageType}`);
-                        mediaContext = await this.handleMediaMessage(message);
-                    }
+            // Handle media if present
+            const hasMedia = message.hasMedia;
+            const messageType = message.type;
+            let mediaContext = null;
 
-                this.addMessageToPhone(phoneNumber, {
-                    id: messageId,
-                    accountId: this.accountId,
-                    accountName: this.accountName,
-                    phoneNumber,
-                    from: message.from,
-                    to: message.to,
-                    body: message.body,
-                    timestamp: message.timestamp,
-                    isOwn: message.fromMe,
-                    hasMedia: hasMedia,
-                    mediaType: messageType,
-                    mediaContext: mediaContext
-                });
+            if (hasMedia && !message.fromMe) {
+                console.log(`Message has media: ${messageType}`);
+                mediaContext = await this.handleMediaMessage(message);
+            }
 
-                if (this.warmingActive && !message.fromMe) {
-                    const fromNumber = message.from.replace('@c.us', '');
+            // Add message to phone-specific storage
+            this.addMessageToPhone(phoneNumber, {
+                id: messageId,
+                accountId: this.accountId,
+                accountName: this.accountName,
+                phoneNumber,
+                from: message.from,
+                to: message.to,
+                body: message.body,
+                timestamp: message.timestamp,
+                isOwn: message.fromMe,
+                hasMedia: hasMedia,
+                mediaType: messageType,
+                mediaContext: mediaContext,
+                source: message.fromMe ? 'phone' : 'contact'
+            });
 
-                    if (this.warmingConfig && this.warmingConfig.phoneNumbers.includes(fromNumber)) {
-                        // Format message text with media context
-                        let messageText = message.body || '';
+            // Opt-out requests are honoured whether or not warming is running
+            if (!message.fromMe) {
+                await this.handleOptOutRequest(phoneNumber, message.body);
+                this.markDraftsStale(phoneNumber);
+            }
 
-                        if (mediaContext) {
-                            if (mediaContext.type === 'voice') {
-                                messageText = `[Voice message: "${mediaContext.transcription}"]`;
-                            } else if (mediaContext.type === 'image') {
-                                const caption = message.body ? ` Caption: "${message.body}"` : '';
-                                messageText = `[Sent an image: ${mediaContext.description}${caption}]`;
-                            }
+            // A flow the contact is in (or starts) comes first, then keyword rules, then outside business hours
+            // the away message stands in for an AI reply. None of them run once a person has the chat.
+            const automated = !message.fromMe && message.from.endsWith('@c.us') && !this.isOptedOut(phoneNumber) && !this.isHumanMode(phoneNumber);
+            const flowRoute = automated ? this.routeToFlow(phoneNumber, message.body) : null;
+            const flowHandled = !!flowRoute && flowRoute.event !== 'expired' && flowRoute.ending !== 'ai';
+            const ruleMatch = automated && !flowHandled ? this.applyRule(phoneNumber, message.body) : null;
+            const closedPeriod = automated && !flowHandled && !(ruleMatch && (ruleMatch.rule.actions.reply || ruleMatch.rule.actions.mediaId))
+                ? getClosedPeriod(this.businessHours)
+                : null;
+
+            // Handle warming logic if active (never for opted-out contacts)
+            if (this.warmingActive && !message.fromMe && !this.isOptedOut(phoneNumber)) {
+                const fromNumber = message.from.replace('@c.us', '');
+
+                // Check if this is from one of our target phone numbers
+                if (this.warmingConfig && this.warmingConfig.phoneNumbers.includes(fromNumber)) {
+                    // Format message text with media context
+                    let messageText = message.body || '';
+
+                    if (mediaContext) {
+                        if (mediaContext.type === 'voice') {
+                            messageText = `[Voice message: "${mediaContext.transcription}"]`;
+                        } else if (mediaContext.type === 'image') {
+                            const caption = message.body ? ` Caption: "${message.body}"` : '';
+                            messageText = `[Sent an image: ${mediaContext.description}${caption}]`;
                         }
+                    }
 
-                        console.log(`Received reply from ${fromNumber}: ${messageText}`);
+                    console.log(`Received reply from ${fromNumber}: ${messageText}`);
 
-                        // Add to conversation history
-                        if (!this.activeConversations.has(fromNumber)) {
-                            this.activeConversations.set(fromNumber, { history: [], lastMessageTime: Date.now() });
-                        }
+                    // Add to conversation history
+                    this.addToConversation(fromNumber, {
+                        role: 'user',
+                        text: messageText,
+                        timestamp: Date.now(),
+                        hasMedia: hasMedia,
+                        mediaType: messageType,
+                        mediaContext: mediaContext
+                    });
 
-                        const conversation = this.activeConversations.get(fromNumber);
-                        conversation.history.push({
-                            role: 'user',
-                            text: messageText,
-                            timestamp: Date.now(),
-                            hasMedia: hasMedia,
-                            mediaType: messageType,
-                            mediaContext: mediaContext
-                        });
-                        conversation.lastMessageTime = Date.now();
+                    // Log the received message
+                    this.mainWindow.webContents.send('warming-message-received', {
+                        from: fromNumber,
+                        message: message.body,
+                        timestamp: Date.now()
+                    });
+
+                    // Check if this number is disabled
+                    const isDisabled = this.disabledNumbers.has(fromNumber);
 
-                        // Log the received message
-                        this.mainWindow.webContents.send('warming-message-received', {
-                            from: fromNumber,
+                    if (this.isHumanMode(fromNumber)) {
+                        // A person is handling this chat, the AI only keeps the context
+                        console.log(`Conversation with ${fromNumber} is in human mode, not replying`);
+                        this.mainWindow.webContents.send('warming-log', {
+                            message: `Message from ${fromNumber} left for the operator (human mode)`
+                        });
+                    } else if (isDisabled) {
+                        // Queue the message for later processing
+                        console.log(`Number ${fromNumber} is disabled, queuing message`);
+                        this.queuedMessages.set(fromNumber, {
                             message: message.body,
                             timestamp: Date.now()
                         });
+                        this.mainWindow.webContents.send('warming-log', {
+                            message: `Message from ${fromNumber} queued (number disabled)`
+                        });
+                    } else if (flowHandled) {
+                        console.log(`Flow "${flowRoute.flow.name}" answered ${fromNumber}, not sending an AI reply`);
+                        this.mainWindow.webContents.send('warming-log', {
+                            message: `Message from ${fromNumber} answered by flow "${flowRoute.flow.name}"`
+                        });
+                    } else if (ruleMatch && ruleMatch.rule.actions.skipAI) {
+                        console.log(`Rule "${ruleMatch.rule.name}" matched, not sending an AI reply to ${fromNumber}`);
+                        this.mainWindow.webContents.send('warming-log', {
+                            message: `Message from ${fromNumber} handled by rule "${ruleMatch.rule.name}"`
+                        });
+                    } else if (closedPeriod) {
+                        console.log(`Outside business hours, not replying to ${fromNumber}`);
+                        this.mainWindow.webContents.send('warming-log', {
+                            message: `Message from ${fromNumber} left for business hours`
+                        });
+                    } else {
+                        // This reply also covers a greeting or an answer to an older queued message held for quiet hours
+                        if (Array.from(this.heldMessages.values()).some(held => held.phoneNumber === fromNumber)) {
+                            this.clearHeldMessages(fromNumber);
+                            this.queuedMessages.delete(fromNumber);
+                        }
 
-                        // Check if this number is disabled
-                        const isDisabled = this.disabledNumbers.has(fromNumber);
-
-                        if (isDisabled) {
-                            // Queue the message for later processing
-                            console.log(`Number ${fromNumber} is disabled, queuing message`);
-                            this.queuedMessages.set(fromNumber, {
-                                message: message.body,
-                                timestamp: Date.now()
-                            });
-                            this.mainWindow.webContents.send('warming-log', {
-                                message: `Message from ${fromNumber} queued (number disabled)`
-                            });
-                        } else {
-                            // 15% chance to react with emoji in addition to text
-                            const shouldReact = Math.random() < 0.15;
-
-                            if (shouldReact) {
-                                // React immediately
-                                console.log(`Reacting to message from ${fromNumber} (15% chance)`);
-                                await this.sendEmojiReaction(message, fromNumber);
-                            }
+                        // 15% chance to react with emoji in addition to text
+                        const shouldReact = Math.random() < 0.15;
 
-                            // Always send text reply after delay
-                            const delayMin = (this.warmingConfig?.delayMin || 3) * 1000;
-                            const delayMax = (this.warmingConfig?.delayMax || 8) * 1000;
-                            const delay = delayMin + Math.random() * (delayMax - delayMin);
-
-                            console.log(`Waiting ${Math.round(delay / 1000)}s before responding...`);
-                            setTimeout(async () => {
-                                try {
-                                    await this.sendAIReply(fromNumber);
-                                } catch (error) {
-                                    console.error(`Error sending AI reply to ${fromNumber}:`, error);
-                                    this.mainWindow.webContents.send('warming-error', {
-                                        error: `Failed to send reply to ${fromNumber}: ${error.message}`
-                                    });
-                                }
-                            }, delay);
+                        if (shouldReact) {
+                            // React immediately
+                            console.log(`Reacting to message from ${fromNumber} (15% chance)`);
+                            await this.sendEmojiReaction(message, fromNumber);
                         }
+
+                        // Always send text reply after delay
+                        const delayMin = (this.warmingConfig?.delayMin || 3) * 1000;
+                        const delayMax = (this.warmingConfig?.delayMax || 8) * 1000;
+                        const delay = delayMin + Math.random() * (delayMax - delayMin);
+
+                        console.log(`Waiting ${Math.round(delay / 1000)}s before responding...`);
+                        setTimeout(async () => {
+                            try {
+                                await this.sendAIReply(fromNumber);
+                            } catch (error) {
+                                console.error(`Error sending AI reply to ${fromNumber}:`, error);
+                                this.mainWindow.webContents.send('warming-error', {
+                                    error: `Failed to send reply to ${fromNumber}: ${error.message}`
+                                });
+                            }
+                        }, delay);
                     }
                 }
+            }
 
-                    this.mainWindow.webContents.send('message-received', {
-                        accountId: this.accountId,
-                        message: {
-                            id: messageId,
-                            from: message.from,
-                            to: message.to,
-                            body: message.body,
-                            timestamp: message.timestamp,
-                            fromMe: message.fromMe,
-                            hasMedia: hasMedia,
-                            mediaType: messageType,
-                            mediaContext: mediaContext
-                        }
-                    });
-                } catch (error) {
-                    console.error('Error handling incoming message:', error);
-                    // Don't crash the app, just log the error
-                    this.mainWindow.webContents.send('warming-error', {
-                        error: `Message handling error: ${error.message}`
-                    });
+            // Send to renderer for UI update
+            this.mainWindow.webContents.send('new-message', {
+                phoneNumber,
+                message: {
+                    id: messageId,
+                    from: message.from,
+                    to: message.to,
+                    body: message.body,
+                    timestamp: message.timestamp,
+                    fromMe: message.fromMe,
+                    hasMedia: hasMedia,
+                    mediaType: messageType,
+                    mediaContext: mediaContext
                 }
             });
 
-            // Initialize client - will auto-restore session if valid
-            await client.initialize();
-
-            this.client = client;
-            this.accountId = accountId;
-            this.accountName = accountName;
-
-            return true;
+            if (flowRoute && flowRoute.messages.length > 0) {
+                await this.sendFlowMessages(phoneNumber, flowRoute);
+            }
+            if (ruleMatch) {
+                await this.sendRuleReply(phoneNumber, ruleMatch.rule);
+            }
+            if (closedPeriod) {
+                await this.sendAwayMessage(phoneNumber, closedPeriod);
+            }
         } catch (error) {
-            console.error(`Error restoring session for ${accountName}:`, error);
-            throw error;
+            console.error('Error handling incoming message:', error);
+            // Don't crash the app, just log the error
+            this.mainWindow.webContents.send('warming-error', {
+                error: `Message handling error: ${error.message}`
+            });
         }
     }
 
     async handleMediaMessage(message) {
         try {
-            const media = await message.downloadMedia();
+            const media = await this.client.downloadMedia(message);
 
             if (!media) {
                 console.error('Failed to download media');
@@ -1138,25 +1753,17 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
     }
 
     async analyzeImage(media) {
-        if (!this.genAI) {
+        if (!this.aiProviders) {
             return { type: 'image', description: 'an image' };
         }
 
         try {
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
-            const imagePart = {
-                inlineData: {
-                    data: media.data,
-                    mimeType: media.mimetype
-                }
-            };
-
             const prompt = `Analyze this image in detail. Describe what you see in a natural, conversational way as if you're telling a friend what's in the picture. Keep it to 1-2 sentences. Focus on the main subject and any interesting details.`;
 
-            const result = await model.generateContent([prompt, imagePart]);
-            const response = await result.response;
-            const description = response.text().trim();
+            const description = await this.aiProviders.vision.describeImage(prompt, {
+                data: media.data,
+                mimeType: media.mimetype
+            }, this.modelOptions('vision'));
 
             console.log(`Image analyzed: ${description}`);
 
@@ -1174,6 +1781,9 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             };
         } catch (error) {
             console.error('Error analyzing image:', error);
+            if (error instanceof ModelRejectedError) {
+                this.reportModelRejected('image analysis', error);
+            }
             return {
                 type: 'image',
                 description: 'an image',
@@ -1183,25 +1793,17 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
     }
 
     async transcribeAudio(media) {
-        if (!this.genAI) {
+        if (!this.aiProviders) {
             return { type: 'voice', transcription: '[voice message]' };
         }
 
         try {
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
-            const audioPart = {
-                inlineData: {
-                    data: media.data,
-                    mimeType: media.mimetype
-                }
-            };
-
             const prompt = `Transcribe this audio message exactly. Provide only the transcription without any additional commentary.`;
 
-            const result = await model.generateContent([prompt, audioPart]);
-            const response = await result.response;
-            const transcription = response.text().trim();
+            const transcription = await this.aiProviders.transcription.transcribeAudio(prompt, {
+                data: media.data,
+                mimeType: media.mimetype
+            }, this.modelOptions('transcription'));
 
             console.log(`Audio transcribed: ${transcription}`);
 
@@ -1219,6 +1821,9 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             };
         } catch (error) {
             console.error('Error transcribing audio:', error);
+            if (error instanceof ModelRejectedError) {
+                this.reportModelRejected('voice transcription', error);
+            }
             return {
                 type: 'voice',
                 transcription: '[voice message - transcription failed]',
@@ -1231,6 +1836,7 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
         if (this.client) {
             await this.client.destroy().catch(err => console.error(err));
             this.client = null;
+            this.lifecycle = null;
         }
     }
 
@@ -1239,10 +1845,10 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             return { status: 'not_initialized' };
         }
 
-        const state = this.client.info ? 'ready' : 'connecting';
-
+        // connecting, pairing, authenticated, ready, degraded or disconnected (see client-lifecycle.js)
         return {
-            status: state,
+            status: this.lifecycle ? this.lifecycle.state : 'connecting',
+            statusReason: this.lifecycle && this.lifecycle.lastChange ? this.lifecycle.lastChange.reason || '' : '',
             phoneNumber: this.client.info ? this.client.info.wid.user : ''
         };
     }
@@ -1261,14 +1867,13 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             const emoji = emojis[Math.floor(Math.random() * emojis.length)];
 
             // Send reaction to the message
-            await message.react(emoji);
+            await this.client.react(message, emoji);
 
             console.log(`Reacted to ${phoneNumber} with ${emoji}`);
 
             // Add reaction to conversation history
-            const conversation = this.activeConversations.get(phoneNumber);
-            if (conversation) {
-                conversation.history.push({
+            if (this.activeConversations.has(phoneNumber)) {
+                this.addToConversation(phoneNumber, {
                     role: 'assistant',
                     text: `[Reacted with ${emoji}]`,
                     timestamp: Date.now(),
@@ -1299,26 +1904,47 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             return;
         }
 
+        if (this.isOptedOut(phoneNumber)) {
+            console.log(`Not replying to ${phoneNumber} - contact opted out`);
+            return;
+        }
+
+        if (this.isHumanMode(phoneNumber)) {
+            console.log(`Not replying to ${phoneNumber} - conversation is in human mode`);
+            return;
+        }
+
         try {
             const conversation = this.activeConversations.get(phoneNumber);
             if (!conversation) return;
 
-            const chatId = `${phoneNumber}@c.us`;
+            // Drafts wait for an operator, so there is nothing to show typing for yet
+            const needsApproval = this.requiresApproval(phoneNumber);
 
-            // Get chat object for typing indicator
-            const chat = await this.client.getChatById(chatId);
+            if (!needsApproval) {
+                const chatId = `${phoneNumber}@c.us`;
 
-            // Calculate random typing duration from config
-            const typingMin = (this.warmingConfig?.typingMin || 2) * 1000; // Convert to milliseconds
-            const typingMax = (this.warmingConfig?.typingMax || 5) * 1000;
-            const typingDuration = typingMin + Math.random() * (typingMax - typingMin);
+                // Get chat object for typing indicator
+                const chat = await this.client.getChatById(chatId);
 
-            // Show typing indicator
-            await chat.sendStateTyping();
-            console.log(`Showing typing indicator for ${Math.round(typingDuration / 1000)}s to ${phoneNumber}`);
+                // Calculate random typing duration from config
+                const typingMin = (this.warmingConfig?.typingMin || 2) * 1000; // Convert to milliseconds
+                const typingMax = (this.warmingConfig?.typingMax || 5) * 1000;
+                const typingDuration = typingMin + Math.random() * (typingMax - typingMin);
 
-            // Wait for typing duration before proceeding
-            await new Promise(resolve => setTimeout(resolve, typingDuration));
+                // Show typing indicator
+                await chat.sendStateTyping();
+                console.log(`Showing typing indicator for ${Math.round(typingDuration / 1000)}s to ${phoneNumber}`);
+
+                // Wait for typing duration before proceeding
+                await new Promise(resolve => setTimeout(resolve, typingDuration));
+
+                // The operator may have stepped in while we were "typing"
+                if (this.isHumanMode(phoneNumber)) {
+                    console.log(`Operator took over ${phoneNumber}, dropping AI reply`);
+                    return;
+                }
+            }
 
             // NEW: Determine if we should send media (10% chance)
             const shouldSendMedia = this.mediaConfig?.enabled &&
@@ -1330,28 +1956,23 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
                 const mediaItem = this.selectRandomMediaItem();
 
                 if (mediaItem && fs.existsSync(mediaItem.filePath)) {
-                    console.log(`Attempting to send media: ${mediaItem.fileName}`);
-                    const mediaSent = await this.sendMediaWithMessage(phoneNumber, mediaItem);
-
-                    if (mediaSent) {
-                        // Add to conversation history
-                        conversation.history.push({
-                            role: 'assistant',
-                            text: `[Sent image: ${mediaItem.context}]`,
-                            timestamp: Date.now(),
-                            isMedia: true,
-                            mediaContext: mediaItem.context
-                        });
-                        conversation.lastMessageTime = Date.now();
-
-                        // Update stats
-                        this.mainWindow.webContents.send('warming-message-sent', {
-                            to: phoneNumber,
-                            message: `[Image: ${mediaItem.context.substring(0, 50)}...]`,
-                            timestamp: Date.now()
+                    if (needsApproval) {
+                        const caption = await this.generateMediaMessage(conversation.history, mediaItem.context);
+                        this.queueDraft(phoneNumber, {
+                            type: 'media',
+                            text: caption,
+                            mediaItem: {
+                                id: mediaItem.id,
+                                fileName: mediaItem.fileName,
+                                filePath: mediaItem.filePath,
+                                context: mediaItem.context
+                            }
                         });
+                        return;
+                    }
 
-                        this.mainWindow.webContents.send('increment-stats');
+                    console.log(`Attempting to send media: ${mediaItem.fileName}`);
+                    if (await this.deliverMediaReply(phoneNumber, mediaItem)) {
                         return; // Exit - media sent successfully
                     }
                 }
@@ -1360,7 +1981,9 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             }
 
             // NEW: Determine if we should send a sticker
+            // (not while a disclosure notice is due - stickers can't carry text)
             const shouldSendSticker = this.stickerConfig?.enabled &&
+                                      !this.isDisclosureDue(phoneNumber) &&
                                       Math.random() < (this.stickerConfig?.frequency || 0.12);
 
             if (shouldSendSticker) {
@@ -1372,27 +1995,13 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
                 const stickerPath = this.selectRandomSticker(emotion);
 
                 if (stickerPath && fs.existsSync(stickerPath)) {
-                    console.log(`Attempting to send sticker (emotion: ${emotion})`);
-                    const stickerSent = await this.sendSticker(phoneNumber, stickerPath);
-
-                    if (stickerSent) {
-                        // Add to conversation history
-                        conversation.history.push({
-                            role: 'assistant',
-                            text: `[Sent sticker: ${emotion}]`,
-                            timestamp: Date.now(),
-                            isSticker: true
-                        });
-                        conversation.lastMessageTime = Date.now();
-
-                        // Update stats
-                        this.mainWindow.webContents.send('warming-message-sent', {
-                            to: phoneNumber,
-                            message: `[Sticker: ${emotion}]`,
-                            timestamp: Date.now()
-                        });
+                    if (needsApproval) {
+                        this.queueDraft(phoneNumber, { type: 'sticker', stickerPath, emotion });
+                        return;
+                    }
 
-                        this.mainWindow.webContents.send('increment-stats');
+                    console.log(`Attempting to send sticker (emotion: ${emotion})`);
+                    if (await this.deliverStickerReply(phoneNumber, stickerPath, emotion)) {
                         return; // Exit - sticker sent successfully
                     }
                 }
@@ -1407,52 +2016,139 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             }
 
             // EXISTING: Generate and send text response
-            const aiResponse = await this.generateAIResponse(conversation.history, false);
-
-            // Send the message (this automatically clears typing state)
-            await this.client.sendMessage(chatId, aiResponse);
-
-            // Add to conversation history
-            conversation.history.push({
-                role: 'assistant',
-                text: aiResponse,
-                timestamp: Date.now()
-            });
-            conversation.lastMessageTime = Date.now();
-
-            // Manually add to messagesByPhone storage
-            const messageId = `${chatId}_${Date.now()}_${aiResponse.substring(0, 20)}`;
-            this.addMessageToPhone(phoneNumber, {
-                id: messageId,
-                accountId: this.accountId,
-                accountName: this.accountName,
+            const aiResponse = await this.generateAIResponse(conversation.history, false, {
                 phoneNumber,
-                from: this.client.info.wid._serialized,
-                to: chatId,
-                body: aiResponse,
-                timestamp: Math.floor(Date.now() / 1000),
-                isOwn: true
+                onToolCall: (toolCall) => this.recordToolCall(phoneNumber, toolCall)
             });
 
-            console.log(`Sent AI reply to ${phoneNumber}: "${aiResponse}"`);
-
-            // Notify renderer
-            this.mainWindow.webContents.send('warming-message-sent', {
-                to: phoneNumber,
-                message: aiResponse,
-                timestamp: Date.now()
-            });
+            if (needsApproval) {
+                this.queueDraft(phoneNumber, { type: 'text', text: aiResponse });
+                return;
+            }
 
-            this.mainWindow.webContents.send('increment-stats');
+            await this.deliverTextReply(phoneNumber, aiResponse);
 
         } catch (error) {
             console.error('Error sending AI reply:', error);
+            // Already in the warming log as a send cap entry
+            if (error instanceof SendLimitError) {
+                return;
+            }
             this.mainWindow.webContents.send('warming-error', {
                 error: error.message
             });
         }
     }
 
+    /**
+     * Send an image reply and add it to the conversation. Returns false if sending failed.
+     * @param {string} phoneNumber - Recipient phone number
+     * @param {object} mediaItem - Media library item
+     * @param {string} caption - Caption to use instead of generating one
+     */
+    async deliverMediaReply(phoneNumber, mediaItem, caption = null) {
+        const mediaSent = await this.sendMediaWithMessage(phoneNumber, mediaItem, caption);
+        if (!mediaSent) {
+            return false;
+        }
+
+        // Add to conversation history
+        this.addToConversation(phoneNumber, {
+            role: 'assistant',
+            text: `[Sent image: ${mediaItem.context}]`,
+            timestamp: Date.now(),
+            isMedia: true,
+            mediaContext: mediaItem.context
+        });
+
+        // Update stats
+        this.mainWindow.webContents.send('warming-message-sent', {
+            to: phoneNumber,
+            message: `[Image: ${mediaItem.context.substring(0, 50)}...]`,
+            timestamp: Date.now()
+        });
+
+        this.mainWindow.webContents.send('increment-stats');
+        return true;
+    }
+
+    /**
+     * Send a sticker reply and add it to the conversation. Returns false if sending failed.
+     */
+    async deliverStickerReply(phoneNumber, stickerPath, emotion) {
+        const stickerSent = await this.sendSticker(phoneNumber, stickerPath);
+        if (!stickerSent) {
+            return false;
+        }
+
+        // Add to conversation history
+        this.addToConversation(phoneNumber, {
+            role: 'assistant',
+            text: `[Sent sticker: ${emotion}]`,
+            timestamp: Date.now(),
+            isSticker: true
+        });
+
+        // Update stats
+        this.mainWindow.webContents.send('warming-message-sent', {
+            to: phoneNumber,
+            message: `[Sticker: ${emotion}]`,
+            timestamp: Date.now()
+        });
+
+        this.mainWindow.webContents.send('increment-stats');
+        return true;
+    }
+
+    /**
+     * Send a text reply (with the disclosure notice if due), record it and add it to the conversation
+     */
+    async deliverTextReply(phoneNumber, aiResponse) {
+        const chatId = `${phoneNumber}@c.us`;
+        const conversation = this.getConversation(phoneNumber);
+
+        // Send the message (this automatically clears typing state)
+        const outgoing = this.applyDisclosure(phoneNumber, aiResponse);
+        const sent = await this.sendTrackedMessage(chatId, outgoing.text);
+
+        if (outgoing.disclosed) {
+            conversation.disclosed = true;
+        }
+
+        // Add to conversation history
+        this.addToConversation(phoneNumber, {
+            role: 'assistant',
+            text: aiResponse,
+            timestamp: Date.now()
+        });
+
+        // Record in persistent message history
+        const messageId = sent.id._serialized;
+        this.addMessageToPhone(phoneNumber, {
+            id: messageId,
+            accountId: this.accountId,
+            accountName: this.accountName,
+            phoneNumber,
+            from: this.client.info.wid._serialized,
+            to: chatId,
+            body: outgoing.text,
+            timestamp: Math.floor(Date.now() / 1000),
+            isOwn: true,
+            source: 'ai'
+        });
+
+        console.log(`Sent AI reply to ${phoneNumber}: "${aiResponse}"`);
+
+        // Notify renderer
+        this.mainWindow.webContents.send('warming-message-sent', {
+            to: phoneNumber,
+            message: aiResponse,
+            timestamp: Date.now()
+        });
+
+        this.mainWindow.webContents.send('increment-stats');
+    }
+
     async startWarming(config) {
         if (this.warmingActive) {
             console.log('Warming already active');
@@ -1463,17 +2159,13 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             throw new Error('No WhatsApp account connected');
         }
 
-        if (!config.apiKey) {
-            throw new Error('Gemini API key is required');
-        }
-
         if (!config.phoneNumbers || config.phoneNumbers.length === 0) {
             throw new Error('At least one phone number is required');
         }
 
         // Initialize AI
-        if (!this.initializeAI(config.apiKey)) {
-            throw new Error('Failed to initialize AI');
+        if (!this.initializeAI(config)) {
+            throw new Error('Failed to initialize AI. Check the AI provider settings.');
         }
 
         // Initialize sticker manager
@@ -1487,9 +2179,18 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
         console.log('Starting AI-powered warming with config:', config);
 
-        // Send initial greeting to all phone numbers
-        for (let i = 0; i < config.phoneNumbers.length; i++) {
-            const phoneNumber = config.phoneNumbers[i];
+        // Send initial greeting to new phone numbers, resume the rest
+        let greetingIndex = 0;
+        for (const phoneNumber of config.phoneNumbers) {
+            // Restore saved conversation so the AI keeps its context
+            if (this.conversationStore.has(phoneNumber)) {
+                this.activeConversations.set(phoneNumber, this.conversationStore.get(phoneNumber));
+                console.log(`Resuming conversation with ${phoneNumber}`);
+                this.mainWindow.webContents.send('warming-log', {
+                    message: `Resumed conversation with ${phoneNumber}`
+                });
+                continue;
+            }
 
             // Initialize conversation
             this.activeConversations.set(phoneNumber, {
@@ -1501,7 +2202,8 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             const delayMin = (config.delayMin || 3) * 1000;
             const delayMax = (config.delayMax || 8) * 1000;
             const baseDelay = delayMin + Math.random() * (delayMax - delayMin);
-            const staggerDelay = i * 2000; // Stagger greetings by 2 seconds each
+            const staggerDelay = greetingIndex * 2000; // Stagger greetings by 2 seconds each
+            greetingIndex++;
 
             setTimeout(async () => {
                 await this.sendInitialGreeting(phoneNumber);
@@ -1512,6 +2214,23 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
     async sendInitialGreeting(phoneNumber) {
         if (!this.warmingActive) return;
 
+        if (this.isOptedOut(phoneNumber)) {
+            console.log(`Not greeting ${phoneNumber} - contact opted out`);
+            return;
+        }
+
+        if (this.isHumanMode(phoneNumber)) {
+            console.log(`Not greeting ${phoneNumber} - conversation is in human mode`);
+            return;
+        }
+
+        // Night time where they are: greet them once quiet hours end
+        const quietUntil = this.getQuietUntil(phoneNumber);
+        if (quietUntil) {
+            this.holdForQuietHours('greeting', phoneNumber, quietUntil, () => this.sendInitialGreeting(phoneNumber));
+            return;
+        }
+
         if (!this.client || !this.client.info) {
             console.error('Cannot send greeting - client disconnected');
             this.mainWindow.webContents.send('warming-error', {
@@ -1527,21 +2246,22 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
             // Send the message
             const chatId = `${phoneNumber}@c.us`;
-            await this.client.sendMessage(chatId, greeting);
+            const outgoing = this.applyDisclosure(phoneNumber, greeting);
+            const sent = await this.sendTrackedMessage(chatId, outgoing.text);
 
-            // Add to conversation history
-            const conversation = this.activeConversations.get(phoneNumber);
-            if (conversation) {
-                conversation.history.push({
-                    role: 'assistant',
-                    text: greeting,
-                    timestamp: Date.now()
-                });
-                conversation.lastMessageTime = Date.now();
+            if (outgoing.disclosed) {
+                this.getConversation(phoneNumber).disclosed = true;
             }
 
-            // Manually add to messagesByPhone storage
-            const messageId = `${chatId}_${Date.now()}_${greeting.substring(0, 20)}`;
+            // Add to conversation history
+            this.addToConversation(phoneNumber, {
+                role: 'assistant',
+                text: greeting,
+                timestamp: Date.now()
+            });
+
+            // Record in persistent message history
+            const messageId = sent.id._serialized;
             this.addMessageToPhone(phoneNumber, {
                 id: messageId,
                 accountId: this.accountId,
@@ -1549,9 +2269,10 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
                 phoneNumber,
                 from: this.client.info.wid._serialized,
                 to: chatId,
-                body: greeting,
+                body: outgoing.text,
                 timestamp: Math.floor(Date.now() / 1000),
-                isOwn: true
+                isOwn: true,
+                source: 'ai'
             });
 
             console.log(`Sent initial greeting to ${phoneNumber}: "${greeting}"`);
@@ -1567,6 +2288,9 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
         } catch (error) {
             console.error('Error sending initial greeting:', error);
+            if (error instanceof SendLimitError) {
+                return;
+            }
             this.mainWindow.webContents.send('warming-error', {
                 error: error.message,
                 phoneNumber
@@ -1583,9 +2307,12 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
         }
         this.conversationCheckIntervals.clear();
 
-        // Clear active conversations
+        // Unload active conversations (history stays saved for the next start)
         this.activeConversations.clear();
 
+        // Held greetings and replies only go out while warming
+        this.clearHeldMessages();
+
         console.log('Warming stopped');
     }
 
@@ -1601,47 +2328,910 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
         };
     }
 
-    addMessage(messageData) {
-        this.recentMessages.unshift(messageData);
-        if (this.recentMessages.length > this.maxMessages) {
-            this.recentMessages = this.recentMessages.slice(0, this.maxMessages);
+    /**
+     * Get a contact's conversation, restoring it from disk if it isn't loaded
+     */
+    getConversation(phoneNumber) {
+        if (!this.activeConversations.has(phoneNumber)) {
+            const saved = this.conversationStore.get(phoneNumber);
+            this.activeConversations.set(phoneNumber, saved || { history: [], lastMessageTime: Date.now() });
         }
+        return this.activeConversations.get(phoneNumber);
     }
 
-    addMessageToPhone(phoneNumber, messageData) {
-        if (!this.messagesByPhone.has(phoneNumber)) {
-            this.messagesByPhone.set(phoneNumber, []);
+    /**
+     * Append an entry to a contact's conversation history and save it
+     */
+    addToConversation(phoneNumber, entry) {
+        const conversation = this.getConversation(phoneNumber);
+        conversation.history.push(entry);
+        conversation.lastMessageTime = Date.now();
+        this.conversationStore.save(phoneNumber, conversation);
+        return conversation;
+    }
+
+    /**
+     * Log a tool the AI used in the contact's conversation record. Later replies see it as context.
+     */
+    recordToolCall(phoneNumber, { name, arguments: args, result }) {
+        this.addToConversation(phoneNumber, {
+            role: 'tool',
+            name,
+            arguments: args,
+            result,
+            timestamp: Date.now()
+        });
+        this.mainWindow.webContents.send('warming-log', {
+            message: `AI looked up ${name || 'an unknown tool'} for ${phoneNumber}${result.error ? ` (${result.error})` : ''}`
+        });
+    }
+
+    /**
+     * Forget everything the AI knows about a contact so the next start greets them fresh
+     */
+    resetConversation(phoneNumber) {
+        this.activeConversations.delete(phoneNumber);
+        this.queuedMessages.delete(phoneNumber);
+        this.conversationStore.delete(phoneNumber);
+        console.log(`Conversation with ${phoneNumber} reset`);
+    }
+
+    /**
+     * Send through the client and remember the message id, so the message_create
+     * event for it isn't mistaken for the operator typing on the phone.
+     * Every outbound message comes through here, so this is where the send caps are enforced.
+     * @throws {SendLimitError} When a cap is reached, nothing is sent
+     */
+    async sendTrackedMessage(chatId, content, options = {}) {
+        const phoneNumber = chatId.replace('@c.us', '');
+        let reservedAt;
+        try {
+            reservedAt = this.sendLimiter.acquire(phoneNumber);
+        } catch (error) {
+            if (error instanceof SendLimitError) {
+                this.reportSendLimit(error, phoneNumber);
+            }
+            throw error;
         }
 
-        const messages = this.messagesByPhone.get(phoneNumber);
-        messages.push(messageData);
+        // Registered before sending, as the event may arrive before sendMessage resolves
+        let settle;
+        const tracker = new Promise(resolve => { settle = resolve; });
 
-        // Keep only last 100 messages per phone number
-        if (messages.length > 100) {
-            this.messagesByPhone.set(phoneNumber, messages.slice(-100));
+        if (!this.pendingSends.has(chatId)) {
+            this.pendingSends.set(chatId, new Set());
+        }
+        const pending = this.pendingSends.get(chatId);
+        pending.add(tracker);
+
+        try {
+            const sent = await this.client.sendMessage(chatId, content, options);
+            // Our own echo on message_create is then recognised as already handled
+            this.processedMessageIds.add(sent.id._serialized);
+            return sent;
+        } catch (error) {
+            // It didn't go out, so it doesn't count towards the caps
+            this.sendLimiter.release(phoneNumber, reservedAt);
+            throw error;
+        } finally {
+            settle();
+            pending.delete(tracker);
+            if (pending.size === 0) {
+                this.pendingSends.delete(chatId);
+            }
         }
     }
 
-    getRecentMessages() {
-        return this.recentMessages;
+    /**
+     * Tell the operator a send was held back by a cap, in the warming log
+     */
+    reportSendLimit(error, phoneNumber = null) {
+        console.warn(`Send cap reached (${error.limit})${phoneNumber ? ` for ${phoneNumber}` : ''}: ${error.message}`);
+        if (this.mainWindow && this.mainWindow.webContents) {
+            this.mainWindow.webContents.send('send-limit-reached', {
+                limit: error.limit,
+                message: error.message,
+                phoneNumber,
+                retryAt: error.retryAt.toISOString()
+            });
+        }
+    }
+
+    /**
+     * Update quiet hours ({ enabled, start, end }, local to each contact)
+     */
+    setQuietHoursSettings(settings = {}) {
+        this.quietHours = normalizeQuietHours(settings);
+        this.recheckQuietHours();
+    }
+
+    /**
+     * Look at everything held again after quiet hours or a contact's time zone changed,
+     * so whatever is no longer in quiet hours goes out
+     */
+    recheckQuietHours() {
+        for (const id of Array.from(this.heldMessages.keys())) {
+            this.releaseHeldMessage(id);
+        }
+        for (const campaignId of Array.from(this.heldCampaignTimers.keys())) {
+            this.scheduleHeldRecipients(campaignId);
+        }
+    }
+
+    getRecipientTimeZone(phoneNumber) {
+        return getContactTimeZone(this.contactStore.find(phoneNumber), phoneNumber);
+    }
+
+    /**
+     * When quiet hours end for a contact, or null if it's fine to message them now
+     */
+    getQuietUntil(phoneNumber) {
+        return getQuietHoursEnd(this.quietHours, this.getRecipientTimeZone(phoneNumber));
+    }
+
+    /**
+     * Hold a greeting or a reply to a queued message until quiet hours end for the contact.
+     * release is called then and checks quiet hours again, holding once more if they moved.
+     * @param {string} kind - 'greeting' or 'reply'
+     * @param {string} text - What the held message answers, for the pending list
+     */
+    holdForQuietHours(kind, phoneNumber, releaseAt, release, text = '') {
+        const id = `${kind}:${phoneNumber}`;
+        const existing = this.heldMessages.get(id);
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+
+        this.heldMessages.set(id, {
+            id,
+            kind,
+            phoneNumber,
+            text,
+            heldAt: existing ? existing.heldAt : new Date().toISOString(),
+            releaseAt: releaseAt.toISOString(),
+            release,
+            timer: setTimeout(() => this.releaseHeldMessage(id), Math.max(releaseAt - Date.now(), 1000))
+        });
+
+        console.log(`Holding ${kind} to ${phoneNumber} for quiet hours until ${releaseAt.toLocaleString()}`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: `${kind === 'greeting' ? 'Greeting' : 'Reply'} to ${phoneNumber} held for quiet hours until ${releaseAt.toLocaleString()}`
+        });
+        this.notifyHeldMessagesChanged();
+    }
+
+    releaseHeldMessage(id) {
+        const held = this.heldMessages.get(id);
+        if (!held) {
+            return;
+        }
+
+        clearTimeout(held.timer);
+        this.heldMessages.delete(id);
+        this.notifyHeldMessagesChanged();
+        held.release().catch(error => {
+            console.error(`Error releasing held ${held.kind} to ${held.phoneNumber}:`, error);
+        });
+    }
+
+    // Drop held greetings and replies without sending them, e.g. when warming stops
+    clearHeldMessages(phoneNumber = null) {
+        for (const held of Array.from(this.heldMessages.values())) {
+            if (!phoneNumber || held.phoneNumber === phoneNumber) {
+                clearTimeout(held.timer);
+                this.heldMessages.delete(held.id);
+            }
+        }
+        this.notifyHeldMessagesChanged();
+    }
+
+    /**
+     * Everything waiting for quiet hours to end: greetings, replies to queued messages
+     * and recipients of unfinished blasts. Soonest first.
+     */
+    getHeldMessages() {
+        const held = Array.from(this.heldMessages.values()).map(({ id, kind, phoneNumber, text, heldAt, releaseAt }) => ({
+            id, kind, phoneNumber, text, heldAt, releaseAt, timeZone: this.getRecipientTimeZone(phoneNumber)
+        }));
+
+        for (const campaign of this.campaignStore.getAll()) {
+            if (this.campaignStore.isFinished(campaign)) {
+                continue;
+            }
+            for (const recipient of campaign.recipients.filter(r => r.status === 'held')) {
+                held.push({
+                    id: `blast:${campaign.id}:${recipient.number}`,
+                    kind: 'blast',
+                    phoneNumber: recipient.number,
+                    text: recipient.text || campaign.message,
+                    campaignId: campaign.id,
+                    releaseAt: recipient.heldUntil,
+                    timeZone: this.getRecipientTimeZone(recipient.number)
+                });
+            }
+        }
+
+        return held.sort((a, b) => new Date(a.releaseAt) - new Date(b.releaseAt));
+    }
+
+    notifyHeldMessagesChanged() {
+        if (this.mainWindow && this.mainWindow.webContents) {
+            this.mainWindow.webContents.send('held-messages-changed');
+        }
+    }
+
+    /**
+     * Handle one of our own outgoing messages. Anything the app didn't send was
+     * written by a person on the phone, so that conversation goes into human mode.
+     */
+    async handleOwnMessage(message) {
+        if (!message.fromMe || !message.to || !message.to.endsWith('@c.us')) {
+            return;
+        }
+
+        // message_create can fire before sendMessage resolves, wait for our sends to settle
+        const pending = this.pendingSends.get(message.to);
+        if (pending && pending.size > 0) {
+            await Promise.allSettled(Array.from(pending));
+        }
+
+        const messageId = message.id && message.id._serialized;
+        if (!messageId || !this.processedMessageIds.add(messageId)) {
+            return;
+        }
+
+        const phoneNumber = message.to.replace('@c.us', '');
+        const record = {
+            id: messageId,
+            accountId: this.accountId,
+            accountName: this.accountName,
+            phoneNumber,
+            from: message.from,
+            to: message.to,
+            body: message.body,
+            timestamp: message.timestamp,
+            isOwn: true,
+            hasMedia: message.hasMedia,
+            mediaType: message.type,
+            mediaContext: null,
+            source: 'phone'
+        };
+        this.addMessageToPhone(phoneNumber, record);
+
+        // Keep the AI aware of what the operator said in a warmed conversation
+        if (this.activeConversations.has(phoneNumber)) {
+            this.addToConversation(phoneNumber, {
+                role: 'assistant',
+                text: message.body || `[Sent ${message.type}]`,
+                timestamp: Date.now(),
+                isManual: true
+            });
+        }
+
+        this.startHumanMode(phoneNumber, 'phone');
+
+        this.mainWindow.webContents.send('new-message', {
+            phoneNumber,
+            message: { ...record, fromMe: true }
+        });
+    }
+
+    /**
+     * Update business hours ({ enabled, timeZone, weekly, holidays, awayMessage }, see business-hours.js)
+     */
+    setBusinessHoursSettings(settings = {}) {
+        this.businessHours = normalizeBusinessHours(settings);
+    }
+
+    /**
+     * Send the away message, once per contact per closed period. It is recorded and shown
+     * like any other message we send.
+     * @param {object} period - From getClosedPeriod
+     */
+    async sendAwayMessage(phoneNumber, period) {
+        const previousPeriod = this.conversationStore.getAwayMessagePeriod(phoneNumber);
+        if (previousPeriod === period.key || !this.client || !this.client.info) {
+            return;
+        }
+
+        // Claimed before sending, so messages arriving together get one away message between them
+        this.conversationStore.setAwayMessagePeriod(phoneNumber, period.key);
+        const text = renderAwayMessage(this.businessHours, period);
+
+        try {
+            const chatId = `${phoneNumber}@c.us`;
+            const sent = await this.sendTrackedMessage(chatId, text);
+
+            // Record in persistent message history
+            const record = {
+                id: sent.id._serialized,
+                accountId: this.accountId,
+                accountName: this.accountName,
+                phoneNumber,
+                from: this.client.info.wid._serialized,
+                to: chatId,
+                body: text,
+                timestamp: Math.floor(Date.now() / 1000),
+                isOwn: true,
+                source: 'away',
+                hasMedia: false,
+                mediaType: 'chat',
+                mediaContext: null
+            };
+            this.addMessageToPhone(phoneNumber, record);
+
+            console.log(`Sent away message to ${phoneNumber}`);
+            this.mainWindow.webContents.send('warming-log', {
+                message: `Away message sent to ${phoneNumber} (outside business hours)`
+            });
+            this.mainWindow.webContents.send('new-message', {
+                phoneNumber,
+                message: { ...record, fromMe: true }
+            });
+            this.mainWindow.webContents.send('increment-stats');
+        } catch (error) {
+            // Not sent, so the next message in this period tries again
+            this.conversationStore.setAwayMessagePeriod(phoneNumber, previousPeriod);
+            console.error(`Error sending away message to ${phoneNumber}:`, error);
+            if (error instanceof SendLimitError) {
+                return;
+            }
+            this.mainWindow.webContents.send('warming-error', {
+                error: `Failed to send away message to ${phoneNumber}: ${error.message}`,
+                phoneNumber
+            });
+        }
+    }
+
+    /**
+     * Replace the keyword rules (see rules.js). Rules config.json already holds were checked when saved.
+     */
+    setRules(rules = []) {
+        this.rules = validateRules(rules || []).rules;
+    }
+
+    /**
+     * Find the rule a contact's message matches and apply its tags and human mode right away.
+     * Its reply is sent later by sendRuleReply, after the incoming message is shown.
+     * @returns {object|null} { rule, matched } from findMatchingRule
+     */
+    applyRule(phoneNumber, text) {
+        const ruleMatch = findMatchingRule(this.rules, text);
+        if (!ruleMatch) {
+            return null;
+        }
+
+        const { rule, matched } = ruleMatch;
+        console.log(`Message from ${phoneNumber} matched rule "${rule.name}" (${matched})`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: `Message from ${phoneNumber} matched rule "${rule.name}"`
+        });
+
+        if (rule.actions.tags.length > 0) {
+            const contact = this.contactStore.find(phoneNumber);
+            if (contact) {
+                const tags = [...(contact.tags || [])];
+                for (const tag of rule.actions.tags) {
+                    if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                        tags.push(tag);
+                    }
+                }
+                if (tags.length > (contact.tags || []).length) {
+                    this.contactStore.setTags(phoneNumber, tags);
+                    this.mainWindow.webContents.send('contact-tagged', { phoneNumber, tags, rule: rule.name });
+                }
+            }
+        }
+
+        if (rule.actions.humanMode) {
+            this.startHumanMode(phoneNumber, 'rule');
+        }
+
+        return ruleMatch;
+    }
+
+    /**
+     * Send a rule's canned reply and/or media item. It is recorded and shown like any other
+     * message we send.
+     */
+    async sendRuleReply(phoneNumber, rule) {
+        const { reply, mediaId } = rule.actions;
+        if ((!reply && !mediaId) || !this.client || !this.client.info) {
+            return;
+        }
+
+        try {
+            const chatId = `${phoneNumber}@c.us`;
+            let mediaItem = mediaId ? this.findMediaItem(mediaId) : null;
+            if (mediaId && (!mediaItem || !fs.existsSync(mediaItem.filePath))) {
+                // Send the text on its own rather than nothing
+                console.error(`Media item ${mediaId} for rule "${rule.name}" is missing`);
+                mediaItem = null;
+                if (!reply) {
+                    throw new Error('its media item is no longer in the media library');
+                }
+            }
+
+            let sent;
+            let historyText = reply;
+            if (mediaItem) {
+                const media = this.client.mediaFromFile(mediaItem.filePath);
+                sent = await this.sendTrackedMessage(chatId, media, reply ? { caption: reply } : {});
+                historyText = `[Sent image: ${mediaItem.context}]${reply ? ` ${reply}` : ''}`;
+            } else {
+                sent = await this.sendTrackedMessage(chatId, reply);
+            }
+
+            // Record in persistent message history
+            const sentAt = Date.now();
+            const hasMedia = historyText !== reply;
+            const record = {
+                id: sent.id._serialized,
+                accountId: this.accountId,
+                accountName: this.accountName,
+                phoneNumber,
+                from: this.client.info.wid._serialized,
+                to: chatId,
+                body: reply,
+                timestamp: Math.floor(sentAt / 1000),
+                isOwn: true,
+                source: 'rule',
+                hasMedia,
+                mediaType: hasMedia ? 'image' : 'chat',
+                mediaContext: hasMedia ? { type: 'image', description: mediaItem.context } : null
+            };
+            this.addMessageToPhone(phoneNumber, record);
+
+            // Keep the AI aware of the canned answer in a warmed conversation
+            if (this.activeConversations.has(phoneNumber)) {
+                this.addToConversation(phoneNumber, {
+                    role: 'assistant',
+                    text: historyText,
+                    timestamp: sentAt
+                });
+            }
+
+            console.log(`Sent reply from rule "${rule.name}" to ${phoneNumber}`);
+            this.mainWindow.webContents.send('new-message', {
+                phoneNumber,
+                message: { ...record, fromMe: true }
+            });
+            this.mainWindow.webContents.send('increment-stats');
+        } catch (error) {
+            console.error(`Error sending rule reply to ${phoneNumber}:`, error);
+            if (error instanceof SendLimitError) {
+                return;
+            }
+            this.mainWindow.webContents.send('warming-error', {
+                error: `Failed to send the reply from rule "${rule.name}" to ${phoneNumber}: ${error.message}`,
+                phoneNumber
+            });
+        }
+    }
+
+    /**
+     * Replace the flows (see flows.js). Flows config.json already holds were checked when saved.
+     */
+    setFlows(flows = []) {
+        this.flows = validateFlows(flows || []).flows;
+    }
+
+    /**
+     * Move a contact through the flows with their message and save where they are.
+     * A flow that ends by handing over to a person does so right away; its messages
+     * are sent later by sendFlowMessages, after the incoming message is shown.
+     * @returns {object|null} The route from routeFlowMessage
+     */
+    routeToFlow(phoneNumber, text) {
+        const route = routeFlowMessage(this.flows, this.conversationStore.getFlowState(phoneNumber), text);
+        if (!route) {
+            return null;
+        }
+
+        this.conversationStore.setFlowState(phoneNumber, route.state);
+
+        if (route.event === 'expired') {
+            console.log(`Flow for ${phoneNumber} timed out or was changed, handling the message normally`);
+            return route;
+        }
+
+        const what = {
+            started: 'started',
+            answered: route.ending ? 'finished' : 'moved on',
+            invalid: 'asked again',
+            gave_up: 'gave up'
+        }[route.event];
+        console.log(`Flow "${route.flow.name}" ${what} for ${phoneNumber}${route.ending ? ` (${route.ending})` : ''}`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: `Flow "${route.flow.name}" ${what} for ${phoneNumber}`
+        });
+
+        if (route.ending === 'human') {
+            this.startHumanMode(phoneNumber, 'flow');
+        }
+        return route;
+    }
+
+    /**
+     * Send a flow's messages in order. They are recorded and shown like any other message we send.
+     */
+    async sendFlowMessages(phoneNumber, route) {
+        if (!this.client || !this.client.info) {
+            return;
+        }
+
+        const chatId = `${phoneNumber}@c.us`;
+        for (const text of route.messages) {
+            try {
+                const sent = await this.sendTrackedMessage(chatId, text);
+
+                // Record in persistent message history
+                const sentAt = Date.now();
+                const record = {
+                    id: sent.id._serialized,
+                    accountId: this.accountId,
+                    accountName: this.accountName,
+                    phoneNumber,
+                    from: this.client.info.wid._serialized,
+                    to: chatId,
+                    body: text,
+                    timestamp: Math.floor(sentAt / 1000),
+                    isOwn: true,
+                    source: 'flow',
+                    hasMedia: false,
+                    mediaType: 'chat',
+                    mediaContext: null
+                };
+                this.addMessageToPhone(phoneNumber, record);
+
+                // Keep the AI aware of the menu in a warmed conversation
+                if (this.activeConversations.has(phoneNumber)) {
+                    this.addToConversation(phoneNumber, {
+                        role: 'assistant',
+                        text,
+                        timestamp: sentAt
+                    });
+                }
+
+                this.mainWindow.webContents.send('new-message', {
+                    phoneNumber,
+                    message: { ...record, fromMe: true }
+                });
+                this.mainWindow.webContents.send('increment-stats');
+            } catch (error) {
+                // The rest of the flow's messages would make no sense without this one
+                console.error(`Error sending flow message to ${phoneNumber}:`, error);
+                if (!(error instanceof SendLimitError)) {
+                    this.mainWindow.webContents.send('warming-error', {
+                        error: `Failed to send a message from flow "${route.flow.name}" to ${phoneNumber}: ${error.message}`,
+                        phoneNumber
+                    });
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Update human takeover settings. idleTimeoutMinutes of 0 keeps human mode on until ended by hand.
+     */
+    setHumanModeSettings(settings = {}) {
+        const minutes = parseInt(settings.idleTimeoutMinutes);
+        this.humanModeSettings = {
+            idleTimeoutMinutes: isNaN(minutes) || minutes < 0 ? 30 : minutes
+        };
+    }
+
+    /**
+     * Hand a conversation to a person, or refresh the idle timer if they already have it
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} reason - 'phone', 'app', 'manual' (the Take Over button), 'rule' (a keyword rule) or 'flow'
+     */
+    startHumanMode(phoneNumber, reason) {
+        const now = new Date().toISOString();
+        const current = this.conversationStore.getHumanMode(phoneNumber);
+
+        if (current) {
+            this.conversationStore.setHumanMode(phoneNumber, { ...current, lastActivity: now });
+            return;
+        }
+
+        const humanMode = { since: now, lastActivity: now, reason };
+        this.conversationStore.setHumanMode(phoneNumber, humanMode);
+        this.conversationStore.setFlowState(phoneNumber, null); // The person picks up from here, not the menu
+        this.startHumanModeTimer();
+
+        console.log(`Conversation with ${phoneNumber} is now in human mode (${reason})`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: reason === 'rule' || reason === 'flow'
+                ? `Conversation with ${phoneNumber} handed to the operator by a ${reason}`
+                : `Operator took over the conversation with ${phoneNumber}`
+        });
+        this.mainWindow.webContents.send('human-mode-changed', {
+            phoneNumber,
+            active: true,
+            ...humanMode
+        });
+    }
+
+    /**
+     * Give a conversation back to the AI
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} reason - 'manual' or 'idle'
+     */
+    endHumanMode(phoneNumber, reason) {
+        if (!this.conversationStore.getHumanMode(phoneNumber)) {
+            return;
+        }
+
+        this.conversationStore.setHumanMode(phoneNumber, null);
+
+        console.log(`Conversation with ${phoneNumber} handed back to the AI (${reason})`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: `Conversation with ${phoneNumber} handed back to the AI`
+        });
+        this.mainWindow.webContents.send('human-mode-changed', {
+            phoneNumber,
+            active: false,
+            reason
+        });
     }
 
-    getMessagesByPhone(phoneNumber) {
-        return this.messagesByPhone.get(phoneNumber) || [];
+    /**
+     * Whether a person currently owns the conversation. Ends human mode once it has been idle too long.
+     */
+    isHumanMode(phoneNumber) {
+        const humanMode = this.conversationStore.getHumanMode(phoneNumber);
+        if (!humanMode) {
+            return false;
+        }
+
+        const timeoutMs = this.humanModeSettings.idleTimeoutMinutes * 60 * 1000;
+        const lastActivity = new Date(humanMode.lastActivity).getTime();
+        if (timeoutMs > 0 && Date.now() - lastActivity >= timeoutMs) {
+            this.endHumanMode(phoneNumber, 'idle');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Conversations currently owned by a person: phoneNumber -> { since, lastActivity, reason }
+     */
+    getConversationOwners() {
+        const owners = {};
+        for (const phoneNumber of Object.keys(this.conversationStore.getHumanModes())) {
+            if (this.isHumanMode(phoneNumber)) {
+                owners[phoneNumber] = this.conversationStore.getHumanMode(phoneNumber);
+            }
+        }
+        return owners;
+    }
+
+    // Expire idle takeovers once a minute, only while there are any
+    startHumanModeTimer() {
+        if (this.humanModeTimer) return;
+
+        this.humanModeTimer = setInterval(() => {
+            if (Object.keys(this.getConversationOwners()).length === 0) {
+                clearInterval(this.humanModeTimer);
+                this.humanModeTimer = null;
+            }
+        }, 60 * 1000);
+    }
+
+    /**
+     * Update reply approval settings. When enabled, AI replies are drafted for review instead of sent.
+     */
+    setApprovalSettings(settings = {}) {
+        this.approvalSettings = {
+            enabled: settings.enabled === true
+        };
+    }
+
+    /**
+     * Whether AI replies to a contact need approval. The contact's own setting wins over the global one.
+     */
+    requiresApproval(phoneNumber) {
+        const contact = this.contactStore.find(phoneNumber);
+        if (contact && contact.approvalMode === 'always') {
+            return true;
+        }
+        if (contact && contact.approvalMode === 'never') {
+            return false;
+        }
+        return this.approvalSettings.enabled;
+    }
+
+    /**
+     * Put a generated reply in the review queue instead of sending it
+     * @param {string} phoneNumber - Contact phone number
+     * @param {object} reply - { type: 'text'|'sticker'|'media', text, stickerPath, emotion, mediaItem }
+     */
+    queueDraft(phoneNumber, reply) {
+        const draft = this.draftStore.add(phoneNumber, reply);
+
+        console.log(`Drafted ${reply.type} reply to ${phoneNumber}, waiting for approval`);
+        this.mainWindow.webContents.send('warming-log', {
+            message: `Reply to ${phoneNumber} is waiting for approval`
+        });
+        this.mainWindow.webContents.send('drafts-changed', { phoneNumber });
+
+        return draft;
+    }
+
+    // The contact said something new, so drafts written before it are out of date
+    markDraftsStale(phoneNumber) {
+        if (this.draftStore.markStale(phoneNumber) > 0) {
+            this.mainWindow.webContents.send('drafts-changed', { phoneNumber });
+        }
+    }
+
+    getDrafts() {
+        return this.draftStore.getAll();
+    }
+
+    /**
+     * Send a draft, optionally with edited text
+     * @param {string} draftId - Draft to send
+     * @param {object} options - { text, force }; text replaces the draft text or caption,
+     *                           force sends a stale draft anyway
+     */
+    async approveDraft(draftId, { text = null, force = false } = {}) {
+        const draft = this.draftStore.get(draftId);
+        if (!draft) {
+            throw new Error('Draft not found');
+        }
+
+        if (draft.status === 'stale' && !force) {
+            throw new Error('The contact has sent another message since this draft was written');
+        }
+
+        if (!this.client || !this.client.info) {
+            throw new Error('WhatsApp is not connected');
+        }
+
+        if (this.isOptedOut(draft.phoneNumber)) {
+            throw new Error('This contact has opted out. Opt them back in before messaging them.');
+        }
+
+        const replyText = typeof text === 'string' ? text : draft.text;
+
+        let sent;
+        if (draft.type === 'sticker') {
+            if (!fs.existsSync(draft.stickerPath)) {
+                throw new Error('Sticker file no longer exists');
+            }
+            sent = await this.deliverStickerReply(draft.phoneNumber, draft.stickerPath, draft.emotion);
+        } else if (draft.type === 'media') {
+            if (!fs.existsSync(draft.mediaItem.filePath)) {
+                throw new Error('Media file no longer exists');
+            }
+            sent = await this.deliverMediaReply(draft.phoneNumber, draft.mediaItem, replyText);
+        } else {
+            if (!replyText) {
+                throw new Error('Message text is required');
+            }
+            await this.deliverTextReply(draft.phoneNumber, replyText);
+            sent = true;
+        }
+
+        if (!sent) {
+            throw new Error(`Failed to send ${draft.type}`);
+        }
+
+        this.draftStore.remove(draftId);
+        this.mainWindow.webContents.send('drafts-changed', { phoneNumber: draft.phoneNumber });
+
+        console.log(`Approved draft ${draftId} for ${draft.phoneNumber}${replyText !== draft.text ? ' (edited)' : ''}`);
+        return draft;
     }
 
-    getAllMessagesByPhone() {
-        const result = {};
-        for (const [phoneNumber, messages] of this.messagesByPhone.entries()) {
-            result[phoneNumber] = messages;
+    rejectDraft(draftId) {
+        const draft = this.draftStore.remove(draftId);
+        if (!draft) {
+            throw new Error('Draft not found');
         }
-        return result;
+
+        console.log(`Rejected draft ${draftId} for ${draft.phoneNumber}`);
+        this.mainWindow.webContents.send('drafts-changed', { phoneNumber: draft.phoneNumber });
+        return draft;
+    }
+
+    addMessageToPhone(phoneNumber, messageData) {
+        // Status updates are not conversations, don't keep them
+        if (phoneNumber.includes('status') || phoneNumber.includes('broadcast')) {
+            return;
+        }
+
+        // Our own messages start pending until WhatsApp acks them
+        if (messageData.isOwn && messageData.id) {
+            const earlyStatus = this.earlyAcks.get(messageData.id);
+            this.earlyAcks.delete(messageData.id);
+            messageData = { ...messageData, status: earlyStatus || messageData.status || 'pending' };
+        }
+
+        this.messageStore.append(phoneNumber, messageData);
+    }
+
+    getRecentMessages() {
+        return this.messageStore.getRecentMessages(this.maxMessages);
+    }
+
+    getMessagesByPhone(phoneNumber, options = {}) {
+        return this.messageStore.getMessages(phoneNumber, options);
+    }
+
+    getAllMessagesByPhone(options = {}) {
+        return this.messageStore.getAllMessages(options);
     }
 
     hasAccount() {
         return this.client !== null;
     }
 
+    isOptedOut(phoneNumber) {
+        return this.contactStore.isOptedOut(phoneNumber);
+    }
+
+    /**
+     * Opt a contact out if their message is an opt-out keyword, sending one confirmation.
+     * Returns true if the message was an opt-out request.
+     */
+    async handleOptOutRequest(phoneNumber, text) {
+        const keyword = this.contactStore.matchOptOutKeyword(text);
+        if (!keyword) {
+            return false;
+        }
+
+        const contact = this.contactStore.find(phoneNumber);
+        if (contact && contact.optedOut) {
+            // Already confirmed once, stay silent
+            return true;
+        }
+
+        const updated = this.contactStore.markOptedOut(phoneNumber, keyword);
+        this.queuedMessages.delete(phoneNumber);
+        console.log(`${phoneNumber} opted out (keyword: "${keyword}")`);
+
+        const { confirmationMessage } = this.contactStore.getOptOutSettings();
+        if (confirmationMessage && this.client && this.client.info) {
+            try {
+                const chatId = `${phoneNumber}@c.us`;
+                const sent = await this.sendTrackedMessage(chatId, confirmationMessage);
+
+                // Record in persistent message history
+                const sentAt = Date.now();
+                this.addMessageToPhone(phoneNumber, {
+                    id: sent.id._serialized,
+                    accountId: this.accountId,
+                    accountName: this.accountName,
+                    phoneNumber,
+                    from: this.client.info.wid._serialized,
+                    to: chatId,
+                    body: confirmationMessage,
+                    timestamp: Math.floor(sentAt / 1000),
+                    isOwn: true,
+                    source: 'system',
+                    hasMedia: false,
+                    mediaType: 'chat',
+                    mediaContext: null
+                });
+            } catch (error) {
+                console.error(`Error sending opt-out confirmation to ${phoneNumber}:`, error);
+            }
+        }
+
+        this.mainWindow.webContents.send('contact-opted-out', {
+            phoneNumber,
+            keyword,
+            optedOutAt: updated.optedOutAt
+        });
+
+        return true;
+    }
+
     // Set a phone number as disabled
     setNumberDisabled(phoneNumber, disabled) {
         if (disabled) {
@@ -1660,17 +3250,25 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
 
     // Process queued messages when a number is re-enabled
     async processQueuedMessages(phoneNumber) {
+        if (this.isOptedOut(phoneNumber)) {
+            this.queuedMessages.delete(phoneNumber);
+            return;
+        }
+
         const queued = this.queuedMessages.get(phoneNumber);
 
         if (queued && this.warmingActive) {
+            // The message may be hours old: answer it once quiet hours end, it stays queued until then
+            const quietUntil = this.getQuietUntil(phoneNumber);
+            if (quietUntil) {
+                this.holdForQuietHours('reply', phoneNumber, quietUntil, () => this.processQueuedMessages(phoneNumber), queued.message);
+                return;
+            }
+
             console.log(`Processing queued message for ${phoneNumber}: "${queued.message}"`);
 
             // Make sure the conversation history is updated
-            if (!this.activeConversations.has(phoneNumber)) {
-                this.activeConversations.set(phoneNumber, { history: [], lastMessageTime: Date.now() });
-            }
-
-            const conversation = this.activeConversations.get(phoneNumber);
+            const conversation = this.getConversation(phoneNumber);
 
             // Add the queued message to history if not already there
             const alreadyInHistory = conversation.history.some(
@@ -1678,7 +3276,7 @@ Generate a natural, casual message (1-2 sentences) to accompany this image. Make
             );
 
             if (!alreadyInHistory) {
-                conversation.history.push({
+                this.addToConversation(phoneNumber, {
                     role: 'user',
                     text: queued.message,
                     timestamp: queued.timestamp